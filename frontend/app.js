@@ -13,6 +13,8 @@ if (window.CONFIG) {
 // Global State
 let currentUser = null;
 let authToken = null;
+let refreshToken = null;
+let refreshPromise = null;
 
 // DOM Elements
 const elements = {
@@ -50,6 +52,7 @@ const elements = {
     // Payments
     paymentsList: document.getElementById('payments-list'),
     recentPayments: document.getElementById('recent-payments'),
+    dashboardConcepts: document.getElementById('dashboard-concepts'),
     statusFilter: document.getElementById('status-filter'),
     
     // Catalog
@@ -94,6 +97,7 @@ document.addEventListener('DOMContentLoaded', function() {
     console.log('🚀 Inicializando aplicación...');
     setupEventListeners();
     checkAuthStatus();
+    handleEmailVerificationLink();
     
     // Verificar conectividad con API Gateway (asíncrono)
     checkAPIConnectivity().then(isConnected => {
@@ -205,12 +209,8 @@ async function handleLogin(e) {
         const data = await response.json();
         
         if (response.ok) {
-            authToken = data.token;
             currentUser = data.usuario;
-            
-            // Save to localStorage
-            localStorage.setItem('authToken', authToken);
-            localStorage.setItem('currentUser', JSON.stringify(currentUser));
+            saveSession(data);
             
             updateUIForLoggedInUser();
             showToast('Login exitoso', 'success');
@@ -234,8 +234,7 @@ async function handleRegister(e) {
     const registerData = {
         nombre: formData.get('nombre'),
         email: formData.get('email'),
-        contraseña: formData.get('password'),
-        rol: formData.get('rol')
+        contraseña: formData.get('password')
     };
     
     try {
@@ -250,16 +249,10 @@ async function handleRegister(e) {
         const data = await response.json();
         
         if (response.ok) {
-            authToken = data.token;
-            currentUser = data.usuario;
-            
-            // Save to localStorage
-            localStorage.setItem('authToken', authToken);
-            localStorage.setItem('currentUser', JSON.stringify(currentUser));
-            
-            updateUIForLoggedInUser();
-            showToast('Registro exitoso', 'success');
-            showPage('dashboard');
+            // La sesión se inicia después de verificar el email con el enlace del correo
+            e.target.reset();
+            showToast('Registro exitoso: revisa tu correo para verificar tu cuenta', 'success');
+            showPage('login');
         } else {
             showToast(data.error || 'Error en el registro', 'error');
         }
@@ -271,17 +264,113 @@ async function handleRegister(e) {
     }
 }
 
-function handleLogout() {
+// Enlace del correo de verificación: /verificar-email?token=...
+async function handleEmailVerificationLink() {
+    if (window.location.pathname !== '/verificar-email') return;
+    
+    const token = new URLSearchParams(window.location.search).get('token');
+    // El token no queda en el historial del navegador
+    window.history.replaceState(null, '', '/');
+    if (!token) return;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/usuarios/email/verificar`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ token })
+        });
+        const data = await response.json();
+        
+        if (response.ok) {
+            showToast('Correo verificado: ya puedes iniciar sesión', 'success');
+            showPage('login');
+        } else {
+            showToast(data.error || 'Enlace de verificación inválido o vencido', 'error');
+        }
+    } catch (error) {
+        showToast('Error de conexión', 'error');
+        console.error('Email verification error:', error);
+    }
+}
+
+// Sesión: access token de corta duración + refresh token con rotación
+function saveSession(data) {
+    authToken = data.token;
+    refreshToken = data.refreshToken || null;
+    
+    localStorage.setItem('authToken', authToken);
+    localStorage.setItem('currentUser', JSON.stringify(currentUser));
+    if (refreshToken) {
+        localStorage.setItem('refreshToken', refreshToken);
+    } else {
+        localStorage.removeItem('refreshToken');
+    }
+}
+
+function clearSession() {
     authToken = null;
+    refreshToken = null;
     currentUser = null;
     
-    // Clear localStorage
     localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('currentUser');
+}
+
+// Renovar el access token (una sola petición aunque varias llamadas expiren a la vez)
+function refreshSession() {
+    if (!refreshToken) return Promise.resolve(false);
+    
+    if (!refreshPromise) {
+        refreshPromise = fetch(`${API_BASE_URL}/usuarios/token/refresh`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ refreshToken })
+        })
+            .then(async response => {
+                if (!response.ok) return false;
+                saveSession(await response.json());
+                console.log('🔄 Token renovado');
+                return true;
+            })
+            .catch(() => false)
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+}
+
+// fetch autenticado: si el access token expiró se renueva y se reintenta una vez
+async function apiFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        headers: {
+            ...options.headers,
+            'Authorization': `Bearer ${authToken}`
+        }
+    });
+    
+    const response = await send();
+    if (response.status !== 401 && response.status !== 403) return response;
+    
+    const data = await response.clone().json().catch(() => ({}));
+    if (data.code !== 'TOKEN_EXPIRED' && data.code !== 'TOKEN_REVOKED') return response;
     
+    if (data.code === 'TOKEN_EXPIRED' && await refreshSession()) {
+        return send();
+    }
+    
+    // Sesión revocada o refresh token vencido: volver a iniciar sesión
+    clearSession();
     updateUIForLoggedOutUser();
-    showToast('Sesión cerrada', 'success');
-    showPage('home');
+    showToast('Tu sesión expiró, inicia sesión nuevamente', 'error');
+    showPage('login');
+    return response;
 }
 
 function updateUIForLoggedInUser() {
@@ -318,16 +407,14 @@ function checkAuthStatus() {
     if (savedToken && savedUser) {
         try {
             authToken = savedToken;
+            refreshToken = localStorage.getItem('refreshToken');
             currentUser = JSON.parse(savedUser);
             updateUIForLoggedInUser();
             console.log('👤 Usuario autenticado encontrado:', currentUser.nombre);
         } catch (error) {
             console.error('❌ Error al cargar usuario autenticado:', error);
             // Limpiar datos corruptos
-            localStorage.removeItem('authToken');
-            localStorage.removeItem('currentUser');
-            authToken = null;
-            currentUser = null;
+            clearSession();
             updateUIForLoggedOutUser();
         }
     } else {
@@ -338,16 +425,27 @@ function checkAuthStatus() {
 }
 
 // Función para manejar logout
-function handleLogout() {
+async function handleLogout() {
     console.log('🚪 Cerrando sesión...');
     
-    // Limpiar datos de autenticación
-    authToken = null;
-    currentUser = null;
+    // Revocar access y refresh token en el servidor; la sesión local se limpia igual si falla
+    if (authToken) {
+        try {
+            await fetch(`${API_BASE_URL}/usuarios/logout`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${authToken}`
+                },
+                body: JSON.stringify({ refreshToken })
+            });
+        } catch (error) {
+            console.error('❌ Error al cerrar sesión en el servidor:', error);
+        }
+    }
     
-    // Limpiar localStorage
-    localStorage.removeItem('authToken');
-    localStorage.removeItem('currentUser');
+    // Limpiar datos de autenticación
+    clearSession();
     
     // Actualizar UI
     updateUIForLoggedOutUser();
@@ -361,25 +459,52 @@ async function loadDashboard() {
     if (!currentUser) return;
     
     try {
-        // Load user payments
-        console.log('🔐 Enviando petición a pagos con token:', authToken ? authToken.substring(0, 50) + '...' : 'No token');
-        const response = await fetch(`${API_BASE_URL}/pagos/usuario/${currentUser.id}`, {
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            }
-        });
+        // Una sola petición al gateway: perfil, pagos y conceptos combinados
+        const response = await apiFetch(`${API_BASE_URL}/dashboard`);
         
         const data = await response.json();
+        const sections = data.sections || {};
         
-        if (response.ok) {
-            displayRecentPayments(data.pagos.slice(0, 3));
+        if (sections.perfil && sections.perfil.status === 'ok') {
+            currentUser = { ...currentUser, ...sections.perfil.data.usuario };
+            updateUIForLoggedInUser();
+        }
+        
+        if (sections.pagos && sections.pagos.status === 'ok') {
+            displayRecentPayments(sections.pagos.data.pagos.slice(0, 3));
         } else {
             elements.recentPayments.innerHTML = '<p class="loading">Error al cargar pagos</p>';
         }
+        
+        if (sections.conceptos && sections.conceptos.status === 'ok') {
+            displayDashboardConcepts(sections.conceptos.data.conceptos);
+        } else {
+            elements.dashboardConcepts.innerHTML = '<p class="loading">Error al cargar conceptos</p>';
+        }
     } catch (error) {
         console.error('Error loading dashboard:', error);
         elements.recentPayments.innerHTML = '<p class="loading">Error al cargar datos</p>';
+        elements.dashboardConcepts.innerHTML = '<p class="loading">Error al cargar datos</p>';
+    }
+}
+
+function displayDashboardConcepts(conceptos) {
+    if (conceptos.length === 0) {
+        elements.dashboardConcepts.innerHTML = '<p>No hay conceptos disponibles</p>';
+        return;
     }
+    
+    const conceptsHTML = conceptos.slice(0, 3).map(concepto => `
+        <div class="payment-item">
+            <div class="payment-info">
+                <h4>${concepto.nombre}</h4>
+                <p>${concepto.periodo || ''}</p>
+            </div>
+            <div class="payment-amount">$${concepto.monto.toLocaleString()}</div>
+        </div>
+    `).join('');
+    
+    elements.dashboardConcepts.innerHTML = `<p>${conceptos.length} conceptos disponibles</p>${conceptsHTML}`;
 }
 
 function displayRecentPayments(payments) {
@@ -410,11 +535,7 @@ async function loadPayments() {
     
     try {
         console.log('🔐 Enviando petición a pagos con token:', authToken ? authToken.substring(0, 50) + '...' : 'No token');
-        const response = await fetch(`${API_BASE_URL}/pagos/usuario/${currentUser.id}`, {
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            }
-        });
+        const response = await apiFetch(`${API_BASE_URL}/pagos/usuario/${currentUser.id}`);
         
         const data = await response.json();
         
@@ -477,11 +598,10 @@ async function handleCreatePayment(e) {
     };
     
     try {
-        const response = await fetch(`${API_BASE_URL}/pagos/crear`, {
+        const response = await apiFetch(`${API_BASE_URL}/pagos/crear`, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${authToken}`
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify(paymentData)
         });
@@ -599,11 +719,7 @@ async function loadCatalog() {
         
         console.log('🔍 URL construida:', url);
         
-        const response = await fetch(url, {
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            }
-        });
+        const response = await apiFetch(url);
         
         const data = await response.json();
         console.log('📋 Respuesta del catálogo:', data);
@@ -685,11 +801,10 @@ async function handleCreateConcept(e) {
     };
     
     try {
-        const response = await fetch(`${API_BASE_URL}/catalogo/conceptos/alumno`, {
+        const response = await apiFetch(`${API_BASE_URL}/catalogo/conceptos/alumno`, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${authToken}`
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify(conceptData)
         });
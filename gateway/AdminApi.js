@@ -0,0 +1,514 @@
+/**
+ * Admin API - AdminApi
+ *
+ * API de administración del gateway en tiempo de ejecución: rutas, upstreams, timeouts,
+ * reintentos, rate limits, middleware y Circuit Breakers. Requiere un token de un rol
+ * administrador y cada cambio se publica como evento y queda en el log de auditoría
+ * Los cambios viven en memoria: al reiniciar se vuelve a gateway.config.json
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { AuditObserver } = require('../shared/EventManager');
+const { logger } = require('../shared/Logger');
+
+const log = logger.child({ module: 'AdminApi' });
+
+const AUDIT_EVENT = 'gateway.configuracion.actualizada';
+
+// Opciones de ruta y de servicio modificables con PATCH
+const ROUTE_FIELDS = ['service', 'methods', 'rewrite', 'auth', 'timeout', 'retries', 'rateLimit', 'cache', 'stream', 'transform', 'version', 'middleware', 'retry', 'fallback'];
+const SERVICE_FIELDS = ['timeout', 'retries', 'loadBalancing', 'retry', 'bulkhead', 'openapi'];
+
+// Acciones sobre Circuit Breakers -> método del breaker y acción auditada
+const BREAKER_ACTIONS = {
+  open: { method: 'forceOpen', action: 'circuitBreaker.forceOpen' },
+  close: { method: 'forceClosed', action: 'circuitBreaker.forceClosed' },
+  release: { method: 'release', action: 'circuitBreaker.release' },
+  reset: { method: 'reset', action: 'circuitBreaker.reset' }
+};
+
+/**
+ * Resumen SHA-256 de un token: longitud fija para compararlo con timingSafeEqual
+ * @param {string} token - Token
+ * @returns {Buffer} Resumen
+ */
+function digest(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+/**
+ * Error de una petición a la Admin API con su código HTTP
+ */
+class AdminApiError extends Error {
+  constructor(message, status = 400, code = 'ADMIN_INVALID_REQUEST') {
+    super(message);
+    this.name = 'AdminApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * @class AdminApi
+ * @description Router Express de administración montado sobre un GatewayService
+ * @example
+ * const adminApi = new AdminApi(gatewayService);
+ * app.use('/admin', adminApi.router());
+ * app.post('/otra-operacion', adminApi.authenticate(), handler);
+ */
+class AdminApi {
+  /**
+   * @param {GatewayService} gatewayService - Gateway administrado
+   * @param {Object} [options] - Opciones
+   * @param {Array<string>} [options.adminRoles] - Roles con acceso (authorization.adminRoles por defecto)
+   * @param {number} [options.maxAuditEntries=1000] - Entradas de auditoría conservadas en memoria
+   */
+  constructor(gatewayService, options = {}) {
+    this.gateway = gatewayService;
+    this.adminRoles = options.adminRoles || gatewayService.authorizationPolicy.adminRoles;
+
+    // Observer Pattern - los cambios se auditan como cualquier otro evento del sistema
+    this.auditObserver = new AuditObserver({ maxEntries: options.maxAuditEntries });
+    this.gateway.eventManager.subscribe(AUDIT_EVENT, this.auditObserver);
+  }
+
+  /**
+   * Middleware de autenticación: token JWT válido de un rol administrador
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.staticToken] - Token fijo aceptado además del JWT (ej. METRICS_TOKEN para Prometheus)
+   * @returns {Function} Middleware
+   */
+  authenticate(options = {}) {
+    const staticDigest = options.staticToken && digest(options.staticToken);
+
+    return async (req, res, next) => {
+      const authHeader = req.headers['authorization'];
+      const token = authHeader && authHeader.split(' ')[1];
+
+      if (token && staticDigest && crypto.timingSafeEqual(digest(token), staticDigest)) {
+        return next();
+      }
+
+      if (!token) {
+        return res.status(401).json({
+          error: 'Token de acceso requerido',
+          message: 'La Admin API requiere un token de administrador'
+        });
+      }
+
+      try {
+        req.user = await this.gateway.verifyToken(token);
+      } catch (error) {
+        log.warn('Token inválido en la Admin API', { path: req.originalUrl, error: error.message });
+        return res.status(403).json({
+          error: 'Token inválido',
+          message: 'El token proporcionado no es válido o ha expirado'
+        });
+      }
+
+      if (!this.adminRoles.includes(req.user.rol)) {
+        log.warn('Acceso denegado a la Admin API', { path: req.originalUrl, userId: req.user.id, rol: req.user.rol });
+        return res.status(403).json({
+          error: 'Acceso denegado',
+          code: 'FORBIDDEN_ROLE',
+          message: 'La Admin API requiere un rol administrador',
+          requiredRoles: this.adminRoles
+        });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Registrar un cambio de configuración (evento + log de auditoría)
+   * @param {Object} req - Request object (req.user es el autor del cambio)
+   * @param {string} action - Acción (ej. 'route.update')
+   * @param {string} target - Elemento afectado
+   * @param {Object} [change] - Estado anterior y posterior ({ before, after })
+   */
+  async audit(req, action, target, change = {}) {
+    await this.gateway.eventManager.notify(AUDIT_EVENT, {
+      source: 'gateway',
+      action,
+      target,
+      actor: { id: req.user?.id, email: req.user?.email, rol: req.user?.rol },
+      ip: req.ip,
+      before: change.before ?? null,
+      after: change.after ?? null
+    });
+  }
+
+  /**
+   * Obtener el log de auditoría de cambios
+   * @param {number} [limit=100] - Entradas más recientes
+   * @returns {Array<Object>} Entradas
+   */
+  getAuditLog(limit = 100) {
+    return this.auditObserver.getAuditLog(limit);
+  }
+
+  /**
+   * Crear el router de la Admin API
+   * @returns {express.Router} Router (montar en /admin)
+   */
+  router() {
+    const router = express.Router();
+    const handle = fn => (req, res, next) => Promise.resolve(fn(req, res)).catch(next);
+
+    router.use(this.authenticate());
+
+    // Configuración vigente completa
+    router.get('/config', (req, res) => {
+      res.json({
+        mensaje: 'Configuración vigente del gateway',
+        services: this.gateway.services,
+        routes: this.gateway.routes.getRoutes(),
+        rateLimit: this.gateway.rateLimiter.getPolicies(),
+        middleware: this.getMiddleware(),
+        circuitBreakers: this.gateway.getCircuitBreakerStates(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Rutas
+    router.get('/routes', (req, res) => {
+      res.json({ routes: this.gateway.routes.getRoutes(), timestamp: new Date().toISOString() });
+    });
+
+    router.post('/routes', handle(async (req, res) => {
+      const { prefix, service, ...options } = req.body || {};
+      if (!prefix || !service) {
+        throw new AdminApiError('La ruta requiere prefix y service');
+      }
+      this.validateRouteOptions(options);
+
+      const [before = null] = this.findRoutes({
+        prefix,
+        methods: options.methods && options.methods.length ? options.methods : ['*'],
+        version: options.version ?? null
+      });
+      const route = this.gateway.addRoute(prefix, service, options);
+      await this.audit(req, before ? 'route.replace' : 'route.add', route.prefix, { before, after: route });
+
+      res.status(before ? 200 : 201).json({
+        mensaje: before ? 'Ruta reemplazada' : 'Ruta agregada',
+        route,
+        timestamp: new Date().toISOString()
+      });
+    }));
+
+    router.patch('/routes', handle(async (req, res) => {
+      const before = this.getSingleRoute(req.query);
+      const changes = pickFields(req.body, ROUTE_FIELDS, 'ruta');
+      this.validateRouteOptions(changes);
+
+      const route = this.gateway.updateRoute(before, changes);
+      await this.audit(req, 'route.update', route.prefix, { before, after: route });
+
+      res.json({ mensaje: 'Ruta actualizada', route, timestamp: new Date().toISOString() });
+    }));
+
+    router.delete('/routes', handle(async (req, res) => {
+      const route = this.getSingleRoute(req.query);
+      this.gateway.removeRoute(route);
+      await this.audit(req, 'route.remove', route.prefix, { before: route });
+
+      res.json({ mensaje: 'Ruta eliminada', route, timestamp: new Date().toISOString() });
+    }));
+
+    // Servicios e instancias upstream
+    router.get('/services', (req, res) => {
+      res.json({
+        services: this.gateway.services,
+        upstreams: this.gateway.getLoadBalancerStats(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    router.post('/services', handle(async (req, res) => {
+      const { name, ...serviceConfig } = req.body || {};
+      if (!name) {
+        throw new AdminApiError('El servicio requiere name');
+      }
+      if (this.gateway.services[name]) {
+        throw new AdminApiError(`El servicio '${name}' ya existe; use PATCH para modificarlo`, 409, 'ADMIN_CONFLICT');
+      }
+      if (!serviceConfig.url && !(serviceConfig.instances && serviceConfig.instances.length)) {
+        throw new AdminApiError('El servicio requiere url o instances');
+      }
+
+      this.gateway.validateServiceOptions(name, serviceConfig);
+
+      this.gateway.addService(name, serviceConfig);
+      const after = this.gateway.services[name];
+      await this.audit(req, 'service.add', name, { after });
+
+      res.status(201).json({ mensaje: `Servicio ${name} agregado`, service: after, timestamp: new Date().toISOString() });
+    }));
+
+    router.patch('/services/:name', handle(async (req, res) => {
+      const { name } = req.params;
+      const before = this.getService(name);
+      const after = this.gateway.updateService(name, pickFields(req.body, SERVICE_FIELDS, 'servicio'));
+      await this.audit(req, 'service.update', name, { before, after });
+
+      res.json({ mensaje: `Servicio ${name} actualizado`, service: after, timestamp: new Date().toISOString() });
+    }));
+
+    router.delete('/services/:name', handle(async (req, res) => {
+      const { name } = req.params;
+      const before = this.getService(name);
+      const dependents = this.gateway.getServiceDependents(name);
+      if (dependents.length) {
+        throw new AdminApiError(`El servicio '${name}' está en uso por: ${dependents.join(', ')}`, 409, 'ADMIN_CONFLICT');
+      }
+
+      this.gateway.removeService(name);
+      await this.audit(req, 'service.remove', name, { before });
+
+      res.json({ mensaje: `Servicio ${name} eliminado`, timestamp: new Date().toISOString() });
+    }));
+
+    // Volver a cargar el contrato OpenAPI del servicio (tras desplegar una nueva versión)
+    router.post('/services/:name/openapi/reload', handle(async (req, res) => {
+      const { name } = req.params;
+      this.getService(name);
+      let operations;
+      try {
+        operations = await this.gateway.loadOpenApiSpec(name);
+      } catch (error) {
+        throw new AdminApiError(`No se pudo cargar el contrato OpenAPI de ${name}: ${error.message}`, 502, 'ADMIN_OPENAPI_UNAVAILABLE');
+      }
+      await this.audit(req, 'service.openapi.reload', name, { after: { operations } });
+
+      res.json({ mensaje: `Contrato OpenAPI de ${name} cargado`, operations, timestamp: new Date().toISOString() });
+    }));
+
+    router.post('/services/:name/instances', handle(async (req, res) => {
+      const { name } = req.params;
+      const before = this.getService(name).instances;
+      const after = this.gateway.addServiceInstance(name, req.body || {});
+      await this.audit(req, 'upstream.add', name, { before, after });
+
+      res.status(201).json({ mensaje: `Instancia agregada a ${name}`, instances: after, timestamp: new Date().toISOString() });
+    }));
+
+    router.delete('/services/:name/instances', handle(async (req, res) => {
+      const { name } = req.params;
+      const before = this.getService(name).instances;
+      if (!this.gateway.removeServiceInstance(name, req.query.url)) {
+        throw new AdminApiError(`La instancia '${req.query.url}' no pertenece a ${name}`, 404, 'ADMIN_NOT_FOUND');
+      }
+      const after = this.gateway.services[name].instances;
+      await this.audit(req, 'upstream.remove', name, { before, after });
+
+      res.json({ mensaje: `Instancia quitada de ${name}`, instances: after, timestamp: new Date().toISOString() });
+    }));
+
+    // Políticas de rate limiting
+    router.get('/rate-limits', (req, res) => {
+      res.json({ rateLimit: this.gateway.rateLimiter.getPolicies(), timestamp: new Date().toISOString() });
+    });
+
+    router.put('/rate-limits/default', handle(async (req, res) => {
+      const before = this.gateway.rateLimiter.getPolicies().default;
+      const after = this.gateway.rateLimiter.setPolicy('default', null, req.body || {});
+      await this.audit(req, 'rateLimit.update', 'default', { before, after });
+
+      res.json({ mensaje: 'Política por defecto actualizada', policy: after, timestamp: new Date().toISOString() });
+    }));
+
+    router.put('/rate-limits/:scope/:name', handle(async (req, res) => {
+      const { scope, name } = req.params;
+      const before = this.gateway.rateLimiter.getScope(scope)[name] || null;
+      const after = this.gateway.rateLimiter.setPolicy(scope, name, req.body || {});
+      await this.audit(req, 'rateLimit.update', `${scope}/${name}`, { before, after });
+
+      res.json({ mensaje: `Política ${scope}/${name} actualizada`, policy: after, timestamp: new Date().toISOString() });
+    }));
+
+    router.delete('/rate-limits/:scope/:name', handle(async (req, res) => {
+      const { scope, name } = req.params;
+      const before = this.gateway.rateLimiter.getScope(scope)[name];
+      if (!before) {
+        throw new AdminApiError(`La política ${scope}/${name} no existe`, 404, 'ADMIN_NOT_FOUND');
+      }
+      const users = scope === 'policies'
+        ? this.gateway.routes.getRoutes().filter(route => route.rateLimit === name).map(route => route.prefix)
+        : [];
+      if (users.length) {
+        throw new AdminApiError(`La política '${name}' está en uso por: ${users.join(', ')}`, 409, 'ADMIN_CONFLICT');
+      }
+
+      this.gateway.rateLimiter.removePolicy(scope, name);
+      await this.audit(req, 'rateLimit.remove', `${scope}/${name}`, { before });
+
+      res.json({ mensaje: `Política ${scope}/${name} eliminada`, timestamp: new Date().toISOString() });
+    }));
+
+    // Middleware registrado con addMiddleware
+    router.get('/middleware', (req, res) => {
+      res.json({ middleware: this.getMiddleware(), timestamp: new Date().toISOString() });
+    });
+
+    ['enable', 'disable'].forEach(operation => {
+      router.post(`/middleware/:name/${operation}`, handle(async (req, res) => {
+        const { name } = req.params;
+        const entry = this.gateway.middleware.find(m => m.name === name);
+        if (!entry) {
+          throw new AdminApiError(`Middleware '${name}' no registrado`, 404, 'ADMIN_NOT_FOUND');
+        }
+
+        const before = { enabled: entry.enabled };
+        this.gateway.setMiddlewareEnabled(name, operation === 'enable');
+        await this.audit(req, `middleware.${operation}`, name, { before, after: { enabled: entry.enabled } });
+
+        res.json({ mensaje: `Middleware ${name} ${entry.enabled ? 'habilitado' : 'deshabilitado'}`, middleware: this.getMiddleware(), timestamp: new Date().toISOString() });
+      }));
+    });
+
+    // Circuit Breakers (nombre del servicio o servicio@url de una instancia)
+    router.get('/circuit-breakers', (req, res) => {
+      res.json({ circuitBreakers: this.gateway.getCircuitBreakerStates(), timestamp: new Date().toISOString() });
+    });
+
+    Object.entries(BREAKER_ACTIONS).forEach(([operation, { method, action }]) => {
+      router.post(`/circuit-breakers/:name/${operation}`, handle(async (req, res) => {
+        const { name } = req.params;
+        const breaker = this.gateway.circuitBreakerManager.getAllBreakers().get(name);
+        if (!breaker) {
+          throw new AdminApiError(`Circuit Breaker '${name}' no existe`, 404, 'ADMIN_NOT_FOUND');
+        }
+
+        const before = { state: breaker.state, forced: breaker.forcedState };
+        breaker[method]();
+        const after = { state: breaker.state, forced: breaker.forcedState };
+        await this.audit(req, action, name, { before, after });
+
+        res.json({ mensaje: `Circuit Breaker ${name}: ${after.state}`, circuitBreaker: breaker.getState(), timestamp: new Date().toISOString() });
+      }));
+    });
+
+    // Auditoría de cambios
+    router.get('/audit', (req, res) => {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+      res.json({ audit: this.getAuditLog(limit), timestamp: new Date().toISOString() });
+    });
+
+    // Errores de validación de la configuración -> 400 (o el código del AdminApiError)
+    router.use((err, req, res, next) => {
+      if (res.headersSent) return next(err);
+
+      const status = err instanceof AdminApiError ? err.status : 400;
+      log.warn('Cambio de configuración rechazado', { method: req.method, path: req.originalUrl, userId: req.user?.id, error: err.message });
+      res.status(status).json({
+        error: 'Cambio de configuración rechazado',
+        code: err.code || 'ADMIN_INVALID_REQUEST',
+        message: err.message
+      });
+    });
+
+    return router;
+  }
+
+  /**
+   * Estado de los middlewares registrados, en orden de ejecución
+   * @returns {Array<Object>} { name, enabled, optIn, before, after }
+   */
+  getMiddleware() {
+    return this.gateway.middleware.map(({ name, enabled, optIn, before, after }) => ({ name, enabled, optIn, before, after }));
+  }
+
+  /**
+   * Obtener un servicio configurado o fallar con 404
+   * @param {string} name - Nombre del servicio
+   * @returns {Object} Copia de la configuración
+   */
+  getService(name) {
+    const service = this.gateway.services[name];
+    if (!service) {
+      throw new AdminApiError(`Servicio '${name}' desconocido`, 404, 'ADMIN_NOT_FOUND');
+    }
+    return { ...service, instances: service.instances.map(instance => ({ ...instance })) };
+  }
+
+  /**
+   * Buscar rutas normalizando el selector ({ prefix, methods, version })
+   * @param {Object} selector - Selector (methods como array o 'GET,POST')
+   * @returns {Array<Object>} Rutas encontradas
+   */
+  findRoutes(selector) {
+    const prefix = selector.prefix.length > 1 ? selector.prefix.replace(/\/+$/, '') : selector.prefix;
+    const methods = typeof selector.methods === 'string' ? selector.methods.split(',') : selector.methods;
+    const version = selector.version === undefined || selector.version === null
+      ? selector.version
+      : String(selector.version).replace(/^v/i, '');
+
+    return this.gateway.routes.findRoutes(prefix, methods ? methods.map(m => m.trim().toUpperCase()) : null, version);
+  }
+
+  /**
+   * Obtener la única ruta que corresponde al selector de la query (?prefix=&version=&methods=)
+   * @param {Object} query - Query de la petición
+   * @returns {Object} Ruta
+   */
+  getSingleRoute(query) {
+    if (!query.prefix) {
+      throw new AdminApiError('Indique la ruta con ?prefix= (y opcionalmente version y methods)');
+    }
+
+    const routes = this.findRoutes({
+      prefix: query.prefix,
+      methods: query.methods,
+      version: query.version === 'none' ? null : query.version
+    });
+    if (routes.length === 0) {
+      throw new AdminApiError(`No hay una ruta registrada con prefijo '${query.prefix}'`, 404, 'ADMIN_NOT_FOUND');
+    }
+    if (routes.length > 1) {
+      throw new AdminApiError(
+        `Hay ${routes.length} rutas con prefijo '${query.prefix}'; indique version (o 'none') y/o methods`,
+        409,
+        'ADMIN_CONFLICT'
+      );
+    }
+    return routes[0];
+  }
+
+  /**
+   * Validar opciones de ruta que dependen de otras secciones de la configuración
+   * @param {Object} options - Opciones de la ruta
+   */
+  validateRouteOptions(options) {
+    if (options.rateLimit && !this.gateway.rateLimiter.policies[options.rateLimit]) {
+      throw new AdminApiError(`La política de rate limit '${options.rateLimit}' no existe`);
+    }
+    ['timeout', 'retries'].forEach(field => {
+      if (options[field] !== undefined && options[field] !== null && !(Number.isInteger(options[field]) && options[field] >= 0)) {
+        throw new AdminApiError(`${field} inválido: debe ser un entero mayor o igual a 0`);
+      }
+    });
+  }
+}
+
+/**
+ * Tomar del cuerpo solo los campos modificables
+ * @param {Object} body - Cuerpo de la petición
+ * @param {Array<string>} fields - Campos permitidos
+ * @param {string} kind - Tipo de elemento (para el mensaje de error)
+ * @returns {Object} Cambios
+ */
+function pickFields(body = {}, fields, kind) {
+  const unknown = Object.keys(body).filter(key => !fields.includes(key));
+  if (unknown.length) {
+    throw new AdminApiError(`Campos no modificables en ${kind}: ${unknown.join(', ')} (permitidos: ${fields.join(', ')})`);
+  }
+  return Object.fromEntries(Object.entries(body).filter(([key]) => fields.includes(key)));
+}
+
+module.exports = {
+  AdminApi,
+  AdminApiError
+};
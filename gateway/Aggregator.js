@@ -0,0 +1,192 @@
+/**
+ * Backend for Frontend - Aggregator
+ *
+ * Endpoints compuestos del gateway: una petición del cliente se reparte en paralelo
+ * entre varios microservicios y se responde con un único documento combinado
+ */
+
+/**
+ * @class Aggregator
+ * @description Registro y ejecución de las agregaciones declaradas en la sección `aggregations`
+ * @example
+ * const aggregator = new Aggregator([{
+ *   path: '/api/dashboard',
+ *   sections: {
+ *     perfil: { service: 'usuarios', path: '/perfil/{userId}' },
+ *     pagos: { service: 'pagos', path: '/usuario/{userId}' }
+ *   }
+ * }]);
+ * const document = await aggregator.aggregate(definition, req, (service, request) => callService(service, request));
+ */
+class Aggregator {
+  /**
+   * @param {Array<Object>} definitions - Agregaciones declaradas
+   */
+  constructor(definitions = []) {
+    this.aggregations = new Map();
+    definitions.forEach(definition => this.addAggregation(definition));
+  }
+
+  /**
+   * Registrar una agregación
+   * @param {Object} definition - Definición
+   * @param {string} definition.path - Path exacto del endpoint compuesto
+   * @param {Object} definition.sections - Secciones: nombre -> { service, path, query, required }
+   * @param {number} [definition.timeout=5000] - Timeout por sección en ms
+   * @param {number} [definition.retries=0] - Reintentos por sección
+   * @returns {Object} Agregación registrada
+   */
+  addAggregation(definition) {
+    const { path, sections } = definition;
+    if (!path || !sections || Object.keys(sections).length === 0) {
+      throw new Error('Las agregaciones requieren path y al menos una sección');
+    }
+
+    Object.entries(sections).forEach(([name, section]) => {
+      if (!section.service || !section.path) {
+        throw new Error(`La sección '${name}' de '${path}' requiere service y path`);
+      }
+    });
+
+    const aggregation = {
+      timeout: 5000,
+      retries: 0,
+      ...definition,
+      path: path.replace(/\/+$/, ''),
+      methods: ['GET']
+    };
+    this.aggregations.set(aggregation.path, aggregation);
+    return aggregation;
+  }
+
+  /**
+   * Buscar la agregación de un path
+   * @param {string} path - Path de la petición
+   * @param {string} method - Método HTTP
+   * @returns {Object|null} Agregación
+   */
+  match(path, method) {
+    const aggregation = this.aggregations.get(path.replace(/\/+$/, ''));
+    if (!aggregation || !aggregation.methods.includes(method.toUpperCase())) return null;
+    return aggregation;
+  }
+
+  /**
+   * Construir la petición de una sección sustituyendo {userId}, {tenantId} y {query.x}
+   * @param {Object} section - Sección
+   * @param {Object} req - Request object
+   * @returns {string} Path con query string
+   */
+  buildPath(section, req) {
+    const values = {
+      userId: req.user?.id,
+      tenantId: req.user?.tenantId || req.headers?.['x-tenant-id'],
+      rol: req.user?.rol
+    };
+    const substitute = template => String(template).replace(/\{(query\.)?(\w+)\}/g, (match, isQuery, name) => {
+      const value = isQuery ? req.query?.[name] : values[name];
+      return value === undefined || value === null ? '' : encodeURIComponent(value);
+    });
+
+    const query = Object.entries(section.query || {})
+      .map(([name, template]) => [name, substitute(template)])
+      .filter(([, value]) => value !== '')
+      .map(([name, value]) => `${encodeURIComponent(name)}=${value}`)
+      .join('&');
+
+    return substitute(section.path) + (query ? `?${query}` : '');
+  }
+
+  /**
+   * Ejecutar las secciones en paralelo y combinar el resultado
+   * Una sección fallida no invalida las demás: queda marcada con status 'error'
+   * @param {Object} aggregation - Agregación
+   * @param {Object} req - Request object
+   * @param {Function} fetchSection - (service, { path, timeout, retries }) => Promise<{ status, data }>
+   * @returns {Promise<{status: number, body: Object}>} Documento combinado
+   */
+  async aggregate(aggregation, req, fetchSection) {
+    const startTime = Date.now();
+    const names = Object.keys(aggregation.sections);
+
+    const results = await Promise.allSettled(names.map(name => {
+      const section = aggregation.sections[name];
+      return fetchSection(section.service, {
+        path: this.buildPath(section, req),
+        timeout: section.timeout || aggregation.timeout,
+        retries: section.retries ?? aggregation.retries
+      });
+    }));
+
+    const sections = {};
+    const failed = [];
+    results.forEach((result, index) => {
+      const name = names[index];
+      const service = aggregation.sections[name].service;
+
+      if (result.status === 'fulfilled') {
+        sections[name] = { status: 'ok', service, data: result.value.data };
+      } else {
+        failed.push(name);
+        sections[name] = { status: 'error', service, error: describeError(result.reason) };
+      }
+    });
+
+    const requiredFailed = failed.filter(name => aggregation.sections[name].required);
+    let status = 200;
+    if (failed.length === names.length) {
+      status = 503;
+    } else if (requiredFailed.length > 0) {
+      status = 502;
+    }
+
+    return {
+      status,
+      body: {
+        partial: failed.length > 0,
+        sections,
+        _aggregation: {
+          path: aggregation.path,
+          failed,
+          duration: Date.now() - startTime,
+          timestamp: new Date().toISOString()
+        }
+      }
+    };
+  }
+
+  /**
+   * Listar las agregaciones registradas
+   * @returns {Array<Object>} Agregaciones
+   */
+  getAggregations() {
+    return Array.from(this.aggregations.values());
+  }
+}
+
+/**
+ * Convertir el error de una sección en un marcador serializable
+ * @param {Error} error - Error de la sección
+ * @returns {Object} Marcador de error
+ */
+function describeError(error) {
+  if (error.name === 'CircuitBreakerOpenError') {
+    return { code: 'CIRCUIT_OPEN', message: 'El servicio está temporalmente no disponible' };
+  }
+  if (error.name === 'CircuitBreakerTimeoutError' || error.code === 'ECONNABORTED') {
+    return { code: 'TIMEOUT', message: 'El servicio tardó demasiado en responder' };
+  }
+  if (error.name === 'NoHealthyInstanceError' || error.code === 'ECONNREFUSED') {
+    return { code: 'UNAVAILABLE', message: 'El servicio no está respondiendo' };
+  }
+  if (error.response) {
+    return {
+      code: 'UPSTREAM_ERROR',
+      status: error.response.status,
+      message: error.response.data?.error || error.message
+    };
+  }
+  return { code: 'INTERNAL_ERROR', message: error.message };
+}
+
+module.exports = Aggregator;
@@ -0,0 +1,271 @@
+/**
+ * API Documentation - ApiDocs
+ *
+ * Documento OpenAPI 3 unificado del gateway: combina los contratos de los microservicios
+ * (los que carga OpenApiValidator), reescribe sus paths a los prefijos públicos de la tabla
+ * de rutas y publica una interfaz interactiva (Swagger UI)
+ */
+
+const express = require('express');
+const ApiVersioning = require('./ApiVersioning');
+const { logger } = require('../shared/Logger');
+
+const log = logger.child({ module: 'ApiDocs' });
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Secciones de components que se combinan con el nombre del servicio como prefijo
+const COMPONENT_TYPES = ['schemas', 'responses', 'parameters', 'examples', 'requestBodies', 'headers', 'links', 'callbacks'];
+
+const DEFAULT_ASSETS_URL = 'https://unpkg.com/swagger-ui-dist@5';
+
+/**
+ * @class ApiDocs
+ * @description Router Express con /openapi.json y /docs montado sobre un GatewayService
+ * @example
+ * const apiDocs = new ApiDocs(gatewayService, { version: '1.0.0' });
+ * app.use(apiDocs.router());
+ * apiDocs.buildDocument({ version: '2' }); // paths /api/v2/...
+ */
+class ApiDocs {
+  /**
+   * @param {GatewayService} gatewayService - Gateway documentado
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.title] - Título del documento y de la interfaz
+   * @param {string} [options.version='1.0.0'] - Versión del documento
+   * @param {string} [options.assetsUrl] - Base de los archivos de swagger-ui-dist (CSS y JS)
+   */
+  constructor(gatewayService, options = {}) {
+    this.gateway = gatewayService;
+    this.title = options.title || 'API Gateway - Sistema de Gestión de Inscripciones y Pagos';
+    this.version = options.version || '1.0.0';
+    this.assetsUrl = (options.assetsUrl || DEFAULT_ASSETS_URL).replace(/\/+$/, '');
+  }
+
+  /**
+   * Construir el documento unificado con los contratos cargados
+   * Las operaciones sin una ruta pública del gateway que llegue a ellas se omiten
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.version] - Versión de la API (la por defecto si se omite)
+   * @returns {Object} Documento OpenAPI 3
+   */
+  buildDocument({ version } = {}) {
+    const apiVersion = version ? ApiVersioning.normalize(version) : this.gateway.apiVersioning.defaultVersion;
+    const document = {
+      openapi: '3.0.3',
+      info: {
+        title: this.title,
+        version: this.version,
+        description: `Contratos de los microservicios publicados por el gateway (API v${apiVersion})`
+      },
+      servers: [{ url: '/', description: 'API Gateway' }],
+      tags: [],
+      paths: {},
+      components: {
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+        }
+      },
+      'x-services': {}
+    };
+
+    this.gateway.openApiValidator.getSpecs().forEach(({ service, spec, loadedAt }) => {
+      const operations = this.addServiceSpec(document, service, spec, apiVersion);
+      document['x-services'][service] = { title: spec.info?.title, version: spec.info?.version, operations, loadedAt };
+    });
+
+    // Servicios que declaran contrato pero aún no lo entregaron
+    Object.keys(this.gateway.services)
+      .filter(name => this.gateway.services[name].openapi && !document['x-services'][name])
+      .forEach(name => {
+        document['x-services'][name] = { available: false };
+      });
+
+    return document;
+  }
+
+  /**
+   * Agregar al documento las operaciones y components de un microservicio
+   * @param {Object} document - Documento unificado
+   * @param {string} service - Nombre del servicio
+   * @param {Object} spec - Contrato OpenAPI del servicio
+   * @param {string} apiVersion - Versión de la API documentada
+   * @returns {number} Operaciones publicadas
+   */
+  addServiceSpec(document, service, spec, apiVersion) {
+    let published = 0;
+
+    Object.entries(spec.paths || {}).forEach(([template, pathItem]) => {
+      METHODS.filter(method => pathItem[method]).forEach(method => {
+        const target = this.findPublicPath(service, template, method.toUpperCase(), apiVersion);
+        if (!target) {
+          log.debug('Operación sin ruta pública', { service, method, path: template });
+          return;
+        }
+
+        const publicPath = apiVersion === this.gateway.apiVersioning.defaultVersion
+          ? target.path
+          : target.path.replace(/^\/api(?=\/|$)/, `/api/v${apiVersion}`);
+        const operation = prefixRefs(clone(pathItem[method]), service);
+
+        operation.tags = operation.tags?.length ? operation.tags : [service];
+        if (operation.operationId) operation.operationId = `${service}.${operation.operationId}`;
+        operation.security = target.route.auth ? [{ bearerAuth: [] }] : [];
+        operation['x-service'] = service;
+        if (pathItem.parameters) {
+          operation.parameters = [...prefixRefs(clone(pathItem.parameters), service), ...(operation.parameters || [])];
+        }
+
+        document.paths[publicPath] = { ...document.paths[publicPath], [method]: operation };
+        published++;
+      });
+    });
+
+    COMPONENT_TYPES.forEach(type => {
+      Object.entries(spec.components?.[type] || {}).forEach(([name, component]) => {
+        document.components[type] = document.components[type] || {};
+        document.components[type][`${service}.${name}`] = prefixRefs(clone(component), service);
+      });
+    });
+
+    const tagNames = new Set(document.tags.map(tag => tag.name));
+    [...(spec.tags || []), { name: service, description: spec.info?.title }]
+      .filter(tag => !tagNames.has(tag.name))
+      .forEach(tag => {
+        tagNames.add(tag.name);
+        document.tags.push(tag);
+      });
+
+    return published;
+  }
+
+  /**
+   * Path público del gateway que llega a una operación de un microservicio
+   * Se prueba cada ruta del servicio y se acepta el path si la tabla de rutas lo resuelve
+   * a esa misma ruta y la reescritura devuelve el path del servicio
+   * @param {string} service - Nombre del servicio
+   * @param {string} template - Path de la operación en el servicio (ej. /usuario/{usuarioId})
+   * @param {string} method - Método HTTP
+   * @param {string} apiVersion - Versión de la API
+   * @returns {{path: string, route: Object}|null} Path público y ruta, o null si no es accesible
+   */
+  findPublicPath(service, template, method, apiVersion) {
+    const routes = this.gateway.routes;
+
+    for (const candidate of routes.getRoutes()) {
+      if (candidate.service !== service) continue;
+
+      const base = routes.rewritePath(candidate, candidate.prefix);
+      let publicPath = null;
+      if (template === base) {
+        publicPath = candidate.prefix;
+      } else if (base === '/') {
+        publicPath = `${candidate.prefix === '/' ? '' : candidate.prefix}${template}`;
+      } else if (template.startsWith(`${base}/`)) {
+        publicPath = `${candidate.prefix}${template.slice(base.length)}`;
+      }
+      if (!publicPath) continue;
+
+      const { route } = routes.match(publicPath, method, apiVersion);
+      if (route && route.service === service && routes.rewritePath(route, publicPath) === template) {
+        return { path: publicPath, route };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Página de Swagger UI
+   * @param {string} specUrl - URL del documento OpenAPI
+   * @returns {string} HTML
+   */
+  renderUi(specUrl) {
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(this.title)}</title>
+  <link rel="stylesheet" href="${this.assetsUrl}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${this.assetsUrl}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+  }
+
+  /**
+   * Crear el router de la documentación
+   * @returns {express.Router} Router (montar en la raíz)
+   */
+  router() {
+    const router = express.Router();
+
+    // Documento unificado; ?version=2 documenta los paths /api/v2/...
+    router.get('/openapi.json', (req, res) => {
+      const { version } = req.query;
+      if (version && !this.gateway.apiVersioning.isSupported(version)) {
+        return res.status(400).json({
+          error: 'Versión no soportada',
+          message: `La versión '${version}' no está declarada en versioning.versions`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Los contratos que faltan se piden en segundo plano; el documento incluye los ya cargados
+      Object.keys(this.gateway.services).forEach(name => this.gateway.ensureOpenApiSpec(name));
+      res.json(this.buildDocument({ version }));
+    });
+
+    // Interfaz interactiva
+    router.get('/docs', (req, res) => {
+      const specUrl = req.query.version ? `openapi.json?version=${encodeURIComponent(req.query.version)}` : 'openapi.json';
+      res.type('html').send(this.renderUi(specUrl));
+    });
+
+    return router;
+  }
+}
+
+/**
+ * Copia profunda de un nodo del contrato (JSON)
+ * @param {*} node - Nodo
+ * @returns {*} Copia
+ */
+function clone(node) {
+  return JSON.parse(JSON.stringify(node));
+}
+
+/**
+ * Reescribir las referencias locales a components con el prefijo del servicio
+ * ('#/components/schemas/Pago' -> '#/components/schemas/pagos.Pago')
+ * @param {*} node - Nodo (se modifica)
+ * @param {string} service - Nombre del servicio
+ * @returns {*} Nodo
+ */
+function prefixRefs(node, service) {
+  if (Array.isArray(node)) {
+    node.forEach(item => prefixRefs(item, service));
+  } else if (node && typeof node === 'object') {
+    Object.entries(node).forEach(([key, value]) => {
+      if (key === '$ref' && typeof value === 'string') {
+        node.$ref = value.replace(/^#\/components\/([^/]+)\//, `#/components/$1/${service}.`);
+      } else {
+        prefixRefs(value, service);
+      }
+    });
+  }
+  return node;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[char]);
+}
+
+module.exports = {
+  ApiDocs
+};
@@ -0,0 +1,202 @@
+/**
+ * API Keys - ApiKeyAuthenticator
+ *
+ * Autenticación del gateway con el header X-API-Key para integraciones sin JWT de usuario.
+ * Las claves se verifican contra el servicio que las emite (usuarios) y el resultado se
+ * guarda en caché por hash; el uso se acumula y se reporta en lotes
+ */
+
+const { Observer } = require('../shared/EventManager');
+const { ApiKeyError, hashApiKey, parseApiKey } = require('../shared/ApiKeys');
+const { logger } = require('../shared/Logger');
+
+const log = logger.child({ module: 'ApiKeyAuthenticator' });
+
+const DEFAULT_OPTIONS = {
+  cacheTtl: 60000, // 1 minuto
+  negativeTtl: 10000, // claves rechazadas: no se consulta de nuevo durante 10 segundos
+  maxEntries: 1000
+};
+
+/**
+ * @class ApiKeyAuthenticator
+ * @description Caché de verificaciones de API keys y contadores de uso pendientes de reportar
+ * @example
+ * const authenticator = new ApiKeyAuthenticator({ verify: apiKey => usuarios.verificar(apiKey) });
+ * const key = await authenticator.authenticate(req.headers['x-api-key']);
+ * authenticator.recordUse(key.id);
+ */
+class ApiKeyAuthenticator {
+  /**
+   * @param {Object} options - Opciones
+   * @param {Function} options.verify - async (apiKey) => datos de la clave; lanza ApiKeyError si no es válida
+   * @param {number} [options.cacheTtl=60000] - Vigencia de una verificación correcta (ms)
+   * @param {number} [options.negativeTtl=10000] - Vigencia de un rechazo (ms)
+   * @param {number} [options.maxEntries=1000] - Máximo de verificaciones en caché
+   */
+  constructor(options = {}) {
+    ApiKeyAuthenticator.validate(options);
+    this.verify = options.verify;
+    this.cacheTtl = options.cacheTtl ?? DEFAULT_OPTIONS.cacheTtl;
+    this.negativeTtl = options.negativeTtl ?? DEFAULT_OPTIONS.negativeTtl;
+    this.maxEntries = options.maxEntries || DEFAULT_OPTIONS.maxEntries;
+
+    this.cache = new Map(); // hash -> { key?, error?, expiresAt }
+    this.usage = new Map(); // id -> peticiones pendientes de reportar
+    this.stats = { verified: 0, rejected: 0, cacheHits: 0 };
+  }
+
+  /**
+   * Validar opciones (sección auth.apiKeys de gateway.config.json)
+   * @param {Object} options - Opciones
+   * @param {string} [context] - Dónde están declaradas (para el mensaje de error)
+   */
+  static validate(options, context = 'auth.apiKeys') {
+    ['cacheTtl', 'negativeTtl', 'usageFlushInterval'].forEach(field => {
+      const value = options[field];
+      if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+        throw new Error(`${context}.${field} inválido: debe ser un número >= 0`);
+      }
+    });
+    if (options.maxEntries !== undefined && !(Number.isInteger(options.maxEntries) && options.maxEntries > 0)) {
+      throw new Error(`${context}.maxEntries inválido: debe ser un entero positivo`);
+    }
+  }
+
+  /**
+   * Autenticar una API key
+   * @param {string} apiKey - Valor del header X-API-Key
+   * @returns {Promise<Object>} Datos de la clave ({ id, nombre, scopes, tenants, expiresAt })
+   * @throws {ApiKeyError} Si la clave no es válida, venció o fue revocada
+   */
+  async authenticate(apiKey) {
+    if (!parseApiKey(apiKey)) {
+      this.stats.rejected++;
+      throw new ApiKeyError('Formato de API key inválido');
+    }
+
+    const hash = hashApiKey(apiKey);
+    const cached = this.cache.get(hash);
+    if (cached && cached.expiresAt > Date.now()) {
+      this.stats.cacheHits++;
+      return this.check(cached);
+    }
+
+    let entry;
+    try {
+      const key = await this.verify(apiKey);
+      entry = { key, expiresAt: Date.now() + this.cacheTtl };
+      this.stats.verified++;
+    } catch (error) {
+      // Solo se guardan los rechazos; una falla del servicio no se cachea
+      if (error.name !== 'ApiKeyError') throw error;
+      entry = { error, expiresAt: Date.now() + this.negativeTtl };
+    }
+
+    this.cache.delete(hash);
+    this.cache.set(hash, entry);
+    if (this.cache.size > this.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return this.check(entry);
+  }
+
+  /**
+   * Resultado de una verificación (la expiración de la clave se comprueba en cada uso)
+   * @param {Object} entry - Entrada de la caché
+   * @returns {Object} Datos de la clave
+   */
+  check(entry) {
+    if (entry.error) {
+      this.stats.rejected++;
+      throw entry.error;
+    }
+    if (entry.key.expiresAt && Date.parse(entry.key.expiresAt) <= Date.now()) {
+      this.stats.rejected++;
+      throw new ApiKeyError('La API key venció', 'API_KEY_EXPIRED');
+    }
+    return entry.key;
+  }
+
+  /**
+   * Descartar de la caché una clave revocada
+   * @param {string} id - Identificador de la clave
+   * @returns {number} Entradas eliminadas
+   */
+  invalidate(id) {
+    let removed = 0;
+    this.cache.forEach((entry, hash) => {
+      if (entry.key?.id === id) {
+        this.cache.delete(hash);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  /**
+   * Contar una petición atendida con la clave
+   * @param {string} id - Identificador de la clave
+   */
+  recordUse(id) {
+    this.usage.set(id, (this.usage.get(id) || 0) + 1);
+  }
+
+  /**
+   * Reportar el uso acumulado; si falla, los contadores se conservan para el siguiente intento
+   * @param {Function} send - async ({ [id]: peticiones }) => void
+   * @returns {Promise<number>} Claves reportadas
+   */
+  async flushUsage(send) {
+    if (this.usage.size === 0) return 0;
+
+    const pending = Object.fromEntries(this.usage);
+    this.usage.clear();
+    try {
+      await send(pending);
+      return Object.keys(pending).length;
+    } catch (error) {
+      Object.entries(pending).forEach(([id, count]) => this.usage.set(id, (this.usage.get(id) || 0) + count));
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener información del autenticador
+   * @returns {Object} Información
+   */
+  getInfo() {
+    return {
+      cachedKeys: this.cache.size,
+      pendingUsage: Array.from(this.usage.values()).reduce((total, count) => total + count, 0),
+      cacheTtl: this.cacheTtl,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+/**
+ * Observer que descarta de la caché las claves revocadas en usuarios (evento apikey.revocada)
+ */
+class ApiKeyRevocationObserver extends Observer {
+  /**
+   * @param {ApiKeyAuthenticator} authenticator - Autenticador a actualizar
+   */
+  constructor(authenticator) {
+    super('ApiKeyRevocationObserver');
+    this.authenticator = authenticator;
+  }
+
+  async update(event) {
+    await super.update(event);
+    const { id } = event.data || {};
+    if (id && this.authenticator.invalidate(id) > 0) {
+      log.info('API key revocada descartada de la caché', { apiKeyId: id });
+    }
+  }
+}
+
+module.exports = {
+  ApiKeyAuthenticator,
+  ApiKeyRevocationObserver
+};
@@ -0,0 +1,174 @@
+/**
+ * API Versioning - ApiVersioning
+ *
+ * Versionado de la API del gateway: prefijo en el path (/api/v2/...) o header Accept-Version,
+ * versión por defecto para los clientes que no la indican y headers de deprecación
+ * (Deprecation, Sunset, Link) para las versiones antiguas
+ */
+
+const VERSION_PATH = /^\/api\/v([^/]+)(?=\/|$)/i;
+
+/**
+ * @class ApiVersioning
+ * @description Resuelve la versión de cada petición según la sección `versioning` de la configuración
+ * @example
+ * const versioning = new ApiVersioning({
+ *   default: '2',
+ *   versions: { 1: { deprecated: '2026-01-01', sunset: '2026-12-31' }, 2: {} }
+ * });
+ * const { version, error } = versioning.resolve(req); // /api/v1/pagos -> req.url = /api/pagos
+ */
+class ApiVersioning {
+  /**
+   * @param {Object} [config] - Configuración
+   * @param {string} [config.default='1'] - Versión de los clientes que no indican ninguna
+   * @param {Object} [config.versions] - Versión -> { deprecated, sunset, link }
+   */
+  constructor(config = {}) {
+    this.versions = new Map();
+    Object.entries(config.versions || { 1: {} }).forEach(([version, options]) => {
+      ['deprecated', 'sunset'].forEach(field => {
+        if (options[field] && options[field] !== true && Number.isNaN(Date.parse(options[field]))) {
+          throw new Error(`Fecha inválida en versioning.versions.${version}.${field}: '${options[field]}'`);
+        }
+      });
+      this.versions.set(ApiVersioning.normalize(version), { ...options });
+    });
+
+    this.defaultVersion = ApiVersioning.normalize(config.default || this.versions.keys().next().value);
+    if (!this.versions.has(this.defaultVersion)) {
+      throw new Error(`La versión por defecto '${this.defaultVersion}' no está declarada en versioning.versions`);
+    }
+  }
+
+  /**
+   * Normalizar una versión ('v2', 'V2', 2 -> '2')
+   * @param {string|number} version - Versión
+   * @returns {string}
+   */
+  static normalize(version) {
+    return String(version).trim().replace(/^v/i, '');
+  }
+
+  /**
+   * Verificar si una versión está declarada
+   * @param {string} version - Versión normalizada
+   * @returns {boolean}
+   */
+  isSupported(version) {
+    return this.versions.has(ApiVersioning.normalize(version));
+  }
+
+  /**
+   * Resolver la versión de una petición
+   * Con prefijo de versión, req.url se reescribe sin él para que rutas, autorización y
+   * rate limiting se declaren una sola vez; el resultado queda en req.apiVersion
+   * La operación es idempotente: puede llamarse antes del parseo del cuerpo y en el handler
+   * @param {Object} req - Request object
+   * @returns {{version: string|null, source: string, error: Object|null}} Resultado
+   */
+  resolve(req) {
+    if (req.apiVersioning) return req.apiVersioning;
+
+    let version = this.defaultVersion;
+    let source = 'default';
+
+    const prefixed = VERSION_PATH.exec(req.url || '');
+    if (prefixed) {
+      version = ApiVersioning.normalize(prefixed[1]);
+      source = 'path';
+      req.url = `/api${req.url.slice(prefixed[0].length)}`;
+    } else if (req.headers?.['accept-version']) {
+      version = ApiVersioning.normalize(req.headers['accept-version']);
+      source = 'header';
+    }
+
+    let error = null;
+    if (!this.versions.has(version)) {
+      error = {
+        status: 400,
+        body: {
+          error: 'Versión de API no soportada',
+          code: 'UNSUPPORTED_API_VERSION',
+          message: `La versión '${version}' no existe`,
+          supportedVersions: [...this.versions.keys()]
+        }
+      };
+    } else if (this.isSunset(version)) {
+      error = {
+        status: 410,
+        body: {
+          error: 'Versión de API retirada',
+          code: 'API_VERSION_SUNSET',
+          message: `La versión '${version}' dejó de estar disponible el ${this.versions.get(version).sunset}`,
+          supportedVersions: this.getActiveVersions()
+        }
+      };
+    }
+
+    req.apiVersion = error ? null : version;
+    req.apiVersioning = { version: req.apiVersion, source, error };
+    return req.apiVersioning;
+  }
+
+  /**
+   * Headers de versión para la respuesta (API-Version y deprecación)
+   * @param {Object} req - Request object ya resuelto
+   * @returns {Object} Headers
+   */
+  getHeaders(req) {
+    const { version, source } = req.apiVersioning || {};
+    const headers = {};
+
+    // La misma URL responde distinto según Accept-Version
+    if (source !== 'path') headers['Vary'] = 'Accept-Version';
+    if (!version) return headers;
+
+    headers['API-Version'] = version;
+    const options = this.versions.get(version);
+    if (options.deprecated) {
+      headers['Deprecation'] = options.deprecated === true ? 'true' : `@${Math.floor(Date.parse(options.deprecated) / 1000)}`;
+    }
+    if (options.sunset) {
+      headers['Sunset'] = new Date(options.sunset).toUTCString();
+    }
+    if (options.link) {
+      headers['Link'] = `<${options.link}>; rel="deprecation"`;
+    }
+    return headers;
+  }
+
+  /**
+   * Verificar si una versión ya pasó su fecha de retiro
+   * @param {string} version - Versión normalizada
+   * @returns {boolean}
+   */
+  isSunset(version) {
+    const sunset = this.versions.get(version)?.sunset;
+    return Boolean(sunset) && Date.parse(sunset) <= Date.now();
+  }
+
+  /**
+   * Versiones que todavía responden
+   * @returns {Array<string>}
+   */
+  getActiveVersions() {
+    return [...this.versions.keys()].filter(version => !this.isSunset(version));
+  }
+
+  /**
+   * Información de las versiones declaradas
+   * @returns {Object}
+   */
+  getInfo() {
+    return {
+      default: this.defaultVersion,
+      versions: Object.fromEntries([...this.versions].map(([version, options]) => [version, {
+        status: this.isSunset(version) ? 'sunset' : options.deprecated ? 'deprecated' : 'active',
+        ...options
+      }]))
+    };
+  }
+}
+
+module.exports = ApiVersioning;
@@ -0,0 +1,232 @@
+/**
+ * Authorization - AuthorizationPolicy
+ *
+ * Reglas de autorización por ruta y método sobre el usuario autenticado:
+ * roles requeridos y verificación de propiedad del recurso (en el path, el cuerpo
+ * o, si solo el microservicio conoce al dueño, la respuesta)
+ */
+
+const { matchesScope } = require('../shared/ApiKeys');
+const { logger } = require('../shared/Logger');
+
+const log = logger.child({ module: 'AuthorizationPolicy' });
+
+// Dónde se busca el dueño del recurso en las reglas con owner
+const OWNER_SOURCES = ['param', 'body', 'response'];
+
+/**
+ * @class AuthorizationPolicy
+ * @description Evalúa las reglas declaradas en la sección `authorization` de la configuración
+ * @example
+ * const policy = new AuthorizationPolicy({
+ *   adminRoles: ['Admin'],
+ *   rules: [
+ *     { path: '/api/pagos', methods: ['GET'], roles: ['Admin'] },
+ *     { path: '/api/pagos/usuario/:usuarioId', owner: { param: 'usuarioId' } },
+ *     { path: '/api/pagos/:id', methods: ['GET'], owner: { response: 'pago.usuarioId' } }
+ *   ]
+ * });
+ * const decision = policy.authorize(req);
+ */
+class AuthorizationPolicy {
+  /**
+   * @param {Object} config - Configuración
+   * @param {Array<Object>} [config.rules] - Reglas en orden de evaluación (gana la primera que coincide)
+   * @param {Array<string>} [config.adminRoles=['Admin']] - Roles que omiten la verificación de propiedad
+   */
+  constructor(config = {}) {
+    this.adminRoles = config.adminRoles || ['Admin'];
+    this.rules = [];
+    (config.rules || []).forEach(rule => this.addRule(rule));
+  }
+
+  /**
+   * Agregar una regla
+   * @param {Object} rule - Regla
+   * @param {string} rule.path - Patrón de path con parámetros (`:id`) y comodín final (`*`)
+   * @param {Array<string>} [rule.methods] - Métodos a los que aplica (todos por defecto)
+   * @param {Array<string>} [rule.roles] - Roles permitidos
+   * @param {Object} [rule.owner] - Propiedad: { param }, { body } o { response } (campo con puntos,
+   *   ej. 'pago.usuarioId') debe coincidir con req.user.id
+   */
+  addRule(rule) {
+    if (!rule.path) {
+      throw new Error('Las reglas de autorización requieren un path');
+    }
+    if (!rule.roles && !rule.owner) {
+      throw new Error(`La regla '${rule.path}' debe definir roles u owner`);
+    }
+    if (rule.owner && OWNER_SOURCES.filter(source => rule.owner[source]).length !== 1) {
+      throw new Error(`La regla '${rule.path}' debe definir owner.${OWNER_SOURCES.join(', owner.')} (solo uno)`);
+    }
+
+    this.rules.push({
+      ...rule,
+      methods: (rule.methods || ['*']).map(m => m.toUpperCase()),
+      segments: splitPath(rule.path)
+    });
+  }
+
+  /**
+   * Buscar la primera regla que aplica a una petición
+   * @param {string} path - Path de la petición
+   * @param {string} method - Método HTTP
+   * @returns {{rule: Object, params: Object}|null}
+   */
+  match(path, method) {
+    const pathSegments = splitPath(path);
+
+    for (const rule of this.rules) {
+      if (!rule.methods.includes('*') && !rule.methods.includes(method.toUpperCase())) continue;
+
+      const params = matchSegments(rule.segments, pathSegments);
+      if (params) return { rule, params };
+    }
+
+    return null;
+  }
+
+  /**
+   * Decidir si el usuario de la petición puede acceder
+   * Con owner.response la petición se permite y el dueño se verifica con authorizeResponse
+   * @param {Object} req - Request object (con req.user del middleware de auth)
+   * @returns {{allowed: boolean, reason?: string, rule?: Object, code?: string, status?: number, responseOwner?: string}}
+   */
+  authorize(req) {
+    // Las API keys solo acceden a sus alcances; roles y propiedad no aplican
+    if (req.user?.authType === 'apiKey') {
+      return matchesScope(req.user.scopes, req.method, req.path)
+        ? { allowed: true }
+        : { allowed: false, code: 'API_KEY_SCOPE', reason: `La API key no tiene alcance para ${req.method} ${req.path}` };
+    }
+
+    let matched;
+    try {
+      matched = this.match(req.path, req.method);
+    } catch (error) {
+      if (!(error instanceof URIError)) throw error;
+      return { allowed: false, status: 400, code: 'MALFORMED_PATH', reason: 'El path contiene una codificación de URI inválida' };
+    }
+    if (!matched) return { allowed: true };
+
+    const { rule, params } = matched;
+    const user = req.user || {};
+
+    if (rule.roles && !rule.roles.includes(user.rol)) {
+      return {
+        allowed: false,
+        rule,
+        reason: `Se requiere uno de los roles: ${rule.roles.join(', ')}`
+      };
+    }
+
+    if (rule.owner && !this.adminRoles.includes(user.rol)) {
+      if (rule.owner.response) {
+        return { allowed: true, rule, responseOwner: rule.owner.response };
+      }
+
+      const ownerId = rule.owner.param ? params[rule.owner.param] : req.body?.[rule.owner.body];
+      if (ownerId === undefined || String(ownerId) !== String(user.id)) {
+        return {
+          allowed: false,
+          rule,
+          reason: 'Solo el propietario del recurso o un administrador puede acceder'
+        };
+      }
+    }
+
+    return { allowed: true, rule };
+  }
+
+  /**
+   * Verificar el dueño de una respuesta (reglas con owner.response; ver authorize)
+   * @param {Object} req - Request object (req.responseOwner lo fija el middleware)
+   * @param {Object} body - Respuesta del microservicio
+   * @returns {{allowed: boolean, reason?: string}}
+   */
+  authorizeResponse(req, body) {
+    if (!req.responseOwner) return { allowed: true };
+
+    const ownerId = req.responseOwner.split('.').reduce((value, key) => value?.[key], body);
+    if (ownerId === undefined || ownerId === null || String(ownerId) !== String(req.user?.id)) {
+      return { allowed: false, reason: 'Solo el propietario del recurso o un administrador puede acceder' };
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Responder una decisión denegada (403, o 400 si el path no pudo decodificarse)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Object} decision - Resultado de authorize o authorizeResponse
+   */
+  deny(req, res, decision) {
+    const status = decision.status || 403;
+    log.warn('Acceso denegado', { method: req.method, path: req.path, status, userId: req.user?.id || 'anonymous', rol: req.user?.rol });
+    return res.status(status).json({
+      error: status === 400 ? 'Petición inválida' : 'Acceso denegado',
+      message: decision.reason,
+      ...(decision.code && { code: decision.code }),
+      requiredRoles: decision.rule ? decision.rule.roles || this.adminRoles : undefined,
+      path: req.path,
+      method: req.method,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Middleware compatible con GatewayService#addMiddleware
+   * Las rutas públicas (auth: false) no se evalúan
+   * @returns {Function} Middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (req.gatewayRoute && req.gatewayRoute.auth === false) {
+        return next();
+      }
+
+      const decision = this.authorize(req);
+      if (decision.allowed) {
+        req.responseOwner = decision.responseOwner;
+        return next();
+      }
+      return this.deny(req, res, decision);
+    };
+  }
+}
+
+/**
+ * Dividir un path en segmentos sin vacíos
+ * @param {string} path - Path
+ * @returns {Array<string>}
+ */
+function splitPath(path) {
+  return path.split('/').filter(Boolean);
+}
+
+/**
+ * Comparar segmentos de un patrón con los de un path
+ * @param {Array<string>} pattern - Segmentos del patrón
+ * @param {Array<string>} path - Segmentos del path
+ * @returns {Object|null} Parámetros extraídos, o null si no coincide
+ */
+function matchSegments(pattern, path) {
+  const params = {};
+
+  for (let i = 0; i < pattern.length; i++) {
+    const segment = pattern[i];
+
+    if (segment === '*') return params;
+    if (i >= path.length) return null;
+
+    if (segment.startsWith(':')) {
+      params[segment.slice(1)] = decodeURIComponent(path[i]);
+    } else if (segment !== path[i]) {
+      return null;
+    }
+  }
+
+  return pattern.length === path.length ? params : null;
+}
+
+module.exports = AuthorizationPolicy;
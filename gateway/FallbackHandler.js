@@ -0,0 +1,202 @@
+/**
+ * Fallback Responses - FallbackHandler
+ *
+ * Respuestas degradadas por ruta cuando el microservicio no está disponible
+ * (Circuit Breaker abierto, sin instancias sanas, Bulkhead lleno o timeout):
+ * última respuesta correcta (stale-if-error), un payload estático o un upstream alternativo
+ */
+
+const { ResponseCache } = require('./ResponseCache');
+const { logger } = require('../shared/Logger');
+
+const log = logger.child({ module: 'FallbackHandler' });
+
+const FALLBACK_TYPES = ['stale', 'static', 'upstream'];
+
+// Errores que indican que el servicio no puede atender; los 4xx nunca activan un fallback
+const UNAVAILABLE_ERRORS = ['CircuitBreakerOpenError', 'CircuitBreakerTimeoutError', 'NoHealthyInstanceError', 'BulkheadFullError'];
+const UNAVAILABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN'];
+const UNAVAILABLE_STATUSES = [502, 503, 504];
+
+// Header con el modo degradado de la respuesta
+const DEGRADED_HEADER = 'X-Gateway-Degraded';
+
+/**
+ * @class FallbackHandler
+ * @description Resuelve la sección `fallback` de una ruta (un paso o una lista de pasos en orden)
+ * @example
+ * // Ruta: { fallback: [{ type: 'stale', maxAge: 3600000 }, { type: 'static', body: { conceptos: [] } }] }
+ * fallbackHandler.record(req, route, { status: 200, body });
+ * const fallback = await fallbackHandler.resolve(error, req, route, (service, request) => callService(service, request));
+ * if (fallback) res.set(fallback.headers).status(fallback.status).json(fallback.body);
+ */
+class FallbackHandler {
+  /**
+   * @param {Object} [options] - Opciones
+   * @param {number} [options.maxEntries=500] - Máximo de últimas respuestas correctas almacenadas
+   * @param {Function} [options.transform] - (data, { route, req, serviceName }) => body para static y upstream
+   */
+  constructor(options = {}) {
+    this.lastGood = new ResponseCache({ maxEntries: options.maxEntries || 500 });
+    this.transform = options.transform || (data => data);
+    this.stats = { stale: 0, static: 0, upstream: 0, unavailable: 0 };
+  }
+
+  /**
+   * Validar la sección `fallback` de una ruta al cargar la configuración
+   * @param {Object|Array<Object>} [fallback] - Configuración de la ruta
+   * @param {string} [prefix] - Prefijo de la ruta (para el mensaje de error)
+   * @param {Array<string>} [services] - Servicios registrados (para los upstream alternativos)
+   */
+  static validate(fallback, prefix = '', services = []) {
+    if (fallback === undefined || fallback === null) return;
+
+    FallbackHandler.getSteps({ fallback }).forEach(step => {
+      if (!step || !FALLBACK_TYPES.includes(step.type)) {
+        throw new Error(`Fallback inválido en '${prefix}': ${JSON.stringify(step)} (use type ${FALLBACK_TYPES.join(', ')})`);
+      }
+      if (step.type === 'stale' && step.maxAge !== undefined && !(Number.isInteger(step.maxAge) && step.maxAge > 0)) {
+        throw new Error(`Fallback stale inválido en '${prefix}': maxAge debe ser un entero positivo en ms`);
+      }
+      if (step.type === 'static' && step.body === undefined) {
+        throw new Error(`Fallback static inválido en '${prefix}': falta body`);
+      }
+      if (step.type === 'static' && step.status !== undefined && !(Number.isInteger(step.status) && step.status >= 200 && step.status < 600)) {
+        throw new Error(`Fallback static inválido en '${prefix}': status debe ser un código HTTP`);
+      }
+      if (step.type === 'upstream' && !services.includes(step.service)) {
+        throw new Error(`Fallback upstream inválido en '${prefix}': servicio '${step.service}' desconocido`);
+      }
+    });
+  }
+
+  /**
+   * Pasos de fallback de una ruta, en orden
+   * @param {Object} [route] - Ruta
+   * @returns {Array<Object>} Pasos
+   */
+  static getSteps(route) {
+    const fallback = route?.fallback;
+    if (!fallback) return [];
+    return Array.isArray(fallback) ? fallback : [fallback];
+  }
+
+  /**
+   * Verificar si un error indica que el servicio no está disponible
+   * @param {Error} error - Error de la petición
+   * @returns {boolean}
+   */
+  static isUnavailable(error) {
+    if (error.response) {
+      return UNAVAILABLE_STATUSES.includes(error.response.status);
+    }
+    return UNAVAILABLE_ERRORS.includes(error.name) || UNAVAILABLE_CODES.includes(error.code);
+  }
+
+  /**
+   * Guardar la última respuesta correcta de una lectura con fallback `stale`
+   * @param {Object} req - Request object
+   * @param {Object} route - Ruta
+   * @param {Object} response - { status, body } ya transformado
+   */
+  record(req, route, response) {
+    const stale = FallbackHandler.getSteps(route).find(step => step.type === 'stale');
+    if (!stale || req.method !== 'GET' || response.status < 200 || response.status >= 300) return;
+
+    this.lastGood.set(this.buildKey(req, route, stale), response, { ttl: stale.maxAge || 86400000 });
+  }
+
+  /**
+   * Clave de la última respuesta correcta
+   * Por defecto separa por tenant y usuario para no servir datos de otro usuario en modo degradado
+   * @param {Object} req - Request object
+   * @param {Object} route - Ruta
+   * @param {Object} step - Paso stale ({ varyBy })
+   * @returns {string} Clave
+   */
+  buildKey(req, route, step) {
+    return this.lastGood.buildKey(req, { varyBy: step.varyBy || route.cache?.varyBy || ['tenant', 'user'] });
+  }
+
+  /**
+   * Resolver el fallback de una petición fallida
+   * Solo aplica a lecturas GET con la ruta configurada y errores de disponibilidad
+   * @param {Error} error - Error de la petición
+   * @param {Object} req - Request object
+   * @param {Object} route - Ruta
+   * @param {Function} callService - (service, { path, timeout }) => Promise<{ status, data }> para upstream alternativos;
+   * sin path se usa el de la petición original
+   * @returns {Promise<Object|null>} { status, body, mode, headers } o null si no hay fallback
+   */
+  async resolve(error, req, route, callService) {
+    const steps = FallbackHandler.getSteps(route);
+    if (!steps.length || req.method !== 'GET' || !FallbackHandler.isUnavailable(error)) return null;
+
+    for (const step of steps) {
+      const response = await this.applyStep(step, req, route, callService);
+      if (response) {
+        this.stats[step.type]++;
+        log.warn('Respuesta degradada por fallback', { path: req.path, service: route.service, mode: step.type, reason: error.code || error.name });
+        return {
+          ...response,
+          mode: step.type,
+          headers: { [DEGRADED_HEADER]: step.type, 'Cache-Control': 'no-store', ...response.headers }
+        };
+      }
+    }
+
+    this.stats.unavailable++;
+    return null;
+  }
+
+  /**
+   * Aplicar un paso de fallback
+   * @param {Object} step - Paso ({ type, ... })
+   * @param {Object} req - Request object
+   * @param {Object} route - Ruta
+   * @param {Function} callService - Llamada a un microservicio
+   * @returns {Promise<Object|null>} { status, body, headers } o null si el paso no resolvió
+   */
+  async applyStep(step, req, route, callService) {
+    if (step.type === 'stale') {
+      const entry = this.lastGood.get(this.buildKey(req, route, step));
+      if (!entry) return null;
+      return {
+        status: entry.status,
+        body: entry.body,
+        headers: { 'Age': String(Math.floor((Date.now() - entry.storedAt) / 1000)) }
+      };
+    }
+
+    if (step.type === 'static') {
+      return {
+        status: step.status || 200,
+        body: this.transform(step.body, { route, req, serviceName: route.service })
+      };
+    }
+
+    try {
+      const response = await callService(step.service, { path: step.path, timeout: step.timeout });
+      return {
+        status: response.status,
+        body: this.transform(response.data, { route, req, serviceName: step.service })
+      };
+    } catch (error) {
+      log.warn('Upstream alternativo no disponible', { service: step.service, err: error });
+      return null;
+    }
+  }
+
+  /**
+   * Obtener estadísticas de los fallbacks
+   * @returns {Object} Respuestas degradadas por modo y últimas respuestas almacenadas
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      storedResponses: this.lastGood.entries.size
+    };
+  }
+}
+
+module.exports = FallbackHandler;
@@ -5,9 +5,61 @@
  * Maneja autenticación, rate limiting, logging y transformación de datos
  */
 
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
 const axios = require('axios');
 const jwt = require('jsonwebtoken');
 const { CircuitBreakerManager } = require('../shared/CircuitBreaker');
+const { Bulkhead, BulkheadManager } = require('../shared/Bulkhead');
+const RouteRegistry = require('./RouteRegistry');
+const ServiceRegistry = require('./ServiceRegistry');
+const { LoadBalancer, strategies: balancingStrategies } = require('./LoadBalancer');
+const { RateLimiter, MemoryRateLimitStore } = require('./RateLimiter');
+const AuthorizationPolicy = require('./AuthorizationPolicy');
+const { ResponseCache, CacheInvalidationObserver } = require('./ResponseCache');
+const Aggregator = require('./Aggregator');
+const ResponseTransformer = require('./ResponseTransformer');
+const ApiVersioning = require('./ApiVersioning');
+const FallbackHandler = require('./FallbackHandler');
+const OpenApiValidator = require('./OpenApiValidator');
+const { JwksClient } = require('./JwksClient');
+const { ApiKeyAuthenticator, ApiKeyRevocationObserver } = require('./ApiKeyAuthenticator');
+const { MiddlewarePipeline } = require('./MiddlewarePipeline');
+const { RetryPolicy, RetryBudget } = require('./RetryPolicy');
+const { version: GATEWAY_VERSION } = require('./package.json');
+const { EventManager } = require('../shared/EventManager');
+const { TokenRevocationList, TokenRevocationObserver, TokenRevokedError, TOKEN_REVOKED_EVENT } = require('../shared/TokenRevocationList');
+const { ApiKeyError, API_KEY_HEADER, API_KEY_REVOKED_EVENT } = require('../shared/ApiKeys');
+const { ServiceAuth } = require('../shared/ServiceAuth');
+const { Tracer } = require('../shared/Tracing');
+const { logger, addLogContext } = require('../shared/Logger');
+const {
+  MetricsRegistry,
+  registerCircuitBreakerMetrics,
+  registerBulkheadMetrics,
+  registerEventManagerMetrics,
+  registerProcessMetrics
+} = require('../shared/Metrics');
+
+const log = logger.child({ module: 'GatewayService' });
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'gateway.config.json');
+
+// Espera entre intentos de carga de un contrato OpenAPI que no se pudo obtener
+const OPENAPI_RETRY_MS = 30000;
+
+// Headers del cliente que se reenvían en modo streaming (además de los del gateway)
+const STREAM_REQUEST_HEADERS = [
+  'content-type', 'content-length', 'content-disposition', 'content-encoding',
+  'accept', 'accept-encoding', 'accept-language', 'range', 'if-range',
+  'if-none-match', 'if-modified-since', 'idempotency-key'
+];
+
+// Headers de conexión que no se copian de la respuesta del microservicio
+const HOP_BY_HOP_HEADERS = new Set([
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization',
+  'te', 'trailer', 'transfer-encoding', 'upgrade'
+]);
 
 /**
  * @class GatewayService
@@ -19,61 +71,599 @@ const { CircuitBreakerManager } = require('../shared/CircuitBreaker');
 class GatewayService {
   /**
    * @constructor
-   * @description Inicializa el GatewayService con configuraciones por defecto
+   * @description Inicializa el GatewayService a partir del archivo de configuración
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.configPath] - Ruta del archivo de rutas (GATEWAY_CONFIG por defecto)
+   * @param {Object} [options.config] - Configuración ya cargada ({ services, routes })
+   * @param {Object} [options.rateLimitStore] - Store compartido de rate limiting (memoria por defecto)
+   * @param {Tracer} [options.tracer] - Tracer de trazas distribuidas
+   * @param {ServiceAuth} [options.serviceAuth] - Identidad firmada del gateway (SERVICE_AUTH_SECRET_GATEWAY por defecto)
    */
-  constructor() {
-    this.routes = new Map();
-    this.middleware = [];
-    this.rateLimitStore = new Map();
+  constructor(options = {}) {
+    // Middleware Pipeline - middlewares con nombre, orden explícito y etapa de errores
+    this.middlewarePipeline = new MiddlewarePipeline();
     this.logs = [];
     
+    // Distributed Tracing - traceparent hacia los microservicios y spans locales
+    this.tracer = options.tracer || new Tracer({ serviceName: 'gateway' });
+
     // Circuit Breaker Pattern - Manager de Circuit Breakers
     this.circuitBreakerManager = new CircuitBreakerManager();
     
-    // Configuración de microservicios
-    this.services = {
-      usuarios: {
-        url: process.env.USUARIOS_URL || 'http://localhost:3001',
-        timeout: 5000,
-        retries: 3
-      },
-      pagos: {
-        url: process.env.PAGOS_URL || 'http://localhost:3002',
-        timeout: 5000,
-        retries: 3
-      },
-      catalogo: {
-        url: process.env.CATALOGO_URL || 'http://localhost:3004',
-        timeout: 5000,
-        retries: 3
+    // Configuración de microservicios y tabla de rutas declarativa
+    const config = options.config || RouteRegistry.loadConfigFile(
+      options.configPath || process.env.GATEWAY_CONFIG || DEFAULT_CONFIG_PATH
+    );
+
+    // Rate Limiting - políticas por ruta, rol y tenant sobre un store intercambiable
+    const rateLimitConfig = config.rateLimit || {};
+    this.rateLimitStore = options.rateLimitStore || new MemoryRateLimitStore(rateLimitConfig.store);
+    this.rateLimiter = new RateLimiter(rateLimitConfig, this.rateLimitStore);
+
+    // Autorización - roles y propiedad del recurso por ruta y método
+    this.authorizationPolicy = new AuthorizationPolicy(config.authorization);
+
+    // Retry Policy - reintentos por ruta/servicio y presupuesto global de reintentos
+    this.retryConfig = config.retry || {};
+    RetryPolicy.validate(this.retryConfig.default, 'retry.default');
+    this.retryBudget = new RetryBudget(this.retryConfig.budget);
+
+    // Bulkhead Pattern - llamadas concurrentes y cola limitadas por microservicio
+    Bulkhead.validate(config.bulkhead?.default, 'bulkhead.default');
+    this.bulkheadManager = new BulkheadManager(config.bulkhead?.default);
+
+    this.services = {};
+    Object.entries(config.services || {}).forEach(([name, serviceConfig]) => {
+      RetryPolicy.validate(serviceConfig.retry, `services.${name}.retry`);
+      Bulkhead.validate(serviceConfig.bulkhead, `services.${name}.bulkhead`);
+      this.services[name] = this.buildServiceConfig(serviceConfig);
+    });
+
+    this.routes = RouteRegistry.fromDefinitions(config.routes || []);
+
+    // API Versioning - /api/v{n}/... o Accept-Version, con deprecación por versión
+    this.apiVersioning = new ApiVersioning(config.versioning);
+
+    // Response Transformation - pipeline por ruta (campos, envoltorio, headers, versiones)
+    this.responseTransformer = new ResponseTransformer({ version: GATEWAY_VERSION });
+    this.routes.getRoutes().forEach(route => this.validateRoute(route.prefix, route));
+
+    // Backend for Frontend - endpoints compuestos sobre varios microservicios
+    this.aggregator = new Aggregator(config.aggregations || []);
+    this.aggregator.getAggregations().forEach(aggregation => {
+      MiddlewarePipeline.validateRouteConfig(aggregation.middleware, aggregation.path);
+    });
+
+    // Caching Layer - respuestas GET por ruta, invalidadas por eventos de los microservicios
+    this.eventManager = new EventManager();
+    this.responseCache = new ResponseCache(config.cache);
+    this.cacheInvalidation = new CacheInvalidationObserver(this.responseCache);
+    this.invalidationEvents = new Set();
+    this.routes.getRoutes().forEach(route => this.subscribeCacheInvalidation(route));
+
+    // JWT Verification - claves públicas del JWKS de usuarios (auth.jwks); sin JWKS, secreto HMAC (JWT_SECRET)
+    this.jwksConfig = config.auth?.jwks ? { service: 'usuarios', path: '/.well-known/jwks.json', ...config.auth.jwks } : null;
+    if (this.jwksConfig) {
+      // URL fija: auth.jwks.url o la URL configurada del servicio, nunca una instancia auto-registrada
+      const { service, path: jwksPath, url } = this.jwksConfig;
+      if (!url && !this.services[service]?.url) {
+        throw new Error(`auth.jwks: configure auth.jwks.url o services.${service}.url`);
       }
-    };
+      this.jwksConfig.url = url || `${this.services[service].url}${jwksPath}`;
+      this.jwksClient = new JwksClient({ ...this.jwksConfig, fetchJwks: () => this.fetchJwks() });
+    } else if (!process.env.JWT_SECRET) {
+      throw new Error('Configure auth.jwks (claves públicas de usuarios) o JWT_SECRET para verificar los tokens');
+    }
+
+    // Service Identity - firma de las peticiones internas del gateway y verificación de /events y /registry
+    this.serviceAuth = options.serviceAuth || ServiceAuth.fromEnv('gateway');
+
+    // Token Revocation - jti revocados por logout (evento token.revocado y sincronización con usuarios)
+    this.revocationConfig = { service: 'usuarios', path: '/token/revocados', syncInterval: 60000, ...config.auth?.revocation };
+    this.revocationList = new TokenRevocationList({ maxEntries: this.revocationConfig.maxEntries });
+    this.eventManager.subscribe(TOKEN_REVOKED_EVENT, new TokenRevocationObserver(this.revocationList));
+
+    // API Keys - header X-API-Key verificado contra usuarios (auth.apiKeys), con caché y uso reportado en lotes
+    this.apiKeyConfig = config.auth?.apiKeys ? {
+      service: 'usuarios',
+      verifyPath: '/api-keys/verificar',
+      usagePath: '/api-keys/uso',
+      usageFlushInterval: 60000,
+      ...config.auth.apiKeys
+    } : null;
+    if (this.apiKeyConfig) {
+      this.apiKeyAuthenticator = new ApiKeyAuthenticator({ ...this.apiKeyConfig, verify: apiKey => this.verifyApiKey(apiKey) });
+      this.eventManager.subscribe(API_KEY_REVOKED_EVENT, new ApiKeyRevocationObserver(this.apiKeyAuthenticator));
+    }
+
+    // Fallbacks - respuestas degradadas por ruta cuando el microservicio no está disponible
+    this.fallbackHandler = new FallbackHandler({
+      maxEntries: config.cache?.maxEntries,
+      transform: (data, context) => this.responseTransformer.transform(data, context)
+    });
+
+    // Request Validation - contratos OpenAPI de los microservicios (services.<nombre>.openapi)
+    this.openApiValidator = new OpenApiValidator();
+    this.openApiAttempts = new Map(); // service -> último intento fallido
+
+    // Load Balancing - un balanceador por microservicio
+    this.loadBalancers = new Map();
 
+    // Service Registry - instancias que se registran dinámicamente con heartbeats
+    this.serviceRegistry = new ServiceRegistry({
+      ...config.registry,
+      onChange: (type, instance) => {
+        // Los servicios anuncian su contrato en los metadatos del registro ({ openapi: '/openapi.json' })
+        const openapi = instance.metadata?.openapi ? { path: instance.metadata.openapi } : undefined;
+        if (type === 'registered' && !this.services[instance.service]) {
+          this.addService(instance.service, { url: instance.url, openapi });
+        }
+        if (type === 'registered') {
+          if (openapi && !this.services[instance.service].openapi) {
+            this.services[instance.service].openapi = openapi;
+          }
+          this.ensureOpenApiSpec(instance.service);
+        }
+        if (type !== 'registered') {
+          this.loadBalancers.get(instance.service)?.prune(this.getServiceInstances(instance.service));
+        }
+      }
+    });
+    this.serviceRegistry.startEviction();
+
+    this.setupMetrics();
     this.setupCircuitBreakers();
+    Object.keys(this.services).forEach(name => this.getBulkhead(name));
     this.setupDefaultMiddleware();
   }
 
+  /**
+   * Normalizar la configuración de un microservicio
+   * La variable indicada en urlEnv puede contener varias URLs separadas por comas
+   * @param {Object} serviceConfig - Configuración declarada
+   * @returns {Object} Configuración con instances, url, timeout, retries y loadBalancing
+   */
+  buildServiceConfig(serviceConfig) {
+    const { urlEnv, instances, loadBalancing, ...rest } = serviceConfig;
+
+    const envUrls = urlEnv && process.env[urlEnv]
+      ? process.env[urlEnv].split(',').map(url => url.trim()).filter(Boolean)
+      : [];
+    const declared = envUrls.length ? envUrls : (instances && instances.length ? instances : [serviceConfig.url]);
+    const upstreams = declared
+      .filter(Boolean)
+      .map(instance => (typeof instance === 'string' ? { url: instance } : instance))
+      .map(instance => ({ weight: 1, ...instance, url: instance.url.replace(/\/+$/, '') }));
+
+    // Sin `retries` ni `retry` se aplica retry.default (ver resolveRetryPolicy)
+    return {
+      timeout: 5000,
+      ...rest,
+      loadBalancing: {
+        strategy: 'round-robin',
+        maxFailures: 3,
+        ejectionTime: 30000,
+        ...loadBalancing
+      },
+      instances: upstreams,
+      url: upstreams[0]?.url
+    };
+  }
+
+  /**
+   * Registrar un microservicio en tiempo de ejecución
+   * @param {string} name - Nombre del servicio
+   * @param {Object} serviceConfig - Configuración ({ url, timeout, retries })
+   */
+  addService(name, serviceConfig) {
+    this.services[name] = this.buildServiceConfig(serviceConfig);
+    this.setupCircuitBreaker(name);
+    this.getBulkhead(name);
+    log.info('Servicio agregado', { service: name, url: this.services[name].url });
+  }
+
+  /**
+   * Cambiar timeout, reintentos o balanceo de un microservicio en tiempo de ejecución
+   * @param {string} name - Nombre del servicio
+   * @param {Object} changes - Cambios ({ timeout, retries, loadBalancing })
+   * @returns {Object} Configuración resultante
+   */
+  updateService(name, changes) {
+    const current = this.services[name];
+    if (!current) {
+      throw new Error(`Servicio '${name}' desconocido`);
+    }
+    this.validateServiceOptions(name, changes);
+
+    this.services[name] = this.buildServiceConfig({
+      ...current,
+      ...changes,
+      instances: current.instances,
+      loadBalancing: { ...current.loadBalancing, ...changes.loadBalancing },
+      bulkhead: changes.bulkhead ? { ...current.bulkhead, ...changes.bulkhead } : current.bulkhead
+    });
+
+    // Los breakers ya creados (del servicio y de sus instancias) adoptan el nuevo timeout
+    this.getServiceBreakers(name).forEach(breaker => {
+      breaker.timeout = this.services[name].timeout;
+    });
+    if (changes.loadBalancing?.strategy) {
+      this.loadBalancers.delete(name);
+    }
+    if (changes.bulkhead) {
+      this.getBulkhead(name).update(changes.bulkhead);
+    }
+    if (changes.openapi !== undefined) {
+      this.openApiValidator.removeSpec(name);
+      this.openApiAttempts.delete(name);
+      this.ensureOpenApiSpec(name);
+    }
+
+    log.info('Servicio actualizado', { service: name, changes });
+    return this.services[name];
+  }
+
+  /**
+   * Validar timeout, reintentos y estrategia de balanceo de un microservicio
+   * @param {string} name - Nombre del servicio
+   * @param {Object} options - Opciones ({ timeout, retries, loadBalancing })
+   */
+  validateServiceOptions(name, options) {
+    if (options.timeout !== undefined && !(Number.isInteger(options.timeout) && options.timeout > 0)) {
+      throw new Error(`timeout inválido para '${name}': debe ser un entero positivo en ms`);
+    }
+    if (options.retries !== undefined && !(Number.isInteger(options.retries) && options.retries >= 0)) {
+      throw new Error(`retries inválido para '${name}': debe ser un entero mayor o igual a 0`);
+    }
+    RetryPolicy.validate(options.retry, `services.${name}.retry`);
+    Bulkhead.validate(options.bulkhead, `services.${name}.bulkhead`);
+    const openapi = options.openapi;
+    if (openapi && !(typeof openapi === 'object' && (typeof openapi.path === 'string' || typeof openapi.file === 'string'))) {
+      throw new Error(`services.${name}.openapi inválido: use { path } o { file }`);
+    }
+    const strategy = options.loadBalancing?.strategy;
+    if (strategy && !balancingStrategies[strategy]) {
+      throw new Error(`Estrategia de balanceo desconocida para '${name}': ${strategy}`);
+    }
+  }
+
+  /**
+   * Eliminar un microservicio sin rutas ni agregaciones que lo usen
+   * @param {string} name - Nombre del servicio
+   * @returns {boolean} true si existía
+   */
+  removeService(name) {
+    if (!this.services[name]) return false;
+
+    const dependents = this.getServiceDependents(name);
+    if (dependents.length) {
+      throw new Error(`El servicio '${name}' está en uso por: ${dependents.join(', ')}`);
+    }
+
+    delete this.services[name];
+    this.loadBalancers.delete(name);
+    this.openApiValidator.removeSpec(name);
+    this.bulkheadManager.remove(name);
+    this.getServiceBreakers(name).forEach(breaker => {
+      this.circuitBreakerManager.getAllBreakers().delete(breaker.name);
+    });
+    log.info('Servicio eliminado', { service: name });
+    return true;
+  }
+
+  /**
+   * Rutas y agregaciones que dependen de un microservicio
+   * @param {string} name - Nombre del servicio
+   * @returns {Array<string>} Descripción de cada dependencia
+   */
+  getServiceDependents(name) {
+    const routes = this.routes.getRoutes()
+      .filter(route => route.service === name || FallbackHandler.getSteps(route).some(step => step.service === name))
+      .map(route => `ruta ${route.prefix}`);
+    const aggregations = this.aggregator.getAggregations()
+      .filter(aggregation => Object.values(aggregation.sections).some(section => section.service === name))
+      .map(aggregation => `agregación ${aggregation.path}`);
+    return [...routes, ...aggregations];
+  }
+
+  /**
+   * Agregar una instancia upstream estática a un microservicio
+   * Las instancias del Service Registry tienen prioridad sobre las estáticas (ver getServiceInstances)
+   * @param {string} name - Nombre del servicio
+   * @param {Object} instance - Instancia ({ url, weight })
+   * @returns {Array<Object>} Instancias estáticas resultantes
+   */
+  addServiceInstance(name, instance) {
+    const service = this.services[name];
+    if (!service) {
+      throw new Error(`Servicio '${name}' desconocido`);
+    }
+    if (!instance?.url || !/^https?:\/\//.test(instance.url)) {
+      throw new Error(`URL de instancia inválida: '${instance?.url}'`);
+    }
+
+    const url = instance.url.replace(/\/+$/, '');
+    service.instances = [
+      ...service.instances.filter(existing => existing.url !== url),
+      { weight: 1, ...instance, url }
+    ];
+    service.url = service.instances[0].url;
+    log.info('Instancia upstream agregada', { service: name, instance: url });
+    return service.instances;
+  }
+
+  /**
+   * Quitar una instancia upstream estática de un microservicio
+   * @param {string} name - Nombre del servicio
+   * @param {string} url - URL de la instancia
+   * @returns {boolean} true si se quitó
+   */
+  removeServiceInstance(name, url) {
+    const service = this.services[name];
+    const normalizedUrl = (url || '').replace(/\/+$/, '');
+    if (!service || !service.instances.some(instance => instance.url === normalizedUrl)) return false;
+    if (service.instances.length === 1) {
+      throw new Error(`No se puede quitar la única instancia de '${name}'`);
+    }
+
+    service.instances = service.instances.filter(instance => instance.url !== normalizedUrl);
+    service.url = service.instances[0].url;
+    this.loadBalancers.get(name)?.prune(this.getServiceInstances(name));
+    this.circuitBreakerManager.getAllBreakers().delete(`${name}@${normalizedUrl}`);
+    log.info('Instancia upstream eliminada', { service: name, instance: normalizedUrl });
+    return true;
+  }
+
+  /**
+   * Circuit Breakers de un microservicio: el del servicio y los de sus instancias
+   * @param {string} name - Nombre del servicio
+   * @returns {Array<CircuitBreaker>} Circuit Breakers
+   */
+  getServiceBreakers(name) {
+    return [...this.circuitBreakerManager.getAllBreakers().values()]
+      .filter(breaker => breaker.name === name || breaker.name.startsWith(`${name}@`));
+  }
+
+  /**
+   * Obtener las instancias upstream de un microservicio
+   * Prioriza las instancias registradas dinámicamente y recurre a la configuración estática
+   * @param {string} serviceName - Nombre del servicio
+   * @returns {Array<Object>} Instancias ({ url, weight })
+   */
+  getServiceInstances(serviceName) {
+    const registered = this.serviceRegistry.getInstances(serviceName);
+    if (registered.length) {
+      return registered.map(instance => ({
+        url: instance.url,
+        weight: instance.metadata?.weight || 1,
+        instanceId: instance.instanceId
+      }));
+    }
+    return this.services[serviceName]?.instances || [];
+  }
+
+  /**
+   * Obtener (o crear) el balanceador de un microservicio
+   * @param {string} serviceName - Nombre del servicio
+   * @returns {LoadBalancer} Balanceador
+   */
+  getLoadBalancer(serviceName) {
+    if (!this.loadBalancers.has(serviceName)) {
+      const strategy = this.services[serviceName]?.loadBalancing?.strategy;
+      this.loadBalancers.set(serviceName, new LoadBalancer(serviceName, { strategy }));
+    }
+    return this.loadBalancers.get(serviceName);
+  }
+
+  /**
+   * Obtener el Circuit Breaker de una instancia concreta
+   * Abre tras maxFailures fallos consecutivos y saca la instancia de rotación durante ejectionTime
+   * @param {string} serviceName - Nombre del servicio
+   * @param {string} url - URL de la instancia
+   * @returns {CircuitBreaker} Circuit Breaker de la instancia
+   */
+  getInstanceBreaker(serviceName, url) {
+    const service = this.services[serviceName] || {};
+    const loadBalancing = service.loadBalancing || {};
+
+    return this.circuitBreakerManager.getBreaker(`${serviceName}@${url}`, {
+      failureThreshold: loadBalancing.maxFailures || 3,
+      timeout: service.timeout || 5000,
+      resetTimeout: loadBalancing.ejectionTime || 30000,
+      onStateChange: (oldState, newState) => {
+        log.warn('Cambio de estado de instancia', { service: serviceName, instance: url, from: oldState, to: newState });
+      }
+    });
+  }
+
+  /**
+   * Salud pasiva: una instancia sale de rotación mientras su breaker está abierto
+   * @param {string} serviceName - Nombre del servicio
+   * @param {Object} instance - Instancia
+   * @returns {boolean} true si la instancia puede recibir tráfico
+   */
+  isInstanceAvailable(serviceName, instance) {
+    const breaker = this.circuitBreakerManager.getAllBreakers().get(`${serviceName}@${instance.url}`);
+    return !breaker || breaker.state !== 'OPEN' || breaker.shouldAttemptReset();
+  }
+
+  /**
+   * Resolver la URL base de un microservicio eligiendo una instancia en rotación
+   * @param {string} serviceName - Nombre del servicio
+   * @returns {string|null} URL base del servicio
+   */
+  resolveServiceUrl(serviceName) {
+    const instances = this.getServiceInstances(serviceName);
+    if (instances.length === 0) return null;
+
+    try {
+      return this.getLoadBalancer(serviceName)
+        .pick(instances, instance => this.isInstanceAvailable(serviceName, instance)).url;
+    } catch (error) {
+      return instances[0].url;
+    }
+  }
+
+  /**
+   * Registrar una ruta hacia un microservicio
+   * @param {string} prefix - Prefijo de path
+   * @param {string} service - Nombre del servicio destino
+   * @param {Object} options - Opciones de la ruta (ver RouteRegistry#addRoute)
+   * @returns {Object} Ruta registrada
+   */
+  addRoute(prefix, service, options = {}) {
+    if (!this.services[service]) {
+      throw new Error(`No se puede registrar la ruta '${prefix}': servicio '${service}' desconocido`);
+    }
+    this.validateRoute(prefix, options);
+    const route = this.routes.addRoute(prefix, service, options);
+    this.subscribeCacheInvalidation(route);
+    log.info('Ruta agregada', { prefix: route.prefix, service });
+    return route;
+  }
+
+  /**
+   * Modificar una ruta registrada (timeout, reintentos, rate limit, auth, ...)
+   * Si la nueva definición es inválida la ruta original se conserva
+   * @param {Object} route - Ruta registrada (ver RouteRegistry#findRoutes)
+   * @param {Object} changes - Opciones a cambiar
+   * @returns {Object} Ruta resultante
+   */
+  updateRoute(route, changes) {
+    const { prefix, service, ...options } = { ...route, ...changes };
+
+    this.routes.removeRoute(route.prefix, route.methods, route.version);
+    try {
+      return this.addRoute(prefix, service, options);
+    } catch (error) {
+      const { prefix: originalPrefix, service: originalService, ...originalOptions } = route;
+      this.routes.addRoute(originalPrefix, originalService, originalOptions);
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar una ruta registrada
+   * @param {Object} route - Ruta registrada (ver RouteRegistry#findRoutes)
+   * @returns {boolean} true si se eliminó
+   */
+  removeRoute(route) {
+    const removed = this.routes.removeRoute(route.prefix, route.methods, route.version);
+    if (removed) {
+      log.info('Ruta eliminada', { prefix: route.prefix, version: route.version });
+    }
+    return removed;
+  }
+
+  /**
+   * Validar las opciones de una ruta que dependen de otras secciones de la configuración
+   * @param {string} prefix - Prefijo de la ruta
+   * @param {Object} options - Opciones de la ruta ({ version, transform })
+   */
+  validateRoute(prefix, options) {
+    if (options.version !== undefined && options.version !== null && !this.apiVersioning.isSupported(options.version)) {
+      throw new Error(`La ruta '${prefix}' usa la versión '${options.version}', que no está declarada en versioning.versions`);
+    }
+    ResponseTransformer.validate(options.transform, prefix);
+    MiddlewarePipeline.validateRouteConfig(options.middleware, prefix);
+    RetryPolicy.validate(options.retry, `retry de la ruta '${prefix}'`);
+    FallbackHandler.validate(options.fallback, prefix, Object.keys(this.services));
+    if (options.fallback && options.stream) {
+      throw new Error(`La ruta '${prefix}' no puede combinar stream y fallback`);
+    }
+  }
+
+  /**
+   * Suscribir la invalidación de caché a los eventos declarados en una ruta (cache.invalidateOn)
+   * @param {Object} route - Ruta registrada
+   */
+  subscribeCacheInvalidation(route) {
+    (route.cache?.invalidateOn || []).forEach(eventType => {
+      if (this.invalidationEvents.has(eventType)) return;
+      this.invalidationEvents.add(eventType);
+      this.eventManager.subscribe(eventType, this.cacheInvalidation);
+    });
+  }
+
+  /**
+   * Configurar las métricas expuestas en GET /metrics (formato Prometheus)
+   */
+  setupMetrics() {
+    this.metrics = new MetricsRegistry();
+
+    const labels = ['service', 'route', 'method', 'status'];
+    this.requestCounter = this.metrics.counter('gateway_http_requests_total', 'Peticiones atendidas por el gateway', labels);
+    this.requestDuration = this.metrics.histogram('gateway_http_request_duration_seconds', 'Latencia de las peticiones en segundos', labels);
+    this.retryCounter = this.metrics.counter('gateway_upstream_retries_total', 'Reintentos hacia los microservicios', ['service', 'result']);
+    this.fallbackCounter = this.metrics.counter('gateway_fallback_responses_total', 'Respuestas degradadas servidas por fallback', ['service', 'mode']);
+    this.validationCounter = this.metrics.counter('gateway_request_validation_failures_total', 'Peticiones rechazadas por el contrato OpenAPI', ['service']);
+
+    const cacheLookups = this.metrics.counter('gateway_cache_lookups_total', 'Consultas a la caché de respuestas', ['result']);
+    const cacheEntries = this.metrics.gauge('gateway_cache_entries', 'Respuestas almacenadas en caché');
+    const registeredInstances = this.metrics.gauge('gateway_registry_instances', 'Instancias registradas por servicio', ['service']);
+
+    this.metrics.addCollector(() => {
+      const cache = this.responseCache.getStats();
+      cacheLookups.set({ result: 'hit' }, cache.hits);
+      cacheLookups.set({ result: 'miss' }, cache.misses);
+      cacheEntries.set({}, cache.entries);
+      Object.keys(this.services).forEach(service => {
+        registeredInstances.set({ service }, this.serviceRegistry.getInstances(service).length);
+      });
+    });
+
+    registerCircuitBreakerMetrics(this.metrics, this.circuitBreakerManager);
+    registerBulkheadMetrics(this.metrics, this.bulkheadManager);
+    registerEventManagerMetrics(this.metrics, this.eventManager);
+    registerProcessMetrics(this.metrics);
+  }
+
+  /**
+   * Registrar contador y latencia de una petición atendida
+   * @param {Object} req - Request object (con req.gatewayRoute)
+   * @param {number} statusCode - Código de respuesta
+   * @param {number} durationMs - Duración en ms
+   */
+  recordRequestMetrics(req, statusCode, durationMs) {
+    const route = req.gatewayRoute;
+    const labels = {
+      service: route?.aggregation ? 'aggregation' : (route?.service || 'gateway'),
+      route: route?.prefix || 'unmatched',
+      method: req.method,
+      status: statusCode
+    };
+
+    this.requestCounter.inc(labels);
+    this.requestDuration.observe(labels, durationMs / 1000);
+  }
+
   /**
    * Configurar Circuit Breakers para cada microservicio
    */
   setupCircuitBreakers() {
-    Object.keys(this.services).forEach(serviceName => {
-      const breaker = this.circuitBreakerManager.getBreaker(serviceName, {
-        failureThreshold: 5,
-        timeout: this.services[serviceName].timeout,
-        resetTimeout: 30000,
-        onStateChange: (oldState, newState, breaker) => {
-          console.log(`🔒 Circuit Breaker '${serviceName}': ${oldState} → ${newState}`);
-        },
-        onFailure: (error) => {
-          console.log(`❌ Circuit Breaker '${serviceName}': Failure - ${error.message}`);
-        },
-        onSuccess: (result) => {
-          console.log(`✅ Circuit Breaker '${serviceName}': Success`);
-        }
-      });
+    Object.keys(this.services).forEach(serviceName => this.setupCircuitBreaker(serviceName));
+    log.info('Circuit Breakers configurados', { services: Object.keys(this.services) });
+  }
+
+  /**
+   * Configurar el Circuit Breaker de un microservicio
+   * @param {string} serviceName - Nombre del servicio
+   */
+  setupCircuitBreaker(serviceName) {
+    this.circuitBreakerManager.getBreaker(serviceName, {
+      failureThreshold: 5,
+      timeout: this.services[serviceName].timeout,
+      resetTimeout: 30000,
+      onStateChange: (oldState, newState, breaker) => {
+        log.warn('Cambio de estado del Circuit Breaker', { service: serviceName, from: oldState, to: newState });
+      },
+      onFailure: (error) => {
+        log.debug('Fallo registrado en Circuit Breaker', { service: serviceName, error: error.message });
+      },
+      onSuccess: (result) => {
+        log.trace('Éxito registrado en Circuit Breaker', { service: serviceName });
+      }
     });
-    console.log('🔒 Circuit Breaker Pattern: Circuit Breakers configurados para microservicios');
   }
 
   /**
@@ -89,118 +679,494 @@ class GatewayService {
         path: req.path,
         ip: req.ip,
         userAgent: req.get('User-Agent'),
-        userId: req.user?.id || 'anonymous'
+        userId: req.user?.id || 'anonymous',
+        traceId: req.traceContext?.traceId,
+        requestId: req.requestId
       };
 
       res.on('finish', () => {
         logEntry.duration = Date.now() - startTime;
         logEntry.statusCode = res.statusCode;
         this.logs.push(logEntry);
-        console.log(`📊 Gateway Log: ${logEntry.method} ${logEntry.path} - ${logEntry.statusCode} (${logEntry.duration}ms)`);
+        this.recordRequestMetrics(req, res.statusCode, logEntry.duration);
+        log[res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info']('Petición atendida', {
+          method: logEntry.method,
+          path: logEntry.path,
+          statusCode: logEntry.statusCode,
+          duration: logEntry.duration,
+          userId: req.user?.id || 'anonymous'
+        });
       });
 
       next();
     });
 
-    // Middleware de rate limiting
-    this.addMiddleware('rateLimit', (req, res, next) => {
-      const clientId = req.ip || 'unknown';
-      const now = Date.now();
-      const windowMs = 15 * 60 * 1000; // 15 minutos
-      const maxRequests = 100; // 100 requests por ventana
-
-      if (!this.rateLimitStore.has(clientId)) {
-        this.rateLimitStore.set(clientId, { count: 0, resetTime: now + windowMs });
-      }
-
-      const clientData = this.rateLimitStore.get(clientId);
-
-      if (now > clientData.resetTime) {
-        clientData.count = 0;
-        clientData.resetTime = now + windowMs;
-      }
-
-      if (clientData.count >= maxRequests) {
-        return res.status(429).json({
-          error: 'Rate limit exceeded',
-          message: 'Too many requests, please try again later',
-          retryAfter: Math.ceil((clientData.resetTime - now) / 1000)
-        });
+    // Middleware de autenticación
+    this.addMiddleware('auth', async (req, res, next) => {
+      // Rutas marcadas como públicas en la tabla de rutas (auth: false)
+      if (req.gatewayRoute && req.gatewayRoute.auth === false) {
+        return next();
       }
 
-      clientData.count++;
-      next();
-    });
-
-    // Middleware de autenticación
-    this.addMiddleware('auth', (req, res, next) => {
-      // Rutas públicas que no requieren autenticación
-      const publicRoutes = ['/health', '/api/usuarios/login', '/api/usuarios/registro'];
+      // Rutas propias del gateway que no requieren autenticación
+      const publicRoutes = ['/health'];
       
       if (publicRoutes.includes(req.path)) {
         return next();
       }
 
+      // Integraciones sin usuario: API key en lugar del JWT
+      if (req.headers[API_KEY_HEADER] && this.apiKeyAuthenticator) {
+        return this.authenticateApiKey(req, res, next);
+      }
+
       const authHeader = req.headers['authorization'];
       const token = authHeader && authHeader.split(' ')[1];
 
-      console.log(`🔐 Auth Middleware - Path: ${req.path}`);
-      console.log(`🔐 Auth Header: ${authHeader ? 'Present' : 'Missing'}`);
-      console.log(`🔐 Token: ${token ? 'Present' : 'Missing'}`);
-
       if (!token) {
-        console.log(`❌ Auth Error: No token provided for ${req.path}`);
+        log.info('Petición sin token', { path: req.path, authHeader: Boolean(authHeader) });
         return res.status(401).json({ 
           error: 'Token de acceso requerido',
           message: 'Debe proporcionar un token de autenticación'
         });
       }
 
+      let decoded;
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'clave-secreta-desarrollo');
-        req.user = decoded;
-        console.log(`✅ Auth Success: User ${decoded.id} authenticated for ${req.path}`);
-        next();
+        decoded = await this.verifyToken(token);
       } catch (error) {
-        console.log(`❌ Auth Error: Invalid token for ${req.path} - ${error.message}`);
+        if (error.code === 'JWKS_UNAVAILABLE') {
+          log.error('No se pueden verificar tokens', { path: req.path, error: error.message });
+          return res.status(503).json({
+            error: 'Autenticación no disponible',
+            message: 'No se pudieron obtener las claves para verificar el token',
+            code: error.code,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        log.warn('Token inválido', { path: req.path, error: error.message });
         return res.status(403).json({ 
           error: 'Token inválido',
           message: 'El token proporcionado no es válido o ha expirado',
+          code: error.code || (error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID'),
           details: error.message
         });
       }
+
+      req.user = decoded;
+      addLogContext({ userId: decoded.id, tenantId: decoded.tenantId });
+      log.debug('Usuario autenticado', { path: req.path });
+      next();
+    });
+
+    // Middleware de autorización por roles y propiedad del recurso
+    this.addMiddleware('authorize', this.authorizationPolicy.middleware(), { after: 'auth' });
+
+    // Middleware de rate limiting (después de auth para conocer usuario, rol y tenant)
+    this.addMiddleware('rateLimit', this.rateLimiter.middleware(), { after: 'auth' });
+
+    // Middleware de validación contra el contrato OpenAPI del microservicio
+    // (después del rate limit: no se valida ni se informa el contrato a peticiones rechazadas)
+    this.addMiddleware('requestValidation', (req, res, next) => {
+      const route = req.gatewayRoute;
+      if (!route?.service) return next();
+      if (!this.openApiValidator.hasSpec(route.service)) {
+        this.ensureOpenApiSpec(route.service);
+        return next();
+      }
+
+      const result = this.openApiValidator.validateRequest(route.service, {
+        method: req.method,
+        path: this.routes.rewritePath(route, req.path),
+        query: req.query,
+        headers: req.headers,
+        body: req.body,
+        hasBody: Number(req.headers['content-length']) > 0 || Boolean(req.headers['transfer-encoding']),
+        // En streaming el cuerpo no se parsea: solo se validan path, query y headers
+        skipBody: Boolean(route.stream)
+      });
+      if (!result || result.valid) return next();
+
+      this.validationCounter.inc({ service: route.service });
+      log.info('Petición rechazada por el contrato OpenAPI', { service: route.service, path: req.path, errors: result.errors.length });
+      return res.status(400).json({
+        error: 'Petición inválida',
+        message: 'La petición no cumple el contrato del servicio',
+        code: 'REQUEST_VALIDATION_FAILED',
+        details: result.errors,
+        timestamp: new Date().toISOString()
+      });
+    }, { after: 'rateLimit' });
+  }
+
+  /**
+   * Cargar los contratos OpenAPI de todos los microservicios que los declaran
+   * @returns {Promise<Object>} { servicio: operaciones cargadas o mensaje de error }
+   */
+  async loadOpenApiSpecs() {
+    const results = {};
+    const names = Object.keys(this.services).filter(name => this.services[name].openapi);
+    for (const name of names) {
+      try {
+        results[name] = await this.loadOpenApiSpec(name);
+      } catch (error) {
+        results[name] = error.message;
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Cargar el contrato OpenAPI de un microservicio
+   * services.<nombre>.openapi: { path: '/openapi.json' } (se pide al servicio) o { file } (relativo al gateway)
+   * @param {string} serviceName - Nombre del servicio
+   * @returns {Promise<number>} Operaciones documentadas
+   */
+  async loadOpenApiSpec(serviceName) {
+    const source = this.services[serviceName]?.openapi;
+    if (!source) {
+      throw new Error(`El servicio '${serviceName}' no declara un contrato OpenAPI`);
+    }
+
+    try {
+      const spec = source.file
+        ? JSON.parse(await fs.promises.readFile(path.resolve(__dirname, source.file), 'utf8'))
+        : (await this.sendToInstance(serviceName, {
+          method: 'GET',
+          path: source.path || '/openapi.json',
+          headers: { 'X-Gateway-Request': 'true' },
+          timeout: this.services[serviceName].timeout
+        })).data;
+
+      const operations = this.openApiValidator.addSpec(serviceName, spec);
+      this.openApiAttempts.delete(serviceName);
+      log.info('Contrato OpenAPI cargado', { service: serviceName, operations });
+      return operations;
+    } catch (error) {
+      this.openApiAttempts.set(serviceName, Date.now());
+      log.warn('No se pudo cargar el contrato OpenAPI', { service: serviceName, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Cargar en segundo plano el contrato de un servicio que lo declara y aún no lo tiene,
+   * sin reintentar antes de OPENAPI_RETRY_MS; mientras tanto las peticiones pasan sin validar
+   * @param {string} serviceName - Nombre del servicio
+   */
+  ensureOpenApiSpec(serviceName) {
+    if (!this.services[serviceName]?.openapi || this.openApiValidator.hasSpec(serviceName)) return;
+
+    const lastAttempt = this.openApiAttempts.get(serviceName);
+    if (lastAttempt !== undefined && Date.now() - lastAttempt < OPENAPI_RETRY_MS) return;
+
+    this.openApiAttempts.set(serviceName, Date.now());
+    this.loadOpenApiSpec(serviceName).catch(() => {});
+  }
+
+  /**
+   * Verificar un token JWT emitido por el servicio de usuarios
+   * Con auth.jwks se verifica la firma RS256/ES256 con la clave pública de su `kid`
+   * @param {string} token - Token sin el prefijo Bearer
+   * @returns {Promise<Object>} Payload del token
+   * @throws {TokenRevokedError} Si el token fue revocado (logout)
+   * @throws {JwksUnavailableError} Si no se pudieron obtener las claves públicas
+   */
+  async verifyToken(token) {
+    const decoded = this.jwksClient
+      ? await this.jwksClient.verify(token)
+      : jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+    if (this.revocationList.isRevoked(decoded.jti)) {
+      throw new TokenRevokedError();
+    }
+    return decoded;
+  }
+
+  /**
+   * Autenticar una petición con X-API-Key (parte del middleware auth)
+   * req.user queda como { id: 'apikey:<id>', rol: 'ApiKey', authType: 'apiKey', scopes, tenantId };
+   * el middleware authorize limita la petición a los alcances de la clave
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Siguiente middleware
+   */
+  async authenticateApiKey(req, res, next) {
+    let key;
+    try {
+      key = await this.apiKeyAuthenticator.authenticate(req.headers[API_KEY_HEADER]);
+    } catch (error) {
+      if (error.name !== 'ApiKeyError') {
+        log.error('No se pudo verificar la API key', { path: req.path, error: error.message });
+        return res.status(503).json({
+          error: 'Autenticación no disponible',
+          message: 'No se pudo verificar la API key',
+          code: 'API_KEY_UNAVAILABLE',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      log.warn('API key rechazada', { path: req.path, code: error.code });
+      return res.status(401).json({
+        error: 'API key inválida',
+        message: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Claves limitadas a tenants: el tenant sale de X-Tenant-ID (o del único permitido)
+    const tenants = key.tenants || [];
+    const tenantId = req.headers['x-tenant-id'] || (tenants.length === 1 ? tenants[0] : undefined);
+    if (tenants.length > 0 && !tenants.includes(tenantId)) {
+      log.warn('API key fuera de su tenant', { path: req.path, apiKeyId: key.id, tenantId });
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: `La API key solo puede usarse con X-Tenant-ID: ${tenants.join(', ')}`,
+        code: 'API_KEY_TENANT',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.user = { id: `apikey:${key.id}`, apiKeyId: key.id, nombre: key.nombre, rol: 'ApiKey', authType: 'apiKey', scopes: key.scopes, tenantId };
+    this.apiKeyAuthenticator.recordUse(key.id);
+    addLogContext({ userId: req.user.id, tenantId });
+    log.debug('API key autenticada', { path: req.path, apiKeyId: key.id });
+    next();
+  }
+
+  /**
+   * Verificar una API key con el servicio que la emitió (auth.apiKeys)
+   * @param {string} apiKey - Clave en claro
+   * @returns {Promise<Object>} Datos de la clave
+   * @throws {ApiKeyError} Si el servicio la rechaza (401)
+   */
+  async verifyApiKey(apiKey) {
+    const { service, verifyPath } = this.apiKeyConfig;
+    try {
+      const response = await this.sendToInstance(service, {
+        method: 'POST',
+        path: verifyPath,
+        data: { apiKey },
+        headers: this.internalHeaders({ method: 'POST', path: verifyPath, data: { apiKey } }),
+        timeout: this.services[service]?.timeout
+      });
+      return response.data.apiKey;
+    } catch (error) {
+      if (error.response?.status === 401) {
+        throw new ApiKeyError(error.response.data?.error || 'API key inválida', error.response.data?.code);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Reportar a usuarios las peticiones atendidas con cada API key
+   * @returns {Promise<number>} Claves reportadas
+   */
+  async flushApiKeyUsage() {
+    const { service, usagePath } = this.apiKeyConfig;
+    return await this.apiKeyAuthenticator.flushUsage(uso => this.sendToInstance(service, {
+      method: 'POST',
+      path: usagePath,
+      data: { uso },
+      headers: this.internalHeaders({ method: 'POST', path: usagePath, data: { uso } }),
+      timeout: this.services[service]?.timeout
+    }));
+  }
+
+  /**
+   * Iniciar el reporte periódico del uso de las API keys
+   */
+  startApiKeyUsageFlush() {
+    if (this.apiKeyUsageTimer || !this.apiKeyConfig?.usageFlushInterval) return;
+
+    this.apiKeyUsageTimer = setInterval(() => this.flushApiKeyUsage().catch(error => {
+      log.warn('No se pudo reportar el uso de las API keys', { service: this.apiKeyConfig.service, error: error.message });
+    }), this.apiKeyConfig.usageFlushInterval);
+    this.apiKeyUsageTimer.unref();
+  }
+
+  /**
+   * Detener el reporte periódico del uso de las API keys
+   */
+  stopApiKeyUsageFlush() {
+    clearInterval(this.apiKeyUsageTimer);
+    this.apiKeyUsageTimer = null;
+  }
+
+  /**
+   * Headers de una petición del gateway a un endpoint interno de un microservicio
+   * Incluyen la identidad firmada del gateway (X-Service-*)
+   * @param {Object} request - Petición ({ method, path, data })
+   * @returns {Object} Headers
+   */
+  internalHeaders({ method, path: servicePath, data }) {
+    return {
+      ...(data !== undefined && { 'Content-Type': 'application/json' }),
+      'X-Gateway-Request': 'true',
+      ...this.serviceAuth.sign({ method, path: servicePath, body: data })
+    };
+  }
+
+  /**
+   * Descargar el JWKS del servicio que emite los tokens (auth.jwks)
+   * Va directo a la URL fijada al arrancar: el registro dinámico no decide qué claves se aceptan
+   * @returns {Promise<Object>} { keys: [...] }
+   */
+  async fetchJwks() {
+    const { service, url } = this.jwksConfig;
+    const response = await axios({
+      method: 'GET',
+      url,
+      headers: { 'X-Gateway-Request': 'true' },
+      timeout: this.services[service]?.timeout ?? 5000
+    });
+    return response.data;
+  }
+
+  /**
+   * Sincronizar la lista de revocación con el servicio de usuarios (auth.revocation)
+   * Cubre los eventos token.revocado que no llegaron (gateway reiniciado o caído)
+   * @returns {Promise<number>} Revocaciones nuevas
+   */
+  async syncRevokedTokens() {
+    const { service, path: revokedPath } = this.revocationConfig;
+    const response = await this.sendToInstance(service, {
+      method: 'GET',
+      path: revokedPath,
+      headers: this.internalHeaders({ method: 'GET', path: revokedPath }),
+      timeout: this.services[service]?.timeout
+    });
+
+    const added = this.revocationList.merge(response.data?.revocados || []);
+    if (added > 0) {
+      log.info('Lista de revocación sincronizada', { service, added });
+    }
+    return added;
+  }
+
+  /**
+   * Iniciar la sincronización periódica de la lista de revocación
+   */
+  startRevocationSync() {
+    if (this.revocationTimer || !this.revocationConfig.syncInterval) return;
+
+    const sync = () => this.syncRevokedTokens().catch(error => {
+      log.warn('No se pudo sincronizar la lista de revocación', { service: this.revocationConfig.service, error: error.message });
     });
+    sync();
+    this.revocationTimer = setInterval(sync, this.revocationConfig.syncInterval);
+    this.revocationTimer.unref();
+  }
+
+  /**
+   * Detener la sincronización periódica de la lista de revocación
+   */
+  stopRevocationSync() {
+    clearInterval(this.revocationTimer);
+    this.revocationTimer = null;
+  }
+
+  /**
+   * Middlewares registrados en orden de ejecución ({ name, middleware, enabled, optIn, before, after })
+   * @returns {Array<Object>}
+   */
+  get middleware() {
+    return this.middlewarePipeline.entries;
   }
 
   /**
    * Agregar middleware personalizado
+   * @param {string} name - Nombre único del middleware
+   * @param {Function} middleware - Función del middleware (puede ser async)
+   * @param {Object} [options] - Orden y alcance ({ before, after, optIn }, ver MiddlewarePipeline#use)
+   * @example
+   * gateway.addMiddleware('tenant', resolverTenant, { after: 'auth', before: 'rateLimit' });
+   */
+  addMiddleware(name, middleware, options = {}) {
+    this.middlewarePipeline.use(name, middleware, options);
+    log.debug('Middleware agregado', { middleware: name, order: this.middleware.map(m => m.name) });
+  }
+
+  /**
+   * Agregar un manejador a la etapa de errores de la cadena de middleware
+   * @param {string} name - Nombre del manejador
+   * @param {Function} handler - (err, req, res, next) => void; next(err) delega al siguiente
+   */
+  addErrorMiddleware(name, handler) {
+    this.middlewarePipeline.useError(name, handler);
+    log.debug('Manejador de errores agregado', { handler: name });
+  }
+
+  /**
+   * Habilitar o deshabilitar un middleware registrado
    * @param {string} name - Nombre del middleware
-   * @param {Function} middleware - Función del middleware
+   * @param {boolean} enabled - Nuevo estado
+   * @returns {Object|null} Middleware afectado, null si no existe
    */
-  addMiddleware(name, middleware) {
-    this.middleware.push({ name, middleware });
-    console.log(`🔧 Middleware agregado: ${name}`);
+  setMiddlewareEnabled(name, enabled) {
+    const entry = this.middlewarePipeline.setEnabled(name, enabled);
+    if (!entry) return null;
+
+    log[enabled ? 'info' : 'warn'](enabled ? 'Middleware habilitado' : 'Middleware deshabilitado', { middleware: name });
+    return entry;
   }
 
   /**
-   * Ejecutar todos los middlewares
+   * Ejecutar los middlewares de la ruta (req.gatewayRoute) y después el handler final
+   * Espera a los middlewares async; los errores lanzados o pasados a next(err) van a la etapa de errores
    * @param {Object} req - Request object
    * @param {Object} res - Response object
-   * @param {Function} next - Next function
+   * @param {Function} next - Handler final
    */
   async executeMiddleware(req, res, next) {
-    let index = 0;
+    await this.middlewarePipeline.run(req, res, next);
+  }
 
-    const runNext = async () => {
-      if (index >= this.middleware.length) {
-        return next();
-      }
+  /**
+   * Resolver la ruta de una petición y despacharla al microservicio
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async handleRequest(req, res) {
+    // API Versioning - resuelve la versión y deja req.url sin el prefijo /v{n}
+    const { error: versionError } = this.apiVersioning.resolve(req);
+    res.set(this.apiVersioning.getHeaders(req));
+    if (versionError) {
+      return res.status(versionError.status).json({ ...versionError.body, timestamp: new Date().toISOString() });
+    }
 
-      const { middleware } = this.middleware[index++];
-      middleware(req, res, runNext);
-    };
+    const aggregation = this.aggregator.match(req.path, req.method);
+    if (aggregation) {
+      // Las agregaciones pasan por los mismos middlewares (auth, autorización, rate limiting)
+      req.gatewayRoute = {
+        prefix: aggregation.path,
+        auth: true,
+        rateLimit: aggregation.rateLimit,
+        middleware: aggregation.middleware,
+        aggregation
+      };
+      return await this.executeMiddleware(req, res, () => {
+        return this.processAggregation(aggregation, req, res);
+      });
+    }
 
-    await runNext();
+    const { route, methodNotAllowed } = this.routes.match(req.path, req.method, req.apiVersion);
+
+    if (!route) {
+      const status = methodNotAllowed ? 405 : 404;
+      return res.status(status).json({
+        error: methodNotAllowed ? 'Método no permitido' : 'Ruta no encontrada',
+        message: `No hay una ruta configurada para ${req.method} ${req.path}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.gatewayRoute = route;
+    await this.executeMiddleware(req, res, () => {
+      return this.processRequest(route.service, req, res);
+    });
   }
 
   /**
@@ -219,22 +1185,69 @@ class GatewayService {
         });
       }
 
-      // Obtener Circuit Breaker para el servicio
-      const circuitBreaker = this.circuitBreakerManager.getBreaker(serviceName);
+      // Headers declarados en la ruta; aplican también a streaming y a respuestas desde caché
+      res.set(this.responseTransformer.getHeaders(req.gatewayRoute));
+
+      // Streaming - descargas y subidas pasan sin buffer, sin caché y sin envoltorio _gateway
+      if (req.gatewayRoute?.stream) {
+        // owner.response necesita leer la respuesta completa: en streaming solo pasan los administradores
+        if (this.denyResponseOwner(req, res, undefined)) return;
+        return await this.processStreamRequest(serviceName, req, res);
+      }
+
+      // Caching Layer - solo lecturas GET de rutas con cache configurado
+      const cacheConfig = req.method === 'GET' ? req.gatewayRoute?.cache : null;
+      const cacheKey = cacheConfig ? this.responseCache.buildKey(req, cacheConfig) : null;
 
-      // Ejecutar petición con Circuit Breaker
-      const response = await circuitBreaker.execute(async () => {
+      if (cacheKey && !/no-cache/i.test(req.headers['cache-control'] || '')) {
+        const cached = this.responseCache.get(cacheKey);
+        if (cached) {
+          if (this.denyResponseOwner(req, res, cached.body)) return;
+          return this.sendCachedResponse(req, res, cached, 'HIT');
+        }
+      }
+
+      // Ejecutar petición con Circuit Breaker dentro del Bulkhead del servicio (con el timeout de la ruta)
+      const timeout = this.getRequestTimeout(serviceName, req.gatewayRoute);
+      const response = await this.executeForService(serviceName, timeout, async () => {
         return await this.makeServiceRequest(serviceName, req);
       });
 
-      // Transformar respuesta
-      const transformedResponse = this.transformResponse(response.data, serviceName);
+      // Transformar respuesta según el pipeline de la ruta
+      const transformedResponse = this.responseTransformer.transform(response.data, {
+        route: req.gatewayRoute,
+        req,
+        serviceName
+      });
+
+      log.debug('Respuesta exitosa', { service: serviceName, status: response.status });
+
+      // Reglas con owner.response: el dueño solo se conoce al leer el recurso
+      if (this.denyResponseOwner(req, res, transformedResponse)) return;
+
+      // Última respuesta correcta para el fallback stale de la ruta
+      this.fallbackHandler.record(req, req.gatewayRoute, { status: response.status, body: transformedResponse });
+
+      if (cacheKey && response.status >= 200 && response.status < 300) {
+        const entry = this.responseCache.set(cacheKey, { status: response.status, body: transformedResponse }, {
+          ttl: cacheConfig.ttl,
+          tags: cacheConfig.invalidateOn
+        });
+        return this.sendCachedResponse(req, res, entry, 'MISS');
+      }
 
-      console.log(`✅ Gateway: Respuesta exitosa de ${serviceName}`);
       res.status(response.status).json(transformedResponse);
 
     } catch (error) {
-      console.error(`❌ Gateway Error: ${serviceName}`, error.message);
+      log[isClientError(error) ? 'warn' : 'error']('Error llamando al servicio', { service: serviceName, err: error });
+
+      // Fallback de la ruta: última respuesta correcta, payload estático o upstream alternativo
+      const fallback = await this.resolveFallback(serviceName, req, error);
+      if (fallback) {
+        if (this.denyResponseOwner(req, res, fallback.body)) return;
+        res.set(fallback.headers);
+        return res.status(fallback.status).json(fallback.body);
+      }
       
       // Manejar errores del Circuit Breaker
       if (error.name === 'CircuitBreakerOpenError') {
@@ -247,6 +1260,26 @@ class GatewayService {
         });
       }
       
+      if (error.name === 'BulkheadFullError') {
+        res.set('Retry-After', '1');
+        return res.status(503).json({
+          error: 'Servicio saturado',
+          service: serviceName,
+          message: 'Se alcanzó el límite de peticiones simultáneas hacia el servicio. Intente más tarde.',
+          code: error.code,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.name === 'NoHealthyInstanceError') {
+        return res.status(503).json({
+          error: 'Servicio temporalmente no disponible',
+          service: serviceName,
+          message: 'Ninguna instancia del servicio está disponible en este momento',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
       if (error.name === 'CircuitBreakerTimeoutError') {
         return res.status(504).json({
           error: 'Timeout del servicio',
@@ -257,7 +1290,16 @@ class GatewayService {
         });
       }
       
-      if (error.response) {
+      if (isClientError(error)) {
+        // Error de cliente del microservicio: se reenvía tal cual para conservar code y detalles
+        const data = error.response.data;
+        res.status(error.response.status).json(data && typeof data === 'object' ? data : {
+          error: 'Error en microservicio',
+          service: serviceName,
+          message: data || error.message,
+          timestamp: new Date().toISOString()
+        });
+      } else if (error.response) {
         // Error del microservicio
         res.status(error.response.status).json({
           error: 'Error en microservicio',
@@ -284,6 +1326,263 @@ class GatewayService {
     }
   }
 
+  /**
+   * Resolver el fallback configurado en la ruta de una petición fallida
+   * Los upstream alternativos reciben el mismo path reescrito y query que la petición original
+   * @param {string} serviceName - Nombre del servicio que falló
+   * @param {Object} req - Request object
+   * @param {Error} error - Error de la petición
+   * @returns {Promise<Object|null>} { status, body, mode, headers } o null si no hay fallback
+   */
+  async resolveFallback(serviceName, req, error) {
+    const route = req.gatewayRoute;
+    if (!route) return null;
+
+    const queryString = req.url.includes('?') ? req.url.substring(req.url.indexOf('?')) : '';
+    const fallback = await this.fallbackHandler.resolve(error, req, route, (fallbackService, { path, timeout }) => {
+      return this.callService(fallbackService, {
+        method: 'GET',
+        path: (path || this.routes.rewritePath(route, req.path)) + queryString,
+        headers: this.buildUpstreamHeaders(req),
+        timeout
+      });
+    });
+
+    if (fallback) {
+      this.fallbackCounter.inc({ service: serviceName, mode: fallback.mode });
+    }
+    return fallback;
+  }
+
+  /**
+   * Verificar si una petición corresponde a una ruta en modo streaming
+   * Se usa antes de parsear el cuerpo para no consumir subidas que se reenvían tal cual
+   * @param {Object} req - Request object
+   * @returns {boolean}
+   */
+  isStreamRoute(req) {
+    this.apiVersioning.resolve(req);
+    return Boolean(this.routes.match(req.path, req.method, req.apiVersion).route?.stream);
+  }
+
+  /**
+   * Reenviar una petición en modo streaming (archivos, CSV, multipart)
+   * El cuerpo y la respuesta se transmiten por pipe conservando headers y content-type del microservicio;
+   * las respuestas 4xx del microservicio también se transmiten tal cual
+   * @param {string} serviceName - Nombre del servicio
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async processStreamRequest(serviceName, req, res) {
+    const route = req.gatewayRoute;
+    const timeout = this.getRequestTimeout(serviceName, route);
+    const queryString = req.url.includes('?') ? req.url.substring(req.url.indexOf('?')) : '';
+    const body = this.getStreamBody(req);
+
+    const send = async ({ remainingMs }) => {
+      try {
+        return await this.sendToInstance(serviceName, {
+          method: req.method,
+          path: this.routes.rewritePath(route, req.path) + queryString,
+          data: body,
+          headers: this.buildStreamHeaders(req, body),
+          timeout: clampTimeout(timeout, remainingMs),
+          responseType: 'stream',
+          decompress: false,
+          maxBodyLength: Infinity,
+          maxContentLength: Infinity,
+          validateStatus: status => status < 500
+        });
+      } catch (error) {
+        // Liberar el socket de las respuestas 5xx descartadas
+        error.response?.data?.destroy?.();
+        throw error;
+      }
+    };
+
+    // Un cuerpo en stream no puede reenviarse en un segundo intento
+    const policy = this.resolveRetryPolicy(serviceName, route);
+    const response = await this.executeForService(serviceName, timeout, async () => {
+      return await this.makeRequestWithRetry(send, body === req ? policy.with({ retries: 0 }) : policy, {
+        serviceName,
+        method: req.method,
+        headers: req.headers,
+        maxTimeMs: timeout
+      });
+    });
+
+    this.pipeUpstreamResponse(serviceName, response, res);
+  }
+
+  /**
+   * Obtener el cuerpo a reenviar en modo streaming
+   * @param {Object} req - Request object
+   * @returns {Object|string|undefined} El propio request como stream, el JSON ya parseado o nada
+   */
+  getStreamBody(req) {
+    const hasBody = req.headers['transfer-encoding'] !== undefined || Number(req.headers['content-length']) > 0;
+    if (!hasBody) return undefined;
+
+    // Si otro middleware ya consumió el cuerpo solo queda volver a serializarlo
+    return req.readableEnded ? JSON.stringify(req.body) : req;
+  }
+
+  /**
+   * Construir los headers de una petición en modo streaming
+   * @param {Object} req - Request object
+   * @param {Object|string|undefined} body - Cuerpo a reenviar (ver getStreamBody)
+   * @returns {Object} Headers
+   */
+  buildStreamHeaders(req, body) {
+    const { 'Content-Type': contentType, ...gatewayHeaders } = this.buildUpstreamHeaders(req);
+    const headers = {};
+
+    STREAM_REQUEST_HEADERS.forEach(name => {
+      if (req.headers[name] !== undefined) headers[name] = req.headers[name];
+    });
+
+    if (typeof body === 'string') {
+      headers['content-type'] = contentType;
+      delete headers['content-length'];
+    }
+    // Sin descompresión, el microservicio solo debe comprimir si el cliente lo acepta
+    headers['accept-encoding'] = headers['accept-encoding'] || 'identity';
+
+    return { ...headers, ...gatewayHeaders };
+  }
+
+  /**
+   * Transmitir la respuesta del microservicio al cliente
+   * Los headers que el gateway ya definió (CORS, rate limit, traceparent) tienen prioridad
+   * @param {string} serviceName - Nombre del servicio
+   * @param {Object} response - Respuesta de axios con responseType 'stream'
+   * @param {Object} res - Response object
+   */
+  pipeUpstreamResponse(serviceName, response, res) {
+    Object.entries(response.headers || {}).forEach(([name, value]) => {
+      const key = name.toLowerCase();
+      if (value !== undefined && value !== null && !HOP_BY_HOP_HEADERS.has(key) && !res.hasHeader(key)) {
+        res.setHeader(key, value);
+      }
+    });
+    res.status(response.status);
+
+    pipeline(response.data, res, (error) => {
+      if (error) {
+        log.warn('Transmisión interrumpida', { service: serviceName, err: error });
+      }
+    });
+  }
+
+  /**
+   * Procesar un endpoint compuesto repartiendo las secciones en paralelo
+   * @param {Object} aggregation - Agregación (ver Aggregator#addAggregation)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async processAggregation(aggregation, req, res) {
+    const headers = this.buildUpstreamHeaders(req);
+
+    const { status, body } = await this.aggregator.aggregate(aggregation, req, (serviceName, request) => {
+      return this.callService(serviceName, { ...request, method: 'GET', headers });
+    });
+
+    if (body.partial) {
+      log.warn('Agregación con secciones fallidas', { aggregation: aggregation.path, failed: body._aggregation.failed });
+    }
+    res.status(status).json(body);
+  }
+
+  /**
+   * Llamar a un microservicio a través de su Circuit Breaker, con balanceo y reintentos
+   * @param {string} serviceName - Nombre del servicio
+   * @param {Object} request - Petición ({ method, path, data, headers, timeout, retries, retry })
+   * @returns {Promise} Respuesta del servicio
+   */
+  async callService(serviceName, request) {
+    const service = this.services[serviceName];
+    if (!service) {
+      throw new Error(`Servicio '${serviceName}' desconocido`);
+    }
+
+    const { retries, retry, ...requestConfig } = request;
+    const policy = this.resolveRetryPolicy(serviceName, { retries, retry });
+    const timeout = requestConfig.timeout ?? service.timeout;
+    return await this.executeForService(serviceName, timeout, async () => {
+      return await this.makeRequestWithRetry(({ remainingMs }) => this.sendToInstance(serviceName, {
+        ...requestConfig,
+        timeout: clampTimeout(timeout, remainingMs)
+      }), policy, {
+        serviceName,
+        method: requestConfig.method || 'GET',
+        headers: requestConfig.headers,
+        maxTimeMs: timeout
+      });
+    });
+  }
+
+  /**
+   * Ejecutar una petición dentro del Bulkhead y del Circuit Breaker del servicio
+   * Como en el breaker de cada instancia, los errores 4xx no cuentan como fallos del servicio
+   * @param {string} serviceName - Nombre del servicio
+   * @param {number} timeout - Timeout total de la petición (ms)
+   * @param {Function} request - async () => respuesta del microservicio
+   * @returns {Promise} Respuesta del microservicio
+   */
+  async executeForService(serviceName, timeout, request) {
+    const breaker = this.circuitBreakerManager.getBreaker(serviceName);
+    const outcome = await this.getBulkhead(serviceName).execute(() => breaker.executeWithin(timeout, async () => {
+      try {
+        return { response: await request() };
+      } catch (error) {
+        if (isClientError(error)) return { clientError: error };
+        throw error;
+      }
+    }));
+
+    if (outcome.clientError) throw outcome.clientError;
+    return outcome.response;
+  }
+
+  /**
+   * Responder desde una entrada de caché con ETag y revalidación condicional
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Object} entry - Entrada de ResponseCache
+   * @param {string} cacheStatus - HIT o MISS
+   */
+  sendCachedResponse(req, res, entry, cacheStatus) {
+    const maxAge = Math.max(0, Math.floor((entry.expiresAt - Date.now()) / 1000));
+
+    res.set({
+      'ETag': entry.etag,
+      'Cache-Control': `private, max-age=${maxAge}`,
+      'X-Cache': cacheStatus,
+      'Age': String(Math.floor((Date.now() - entry.storedAt) / 1000))
+    });
+
+    if (ResponseCache.matchesEtag(req.headers['if-none-match'], entry.etag)) {
+      return res.status(304).end();
+    }
+
+    return res.status(entry.status).json(entry.body);
+  }
+
+  /**
+   * Responder 403 si la regla de autorización exige ser dueño de la respuesta y el usuario no lo es
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Object} body - Respuesta a entregar (del microservicio, de caché o de fallback)
+   * @returns {boolean} true si ya se respondió
+   */
+  denyResponseOwner(req, res, body) {
+    const decision = this.authorizationPolicy.authorizeResponse(req, body);
+    if (decision.allowed) return false;
+
+    this.authorizationPolicy.deny(req, res, decision);
+    return true;
+  }
+
   /**
    * Realizar petición al microservicio
    * @param {string} serviceName - Nombre del servicio
@@ -291,95 +1590,219 @@ class GatewayService {
    * @returns {Promise} Respuesta del servicio
    */
   async makeServiceRequest(serviceName, req) {
-    const service = this.services[serviceName];
+    const route = req.gatewayRoute;
+    const timeout = this.getRequestTimeout(serviceName, route);
     
-    // Construir URL del microservicio
-    const path = req.path.replace(`/api/${serviceName}`, '');
-    const url = `${service.url}${path}`;
+    // Construir URL del microservicio aplicando la reescritura de la ruta
+    const servicePath = route
+      ? this.routes.rewritePath(route, req.path)
+      : req.path.replace(`/api/${serviceName}`, '');
     
     // Agregar query parameters si existen
     const queryString = req.url.includes('?') ? req.url.substring(req.url.indexOf('?')) : '';
-    const fullUrl = url + queryString;
 
-    console.log(`📡 Gateway: ${req.method} ${req.path} -> ${fullUrl}`);
+    const headers = this.buildUpstreamHeaders(req);
+
+    // Realizar petición con retry; cada intento vuelve a elegir instancia y entre todos
+    // no superan el timeout de la ruta (o el del servicio)
+    return await this.makeRequestWithRetry(({ remainingMs }) => this.sendToInstance(serviceName, {
+      method: req.method,
+      path: servicePath + queryString,
+      data: req.body,
+      headers,
+      timeout: clampTimeout(timeout, remainingMs)
+    }), this.resolveRetryPolicy(serviceName, route), {
+      serviceName,
+      method: req.method,
+      headers: req.headers,
+      maxTimeMs: timeout
+    });
+  }
+
+  /**
+   * Timeout total de una petición: el de la ruta si lo declara, si no el del servicio
+   * Lo usan tanto el Circuit Breaker del servicio como el de la instancia elegida
+   * @param {string} serviceName - Nombre del servicio
+   * @param {Object} [route] - Ruta de la petición
+   * @returns {number} Timeout en ms
+   */
+  getRequestTimeout(serviceName, route) {
+    return route?.timeout ?? this.services[serviceName]?.timeout ?? 5000;
+  }
 
-    // Configurar headers
+  /**
+   * Construir los headers que el gateway envía a los microservicios
+   * @param {Object} req - Request object
+   * @returns {Object} Headers
+   */
+  buildUpstreamHeaders(req) {
     const headers = {
       'Content-Type': 'application/json',
       'Authorization': req.headers.authorization,
       'X-Gateway-Request': 'true',
       'X-User-ID': req.user?.id || 'anonymous'
     };
+    // La API key no se reenvía; el microservicio recibe solo su identificador
+    if (req.user?.apiKeyId) {
+      headers['X-API-Key-ID'] = req.user.apiKeyId;
+    }
+    // El microservicio usa la Idempotency-Key para no duplicar efectos en los reintentos
+    if (req.headers['idempotency-key']) {
+      headers['Idempotency-Key'] = req.headers['idempotency-key'];
+    }
+    return headers;
+  }
 
-    // Realizar petición con retry
-    return await this.makeRequestWithRetry({
-      method: req.method,
-      url: fullUrl,
-      data: req.body,
-      headers,
-      timeout: service.timeout
-    }, service.retries);
+  /**
+   * Enviar una petición a una instancia elegida por el balanceador
+   * Los errores 4xx se consideran respuestas válidas para la salud de la instancia
+   * @param {string} serviceName - Nombre del servicio
+   * @param {Object} requestConfig - Configuración ({ method, path, data, headers, timeout })
+   * @returns {Promise} Respuesta de la instancia
+   */
+  async sendToInstance(serviceName, requestConfig) {
+    const { path: servicePath, ...axiosConfig } = requestConfig;
+    const balancer = this.getLoadBalancer(serviceName);
+    const instance = balancer.pick(
+      this.getServiceInstances(serviceName),
+      candidate => this.isInstanceAvailable(serviceName, candidate)
+    );
+    const breaker = this.getInstanceBreaker(serviceName, instance.url);
+    const fullUrl = `${instance.url}${servicePath}`;
+
+    log.debug('Reenviando petición', { service: serviceName, method: requestConfig.method, url: fullUrl });
+
+    balancer.onStart(instance);
+    let success = false;
+    try {
+      // El intento ya viene acotado al timeout de la petición, que puede superar el del servicio
+      const outcome = await breaker.executeWithin(axiosConfig.timeout ?? breaker.timeout, async () => {
+        try {
+          return { response: await this.sendTraced(serviceName, { ...axiosConfig, url: fullUrl }) };
+        } catch (error) {
+          if (isClientError(error)) {
+            return { clientError: error };
+          }
+          throw error;
+        }
+      });
+
+      success = true;
+      if (outcome.clientError) throw outcome.clientError;
+      return outcome.response;
+    } finally {
+      balancer.onEnd(instance, success);
+    }
   }
 
   /**
-   * Realizar petición con reintentos
-   * @param {Object} config - Configuración de la petición
-   * @param {number} retries - Número de reintentos
-   * @returns {Promise} Respuesta de la petición
+   * Realizar la petición HTTP dentro de un span de cliente propagando traceparent
+   * @param {string} serviceName - Nombre del servicio
+   * @param {Object} axiosConfig - Configuración de axios con la URL de la instancia
+   * @returns {Promise} Respuesta de la instancia
    */
-  async makeRequestWithRetry(config, retries = 3) {
-    let lastError;
+  async sendTraced(serviceName, axiosConfig) {
+    return await this.tracer.withSpan(`${axiosConfig.method} ${serviceName}`, async (span) => {
+      span.setAttribute('peer.service', serviceName);
+      span.setAttribute('http.method', axiosConfig.method);
+      span.setAttribute('http.url', axiosConfig.url);
 
-    for (let i = 0; i <= retries; i++) {
       try {
-        return await axios(config);
+        const response = await axios({ ...axiosConfig, headers: this.tracer.injectHeaders(axiosConfig.headers) });
+        span.setAttribute('http.status_code', response.status);
+        return response;
       } catch (error) {
-        lastError = error;
-        
-        if (i < retries && this.isRetryableError(error)) {
-          const delay = Math.pow(2, i) * 1000; // Backoff exponencial
-          console.log(`🔄 Reintentando petición en ${delay}ms (intento ${i + 1}/${retries})`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-        } else {
-          break;
-        }
+        span.setAttribute('http.status_code', error.response?.status);
+        throw error;
       }
-    }
-
-    throw lastError;
+    }, { kind: 'client' });
   }
 
   /**
-   * Verificar si un error es reintentable
-   * @param {Error} error - Error a verificar
-   * @returns {boolean}
+   * Obtener el estado de los balanceadores y sus instancias
+   * @returns {Object} Estado por servicio
    */
-  isRetryableError(error) {
-    if (error.response) {
-      // Errores 5xx son reintentables
-      return error.response.status >= 500;
-    }
-    
-    // Errores de conexión son reintentables
-    return ['ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND'].includes(error.code);
+  getLoadBalancerStats() {
+    const stats = {};
+    Object.keys(this.services).forEach(serviceName => {
+      const balancer = this.getLoadBalancer(serviceName);
+      const balancerStats = balancer.getStats();
+
+      stats[serviceName] = {
+        strategy: balancer.strategy,
+        instances: this.getServiceInstances(serviceName).map(instance => ({
+          url: instance.url,
+          weight: instance.weight,
+          available: this.isInstanceAvailable(serviceName, instance),
+          ...(balancerStats.instances[instance.url] || { outstanding: 0, total: 0, failures: 0 })
+        }))
+      };
+    });
+    return stats;
   }
 
   /**
-   * Transformar respuesta del microservicio
-   * @param {Object} data - Datos de la respuesta
+   * Política de reintentos efectiva, de menor a mayor prioridad:
+   * retry.default, servicio (retries y luego retry) y ruta (retries y luego retry)
    * @param {string} serviceName - Nombre del servicio
-   * @returns {Object} Respuesta transformada
+   * @param {Object} [route] - Ruta o sección ({ retry, retries })
+   * @returns {RetryPolicy}
    */
-  transformResponse(data, serviceName) {
-    // Agregar metadatos del gateway
-    return {
-      ...data,
-      _gateway: {
-        service: serviceName,
-        timestamp: new Date().toISOString(),
-        version: '1.0.0'
+  resolveRetryPolicy(serviceName, route) {
+    const service = this.services[serviceName] || {};
+    return RetryPolicy.merge(
+      this.retryConfig.default,
+      service.retries !== undefined && { retries: service.retries },
+      service.retry,
+      route?.retries !== undefined && route?.retries !== null && { retries: route.retries },
+      route?.retry
+    );
+  }
+
+  /**
+   * Realizar petición con reintentos
+   * Solo se reintentan peticiones idempotentes (o con Idempotency-Key) y errores reintentables,
+   * sin superar el tiempo máximo ni el presupuesto global de reintentos
+   * @param {Function} request - ({ attempt, remainingMs }) => Promise con la respuesta
+   * @param {RetryPolicy|number} [policy] - Política (o número de reintentos con la política por defecto)
+   * @param {Object} [context] - { serviceName, method, headers, maxTimeMs }
+   * @returns {Promise} Respuesta de la petición
+   */
+  async makeRequestWithRetry(request, policy = this.resolveRetryPolicy(), context = {}) {
+    if (typeof policy === 'number') {
+      policy = this.resolveRetryPolicy(null, { retries: policy });
+    }
+    const { serviceName = 'desconocido', method, headers, maxTimeMs } = context;
+    const deadline = Date.now() + Math.min(maxTimeMs ?? Infinity, policy.maxRetryTimeMs ?? Infinity);
+    const retryable = policy.isRetryableRequest({ method, headers });
+
+    this.retryBudget.recordRequest();
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request({ attempt, remainingMs: deadline - Date.now() });
+      } catch (error) {
+        if (!retryable || attempt >= policy.retries || !policy.isRetryableError(error)) {
+          throw error;
+        }
+
+        const delay = policy.getDelay(attempt, error);
+        if (Date.now() + delay >= deadline) {
+          this.retryCounter.inc({ service: serviceName, result: 'deadline_exceeded' });
+          log.info('Reintento descartado: se agotaría el tiempo máximo', { service: serviceName, delay, attempt: attempt + 1 });
+          throw error;
+        }
+        if (!this.retryBudget.tryAcquire()) {
+          this.retryCounter.inc({ service: serviceName, result: 'budget_exhausted' });
+          log.warn('Reintento descartado: presupuesto de reintentos agotado', { service: serviceName, attempt: attempt + 1 });
+          throw error;
+        }
+
+        this.retryCounter.inc({ service: serviceName, result: 'attempted' });
+        log.info('Reintentando petición', { service: serviceName, delay, attempt: attempt + 1, retries: policy.retries });
+        await new Promise(resolve => setTimeout(resolve, delay));
       }
-    };
+    }
   }
 
   /**
@@ -431,10 +1854,24 @@ class GatewayService {
   getInfo() {
     return {
       pattern: 'API Gateway',
-      version: '1.0.0',
+      version: GATEWAY_VERSION,
+      apiVersions: this.apiVersioning.getInfo(),
       services: Object.keys(this.services),
+      routes: this.routes.getRoutes().map(r => `${r.methods.join(',')} ${r.prefix}${r.version ? ` (v${r.version})` : ''} -> ${r.service}`),
+      aggregations: this.aggregator.getAggregations().map(a => `GET ${a.path} -> ${Object.values(a.sections).map(s => s.service).join(', ')}`),
       middleware: this.middleware.map(m => m.name),
       circuitBreakers: this.circuitBreakerManager.getInfo(),
+      bulkheads: this.bulkheadManager.getInfo(),
+      registry: this.serviceRegistry.getInfo(),
+      loadBalancers: this.getLoadBalancerStats(),
+      cache: this.responseCache.getStats(),
+      openapi: this.openApiValidator.getInfo(),
+      jwks: this.jwksClient ? this.jwksClient.getInfo() : null,
+      apiKeys: this.apiKeyAuthenticator ? this.apiKeyAuthenticator.getInfo() : null,
+      serviceAuth: this.serviceAuth.getInfo(),
+      revocation: this.revocationList.getInfo(),
+      retryBudget: this.retryBudget.getStats(),
+      tracing: this.tracer.getInfo(),
       uptime: process.uptime(),
       stats: this.getStats()
     };
@@ -452,13 +1889,39 @@ class GatewayService {
   }
 
   /**
-   * Resetear Circuit Breaker específico
+   * Obtener el Bulkhead de un microservicio (se crea con service.bulkhead sobre bulkhead.default)
    * @param {string} serviceName - Nombre del servicio
+   * @returns {Bulkhead} Bulkhead
+   */
+  getBulkhead(serviceName) {
+    return this.bulkheadManager.getBulkhead(serviceName, this.services[serviceName]?.bulkhead);
+  }
+
+  /**
+   * Estado de resiliencia: Circuit Breakers, ocupación de los Bulkheads, presupuesto de reintentos y fallbacks
+   * @returns {Object} Estado
+   */
+  getResilienceStatus() {
+    return {
+      circuitBreakers: this.getCircuitBreakerStates(),
+      bulkheads: this.bulkheadManager.getAllStates(),
+      retryBudget: this.retryBudget.getStats(),
+      fallbacks: this.fallbackHandler.getStats()
+    };
+  }
+
+  /**
+   * Resetear Circuit Breaker específico (sin crear uno para nombres desconocidos)
+   * @param {string} serviceName - Nombre del servicio (o servicio@url de una instancia)
+   * @returns {boolean} false si el breaker no existe
    */
   resetCircuitBreaker(serviceName) {
-    const breaker = this.circuitBreakerManager.getBreaker(serviceName);
+    const breaker = this.circuitBreakerManager.getAllBreakers().get(serviceName);
+    if (!breaker) return false;
+
     breaker.reset();
-    console.log(`🔄 Circuit Breaker '${serviceName}' reseteado`);
+    log.info('Circuit Breaker reseteado', { service: serviceName });
+    return true;
   }
 
   /**
@@ -466,8 +1929,18 @@ class GatewayService {
    */
   resetAllCircuitBreakers() {
     this.circuitBreakerManager.resetAll();
-    console.log('🔄 Todos los Circuit Breakers reseteados');
+    log.info('Todos los Circuit Breakers reseteados');
   }
 }
 
+// Respuesta 4xx del microservicio: es válida para la salud del servicio y de la instancia
+function isClientError(error) {
+  return Boolean(error.response) && error.response.status < 500;
+}
+
+// Timeout de un intento sin superar el tiempo restante de la petición
+function clampTimeout(timeout, remainingMs) {
+  return Math.max(1, Math.min(timeout, remainingMs ?? Infinity));
+}
+
 module.exports = GatewayService;
@@ -0,0 +1,203 @@
+/**
+ * JWT Verification - JwksClient
+ *
+ * Verifica los JWT firmados por el servicio de usuarios (RS256/ES256) con las claves
+ * públicas de su JWKS (/.well-known/jwks.json). Las claves se guardan en caché por `kid`
+ * y un `kid` desconocido fuerza una recarga (rotación), limitada por minRefreshInterval
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { logger } = require('../shared/Logger');
+
+const log = logger.child({ module: 'JwksClient' });
+
+const DEFAULT_OPTIONS = {
+  cacheTtl: 600000, // 10 minutos
+  minRefreshInterval: 30000, // 30 segundos entre recargas por kid desconocido
+  algorithms: ['RS256', 'ES256']
+};
+
+/**
+ * Error cuando no se pudo obtener el JWKS y no hay claves en caché
+ */
+class JwksUnavailableError extends Error {
+  constructor(message) {
+    super(`JWKS no disponible: ${message}`);
+    this.name = 'JwksUnavailableError';
+    this.code = 'JWKS_UNAVAILABLE';
+  }
+}
+
+/**
+ * @class JwksClient
+ * @description Caché de claves públicas y verificación de tokens por `kid`
+ * @example
+ * const client = new JwksClient({ fetchJwks: async () => (await axios.get(url)).data });
+ * const payload = await client.verify(token);
+ */
+class JwksClient {
+  /**
+   * @param {Object} options - Opciones
+   * @param {Function} options.fetchJwks - async () => { keys: [...] }
+   * @param {number} [options.cacheTtl=600000] - Vigencia del JWKS en caché (ms)
+   * @param {number} [options.minRefreshInterval=30000] - Mínimo entre recargas forzadas por kid desconocido (ms)
+   * @param {Array<string>} [options.algorithms] - Algoritmos aceptados
+   */
+  constructor(options = {}) {
+    JwksClient.validate(options);
+    this.fetchJwks = options.fetchJwks;
+    this.cacheTtl = options.cacheTtl ?? DEFAULT_OPTIONS.cacheTtl;
+    this.minRefreshInterval = options.minRefreshInterval ?? DEFAULT_OPTIONS.minRefreshInterval;
+    this.algorithms = options.algorithms || DEFAULT_OPTIONS.algorithms;
+
+    this.keys = new Map(); // kid -> { algorithm, publicKey }
+    this.fetchedAt = 0;
+    this.lastAttempt = 0;
+    this.pending = null;
+    this.stats = { refreshes: 0, failures: 0, unknownKid: 0 };
+  }
+
+  /**
+   * Validar opciones (sección auth.jwks de gateway.config.json)
+   * @param {Object} options - Opciones
+   * @param {string} [context] - Dónde están declaradas (para el mensaje de error)
+   */
+  static validate(options, context = 'auth.jwks') {
+    ['cacheTtl', 'minRefreshInterval'].forEach(field => {
+      const value = options[field];
+      if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+        throw new Error(`${context}.${field} inválido: debe ser un número >= 0`);
+      }
+    });
+    if (options.algorithms !== undefined) {
+      const invalid = (Array.isArray(options.algorithms) ? options.algorithms : [options.algorithms])
+        .filter(algorithm => !DEFAULT_OPTIONS.algorithms.includes(algorithm));
+      if (!Array.isArray(options.algorithms) || options.algorithms.length === 0 || invalid.length) {
+        throw new Error(`${context}.algorithms inválido: use ${DEFAULT_OPTIONS.algorithms.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Verificar un token con la clave de su `kid`
+   * @param {string} token - JWT
+   * @returns {Promise<Object>} Payload
+   */
+  async verify(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const { kid, alg } = decoded.header;
+    if (!this.algorithms.includes(alg)) {
+      throw new jwt.JsonWebTokenError(`Algoritmo no permitido: ${alg}`);
+    }
+
+    const key = await this.getKey(kid);
+    if (!key) {
+      throw new jwt.JsonWebTokenError(`Clave de firma desconocida: ${kid}`);
+    }
+    return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+  }
+
+  /**
+   * Clave pública de un `kid` (recarga el JWKS si venció o si el kid es nuevo)
+   * @param {string} kid - Identificador de la clave
+   * @returns {Promise<Object|null>} { algorithm, publicKey } o null si no existe
+   */
+  async getKey(kid) {
+    if (!kid) return null;
+
+    // Si el servicio no responde, los reintentos también respetan minRefreshInterval
+    const canRefresh = Boolean(this.pending) || Date.now() - this.lastAttempt >= this.minRefreshInterval;
+    if (this.isStale() && canRefresh) {
+      await this.refresh().catch(error => {
+        // Con claves en caché se sigue verificando hasta que el JWKS vuelva
+        if (this.keys.size === 0) throw error;
+      });
+    } else if (!this.keys.has(kid) && canRefresh) {
+      this.stats.unknownKid++;
+      await this.refresh().catch(() => {});
+    }
+
+    if (this.keys.size === 0) {
+      throw new JwksUnavailableError('sin claves en caché');
+    }
+    return this.keys.get(kid) || null;
+  }
+
+  /**
+   * El JWKS en caché venció
+   * @returns {boolean}
+   */
+  isStale() {
+    return Date.now() - this.fetchedAt >= this.cacheTtl;
+  }
+
+  /**
+   * Descargar el JWKS (las recargas simultáneas comparten la misma petición)
+   * @returns {Promise<number>} Claves cargadas
+   */
+  refresh() {
+    if (!this.pending) {
+      this.lastAttempt = Date.now();
+      this.pending = this.load().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async load() {
+    let jwks;
+    try {
+      jwks = await this.fetchJwks();
+    } catch (error) {
+      this.stats.failures++;
+      log.warn('No se pudo obtener el JWKS', { error: error.message, cachedKeys: this.keys.size });
+      throw new JwksUnavailableError(error.message);
+    }
+
+    const keys = new Map();
+    (jwks?.keys || []).forEach(jwk => {
+      if (!jwk.kid || (jwk.use && jwk.use !== 'sig') || !this.algorithms.includes(jwk.alg)) return;
+      try {
+        keys.set(jwk.kid, { algorithm: jwk.alg, publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' }) });
+      } catch (error) {
+        log.warn('Clave del JWKS inválida', { kid: jwk.kid, error: error.message });
+      }
+    });
+
+    if (keys.size === 0) {
+      this.stats.failures++;
+      throw new JwksUnavailableError('el JWKS no contiene claves de firma válidas');
+    }
+
+    this.keys = keys;
+    this.fetchedAt = Date.now();
+    this.stats.refreshes++;
+    log.info('JWKS cargado', { kids: Array.from(keys.keys()) });
+    return keys.size;
+  }
+
+  /**
+   * Obtener información del cliente
+   * @returns {Object} Información
+   */
+  getInfo() {
+    return {
+      kids: Array.from(this.keys.keys()),
+      fetchedAt: this.fetchedAt ? new Date(this.fetchedAt).toISOString() : null,
+      cacheTtl: this.cacheTtl,
+      algorithms: this.algorithms,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+module.exports = {
+  JwksClient,
+  JwksUnavailableError
+};
@@ -0,0 +1,181 @@
+/**
+ * Load Balancing - LoadBalancer
+ *
+ * Distribuye las peticiones de un microservicio entre sus instancias
+ * Estrategias: round-robin, least-outstanding y weighted
+ */
+
+/**
+ * Error cuando ninguna instancia del servicio está en rotación
+ */
+class NoHealthyInstanceError extends Error {
+  constructor(serviceName) {
+    super(`No hay instancias disponibles para '${serviceName}'`);
+    this.name = 'NoHealthyInstanceError';
+    this.code = 'NO_HEALTHY_INSTANCE';
+    this.service = serviceName;
+  }
+}
+
+/**
+ * Estrategias de selección
+ * Cada estrategia recibe las instancias disponibles y el balanceador
+ */
+const strategies = {
+  /**
+   * Turno rotativo
+   */
+  'round-robin': (instances, balancer) => {
+    const instance = instances[balancer.cursor % instances.length];
+    balancer.cursor = (balancer.cursor + 1) % Number.MAX_SAFE_INTEGER;
+    return instance;
+  },
+
+  /**
+   * Instancia con menos peticiones en curso (empates por turno rotativo)
+   */
+  'least-outstanding': (instances, balancer) => {
+    const min = Math.min(...instances.map(i => balancer.getState(i.url).outstanding));
+    const candidates = instances.filter(i => balancer.getState(i.url).outstanding === min);
+    return strategies['round-robin'](candidates, balancer);
+  },
+
+  /**
+   * Turno rotativo ponderado suave (mismo algoritmo que nginx)
+   */
+  weighted: (instances, balancer) => {
+    let total = 0;
+    let selected = null;
+
+    instances.forEach(instance => {
+      const state = balancer.getState(instance.url);
+      const weight = instance.weight > 0 ? instance.weight : 1;
+      state.currentWeight += weight;
+      total += weight;
+
+      if (!selected || state.currentWeight > balancer.getState(selected.url).currentWeight) {
+        selected = instance;
+      }
+    });
+
+    balancer.getState(selected.url).currentWeight -= total;
+    return selected;
+  }
+};
+
+/**
+ * @class LoadBalancer
+ * @description Balanceador de un microservicio con seguimiento de peticiones por instancia
+ * @example
+ * const balancer = new LoadBalancer('pagos', { strategy: 'least-outstanding' });
+ * const instance = balancer.pick(instances, i => isHealthy(i));
+ * balancer.onStart(instance);
+ * // ... petición ...
+ * balancer.onEnd(instance, true);
+ */
+class LoadBalancer {
+  /**
+   * @param {string} serviceName - Nombre del servicio
+   * @param {Object} options - Opciones
+   * @param {string} [options.strategy='round-robin'] - Estrategia de selección
+   */
+  constructor(serviceName, options = {}) {
+    const strategy = options.strategy || 'round-robin';
+    if (!strategies[strategy]) {
+      throw new Error(`Estrategia de balanceo desconocida: '${strategy}'`);
+    }
+
+    this.serviceName = serviceName;
+    this.strategy = strategy;
+    this.cursor = 0;
+    this.state = new Map(); // url -> { outstanding, total, failures, currentWeight }
+  }
+
+  /**
+   * Obtener (o crear) el estado de una instancia
+   * @param {string} url - URL de la instancia
+   * @returns {Object} Estado
+   */
+  getState(url) {
+    if (!this.state.has(url)) {
+      this.state.set(url, { outstanding: 0, total: 0, failures: 0, currentWeight: 0 });
+    }
+    return this.state.get(url);
+  }
+
+  /**
+   * Elegir una instancia
+   * @param {Array<Object>} instances - Instancias del servicio ({ url, weight })
+   * @param {Function} [isAvailable] - Filtro de salud pasiva
+   * @returns {Object} Instancia elegida
+   * @throws {NoHealthyInstanceError} Si ninguna instancia está en rotación
+   */
+  pick(instances, isAvailable = () => true) {
+    const available = instances.filter(isAvailable);
+    if (available.length === 0) {
+      throw new NoHealthyInstanceError(this.serviceName);
+    }
+    return strategies[this.strategy](available, this);
+  }
+
+  /**
+   * Marcar el inicio de una petición hacia una instancia
+   * @param {Object} instance - Instancia
+   */
+  onStart(instance) {
+    const state = this.getState(instance.url);
+    state.outstanding++;
+    state.total++;
+  }
+
+  /**
+   * Marcar el fin de una petición hacia una instancia
+   * @param {Object} instance - Instancia
+   * @param {boolean} success - Si la instancia respondió correctamente
+   */
+  onEnd(instance, success) {
+    const state = this.getState(instance.url);
+    state.outstanding = Math.max(0, state.outstanding - 1);
+    if (!success) {
+      state.failures++;
+    }
+  }
+
+  /**
+   * Olvidar instancias que ya no existen
+   * @param {Array<Object>} instances - Instancias vigentes
+   */
+  prune(instances) {
+    const urls = new Set(instances.map(i => i.url));
+    Array.from(this.state.keys()).forEach(url => {
+      if (!urls.has(url)) this.state.delete(url);
+    });
+  }
+
+  /**
+   * Obtener estadísticas por instancia
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    const instances = {};
+    this.state.forEach((state, url) => {
+      instances[url] = {
+        outstanding: state.outstanding,
+        total: state.total,
+        failures: state.failures
+      };
+    });
+
+    return {
+      service: this.serviceName,
+      strategy: this.strategy,
+      instances
+    };
+  }
+}
+
+module.exports = {
+  LoadBalancer,
+  NoHealthyInstanceError,
+  strategies
+};
@@ -0,0 +1,326 @@
+/**
+ * Middleware Pipeline - MiddlewarePipeline
+ *
+ * Cadena de middlewares del gateway: middlewares con nombre y orden explícito
+ * (before/after), habilitación por ruta, soporte async y una etapa de errores que
+ * convierte excepciones y next(err) en respuestas de error uniformes
+ */
+
+const { logger } = require('../shared/Logger');
+
+const log = logger.child({ module: 'MiddlewarePipeline' });
+
+const ROUTE_KEYS = ['enable', 'disable'];
+
+/**
+ * Error con código HTTP para cortar la cadena desde un middleware
+ * @example
+ * next(new GatewayError('Tenant suspendido', { status: 403, code: 'TENANT_SUSPENDED' }));
+ */
+class GatewayError extends Error {
+  /**
+   * @param {string} message - Mensaje para el cliente
+   * @param {Object} [options] - Opciones
+   * @param {number} [options.status=500] - Código HTTP
+   * @param {string} [options.code='GATEWAY_ERROR'] - Código de error
+   * @param {string} [options.error] - Título del error (campo `error` de la respuesta)
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'GatewayError';
+    this.status = options.status || 500;
+    this.code = options.code || 'GATEWAY_ERROR';
+    this.error = options.error;
+    this.expose = this.status < 500;
+  }
+}
+
+/**
+ * @class MiddlewarePipeline
+ * @description Registro ordenado y ejecución de los middlewares de GatewayService
+ * @example
+ * const pipeline = new MiddlewarePipeline();
+ * pipeline.use('auth', authMiddleware);
+ * pipeline.use('tenant', tenantMiddleware, { after: 'auth', before: 'rateLimit' });
+ * pipeline.use('auditoria', auditMiddleware, { optIn: true }); // solo rutas con middleware.enable
+ * pipeline.useError('jwt', (err, req, res, next) => next(err));
+ * await pipeline.run(req, res, () => proxy(req, res));
+ */
+class MiddlewarePipeline {
+  constructor() {
+    this.registered = []; // orden de registro
+    this.entries = []; // orden de ejecución
+    this.errorHandlers = [];
+  }
+
+  /**
+   * Validar la sección `middleware` de una ruta ({ enable: [...], disable: [...] })
+   * @param {Object} [config] - Configuración de la ruta
+   * @param {string} [prefix] - Prefijo de la ruta (para el mensaje de error)
+   */
+  static validateRouteConfig(config, prefix = '') {
+    if (config === undefined || config === null) return;
+
+    const invalid = typeof config !== 'object' || Array.isArray(config) ||
+      Object.keys(config).some(key => !ROUTE_KEYS.includes(key)) ||
+      ROUTE_KEYS.some(key => config[key] !== undefined &&
+        !(Array.isArray(config[key]) && config[key].every(name => typeof name === 'string')));
+    if (invalid) {
+      throw new Error(`Configuración de middleware inválida en '${prefix}': use { enable: [nombres], disable: [nombres] }`);
+    }
+  }
+
+  /**
+   * Registrar un middleware con nombre
+   * @param {string} name - Nombre único
+   * @param {Function} middleware - (req, res, next) => void | Promise
+   * @param {Object} [options] - Opciones
+   * @param {string|Array<string>} [options.before] - Ejecutar antes de estos middlewares
+   * @param {string|Array<string>} [options.after] - Ejecutar después de estos middlewares
+   * @param {boolean} [options.optIn=false] - Solo se ejecuta en rutas que lo habilitan (middleware.enable)
+   * @returns {Object} Entrada registrada
+   */
+  use(name, middleware, options = {}) {
+    if (!name || typeof middleware !== 'function') {
+      throw new Error('Un middleware requiere nombre y función');
+    }
+    if (this.registered.some(entry => entry.name === name)) {
+      throw new Error(`Ya existe un middleware llamado '${name}'`);
+    }
+
+    const entry = {
+      name,
+      middleware,
+      enabled: true,
+      optIn: Boolean(options.optIn),
+      before: toArray(options.before),
+      after: toArray(options.after)
+    };
+
+    this.registered.push(entry);
+    try {
+      this.entries = this.sort();
+    } catch (error) {
+      this.registered.pop();
+      throw error;
+    }
+    return entry;
+  }
+
+  /**
+   * Registrar un manejador de la etapa de errores
+   * Se ejecutan en orden de registro; next(err) pasa al siguiente y, al final,
+   * el gateway responde con el formato de error estándar
+   * @param {string} name - Nombre del manejador
+   * @param {Function} handler - (err, req, res, next) => void | Promise
+   */
+  useError(name, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`El manejador de errores '${name}' debe ser una función`);
+    }
+    this.errorHandlers.push({ name, handler });
+  }
+
+  /**
+   * Quitar un middleware registrado
+   * @param {string} name - Nombre del middleware
+   * @returns {boolean} true si existía
+   */
+  remove(name) {
+    const before = this.registered.length;
+    this.registered = this.registered.filter(entry => entry.name !== name);
+    this.entries = this.sort();
+    return this.registered.length !== before;
+  }
+
+  /**
+   * Habilitar o deshabilitar un middleware para todas las rutas
+   * @param {string} name - Nombre del middleware
+   * @param {boolean} enabled - Nuevo estado
+   * @returns {Object|null} Entrada afectada, null si no existe
+   */
+  setEnabled(name, enabled) {
+    const entry = this.registered.find(m => m.name === name);
+    if (!entry) return null;
+    entry.enabled = enabled;
+    return entry;
+  }
+
+  /**
+   * Ordenar respetando before/after; cada middleware queda lo más cerca posible de su
+   * orden de registro (solo se adelantan los que deben ir antes que él)
+   * Las referencias a middlewares no registrados se ignoran
+   * @returns {Array<Object>} Entradas en orden de ejecución
+   */
+  sort() {
+    const predecessors = new Map(this.registered.map(entry => [entry.name, new Set()]));
+    this.registered.forEach(entry => {
+      entry.after.filter(name => predecessors.has(name)).forEach(name => predecessors.get(entry.name).add(name));
+      entry.before.filter(name => predecessors.has(name)).forEach(name => predecessors.get(name).add(entry.name));
+    });
+
+    const ordered = [];
+    const placed = new Set();
+    const visiting = [];
+
+    const place = (entry) => {
+      if (placed.has(entry.name)) return;
+      if (visiting.includes(entry.name)) {
+        throw new Error(`Orden de middleware circular entre: ${[...visiting.slice(visiting.indexOf(entry.name)), entry.name].join(' -> ')}`);
+      }
+
+      visiting.push(entry.name);
+      this.registered
+        .filter(candidate => predecessors.get(entry.name).has(candidate.name))
+        .forEach(place);
+      visiting.pop();
+
+      placed.add(entry.name);
+      ordered.push(entry);
+    };
+
+    this.registered.forEach(place);
+    return ordered;
+  }
+
+  /**
+   * Middlewares que se ejecutan para una ruta
+   * @param {Object} [route] - Ruta (route.middleware = { enable, disable })
+   * @returns {Array<Object>} Entradas
+   */
+  resolve(route) {
+    const { enable = [], disable = [] } = route?.middleware || {};
+    return this.entries.filter(entry =>
+      entry.enabled &&
+      !disable.includes(entry.name) &&
+      (!entry.optIn || enable.includes(entry.name))
+    );
+  }
+
+  /**
+   * Ejecutar la cadena de una petición y después el handler final
+   * La promesa se resuelve cuando termina toda la cadena (incluido el handler final)
+   * @param {Object} req - Request object (req.gatewayRoute)
+   * @param {Object} res - Response object
+   * @param {Function} final - Handler final (ej. proxy al microservicio)
+   */
+  async run(req, res, final) {
+    const chain = this.resolve(req.gatewayRoute);
+    let failed = false;
+
+    const fail = async (error, source) => {
+      if (failed) return;
+      failed = true;
+      await this.handleError(error, req, res, source);
+    };
+
+    const dispatch = async (index) => {
+      if (index === chain.length) {
+        try {
+          await final();
+        } catch (error) {
+          await fail(error, 'handler');
+        }
+        return;
+      }
+
+      const { name, middleware } = chain[index];
+      let called = false;
+      let downstream = Promise.resolve();
+      const next = (error) => {
+        if (called) {
+          log.warn('next() llamado más de una vez', { middleware: name });
+          return downstream;
+        }
+        called = true;
+        downstream = error ? fail(error, name) : dispatch(index + 1);
+        return downstream;
+      };
+
+      try {
+        await middleware(req, res, next);
+      } catch (error) {
+        await fail(error, name);
+      }
+      await downstream;
+    };
+
+    await dispatch(0);
+  }
+
+  /**
+   * Etapa de errores: manejadores registrados y, al final, la respuesta estándar
+   * @param {Error} error - Error lanzado o pasado a next(err)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {string} source - Middleware (o 'handler') donde se originó
+   */
+  async handleError(error, req, res, source) {
+    let current = error;
+
+    for (const { name, handler } of this.errorHandlers) {
+      if (res.headersSent) return;
+
+      let passed = false;
+      try {
+        await handler(current, req, res, (nextError) => {
+          passed = true;
+          if (nextError) current = nextError;
+        });
+      } catch (thrown) {
+        passed = true;
+        current = thrown;
+      }
+      if (!passed) {
+        log.debug('Error atendido por un manejador', { handler: name, middleware: source });
+        return;
+      }
+    }
+
+    const { status, body } = this.buildErrorResponse(current);
+    log[status >= 500 ? 'error' : 'warn']('Error en la cadena de middleware', {
+      middleware: source,
+      status,
+      path: req.path,
+      err: current
+    });
+
+    if (res.headersSent) {
+      // La respuesta ya empezó: no se puede reemplazar por un error
+      return;
+    }
+    res.status(status).json(body);
+  }
+
+  /**
+   * Respuesta estándar de error del gateway
+   * Los errores 5xx no exponen el mensaje interno salvo que el error lo permita (expose)
+   * @param {Error} error - Error
+   * @returns {{status: number, body: Object}} Código y cuerpo
+   */
+  buildErrorResponse(error) {
+    const declared = error?.status || error?.statusCode;
+    const status = Number.isInteger(declared) && declared >= 400 && declared < 600 ? declared : 500;
+    const expose = error?.expose ?? status < 500;
+
+    return {
+      status,
+      body: {
+        error: error?.error || (status >= 500 ? 'Error interno del gateway' : 'Petición rechazada'),
+        code: expose && typeof error?.code === 'string' ? error.code : (status >= 500 ? 'GATEWAY_ERROR' : 'REQUEST_REJECTED'),
+        message: expose && error?.message ? error.message : 'Error inesperado en el procesamiento de la petición',
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  MiddlewarePipeline,
+  GatewayError
+};
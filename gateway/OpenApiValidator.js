@@ -0,0 +1,395 @@
+/**
+ * Request Validation - OpenApiValidator
+ *
+ * Valida en el borde las peticiones contra el contrato OpenAPI 3 de cada microservicio:
+ * parámetros de path, query y headers y cuerpos JSON, con errores por campo.
+ * Implementa el subconjunto de JSON Schema que usan los contratos de los servicios
+ */
+
+const FORMATS = {
+  'date-time': value => !Number.isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+/**
+ * @class OpenApiValidator
+ * @description Contratos OpenAPI por microservicio y validación de peticiones
+ * @example
+ * const validator = new OpenApiValidator();
+ * validator.addSpec('pagos', spec);
+ * const result = validator.validateRequest('pagos', { method: 'POST', path: '/crear', query: {}, body });
+ * // result: null (operación no documentada) o { valid, errors: [{ location, field, message }] }
+ */
+class OpenApiValidator {
+  constructor() {
+    this.specs = new Map(); // service -> { spec, operations, loadedAt }
+  }
+
+  /**
+   * Registrar (o reemplazar) el contrato de un microservicio
+   * @param {string} service - Nombre del servicio
+   * @param {Object} spec - Documento OpenAPI 3
+   * @returns {number} Operaciones registradas
+   */
+  addSpec(service, spec) {
+    if (!spec || typeof spec !== 'object' || !String(spec.openapi || '').startsWith('3.')) {
+      throw new Error(`Contrato OpenAPI inválido para '${service}': se requiere OpenAPI 3`);
+    }
+
+    const operations = [];
+    Object.entries(spec.paths || {}).forEach(([template, pathItem]) => {
+      const matcher = compileTemplate(template);
+      METHODS.filter(method => pathItem[method]).forEach(method => {
+        operations.push({
+          method: method.toUpperCase(),
+          template,
+          ...matcher,
+          operation: pathItem[method],
+          parameters: this.mergeParameters(spec, pathItem.parameters, pathItem[method].parameters)
+        });
+      });
+    });
+
+    // Los paths con más segmentos literales ganan (/usuario/{id} antes que /{id})
+    operations.sort((a, b) => b.literals - a.literals || a.params.length - b.params.length);
+    this.specs.set(service, { spec, operations, loadedAt: new Date().toISOString() });
+    return operations.length;
+  }
+
+  /**
+   * Quitar el contrato de un microservicio
+   * @param {string} service - Nombre del servicio
+   * @returns {boolean} true si existía
+   */
+  removeSpec(service) {
+    return this.specs.delete(service);
+  }
+
+  /**
+   * Verificar si hay contrato cargado para un microservicio
+   * @param {string} service - Nombre del servicio
+   * @returns {boolean}
+   */
+  hasSpec(service) {
+    return this.specs.has(service);
+  }
+
+  /**
+   * Parámetros de una operación: los del path se sobrescriben por los de la operación (mismo name + in)
+   * @param {Object} spec - Documento OpenAPI
+   * @param {Array} [pathParameters] - Parámetros del path
+   * @param {Array} [operationParameters] - Parámetros de la operación
+   * @returns {Array<Object>} Parámetros resueltos
+   */
+  mergeParameters(spec, pathParameters = [], operationParameters = []) {
+    const merged = new Map();
+    [...pathParameters, ...operationParameters]
+      .map(parameter => this.resolveRef(spec, parameter))
+      .forEach(parameter => merged.set(`${parameter.in}:${parameter.name}`, parameter));
+    return Array.from(merged.values());
+  }
+
+  /**
+   * Buscar la operación documentada de una petición
+   * @param {string} service - Nombre del servicio
+   * @param {string} method - Método HTTP
+   * @param {string} path - Path en el microservicio (ya reescrito por la ruta)
+   * @returns {Object|null} { template, operation, parameters, pathParams (null si están mal codificados), spec }
+   */
+  findOperation(service, method, path) {
+    const entry = this.specs.get(service);
+    if (!entry) return null;
+
+    const normalized = normalizePath(path);
+    for (const candidate of entry.operations) {
+      if (candidate.method !== method.toUpperCase()) continue;
+      const match = candidate.regex.exec(normalized);
+      if (!match) continue;
+
+      // Un parámetro mal codificado (%E0%A4%A) deja pathParams en null: validateRequest lo rechaza
+      let pathParams = {};
+      try {
+        candidate.params.forEach((name, index) => {
+          pathParams[name] = decodeURIComponent(match[index + 1]);
+        });
+      } catch (error) {
+        if (!(error instanceof URIError)) throw error;
+        pathParams = null;
+      }
+      return { template: candidate.template, operation: candidate.operation, parameters: candidate.parameters, pathParams, spec: entry.spec };
+    }
+    return null;
+  }
+
+  /**
+   * Validar una petición contra el contrato del microservicio
+   * @param {string} service - Nombre del servicio
+   * @param {Object} request - { method, path, query, headers, body, hasBody, skipBody }
+   * @returns {Object|null} { valid, errors } o null si la operación no está documentada
+   */
+  validateRequest(service, request) {
+    const found = this.findOperation(service, request.method, request.path);
+    if (!found) return null;
+
+    const { operation, parameters, pathParams, spec } = found;
+    if (!pathParams) {
+      return { valid: false, errors: [{ location: 'path', field: '', message: 'codificación de URI inválida' }] };
+    }
+    const resolve = node => this.resolveRef(spec, node);
+    const errors = [];
+    const sources = {
+      path: pathParams,
+      query: request.query || {},
+      header: request.headers || {}
+    };
+
+    parameters.filter(parameter => sources[parameter.in]).forEach(parameter => {
+      const key = parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name;
+      const raw = sources[parameter.in][key];
+
+      if (raw === undefined || raw === '') {
+        if (parameter.required) {
+          errors.push({ location: parameter.in, field: parameter.name, message: 'es requerido' });
+        }
+        return;
+      }
+      const schema = resolve(parameter.schema || {});
+      this.validateValue(spec, schema, coerce(schema, raw, resolve), parameter.in, parameter.name, errors);
+    });
+
+    const requestBody = operation.requestBody && this.resolveRef(spec, operation.requestBody);
+    if (requestBody && !request.skipBody) {
+      const hasBody = request.hasBody ?? (request.body !== undefined && request.body !== null);
+      const schema = requestBody.content?.['application/json']?.schema;
+
+      if (!hasBody) {
+        if (requestBody.required) {
+          errors.push({ location: 'body', field: '', message: 'el cuerpo de la petición es requerido' });
+        }
+      } else if (schema) {
+        this.validateValue(spec, this.resolveRef(spec, schema), request.body, 'body', '', errors);
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Validar un valor contra un schema (subconjunto de JSON Schema de OpenAPI 3)
+   * @param {Object} spec - Documento OpenAPI (para resolver $ref)
+   * @param {Object} schema - Schema
+   * @param {*} value - Valor
+   * @param {string} location - path, query, header o body
+   * @param {string} field - Campo (paths con punto, ej. items.0.monto)
+   * @param {Array<Object>} errors - Errores acumulados
+   */
+  validateValue(spec, schema, value, location, field, errors) {
+    schema = this.resolveRef(spec, schema);
+    const fail = (message) => errors.push({ location, field, message });
+
+    if (value === null) {
+      if (schema.type && !schema.nullable && schema.type !== 'null') fail('no puede ser null');
+      return;
+    }
+
+    if (schema.allOf) {
+      schema.allOf.forEach(part => this.validateValue(spec, part, value, location, field, errors));
+    }
+    ['oneOf', 'anyOf'].filter(keyword => schema[keyword]).forEach(keyword => {
+      const matches = schema[keyword].filter(option => {
+        const optionErrors = [];
+        this.validateValue(spec, option, value, location, field, optionErrors);
+        return optionErrors.length === 0;
+      }).length;
+      if (keyword === 'oneOf' ? matches !== 1 : matches === 0) {
+        fail(`no coincide con ${keyword === 'oneOf' ? 'exactamente una' : 'ninguna'} de las alternativas`);
+      }
+    });
+
+    if (schema.type && !matchesType(schema.type, value)) {
+      fail(`debe ser de tipo ${schema.type}`);
+      return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      fail(`debe ser uno de: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        fail(schema.minLength === 1 ? 'no puede estar vacío' : `debe tener al menos ${schema.minLength} caracteres`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        fail(`debe tener como máximo ${schema.maxLength} caracteres`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        fail(`no cumple el formato ${schema.pattern}`);
+      }
+      if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+        fail(`debe tener formato ${schema.format}`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      validateRange(schema, value, fail);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail(`debe tener al menos ${schema.minItems} elementos`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        fail(`debe tener como máximo ${schema.maxItems} elementos`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => this.validateValue(spec, schema.items, item, location, joinField(field, index), errors));
+      }
+    } else if (typeof value === 'object') {
+      (schema.required || []).filter(name => value[name] === undefined).forEach(name => {
+        errors.push({ location, field: joinField(field, name), message: 'es requerido' });
+      });
+
+      const properties = schema.properties || {};
+      Object.entries(value).forEach(([name, propertyValue]) => {
+        if (properties[name]) {
+          this.validateValue(spec, properties[name], propertyValue, location, joinField(field, name), errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push({ location, field: joinField(field, name), message: 'no está permitido' });
+        } else if (typeof schema.additionalProperties === 'object') {
+          this.validateValue(spec, schema.additionalProperties, propertyValue, location, joinField(field, name), errors);
+        }
+      });
+    }
+  }
+
+  /**
+   * Resolver una referencia local ($ref: '#/components/...')
+   * @param {Object} spec - Documento OpenAPI
+   * @param {Object} node - Nodo que puede ser una referencia
+   * @returns {Object} Nodo resuelto
+   */
+  resolveRef(spec, node) {
+    let current = node;
+    const seen = new Set();
+    while (current && current.$ref) {
+      if (seen.has(current.$ref) || !current.$ref.startsWith('#/')) {
+        throw new Error(`Referencia OpenAPI no soportada: ${current.$ref}`);
+      }
+      seen.add(current.$ref);
+      current = current.$ref.slice(2).split('/')
+        .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((target, part) => target?.[part], spec);
+      if (!current) {
+        throw new Error(`Referencia OpenAPI no encontrada: ${[...seen].pop()}`);
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Obtener los contratos cargados
+   * @returns {Array<Object>} [{ service, spec, loadedAt }]
+   */
+  getSpecs() {
+    return Array.from(this.specs.entries()).map(([service, entry]) => ({ service, spec: entry.spec, loadedAt: entry.loadedAt }));
+  }
+
+  /**
+   * Obtener información de los contratos cargados
+   * @returns {Object} { servicio: { title, version, operations, loadedAt } }
+   */
+  getInfo() {
+    const info = {};
+    this.specs.forEach((entry, service) => {
+      info[service] = {
+        title: entry.spec.info?.title,
+        version: entry.spec.info?.version,
+        operations: entry.operations.length,
+        loadedAt: entry.loadedAt
+      };
+    });
+    return info;
+  }
+}
+
+function compileTemplate(template) {
+  const params = [];
+  let literals = 0;
+  const pattern = normalizePath(template).split('/').map(segment => {
+    const param = /^\{(.+)\}$/.exec(segment);
+    if (param) {
+      params.push(param[1]);
+      return '([^/]+)';
+    }
+    if (segment) literals++;
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+
+  return { regex: new RegExp(`^${pattern}$`), params, literals };
+}
+
+function normalizePath(path) {
+  const withoutQuery = String(path || '').split('?')[0];
+  const trimmed = withoutQuery.replace(/\/+$/, '');
+  return trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+}
+
+function joinField(field, name) {
+  return field === '' ? String(name) : `${field}.${name}`;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+// OpenAPI 3.0 usa exclusiveMinimum/exclusiveMaximum booleanos; 3.1 los usa numéricos
+function validateRange(schema, value, fail) {
+  const exclusiveMin = typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum
+    : (schema.exclusiveMinimum === true ? schema.minimum : undefined);
+  const exclusiveMax = typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum
+    : (schema.exclusiveMaximum === true ? schema.maximum : undefined);
+
+  if (exclusiveMin !== undefined && value <= exclusiveMin) {
+    fail(`debe ser mayor a ${exclusiveMin}`);
+  } else if (schema.minimum !== undefined && exclusiveMin === undefined && value < schema.minimum) {
+    fail(`debe ser mayor o igual a ${schema.minimum}`);
+  }
+  if (exclusiveMax !== undefined && value >= exclusiveMax) {
+    fail(`debe ser menor a ${exclusiveMax}`);
+  } else if (schema.maximum !== undefined && exclusiveMax === undefined && value > schema.maximum) {
+    fail(`debe ser menor o igual a ${schema.maximum}`);
+  }
+  if (schema.multipleOf && !Number.isInteger(Number((value / schema.multipleOf).toFixed(10)))) {
+    fail(`debe ser múltiplo de ${schema.multipleOf}`);
+  }
+}
+
+// Los parámetros llegan como texto: convertirlos al tipo del schema antes de validar
+function coerce(schema, raw, resolve) {
+  const resolved = resolve(schema);
+  if (resolved.type === 'array') {
+    const items = Array.isArray(raw) ? raw : String(raw).split(',');
+    return items.map(item => coerce(resolved.items || {}, item, resolve));
+  }
+  if (Array.isArray(raw)) return raw;
+
+  const text = String(raw);
+  if ((resolved.type === 'integer' || resolved.type === 'number') && /^-?\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  if (resolved.type === 'boolean' && (text === 'true' || text === 'false')) {
+    return text === 'true';
+  }
+  return text;
+}
+
+module.exports = OpenApiValidator;
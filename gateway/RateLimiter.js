@@ -0,0 +1,444 @@
+/**
+ * Rate Limiting - RateLimiter
+ *
+ * Políticas de rate limiting configurables por ruta, rol y tenant
+ * Algoritmos: sliding-window (ventana deslizante) y token-bucket
+ * El estado vive en un store intercambiable (memoria por defecto)
+ */
+
+const { logger } = require('../shared/Logger');
+
+const log = logger.child({ module: 'RateLimiter' });
+
+// Ámbitos de políticas con nombre y el prefijo de sus claves en el store
+const POLICY_SCOPES = { policies: null, roles: 'role', tenants: 'tenant' };
+
+/**
+ * @class MemoryRateLimitStore
+ * @description Store en memoria del proceso, acotado y con expiración de claves
+ *
+ * Interfaz que debe cumplir cualquier store (ej. uno compartido en Redis
+ * cuando el gateway se escala horizontalmente):
+ * - update(key, updater, ttlMs): lectura-modificación-escritura atómica; devuelve el nuevo estado
+ * - get(key) / delete(key)
+ * - size: número de claves almacenadas
+ */
+class MemoryRateLimitStore {
+  /**
+   * @param {Object} options - Opciones
+   * @param {number} [options.maxKeys=10000] - Máximo de claves; se descartan las más antiguas
+   * @param {number} [options.cleanupInterval=60000] - Intervalo de limpieza de claves expiradas en ms
+   */
+  constructor(options = {}) {
+    this.maxKeys = options.maxKeys || 10000;
+    this.entries = new Map(); // key -> { value, expiresAt }
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), options.cleanupInterval || 60000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Obtener el estado de una clave
+   * @param {string} key - Clave
+   * @returns {Promise<Object|undefined>} Estado almacenado
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Actualizar atómicamente el estado de una clave
+   * @param {string} key - Clave
+   * @param {Function} updater - Recibe el estado actual (o undefined) y devuelve el nuevo
+   * @param {number} ttlMs - Tiempo de vida del nuevo estado
+   * @returns {Promise<Object>} Nuevo estado
+   */
+  async update(key, updater, ttlMs) {
+    const current = await this.get(key);
+    const value = updater(current);
+
+    // Reinsertar para mantener el orden de uso y descartar las claves más antiguas
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    if (this.entries.size > this.maxKeys) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Eliminar una clave
+   * @param {string} key - Clave
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Eliminar claves expiradas
+   */
+  cleanup() {
+    const now = Date.now();
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    });
+  }
+
+  /**
+   * Número de claves almacenadas
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Algoritmos de rate limiting
+ * Cada uno consume una petición y devuelve { allowed, limit, remaining, resetMs, retryAfterMs }
+ */
+const algorithms = {
+  /**
+   * Ventana deslizante aproximada con los contadores de la ventana actual y la anterior
+   */
+  'sliding-window': async (store, key, policy, now) => {
+    const { limit, windowMs } = policy;
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    let result;
+
+    await store.update(key, state => {
+      let current = 0;
+      let previous = 0;
+
+      if (state && state.windowStart === windowStart) {
+        ({ current, previous } = state);
+      } else if (state && state.windowStart === windowStart - windowMs) {
+        previous = state.current;
+      }
+
+      const previousWeight = (windowMs - (now - windowStart)) / windowMs;
+      const estimated = previous * previousWeight + current;
+      const allowed = estimated + 1 <= limit;
+
+      let retryAfterMs = 0;
+      if (!allowed) {
+        // Momento en que el peso de la ventana anterior deja espacio para una petición más
+        retryAfterMs = current + 1 > limit || previous === 0
+          ? windowStart + windowMs - now
+          : Math.ceil(windowStart + windowMs * (1 - (limit - current - 1) / previous) - now);
+      }
+
+      result = {
+        allowed,
+        limit,
+        remaining: Math.max(0, Math.floor(limit - estimated - (allowed ? 1 : 0))),
+        resetMs: windowStart + windowMs - now,
+        retryAfterMs: Math.max(0, retryAfterMs)
+      };
+
+      return { windowStart, current: allowed ? current + 1 : current, previous };
+    }, windowMs * 2);
+
+    return result;
+  },
+
+  /**
+   * Token bucket: capacidad de ráfaga y recarga continua
+   */
+  'token-bucket': async (store, key, policy, now) => {
+    const { capacity, refillPerSecond } = policy;
+    const refillPerMs = refillPerSecond / 1000;
+    let result;
+
+    await store.update(key, state => {
+      const elapsed = state ? now - state.updatedAt : 0;
+      const available = state ? Math.min(capacity, state.tokens + elapsed * refillPerMs) : capacity;
+      const allowed = available >= 1;
+      const tokens = allowed ? available - 1 : available;
+
+      result = {
+        allowed,
+        limit: capacity,
+        remaining: Math.floor(tokens),
+        resetMs: Math.ceil((capacity - tokens) / refillPerMs),
+        retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs)
+      };
+
+      return { tokens, updatedAt: now };
+    }, Math.ceil(capacity / refillPerMs));
+
+    return result;
+  }
+};
+
+/**
+ * @class RateLimiter
+ * @description Aplica las políticas que corresponden a cada petición
+ * @example
+ * const limiter = new RateLimiter({
+ *   default: { algorithm: 'sliding-window', limit: 100, windowMs: 900000 },
+ *   policies: { login: { limit: 10, windowMs: 60000 } },
+ *   roles: { Admin: { limit: 1000, windowMs: 900000, keyBy: 'user' } }
+ * });
+ * const { allowed, headers } = await limiter.check(req);
+ */
+class RateLimiter {
+  /**
+   * @param {Object} config - Configuración ({ default, policies, roles, tenants })
+   * @param {Object} [store] - Store de estado (MemoryRateLimitStore por defecto)
+   */
+  constructor(config = {}, store = null) {
+    this.store = store || new MemoryRateLimitStore(config.store);
+    this.defaultPolicy = normalizePolicy('default', config.default || { limit: 100, windowMs: 15 * 60 * 1000 });
+    this.policies = normalizePolicies(config.policies);
+    this.rolePolicies = normalizePolicies(config.roles, 'role');
+    this.tenantPolicies = normalizePolicies(config.tenants, 'tenant');
+  }
+
+  /**
+   * Obtener las políticas aplicables a una petición
+   * Política principal: la de la ruta, si no la del rol y si no la por defecto.
+   * La política del tenant se suma como cupo compartido por todo el tenant.
+   * @param {Object} req - Request object
+   * @returns {Array<Object>} Políticas
+   */
+  resolvePolicies(req) {
+    const routePolicyName = req.gatewayRoute?.rateLimit;
+    const routePolicy = routePolicyName ? this.policies[routePolicyName] : null;
+    if (routePolicyName && !routePolicy) {
+      log.warn('Política de rate limit no definida, usando la política por defecto', { policy: routePolicyName });
+    }
+
+    const role = req.user?.rol;
+    const rolePolicy = role ? this.rolePolicies[role] : null;
+
+    const applicable = [routePolicy || rolePolicy || this.defaultPolicy];
+
+    const tenantId = getTenantId(req);
+    if (tenantId && this.tenantPolicies[tenantId]) {
+      applicable.push(this.tenantPolicies[tenantId]);
+    }
+
+    return applicable;
+  }
+
+  /**
+   * Consumir una petición de todas las políticas aplicables
+   * @param {Object} req - Request object
+   * @returns {Promise<{allowed: boolean, policy: Object, result: Object, headers: Object}>}
+   */
+  async check(req) {
+    const now = Date.now();
+    const policies = this.resolvePolicies(req);
+
+    const results = await Promise.all(policies.map(async policy => ({
+      policy,
+      result: await algorithms[policy.algorithm](this.store, `${policy.name}:${getClientKey(policy.keyBy, req)}`, policy, now)
+    })));
+
+    // La política más restrictiva determina la respuesta y los headers
+    const denied = results.filter(r => !r.result.allowed)
+      .sort((a, b) => b.result.retryAfterMs - a.result.retryAfterMs)[0];
+    const decisive = denied || results.sort((a, b) => a.result.remaining - b.result.remaining)[0];
+
+    return {
+      allowed: !denied,
+      policy: decisive.policy,
+      result: decisive.result,
+      headers: buildHeaders(decisive.policy, decisive.result)
+    };
+  }
+
+  /**
+   * Crear o reemplazar una política en tiempo de ejecución
+   * Los contadores en el store se conservan: el nuevo límite aplica sobre el consumo actual
+   * @param {string} scope - 'default', 'policies', 'roles' o 'tenants'
+   * @param {string|null} name - Nombre de la política, rol o tenant (ignorado en 'default')
+   * @param {Object} definition - Definición de la política
+   * @returns {Object} Política normalizada
+   */
+  setPolicy(scope, name, definition) {
+    if (scope === 'default') {
+      this.defaultPolicy = normalizePolicy('default', definition);
+      return this.defaultPolicy;
+    }
+
+    const policies = this.getScope(scope);
+    const prefix = POLICY_SCOPES[scope];
+    policies[name] = normalizePolicy(prefix ? `${prefix}:${name}` : name, definition);
+    return policies[name];
+  }
+
+  /**
+   * Eliminar una política con nombre, de rol o de tenant
+   * @param {string} scope - 'policies', 'roles' o 'tenants'
+   * @param {string} name - Nombre de la política, rol o tenant
+   * @returns {boolean} true si existía
+   */
+  removePolicy(scope, name) {
+    const policies = this.getScope(scope);
+    if (!policies[name]) return false;
+    delete policies[name];
+    return true;
+  }
+
+  /**
+   * Obtener las políticas de un ámbito
+   * @param {string} scope - 'policies', 'roles' o 'tenants'
+   * @returns {Object} Políticas por nombre
+   */
+  getScope(scope) {
+    if (!Object.prototype.hasOwnProperty.call(POLICY_SCOPES, scope)) {
+      throw new Error(`Ámbito de rate limiting desconocido: '${scope}' (use default, ${Object.keys(POLICY_SCOPES).join(', ')})`);
+    }
+    return { policies: this.policies, roles: this.rolePolicies, tenants: this.tenantPolicies }[scope];
+  }
+
+  /**
+   * Configuración vigente de todas las políticas
+   * @returns {Object} { default, policies, roles, tenants }
+   */
+  getPolicies() {
+    return {
+      default: this.defaultPolicy,
+      policies: this.policies,
+      roles: this.rolePolicies,
+      tenants: this.tenantPolicies
+    };
+  }
+
+  /**
+   * Middleware compatible con GatewayService#addMiddleware
+   * @returns {Function} Middleware
+   */
+  middleware() {
+    return async (req, res, next) => {
+      let decision;
+      try {
+        decision = await this.check(req);
+      } catch (error) {
+        // Si el store no responde se deja pasar la petición en lugar de bloquear el tráfico
+        log.error('Error consultando el store de rate limit', { err: error });
+        return next();
+      }
+
+      const { allowed, policy, result, headers } = decision;
+      res.set(headers);
+
+      if (!allowed) {
+        return res.status(429).json({
+          error: 'Rate limit exceeded',
+          message: 'Too many requests, please try again later',
+          policy: policy.name,
+          retryAfter: Math.ceil(result.retryAfterMs / 1000)
+        });
+      }
+
+      next();
+    };
+  }
+}
+
+/**
+ * Normalizar un mapa de políticas
+ * @param {Object} definitions - nombre → definición
+ * @param {string} [prefix] - Prefijo para el nombre de la política
+ * @returns {Object} Políticas normalizadas
+ */
+function normalizePolicies(definitions = {}, prefix = null) {
+  const policies = {};
+  Object.entries(definitions).forEach(([name, definition]) => {
+    policies[name] = normalizePolicy(prefix ? `${prefix}:${name}` : name, definition);
+  });
+  return policies;
+}
+
+/**
+ * Completar una política con valores por defecto y validarla
+ * @param {string} name - Nombre de la política
+ * @param {Object} definition - Definición declarada
+ * @returns {Object} Política normalizada
+ */
+function normalizePolicy(name, definition) {
+  const policy = { algorithm: 'sliding-window', keyBy: 'ip', ...definition, name };
+
+  if (!algorithms[policy.algorithm]) {
+    throw new Error(`Algoritmo de rate limiting desconocido en '${name}': ${policy.algorithm}`);
+  }
+  if (policy.algorithm === 'sliding-window' && !(policy.limit > 0 && policy.windowMs > 0)) {
+    throw new Error(`La política '${name}' requiere limit y windowMs`);
+  }
+  if (policy.algorithm === 'token-bucket' && !(policy.capacity > 0 && policy.refillPerSecond > 0)) {
+    throw new Error(`La política '${name}' requiere capacity y refillPerSecond`);
+  }
+
+  return policy;
+}
+
+/**
+ * Obtener el tenant de la petición (token o header X-Tenant-ID)
+ * @param {Object} req - Request object
+ * @returns {string|undefined}
+ */
+function getTenantId(req) {
+  return req.user?.tenantId || req.headers?.['x-tenant-id'];
+}
+
+/**
+ * Obtener la clave de cliente según keyBy (ip, user o tenant); recurre a la IP
+ * @param {string} keyBy - Criterio de agrupación
+ * @param {Object} req - Request object
+ * @returns {string}
+ */
+function getClientKey(keyBy, req) {
+  const ip = req.ip || 'unknown';
+  switch (keyBy) {
+    case 'user':
+      return req.user?.id ? `user:${req.user.id}` : `ip:${ip}`;
+    case 'tenant': {
+      const tenantId = getTenantId(req);
+      return tenantId ? `tenant:${tenantId}` : `ip:${ip}`;
+    }
+    default:
+      return `ip:${ip}`;
+  }
+}
+
+/**
+ * Construir los headers estándar RateLimit-* y Retry-After
+ * @param {Object} policy - Política aplicada
+ * @param {Object} result - Resultado del algoritmo
+ * @returns {Object} Headers
+ */
+function buildHeaders(policy, result) {
+  const windowSeconds = policy.algorithm === 'token-bucket'
+    ? Math.ceil(policy.capacity / policy.refillPerSecond)
+    : Math.ceil(policy.windowMs / 1000);
+
+  const headers = {
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+    'RateLimit-Policy': `${result.limit};w=${windowSeconds}`
+  };
+
+  if (!result.allowed) {
+    headers['Retry-After'] = String(Math.max(1, Math.ceil(result.retryAfterMs / 1000)));
+  }
+
+  return headers;
+}
+
+module.exports = {
+  RateLimiter,
+  MemoryRateLimitStore,
+  algorithms
+};
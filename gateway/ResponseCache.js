@@ -0,0 +1,200 @@
+/**
+ * Caching Layer - ResponseCache
+ *
+ * Caché de respuestas para lecturas idempotentes (GET) del gateway
+ * TTL por ruta, claves por path + query + tenant, ETag hacia los clientes
+ * e invalidación por eventos del Observer Pattern
+ */
+
+const crypto = require('crypto');
+const { Observer } = require('../shared/EventManager');
+const { logger } = require('../shared/Logger');
+
+const log = logger.child({ module: 'ResponseCache' });
+
+/**
+ * @class ResponseCache
+ * @description Caché LRU acotada de respuestas transformadas por el gateway
+ * @example
+ * const cache = new ResponseCache({ maxEntries: 500 });
+ * const key = cache.buildKey(req, route.cache);
+ * cache.set(key, { status: 200, body }, { ttl: 60000, tags: ['concepto.creado'] });
+ */
+class ResponseCache {
+  /**
+   * @param {Object} options - Opciones
+   * @param {number} [options.maxEntries=500] - Máximo de respuestas almacenadas
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.entries = new Map(); // key -> { status, body, etag, storedAt, expiresAt, tags }
+    this.stats = { hits: 0, misses: 0, invalidations: 0 };
+  }
+
+  /**
+   * Construir la clave de caché de una petición
+   * Incluye path, query string ordenado, tenant y versión de la API; opcionalmente el usuario
+   * @param {Object} req - Request object
+   * @param {Object} [cacheConfig] - Configuración de caché de la ruta ({ varyBy })
+   * @returns {string} Clave
+   */
+  buildKey(req, cacheConfig = {}) {
+    const varyBy = cacheConfig.varyBy || ['tenant'];
+    const query = Object.keys(req.query || {})
+      .sort()
+      .map(name => `${name}=${[].concat(req.query[name]).join(',')}`)
+      .join('&');
+
+    const parts = [`${req.method} ${req.path}?${query}`];
+    if (varyBy.includes('tenant')) {
+      parts.push(`tenant:${req.user?.tenantId || req.headers?.['x-tenant-id'] || 'default'}`);
+    }
+    if (varyBy.includes('user')) {
+      parts.push(`user:${req.user?.id || 'anonymous'}`);
+    }
+    // La transformación de la respuesta puede depender de la versión de la API
+    const version = req.apiVersion || req.headers?.['accept-version'];
+    if (version) {
+      parts.push(`version:${version}`);
+    }
+
+    return parts.join('|');
+  }
+
+  /**
+   * Obtener una respuesta vigente
+   * @param {string} key - Clave
+   * @returns {Object|null} Entrada almacenada
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.stats.misses++;
+      return null;
+    }
+
+    // Reinsertar para mantener el orden LRU
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return entry;
+  }
+
+  /**
+   * Almacenar una respuesta
+   * @param {string} key - Clave
+   * @param {Object} response - { status, body }
+   * @param {Object} options - { ttl, tags }
+   * @returns {Object} Entrada almacenada
+   */
+  set(key, response, options = {}) {
+    const now = Date.now();
+    const entry = {
+      status: response.status,
+      body: response.body,
+      etag: ResponseCache.computeEtag(response.body),
+      storedAt: now,
+      expiresAt: now + (options.ttl || 60000),
+      tags: options.tags || []
+    };
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Invalidar las entradas etiquetadas con un tipo de evento
+   * @param {string} tag - Etiqueta (tipo de evento)
+   * @returns {number} Entradas eliminadas
+   */
+  invalidateTag(tag) {
+    let removed = 0;
+    this.entries.forEach((entry, key) => {
+      if (entry.tags.includes(tag)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    });
+
+    this.stats.invalidations += removed;
+    if (removed > 0) {
+      log.info('Respuestas invalidadas', { tag, removed });
+    }
+    return removed;
+  }
+
+  /**
+   * Vaciar la caché
+   */
+  clear() {
+    this.stats.invalidations += this.entries.size;
+    this.entries.clear();
+  }
+
+  /**
+   * Calcular el ETag de un cuerpo de respuesta
+   * @param {*} body - Cuerpo
+   * @returns {string} ETag fuerte
+   */
+  static computeEtag(body) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url');
+    return `"${hash}"`;
+  }
+
+  /**
+   * Verificar si el header If-None-Match coincide con un ETag
+   * @param {string} header - Valor de If-None-Match
+   * @param {string} etag - ETag actual
+   * @returns {boolean}
+   */
+  static matchesEtag(header, etag) {
+    if (!header) return false;
+    if (header.trim() === '*') return true;
+    return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag);
+  }
+
+  /**
+   * Obtener estadísticas de la caché
+   * @returns {Object} Estadísticas
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      hitRate: lookups > 0 ? `${(this.stats.hits / lookups * 100).toFixed(2)}%` : '0%'
+    };
+  }
+}
+
+/**
+ * Observer que invalida la caché cuando llegan eventos de los microservicios
+ */
+class CacheInvalidationObserver extends Observer {
+  /**
+   * @param {ResponseCache} cache - Caché a invalidar
+   */
+  constructor(cache) {
+    super('CacheInvalidationObserver');
+    this.cache = cache;
+  }
+
+  async update(event) {
+    await super.update(event);
+    this.cache.invalidateTag(event.type);
+  }
+}
+
+module.exports = {
+  ResponseCache,
+  CacheInvalidationObserver
+};
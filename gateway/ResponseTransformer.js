@@ -0,0 +1,203 @@
+/**
+ * Response Transformation - ResponseTransformer
+ *
+ * Pipeline de transformación por ruta de las respuestas de los microservicios:
+ * selección y renombrado de campos, envoltorio _gateway, headers de respuesta
+ * y mappers por versión para evolucionar los payloads sin romper el frontend
+ */
+
+const STEP_TYPES = ['pick', 'omit', 'rename', 'mapper'];
+
+/**
+ * @class ResponseTransformer
+ * @description Aplica la sección `transform` de una ruta a la respuesta del microservicio
+ * @example
+ * const transformer = new ResponseTransformer();
+ * transformer.registerMapper('montosEnPesos', (body) => ({ ...body, monto: body.monto / 100 }));
+ *
+ * // Ruta: { transform: { envelope: false, steps: [{ omit: ['interno'] }], versions: { 1: [{ rename: { items: 'conceptos' } }] } } }
+ * res.set(transformer.getHeaders(route));
+ * res.json(transformer.transform(response.data, { route, req, serviceName: 'catalogo' }));
+ */
+class ResponseTransformer {
+  /**
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.version='1.0.0'] - Versión informada en el envoltorio _gateway
+   */
+  constructor(options = {}) {
+    this.version = options.version || '1.0.0';
+    this.mappers = new Map();
+  }
+
+  /**
+   * Validar la sección `transform` de una ruta al cargar la configuración
+   * @param {Object} [transform] - Configuración de la ruta
+   * @param {string} [prefix] - Prefijo de la ruta (para el mensaje de error)
+   */
+  static validate(transform, prefix = '') {
+    if (!transform) return;
+
+    const steps = [
+      ...(transform.steps || []),
+      ...Object.values(transform.versions || {}).flat()
+    ];
+    steps.forEach(step => {
+      const types = Object.keys(step).filter(key => STEP_TYPES.includes(key));
+      if (types.length !== 1) {
+        throw new Error(`Paso de transformación inválido en '${prefix}': ${JSON.stringify(step)} (use uno de ${STEP_TYPES.join(', ')})`);
+      }
+    });
+
+  }
+
+  /**
+   * Registrar un mapper con nombre para usarlo en la configuración ({ mapper: 'nombre' })
+   * @param {string} name - Nombre del mapper
+   * @param {Function} fn - (body, context) => nuevo body
+   */
+  registerMapper(name, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error(`El mapper '${name}' debe ser una función`);
+    }
+    this.mappers.set(name, fn);
+  }
+
+  /**
+   * Versión de la API de la petición (resuelta por ApiVersioning o header Accept-Version)
+   * @param {Object} req - Request object
+   * @returns {string|null} Versión
+   */
+  resolveVersion(req) {
+    if (req.apiVersion) return req.apiVersion;
+    const requested = req.headers?.['accept-version'];
+    return requested ? String(requested).replace(/^v/i, '') : null;
+  }
+
+  /**
+   * Transformar la respuesta de un microservicio según la ruta
+   * @param {*} data - Cuerpo de la respuesta del microservicio
+   * @param {Object} context - { route, req, serviceName }
+   * @returns {*} Cuerpo transformado
+   */
+  transform(data, context) {
+    const { route, req, serviceName } = context;
+    const config = route?.transform || {};
+    const version = this.resolveVersion(req || {});
+
+    const steps = [...(config.steps || []), ...((version && config.versions?.[version]) || [])];
+    let body = steps.reduce((current, step) => this.applyStep(current, step, { ...context, version }), data);
+
+    // El envoltorio solo se agrega a objetos: en arrays o textos cambiaría el tipo del payload
+    if (config.envelope !== false && isPlainObject(body)) {
+      body = {
+        ...body,
+        _gateway: {
+          service: serviceName,
+          timestamp: new Date().toISOString(),
+          version: this.version
+        }
+      };
+    }
+
+    return body;
+  }
+
+  /**
+   * Headers de respuesta declarados en la ruta (transform.headers)
+   * @param {Object} [route] - Ruta registrada
+   * @returns {Object} Headers
+   */
+  getHeaders(route) {
+    return { ...(route?.transform?.headers || {}) };
+  }
+
+  /**
+   * Aplicar un paso del pipeline; con `at` se aplica sobre un campo anidado
+   * @param {*} body - Cuerpo actual
+   * @param {Object} step - Paso ({ pick | omit | rename | mapper, at })
+   * @param {Object} context - Contexto de la transformación
+   * @returns {*} Cuerpo transformado
+   */
+  applyStep(body, step, context) {
+    if (step.mapper && !step.at) {
+      const mapper = this.mappers.get(step.mapper);
+      if (!mapper) {
+        throw new Error(`Mapper de respuesta '${step.mapper}' no registrado`);
+      }
+      return mapper(body, context);
+    }
+
+    // Los pasos de campos se aplican a cada elemento de las colecciones
+    if (Array.isArray(body)) {
+      return body.map(item => this.applyStep(item, step, context));
+    }
+    if (!isPlainObject(body)) return body;
+
+    if (step.at) {
+      const target = getPath(body, step.at);
+      if (target === undefined) return body;
+      const { at, ...nested } = step;
+      return setPath(cloneDeep(body), at, this.applyStep(target, nested, context));
+    }
+
+    if (step.pick) return pickPaths(body, step.pick);
+    if (step.omit) return omitPaths(body, step.omit);
+    return renamePaths(body, step.rename);
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function cloneDeep(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((current, key) => (isPlainObject(current) ? current[key] : undefined), object);
+}
+
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((current, key) => {
+    if (!isPlainObject(current[key])) current[key] = {};
+    return current[key];
+  }, object);
+  parent[last] = value;
+  return object;
+}
+
+function deletePath(object, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.length ? getPath(object, keys.join('.')) : object;
+  if (isPlainObject(parent)) delete parent[last];
+}
+
+function pickPaths(body, paths) {
+  return paths.reduce((result, path) => {
+    const value = getPath(body, path);
+    return value === undefined ? result : setPath(result, path, cloneDeep(value));
+  }, {});
+}
+
+function omitPaths(body, paths) {
+  const result = cloneDeep(body);
+  paths.forEach(path => deletePath(result, path));
+  return result;
+}
+
+function renamePaths(body, mapping) {
+  const result = cloneDeep(body);
+  Object.entries(mapping).forEach(([from, to]) => {
+    const value = getPath(result, from);
+    if (value === undefined) return;
+    deletePath(result, from);
+    setPath(result, to, value);
+  });
+  return result;
+}
+
+module.exports = ResponseTransformer;
@@ -0,0 +1,270 @@
+/**
+ * Retry Policy - RetryPolicy
+ *
+ * Políticas de reintento hacia los microservicios: solo métodos idempotentes o peticiones
+ * con Idempotency-Key, backoff exponencial con jitter, Retry-After, tiempo total acotado
+ * y un presupuesto global de reintentos que evita amplificar una caída
+ */
+
+// Métodos que pueden repetirse sin duplicar efectos (RFC 9110)
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+const JITTER_MODES = ['full', 'equal', 'none'];
+
+const DEFAULT_POLICY = {
+  retries: 3,
+  baseDelayMs: 100,
+  maxDelayMs: 2000,
+  jitter: 'full',
+  maxRetryTimeMs: null,
+  methods: IDEMPOTENT_METHODS,
+  statuses: [502, 503, 504],
+  errorCodes: [
+    'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN',
+    'CIRCUIT_BREAKER_OPEN', 'CIRCUIT_BREAKER_TIMEOUT'
+  ],
+  respectRetryAfter: true,
+  idempotencyHeader: 'idempotency-key'
+};
+
+/**
+ * @class RetryPolicy
+ * @description Decide si un fallo se reintenta y con qué espera
+ * @example
+ * const policy = RetryPolicy.merge(config.retry.default, service.retry, route.retry);
+ * policy.isRetryableRequest({ method: 'POST', headers }); // true solo con Idempotency-Key
+ * policy.getDelay(1, error); // backoff con jitter o Retry-After del microservicio
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} [options] - Opciones (se completan con los valores por defecto)
+   * @param {number} [options.retries=3] - Reintentos máximos
+   * @param {number} [options.baseDelayMs=100] - Espera base del backoff exponencial
+   * @param {number} [options.maxDelayMs=2000] - Espera máxima entre intentos
+   * @param {string} [options.jitter='full'] - full, equal o none
+   * @param {number} [options.maxRetryTimeMs] - Tiempo total máximo incluidos los reintentos
+   * @param {Array<string>} [options.methods] - Métodos reintentables sin Idempotency-Key
+   * @param {Array<number>} [options.statuses=[502, 503, 504]] - Códigos HTTP reintentables
+   * @param {Array<string>} [options.errorCodes] - Códigos de error de red reintentables
+   * @param {boolean} [options.respectRetryAfter=true] - Esperar lo indicado en Retry-After
+   * @param {string} [options.idempotencyHeader='idempotency-key'] - Header que habilita reintentar cualquier método
+   */
+  constructor(options = {}) {
+    RetryPolicy.validate(options);
+    Object.assign(this, DEFAULT_POLICY, options);
+    this.methods = this.methods.map(method => method.toUpperCase());
+    this.idempotencyHeader = this.idempotencyHeader.toLowerCase();
+  }
+
+  /**
+   * Combinar capas de configuración (la última gana) en una política
+   * @param {...Object} layers - Capas (las vacías se ignoran)
+   * @returns {RetryPolicy}
+   */
+  static merge(...layers) {
+    return new RetryPolicy(Object.assign({}, ...layers.filter(Boolean)));
+  }
+
+  /**
+   * Validar una sección `retry` de la configuración
+   * @param {Object} [config] - Configuración
+   * @param {string} [context] - Dónde está declarada (para el mensaje de error)
+   */
+  static validate(config, context = 'retry') {
+    if (!config) return;
+
+    ['retries', 'baseDelayMs', 'maxDelayMs', 'maxRetryTimeMs'].forEach(field => {
+      const value = config[field];
+      if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) {
+        throw new Error(`${context}.${field} inválido: debe ser un entero mayor o igual a 0`);
+      }
+    });
+    if (config.jitter !== undefined && !JITTER_MODES.includes(config.jitter)) {
+      throw new Error(`${context}.jitter inválido: use ${JITTER_MODES.join(', ')}`);
+    }
+    ['methods', 'statuses', 'errorCodes'].forEach(field => {
+      if (config[field] !== undefined && !Array.isArray(config[field])) {
+        throw new Error(`${context}.${field} debe ser una lista`);
+      }
+    });
+  }
+
+  /**
+   * Crear una copia con cambios
+   * @param {Object} overrides - Cambios
+   * @returns {RetryPolicy}
+   */
+  with(overrides) {
+    return new RetryPolicy({ ...this, ...overrides });
+  }
+
+  /**
+   * Verificar si la petición puede repetirse sin riesgo de duplicar efectos
+   * @param {Object} request - { method, headers }
+   * @returns {boolean}
+   */
+  isRetryableRequest({ method = 'GET', headers = {} } = {}) {
+    if (this.methods.includes(method.toUpperCase())) return true;
+    return Object.keys(headers).some(name => name.toLowerCase() === this.idempotencyHeader && headers[name]);
+  }
+
+  /**
+   * Verificar si un error es reintentable
+   * @param {Error} error - Error del intento
+   * @returns {boolean}
+   */
+  isRetryableError(error) {
+    if (error.response) {
+      return this.statuses.includes(error.response.status);
+    }
+    return this.errorCodes.includes(error.code);
+  }
+
+  /**
+   * Espera antes del siguiente intento
+   * @param {number} attempt - Intento fallido (0 = el primero)
+   * @param {Error} [error] - Error del intento (para Retry-After)
+   * @returns {number} Espera en ms
+   */
+  getDelay(attempt, error) {
+    const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+    let delay = exponential;
+    if (this.jitter === 'full') {
+      delay = Math.random() * exponential;
+    } else if (this.jitter === 'equal') {
+      delay = exponential / 2 + Math.random() * exponential / 2;
+    }
+
+    const retryAfter = this.respectRetryAfter ? parseRetryAfter(getHeader(error?.response?.headers, 'retry-after')) : null;
+    return Math.round(retryAfter !== null ? Math.max(delay, retryAfter) : delay);
+  }
+}
+
+/**
+ * @class RetryBudget
+ * @description Presupuesto global: los reintentos no pueden superar una proporción de las peticiones
+ * recientes (con un mínimo por segundo), para que una caída no multiplique la carga
+ * @example
+ * const budget = new RetryBudget({ ratio: 0.2, minRetriesPerSecond: 5, windowMs: 10000 });
+ * budget.recordRequest();
+ * if (budget.tryAcquire()) { ... reintentar ... }
+ */
+class RetryBudget {
+  /**
+   * @param {Object} [options] - Opciones
+   * @param {number} [options.ratio=0.2] - Reintentos permitidos por petición en la ventana
+   * @param {number} [options.minRetriesPerSecond=5] - Reintentos permitidos aunque haya poco tráfico
+   * @param {number} [options.windowMs=10000] - Ventana de cálculo
+   */
+  constructor(options = {}) {
+    this.ratio = options.ratio ?? 0.2;
+    this.minRetriesPerSecond = options.minRetriesPerSecond ?? 5;
+    this.windowMs = options.windowMs || 10000;
+    this.buckets = []; // { second, requests, retries }
+    this.rejected = 0;
+  }
+
+  /**
+   * Registrar una petición original (primer intento)
+   */
+  recordRequest() {
+    this.currentBucket().requests++;
+  }
+
+  /**
+   * Consumir un reintento si el presupuesto lo permite
+   * @returns {boolean} true si puede reintentarse
+   */
+  tryAcquire() {
+    const { requests, retries } = this.getWindowTotals();
+    const allowed = Math.max(this.minRetriesPerSecond * this.windowMs / 1000, this.ratio * requests);
+
+    if (retries >= allowed) {
+      this.rejected++;
+      return false;
+    }
+    this.currentBucket().retries++;
+    return true;
+  }
+
+  /**
+   * Estado del presupuesto
+   * @returns {Object} { requests, retries, rejected, ratio, minRetriesPerSecond, windowMs }
+   */
+  getStats() {
+    return {
+      ...this.getWindowTotals(),
+      rejected: this.rejected,
+      ratio: this.ratio,
+      minRetriesPerSecond: this.minRetriesPerSecond,
+      windowMs: this.windowMs
+    };
+  }
+
+  /**
+   * Contadores del segundo actual
+   * @returns {Object} Bucket
+   */
+  currentBucket() {
+    const second = Math.floor(Date.now() / 1000);
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.second !== second) {
+      bucket = { second, requests: 0, retries: 0 };
+      this.buckets.push(bucket);
+    }
+    this.prune(second);
+    return bucket;
+  }
+
+  /**
+   * Peticiones y reintentos dentro de la ventana
+   * @returns {{requests: number, retries: number}}
+   */
+  getWindowTotals() {
+    this.prune(Math.floor(Date.now() / 1000));
+    return this.buckets.reduce((totals, bucket) => ({
+      requests: totals.requests + bucket.requests,
+      retries: totals.retries + bucket.retries
+    }), { requests: 0, retries: 0 });
+  }
+
+  /**
+   * Descartar los segundos fuera de la ventana
+   * @param {number} second - Segundo actual
+   */
+  prune(second) {
+    const oldest = second - Math.ceil(this.windowMs / 1000) + 1;
+    while (this.buckets.length && this.buckets[0].second < oldest) {
+      this.buckets.shift();
+    }
+  }
+}
+
+/**
+ * Convertir un header Retry-After (segundos o fecha HTTP) en milisegundos
+ * @param {string|number} [value] - Valor del header
+ * @param {number} [now] - Instante de referencia
+ * @returns {number|null} Espera en ms, null si no hay header válido
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (/^\s*\d+\s*$/.test(String(value))) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name];
+}
+
+module.exports = {
+  RetryPolicy,
+  RetryBudget,
+  parseRetryAfter,
+  IDEMPOTENT_METHODS
+};
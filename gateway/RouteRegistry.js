@@ -0,0 +1,218 @@
+/**
+ * API Gateway Pattern - RouteRegistry
+ *
+ * Tabla de rutas declarativa del gateway
+ * Asocia prefijos de path con microservicios, métodos permitidos,
+ * reescritura de path, autenticación, timeouts/reintentos y versión de la API por ruta
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * @class RouteRegistry
+ * @description Registro de rutas del gateway con resolución por prefijo más largo
+ * @example
+ * const registry = new RouteRegistry();
+ * registry.addRoute('/api/usuarios/login', 'usuarios', {
+ *   methods: ['POST'],
+ *   auth: false,
+ *   rewrite: { '^/api/usuarios': '' }
+ * });
+ */
+class RouteRegistry {
+  constructor() {
+    this.routes = [];
+  }
+
+  /**
+   * Crear registro a partir de una lista de definiciones de rutas
+   * @param {Array<Object>} definitions - Definiciones de rutas
+   * @returns {RouteRegistry} Registro con las rutas cargadas
+   */
+  static fromDefinitions(definitions = []) {
+    const registry = new RouteRegistry();
+    definitions.forEach(definition => {
+      const { prefix, service, ...options } = definition;
+      registry.addRoute(prefix, service, options);
+    });
+    return registry;
+  }
+
+  /**
+   * Leer un archivo de configuración del gateway en JSON o YAML (extensión .yaml o .yml)
+   * @param {string} filePath - Ruta del archivo
+   * @returns {Object} Configuración ({ services, routes, ... })
+   */
+  static loadConfigFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    try {
+      const config = /^\.ya?ml$/i.test(path.extname(filePath)) ? yaml.load(content) : JSON.parse(content);
+      if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('se esperaba un objeto { services, routes }');
+      }
+      return config;
+    } catch (error) {
+      throw new Error(`Configuración de rutas inválida en ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registrar una ruta
+   * @param {string} prefix - Prefijo de path (ej. '/api/usuarios')
+   * @param {string} service - Microservicio destino
+   * @param {Object} options - Opciones de la ruta
+   * @param {Array<string>} [options.methods] - Métodos HTTP permitidos (todos por defecto)
+   * @param {Object} [options.rewrite] - Mapa patrón → reemplazo aplicado al path
+   * @param {boolean} [options.auth=true] - Si la ruta requiere autenticación
+   * @param {number} [options.timeout] - Timeout específico de la ruta en ms
+   * @param {number} [options.retries] - Reintentos específicos de la ruta
+   * @param {string} [options.version] - Versión de la API a la que aplica (todas por defecto)
+   * @returns {Object} Ruta registrada
+   */
+  addRoute(prefix, service, options = {}) {
+    if (!prefix || !prefix.startsWith('/')) {
+      throw new Error(`Prefijo de ruta inválido: '${prefix}'`);
+    }
+    if (!service) {
+      throw new Error(`La ruta '${prefix}' no define un servicio destino`);
+    }
+
+    const normalizedPrefix = prefix.length > 1 ? prefix.replace(/\/+$/, '') : prefix;
+    const { methods, rewrite, auth, timeout, retries, version, ...extra } = options;
+
+    const route = {
+      ...extra,
+      prefix: normalizedPrefix,
+      service,
+      methods: methods && methods.length ? methods.map(m => m.toUpperCase()) : ['*'],
+      rewrite: rewrite || { [`^${escapeRegExp(normalizedPrefix)}`]: '' },
+      auth: auth !== false,
+      timeout,
+      retries,
+      version: version !== undefined && version !== null ? String(version).replace(/^v/i, '') : null
+    };
+
+    this.removeRoute(route.prefix, route.methods, route.version);
+    this.routes.push(route);
+    // Prefijo más largo primero para que las rutas específicas ganen; a igual prefijo, la versionada
+    this.routes.sort((a, b) => (b.prefix.length - a.prefix.length) || (Boolean(b.version) - Boolean(a.version)));
+
+    return route;
+  }
+
+  /**
+   * Eliminar una ruta por prefijo
+   * @param {string} prefix - Prefijo de la ruta
+   * @param {Array<string>} [methods] - Limitar a la ruta con estos métodos
+   * @param {string|null} [version] - Limitar a la ruta de esta versión (null: la ruta sin versión)
+   * @returns {boolean} true si se eliminó alguna ruta
+   */
+  removeRoute(prefix, methods = null, version) {
+    const before = this.routes.length;
+    const methodsKey = methods ? methods.join(',') : null;
+
+    this.routes = this.routes.filter(route =>
+      route.prefix !== prefix ||
+      (methodsKey !== null && route.methods.join(',') !== methodsKey) ||
+      (version !== undefined && route.version !== version)
+    );
+
+    return this.routes.length !== before;
+  }
+
+  /**
+   * Buscar rutas registradas por prefijo (mismos criterios que removeRoute)
+   * @param {string} prefix - Prefijo de la ruta
+   * @param {Array<string>} [methods] - Limitar a la ruta con estos métodos
+   * @param {string|null} [version] - Limitar a la ruta de esta versión (null: la ruta sin versión)
+   * @returns {Array<Object>} Copias de las rutas encontradas
+   */
+  findRoutes(prefix, methods = null, version) {
+    const methodsKey = methods ? methods.join(',') : null;
+
+    return this.routes
+      .filter(route =>
+        route.prefix === prefix &&
+        (methodsKey === null || route.methods.join(',') === methodsKey) &&
+        (version === undefined || route.version === version)
+      )
+      .map(route => ({ ...route }));
+  }
+
+  /**
+   * Buscar la ruta que corresponde a una petición
+   * @param {string} path - Path de la petición
+   * @param {string} method - Método HTTP
+   * @param {string} [version] - Versión de la API de la petición
+   * @returns {{route: Object|null, methodNotAllowed: boolean}} Resultado de la búsqueda
+   */
+  match(path, method, version) {
+    let methodNotAllowed = false;
+
+    for (const route of this.routes) {
+      if (!matchesPrefix(route.prefix, path)) continue;
+      if (route.version && route.version !== version) continue;
+
+      if (route.methods.includes('*') || route.methods.includes(method.toUpperCase())) {
+        return { route, methodNotAllowed: false };
+      }
+      methodNotAllowed = true;
+    }
+
+    return { route: null, methodNotAllowed };
+  }
+
+  /**
+   * Aplicar la reescritura de path de una ruta
+   * @param {Object} route - Ruta resuelta
+   * @param {string} path - Path original
+   * @returns {string} Path hacia el microservicio
+   */
+  rewritePath(route, path) {
+    const rewritten = Object.entries(route.rewrite).reduce(
+      (current, [pattern, replacement]) => current.replace(new RegExp(pattern), replacement),
+      path
+    );
+    return rewritten.startsWith('/') ? rewritten : `/${rewritten}`;
+  }
+
+  /**
+   * Obtener todas las rutas registradas
+   * @returns {Array<Object>} Rutas
+   */
+  getRoutes() {
+    return this.routes.map(route => ({ ...route }));
+  }
+
+  /**
+   * Número de rutas registradas
+   * @returns {number}
+   */
+  get size() {
+    return this.routes.length;
+  }
+}
+
+/**
+ * Verificar si un path cae bajo un prefijo (por segmentos completos)
+ * @param {string} prefix - Prefijo de la ruta
+ * @param {string} path - Path de la petición
+ * @returns {boolean}
+ */
+function matchesPrefix(prefix, path) {
+  if (prefix === '/') return true;
+  return path === prefix || path.startsWith(`${prefix}/`);
+}
+
+/**
+ * Escapar caracteres especiales de expresiones regulares
+ * @param {string} value - Texto a escapar
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = RouteRegistry;
@@ -0,0 +1,197 @@
+/**
+ * Service Registry - ServiceRegistry
+ *
+ * Registro dinámico de instancias de microservicios
+ * Los servicios se registran al iniciar, envían heartbeats periódicos
+ * y son desalojados cuando dejan de reportarse
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../shared/Logger');
+
+const log = logger.child({ module: 'ServiceRegistry' });
+
+/**
+ * @class ServiceRegistry
+ * @description Mantiene las instancias vivas de cada microservicio
+ * @example
+ * const registry = new ServiceRegistry({ heartbeatTimeout: 30000 });
+ * const instance = registry.register({ service: 'pagos', url: 'http://localhost:3002' });
+ * registry.heartbeat('pagos', instance.instanceId);
+ */
+class ServiceRegistry {
+  /**
+   * @param {Object} options - Opciones
+   * @param {number} [options.heartbeatInterval=10000] - Intervalo sugerido a los clientes en ms
+   * @param {number} [options.heartbeatTimeout=30000] - Tiempo sin heartbeat antes de desalojar en ms
+   * @param {Function} [options.onChange] - Callback (tipo, instancia) al registrar/desalojar
+   */
+  constructor(options = {}) {
+    this.heartbeatInterval = options.heartbeatInterval || 10000;
+    this.heartbeatTimeout = options.heartbeatTimeout || 30000;
+    this.onChange = options.onChange || null;
+    this.instances = new Map(); // service -> Map(instanceId -> instance)
+    this.evictionTimer = null;
+  }
+
+  /**
+   * Registrar (o re-registrar) una instancia
+   * @param {Object} registration - Datos de registro
+   * @param {string} registration.service - Nombre del servicio
+   * @param {string} registration.url - URL base de la instancia
+   * @param {string} [registration.instanceId] - ID de la instancia (se genera si falta)
+   * @param {Object} [registration.metadata] - Metadatos libres (versión, peso, etc.)
+   * @returns {Object} Instancia registrada
+   */
+  register({ service, url, instanceId, metadata = {} }) {
+    if (!service || !url) {
+      throw new Error('service y url son requeridos para registrar una instancia');
+    }
+
+    if (!this.instances.has(service)) {
+      this.instances.set(service, new Map());
+    }
+
+    const id = instanceId || `${service}-${crypto.randomBytes(4).toString('hex')}`;
+    const now = Date.now();
+    const instance = {
+      service,
+      instanceId: id,
+      url: url.replace(/\/+$/, ''),
+      metadata,
+      registeredAt: new Date(now).toISOString(),
+      lastHeartbeat: now
+    };
+
+    this.instances.get(service).set(id, instance);
+    log.info('Instancia registrada', { service, instanceId: id, url: instance.url });
+    this.emitChange('registered', instance);
+
+    return instance;
+  }
+
+  /**
+   * Registrar heartbeat de una instancia
+   * @param {string} service - Nombre del servicio
+   * @param {string} instanceId - ID de la instancia
+   * @returns {Object|null} Instancia actualizada, o null si no está registrada
+   */
+  heartbeat(service, instanceId) {
+    const instance = this.instances.get(service)?.get(instanceId);
+    if (!instance) return null;
+
+    instance.lastHeartbeat = Date.now();
+    return instance;
+  }
+
+  /**
+   * Dar de baja una instancia
+   * @param {string} service - Nombre del servicio
+   * @param {string} instanceId - ID de la instancia
+   * @returns {boolean} true si existía
+   */
+  deregister(service, instanceId) {
+    const serviceInstances = this.instances.get(service);
+    const instance = serviceInstances?.get(instanceId);
+    if (!instance) return false;
+
+    serviceInstances.delete(instanceId);
+    log.info('Instancia dada de baja', { service, instanceId });
+    this.emitChange('deregistered', instance);
+    return true;
+  }
+
+  /**
+   * Desalojar instancias sin heartbeat reciente
+   * @param {number} [now] - Marca de tiempo de referencia
+   * @returns {Array<Object>} Instancias desalojadas
+   */
+  evictExpired(now = Date.now()) {
+    const evicted = [];
+
+    this.instances.forEach(serviceInstances => {
+      serviceInstances.forEach((instance, instanceId) => {
+        if (now - instance.lastHeartbeat > this.heartbeatTimeout) {
+          serviceInstances.delete(instanceId);
+          evicted.push(instance);
+        }
+      });
+    });
+
+    evicted.forEach(instance => {
+      log.warn('Instancia desalojada por falta de heartbeat', { service: instance.service, instanceId: instance.instanceId });
+      this.emitChange('evicted', instance);
+    });
+
+    return evicted;
+  }
+
+  /**
+   * Obtener instancias vivas de un servicio
+   * @param {string} service - Nombre del servicio
+   * @returns {Array<Object>} Instancias
+   */
+  getInstances(service) {
+    return Array.from(this.instances.get(service)?.values() || []);
+  }
+
+  /**
+   * Obtener el mapa completo servicio → instancias
+   * @returns {Object} Instancias agrupadas por servicio
+   */
+  getAll() {
+    const all = {};
+    this.instances.forEach((serviceInstances, service) => {
+      all[service] = Array.from(serviceInstances.values());
+    });
+    return all;
+  }
+
+  /**
+   * Iniciar el desalojo periódico de instancias expiradas
+   */
+  startEviction() {
+    if (this.evictionTimer) return;
+    this.evictionTimer = setInterval(() => this.evictExpired(), Math.ceil(this.heartbeatTimeout / 2));
+    this.evictionTimer.unref();
+  }
+
+  /**
+   * Detener el desalojo periódico
+   */
+  stopEviction() {
+    clearInterval(this.evictionTimer);
+    this.evictionTimer = null;
+  }
+
+  /**
+   * Notificar cambios en el registro
+   * @param {string} type - registered | deregistered | evicted
+   * @param {Object} instance - Instancia afectada
+   */
+  emitChange(type, instance) {
+    if (this.onChange) {
+      this.onChange(type, instance);
+    }
+  }
+
+  /**
+   * Obtener información del registro
+   * @returns {Object} Información
+   */
+  getInfo() {
+    const services = {};
+    this.instances.forEach((serviceInstances, service) => {
+      services[service] = serviceInstances.size;
+    });
+
+    return {
+      pattern: 'Service Registry',
+      heartbeatInterval: this.heartbeatInterval,
+      heartbeatTimeout: this.heartbeatTimeout,
+      services
+    };
+  }
+}
+
+module.exports = ServiceRegistry;
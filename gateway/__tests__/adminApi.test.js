@@ -0,0 +1,189 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const GatewayService = require('../GatewayService');
+const { AdminApi } = require('../AdminApi');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const SECRET = process.env.JWT_SECRET || 'clave-secreta-desarrollo';
+const adminToken = `Bearer ${jwt.sign({ id: 'adm1', email: 'admin@escuela.mx', rol: 'Admin' }, SECRET)}`;
+const studentToken = `Bearer ${jwt.sign({ id: 'u1', rol: 'Estudiante' }, SECRET)}`;
+
+describe('AdminApi', () => {
+  let gatewayService;
+  let adminApi;
+  let app;
+
+  beforeEach(() => {
+    axios.mockReset();
+    axios.mockResolvedValue({ status: 200, data: { mensaje: 'ok' } });
+    gatewayService = new GatewayService({
+      config: {
+        versioning: { default: '1', versions: { 1: {}, 2: {} } },
+        rateLimit: { policies: { login: { limit: 5, windowMs: 60000 } } },
+        services: {
+          pagos: { url: 'http://pagos', retries: 0 },
+          catalogo: { url: 'http://catalogo', retries: 0 }
+        },
+        routes: [
+          { prefix: '/api/pagos', service: 'pagos', auth: false },
+          { prefix: '/api/catalogo', service: 'catalogo', auth: false },
+          { prefix: '/api/catalogo', service: 'catalogo', auth: false, version: '2' }
+        ]
+      }
+    });
+    adminApi = new AdminApi(gatewayService);
+
+    app = express();
+    app.use(express.json());
+    app.use('/admin', adminApi.router());
+    app.all('/api/*', (req, res) => gatewayService.handleRequest(req, res));
+  });
+
+  afterEach(() => {
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should require an admin token', async () => {
+    expect((await request(app).get('/admin/config')).status).toBe(401);
+    expect((await request(app).get('/admin/config').set('Authorization', 'Bearer x.y.z')).status).toBe(403);
+
+    const forbidden = await request(app).get('/admin/config').set('Authorization', studentToken);
+    expect(forbidden.status).toBe(403);
+    expect(forbidden.body.code).toBe('FORBIDDEN_ROLE');
+
+    const allowed = await request(app).get('/admin/config').set('Authorization', adminToken);
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.routes).toHaveLength(3);
+  });
+
+  test('should accept a static token only where it is configured', async () => {
+    app.get('/metrics', adminApi.authenticate({ staticToken: 'token-prometheus' }), (req, res) => res.send('ok'));
+
+    expect((await request(app).get('/metrics')).status).toBe(401);
+    expect((await request(app).get('/metrics').set('Authorization', 'Bearer otro-token')).status).toBe(403);
+    expect((await request(app).get('/metrics').set('Authorization', 'Bearer token-prometheus')).status).toBe(200);
+    expect((await request(app).get('/metrics').set('Authorization', adminToken)).status).toBe(200);
+    expect((await request(app).get('/admin/config').set('Authorization', 'Bearer token-prometheus')).status).toBe(403);
+  });
+
+  test('should add, update and remove routes and audit each change', async () => {
+    const added = await request(app).post('/admin/routes').set('Authorization', adminToken)
+      .send({ prefix: '/api/recibos', service: 'pagos', auth: false, rewrite: { '^/api': '' } });
+    expect(added.status).toBe(201);
+
+    const patched = await request(app).patch('/admin/routes?prefix=/api/recibos').set('Authorization', adminToken)
+      .send({ timeout: 1500, retries: 1, rateLimit: 'login' });
+    expect(patched.body.route).toMatchObject({ timeout: 1500, retries: 1, rateLimit: 'login', rewrite: { '^/api': '' } });
+
+    await request(app).get('/api/recibos/r1');
+    expect(axios.mock.calls[0][0]).toMatchObject({ url: 'http://pagos/recibos/r1', timeout: 1500 });
+
+    const removed = await request(app).delete('/admin/routes?prefix=/api/recibos').set('Authorization', adminToken);
+    expect(removed.status).toBe(200);
+    expect(gatewayService.routes.match('/api/recibos', 'GET').route).toBeNull();
+
+    const audit = (await request(app).get('/admin/audit').set('Authorization', adminToken)).body.audit;
+    expect(audit.map(entry => entry.details.action)).toEqual(['route.add', 'route.update', 'route.remove']);
+    expect(audit[1]).toMatchObject({
+      action: 'GATEWAY_CONFIG_CHANGED',
+      details: { actor: { id: 'adm1', rol: 'Admin' }, before: { prefix: '/api/recibos' }, after: { timeout: 1500 } }
+    });
+    expect(audit[1].details.before.timeout).toBeUndefined();
+  });
+
+  test('should reject invalid or ambiguous route changes without applying them', async () => {
+    const ambiguous = await request(app).patch('/admin/routes?prefix=/api/catalogo').set('Authorization', adminToken).send({ timeout: 10 });
+    expect(ambiguous.status).toBe(409);
+
+    const versioned = await request(app).patch('/admin/routes?prefix=/api/catalogo&version=v2').set('Authorization', adminToken).send({ timeout: 10 });
+    expect(versioned.body.route).toMatchObject({ version: '2', timeout: 10 });
+
+    const unknownPolicy = await request(app).patch('/admin/routes?prefix=/api/pagos').set('Authorization', adminToken).send({ rateLimit: 'nada' });
+    expect(unknownPolicy.status).toBe(400);
+
+    const badTransform = await request(app).patch('/admin/routes?prefix=/api/pagos').set('Authorization', adminToken)
+      .send({ transform: { steps: [{}] } });
+    expect(badTransform.status).toBe(400);
+    expect(gatewayService.routes.findRoutes('/api/pagos')).toHaveLength(1);
+
+    const readonly = await request(app).patch('/admin/routes?prefix=/api/pagos').set('Authorization', adminToken).send({ prefix: '/otra' });
+    expect(readonly.status).toBe(400);
+    expect(adminApi.getAuditLog()).toHaveLength(1);
+  });
+
+  test('should manage services, upstreams and their timeouts', async () => {
+    await request(app).post('/admin/services').set('Authorization', adminToken)
+      .send({ name: 'reportes', url: 'http://reportes-1', timeout: 2000 })
+      .expect(201);
+    await request(app).post('/admin/services/reportes/instances').set('Authorization', adminToken)
+      .send({ url: 'http://reportes-2/' })
+      .expect(201);
+    await request(app).patch('/admin/services/pagos').set('Authorization', adminToken)
+      .send({ timeout: 800, retries: 2 })
+      .expect(200);
+
+    expect(gatewayService.services.reportes.instances.map(i => i.url)).toEqual(['http://reportes-1', 'http://reportes-2']);
+    expect(gatewayService.services.pagos).toMatchObject({ timeout: 800, retries: 2, url: 'http://pagos' });
+    expect(gatewayService.circuitBreakerManager.getBreaker('pagos').timeout).toBe(800);
+
+    await request(app).delete('/admin/services/reportes/instances?url=http://reportes-1').set('Authorization', adminToken).expect(200);
+    expect(gatewayService.services.reportes.url).toBe('http://reportes-2');
+
+    await request(app).delete('/admin/services/pagos').set('Authorization', adminToken).expect(409);
+    await request(app).delete('/admin/services/reportes').set('Authorization', adminToken).expect(200);
+    expect(gatewayService.services.reportes).toBeUndefined();
+
+    await request(app).patch('/admin/services/pagos').set('Authorization', adminToken).send({ timeout: -1 }).expect(400);
+  });
+
+  test('should update rate limit policies', async () => {
+    const response = await request(app).put('/admin/rate-limits/roles/Estudiante').set('Authorization', adminToken)
+      .send({ limit: 50, windowMs: 60000, keyBy: 'user' });
+
+    expect(response.body.policy).toMatchObject({ name: 'role:Estudiante', limit: 50 });
+    expect(gatewayService.rateLimiter.rolePolicies.Estudiante.limit).toBe(50);
+
+    await request(app).put('/admin/rate-limits/default').set('Authorization', adminToken).send({ limit: 0 }).expect(400);
+    await request(app).put('/admin/rate-limits/otro/x').set('Authorization', adminToken).send({ limit: 1, windowMs: 1 }).expect(400);
+  });
+
+  test('should enable and disable middleware', async () => {
+    await request(app).post('/admin/middleware/rateLimit/disable').set('Authorization', adminToken).expect(200);
+    expect(gatewayService.middleware.find(m => m.name === 'rateLimit').enabled).toBe(false);
+
+    const response = await request(app).get('/api/pagos/p1');
+    expect(response.status).toBe(200);
+    expect(response.headers['ratelimit-limit']).toBeUndefined();
+
+    await request(app).post('/admin/middleware/rateLimit/enable').set('Authorization', adminToken).expect(200);
+    expect((await request(app).get('/api/pagos/p1')).headers['ratelimit-limit']).toBeDefined();
+
+    await request(app).post('/admin/middleware/inexistente/disable').set('Authorization', adminToken).expect(404);
+  });
+
+  test('should keep a forced-open breaker open until released', async () => {
+    const breaker = gatewayService.circuitBreakerManager.getBreaker('pagos');
+    breaker.resetTimeout = 1;
+
+    const opened = await request(app).post('/admin/circuit-breakers/pagos/open').set('Authorization', adminToken);
+    expect(opened.body.circuitBreaker).toMatchObject({ state: 'OPEN', forced: 'OPEN' });
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await expect(breaker.execute(async () => 'ok')).rejects.toThrow('is OPEN');
+
+    await request(app).post('/admin/circuit-breakers/pagos/release').set('Authorization', adminToken).expect(200);
+    await expect(breaker.execute(async () => 'ok')).resolves.toBe('ok');
+    expect(breaker.state).toBe('CLOSED');
+
+    await request(app).post('/admin/circuit-breakers/pagos/close').set('Authorization', adminToken).expect(200);
+    for (let i = 0; i < 6; i++) {
+      await breaker.execute(async () => { throw new Error('caído'); }).catch(() => {});
+    }
+    expect(breaker.state).toBe('CLOSED');
+
+    await request(app).post('/admin/circuit-breakers/desconocido/open').set('Authorization', adminToken).expect(404);
+  });
+});
@@ -0,0 +1,115 @@
+const Aggregator = require('../Aggregator');
+const GatewayService = require('../GatewayService');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const dashboard = {
+  path: '/api/dashboard',
+  sections: {
+    perfil: { service: 'usuarios', path: '/perfil/{userId}', required: true },
+    pagos: { service: 'pagos', path: '/usuario/{userId}' },
+    conceptos: { service: 'catalogo', path: '/conceptos', query: { tenantId: '{tenantId}', periodo: '{query.periodo}' } }
+  }
+};
+
+const req = {
+  method: 'GET',
+  path: '/api/dashboard',
+  query: {},
+  headers: { authorization: 'Bearer token' },
+  user: { id: 'u 1', tenantId: 'norte' }
+};
+
+describe('Aggregator', () => {
+  let aggregator;
+
+  beforeEach(() => {
+    aggregator = new Aggregator([dashboard]);
+  });
+
+  test('should only match GET on the exact path', () => {
+    expect(aggregator.match('/api/dashboard/', 'GET')).not.toBeNull();
+    expect(aggregator.match('/api/dashboard', 'POST')).toBeNull();
+    expect(aggregator.match('/api/dashboard/x', 'GET')).toBeNull();
+  });
+
+  test('should substitute user, tenant and query placeholders', () => {
+    expect(aggregator.buildPath(dashboard.sections.perfil, req)).toBe('/perfil/u%201');
+    expect(aggregator.buildPath(dashboard.sections.conceptos, req)).toBe('/conceptos?tenantId=norte');
+    expect(aggregator.buildPath(dashboard.sections.conceptos, { ...req, query: { periodo: '2024-1' } }))
+      .toBe('/conceptos?tenantId=norte&periodo=2024-1');
+  });
+
+  test('should mark failed sections without failing the whole document', async () => {
+    const fetchSection = jest.fn(service => service === 'pagos'
+      ? Promise.reject(Object.assign(new Error('open'), { name: 'CircuitBreakerOpenError' }))
+      : Promise.resolve({ status: 200, data: { service } }));
+
+    const { status, body } = await aggregator.aggregate(aggregator.match('/api/dashboard', 'GET'), req, fetchSection);
+
+    expect(fetchSection).toHaveBeenCalledTimes(3);
+    expect(status).toBe(200);
+    expect(body.partial).toBe(true);
+    expect(body.sections.perfil).toEqual({ status: 'ok', service: 'usuarios', data: { service: 'usuarios' } });
+    expect(body.sections.pagos.error.code).toBe('CIRCUIT_OPEN');
+    expect(body._aggregation.failed).toEqual(['pagos']);
+  });
+
+  test('should answer 502 when a required section fails and 503 when all fail', async () => {
+    const aggregation = aggregator.match('/api/dashboard', 'GET');
+
+    const requiredDown = await aggregator.aggregate(aggregation, req, service => service === 'usuarios'
+      ? Promise.reject(Object.assign(new Error('not found'), { response: { status: 404, data: { error: 'Usuario no encontrado' } } }))
+      : Promise.resolve({ status: 200, data: {} }));
+    expect(requiredDown.status).toBe(502);
+    expect(requiredDown.body.sections.perfil.error).toEqual({ code: 'UPSTREAM_ERROR', status: 404, message: 'Usuario no encontrado' });
+
+    const allDown = await aggregator.aggregate(aggregation, req, () => Promise.reject(new Error('boom')));
+    expect(allDown.status).toBe(503);
+  });
+
+  test('should reject sections without service or path', () => {
+    expect(() => new Aggregator([{ path: '/api/x', sections: { a: { service: 'pagos' } } }])).toThrow();
+  });
+});
+
+describe('GatewayService aggregation', () => {
+  let gatewayService;
+
+  beforeEach(() => {
+    axios.mockReset();
+    gatewayService = new GatewayService({
+      config: {
+        services: {
+          usuarios: { url: 'http://usuarios', retries: 0 },
+          pagos: { url: 'http://pagos', retries: 0 },
+          catalogo: { url: 'http://catalogo', retries: 0 }
+        },
+        aggregations: [dashboard],
+        routes: []
+      }
+    });
+  });
+
+  afterEach(() => {
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should fan out to every service forwarding the caller credentials', async () => {
+    axios.mockImplementation(config => Promise.resolve({ status: 200, data: { url: config.url } }));
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+    await gatewayService.processAggregation(gatewayService.aggregator.match('/api/dashboard', 'GET'), req, res);
+
+    const urls = axios.mock.calls.map(([config]) => config.url).sort();
+    expect(urls).toEqual([
+      'http://catalogo/conceptos?tenantId=norte',
+      'http://pagos/usuario/u%201',
+      'http://usuarios/perfil/u%201'
+    ]);
+    expect(axios.mock.calls[0][0].headers.Authorization).toBe('Bearer token');
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].partial).toBe(false);
+  });
+});
@@ -0,0 +1,101 @@
+const express = require('express');
+const request = require('supertest');
+const { ApiDocs } = require('../ApiDocs');
+const GatewayService = require('../GatewayService');
+const pagosSpec = require('../../microservicios/pagos/docs/swagger.json');
+const catalogoSpec = require('../../microservicios/catalogo/docs/swagger.json');
+const usuariosSpec = require('../../microservicios/usuarios/docs/swagger.json');
+
+jest.mock('axios');
+
+describe('ApiDocs', () => {
+  let gatewayService;
+  let apiDocs;
+  let app;
+
+  beforeEach(() => {
+    gatewayService = new GatewayService({
+      config: {
+        versioning: { default: '1', versions: { 1: {}, 2: {} } },
+        services: {
+          usuarios: { url: 'http://usuarios', openapi: { path: '/openapi.json' } },
+          pagos: { url: 'http://pagos' },
+          catalogo: { url: 'http://catalogo' }
+        },
+        routes: [
+          { prefix: '/api/usuarios/login', service: 'usuarios', methods: ['POST'], auth: false, rewrite: { '^/api/usuarios': '' } },
+          { prefix: '/api/usuarios/registro', service: 'usuarios', methods: ['POST'], auth: false, rewrite: { '^/api/usuarios': '' } },
+          { prefix: '/api/usuarios', service: 'usuarios' },
+          { prefix: '/api/pagos', service: 'pagos' },
+          { prefix: '/api/catalogo/conceptos', service: 'catalogo', rewrite: { '^/api/catalogo': '' } },
+          { prefix: '/api/catalogo', service: 'catalogo' }
+        ]
+      }
+    });
+    gatewayService.openApiValidator.addSpec('pagos', pagosSpec);
+    gatewayService.openApiValidator.addSpec('catalogo', catalogoSpec);
+    gatewayService.openApiValidator.addSpec('usuarios', usuariosSpec);
+
+    apiDocs = new ApiDocs(gatewayService, { version: '1.2.0' });
+    app = express();
+    app.use(apiDocs.router());
+  });
+
+  afterEach(() => {
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should merge the service specs under their public prefixes', () => {
+    const document = apiDocs.buildDocument();
+
+    expect(document.openapi).toMatch(/^3\./);
+    expect(Object.keys(document.paths)).toEqual(expect.arrayContaining([
+      '/api/usuarios/login',
+      '/api/usuarios/perfil/{id}',
+      '/api/pagos/crear',
+      '/api/pagos/usuario/{usuarioId}',
+      '/api/pagos',
+      '/api/catalogo/conceptos',
+      '/api/catalogo/conceptos/{id}'
+    ]));
+    expect(document.paths['/api/usuarios/login'].post.security).toEqual([]);
+    expect(document.paths['/api/pagos/crear'].post.security).toEqual([{ bearerAuth: [] }]);
+    expect(document['x-services'].pagos.operations).toBe(5);
+  });
+
+  test('should namespace components and rewrite their references', () => {
+    const document = apiDocs.buildDocument();
+
+    expect(document.components.schemas).toHaveProperty(['pagos.Error']);
+    expect(document.components.schemas).toHaveProperty(['usuarios.Error']);
+    const created = document.paths['/api/pagos/crear'].post.responses['201'].content['application/json'].schema;
+    expect(created.properties.orden.$ref).toBe('#/components/schemas/pagos.Pago');
+    expect(JSON.stringify(document)).not.toMatch(/"#\/components\/schemas\/(Pago|Error|Usuario)"/);
+  });
+
+  test('should only publish operations the route table can reach', () => {
+    gatewayService.routes.removeRoute('/api/usuarios');
+    const document = apiDocs.buildDocument();
+
+    // Sin la ruta general solo quedan login y registro
+    expect(Object.keys(document.paths).filter(path => path.startsWith('/api/usuarios')).sort())
+      .toEqual(['/api/usuarios/login', '/api/usuarios/registro']);
+    expect(document['x-services'].usuarios.operations).toBe(2);
+  });
+
+  test('should document a non-default version under its path prefix', async () => {
+    const response = await request(app).get('/openapi.json?version=2');
+
+    expect(response.status).toBe(200);
+    expect(response.body.paths).toHaveProperty(['/api/v2/pagos/crear']);
+    expect((await request(app).get('/openapi.json?version=9')).status).toBe(400);
+  });
+
+  test('should serve the interactive docs', async () => {
+    const response = await request(app).get('/docs');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch('text/html');
+    expect(response.text).toContain('SwaggerUIBundle({ url: "openapi.json"');
+  });
+});
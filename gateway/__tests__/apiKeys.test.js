@@ -0,0 +1,211 @@
+const express = require('express');
+const request = require('supertest');
+const GatewayService = require('../GatewayService');
+const { ApiKeyAuthenticator } = require('../ApiKeyAuthenticator');
+const { ApiKeyError, generateApiKey, parseApiKey, verifyApiKeyHash, validateScopes, matchesScope } = require('../../shared/ApiKeys');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const inDays = (days) => new Date(Date.now() + days * 86400000).toISOString();
+
+describe('ApiKeys', () => {
+  test('should generate keys that only the stored hash can verify', () => {
+    const { apiKey, prefijo, keyHash } = generateApiKey();
+
+    expect(parseApiKey(apiKey)).toBe(prefijo);
+    expect(parseApiKey('ak_corta')).toBeNull();
+    expect(verifyApiKeyHash(apiKey, keyHash)).toBe(true);
+    expect(verifyApiKeyHash(generateApiKey().apiKey, keyHash)).toBe(false);
+    expect(keyHash).not.toContain(apiKey);
+  });
+
+  test('should match scopes by method, params and trailing wildcard', () => {
+    const scopes = ['GET /api/pagos/*', 'POST /api/usuarios/:id/notas', '/api/catalogo/cursos'];
+
+    expect(matchesScope(scopes, 'GET', '/api/pagos/usuario/7?estado=pagado')).toBe(true);
+    expect(matchesScope(scopes, 'POST', '/api/pagos/procesar')).toBe(false);
+    expect(matchesScope(scopes, 'post', '/api/usuarios/7/notas')).toBe(true);
+    expect(matchesScope(scopes, 'POST', '/api/usuarios/7/notas/1')).toBe(false);
+    expect(matchesScope(scopes, 'DELETE', '/api/catalogo/cursos')).toBe(true);
+    expect(matchesScope(scopes, 'GET', '/api/catalogo')).toBe(false);
+  });
+
+  test('should reject empty or malformed scopes', () => {
+    expect(() => validateScopes([])).toThrow(ApiKeyError);
+    expect(() => validateScopes(['pagos'])).toThrow('Alcance inválido');
+    expect(() => validateScopes(['GET /api/pagos/*', '/api/catalogo'])).not.toThrow();
+  });
+});
+
+describe('ApiKeyAuthenticator', () => {
+  const { apiKey } = generateApiKey();
+  const key = { id: 'k1', nombre: 'ERP', scopes: ['GET /api/pagos/*'], tenants: [], expiresAt: inDays(30) };
+
+  test('should cache verifications and rejections separately', async () => {
+    const verify = jest.fn().mockResolvedValue(key);
+    const authenticator = new ApiKeyAuthenticator({ verify });
+
+    await expect(authenticator.authenticate(apiKey)).resolves.toEqual(key);
+    await expect(authenticator.authenticate(apiKey)).resolves.toEqual(key);
+    expect(verify).toHaveBeenCalledTimes(1);
+
+    const rejected = generateApiKey().apiKey;
+    verify.mockRejectedValue(new ApiKeyError('La API key fue revocada', 'API_KEY_REVOKED'));
+    await expect(authenticator.authenticate(rejected)).rejects.toMatchObject({ code: 'API_KEY_REVOKED' });
+    await expect(authenticator.authenticate(rejected)).rejects.toMatchObject({ code: 'API_KEY_REVOKED' });
+    expect(verify).toHaveBeenCalledTimes(2);
+
+    await expect(authenticator.authenticate('no-es-una-clave')).rejects.toMatchObject({ code: 'API_KEY_INVALID' });
+    expect(authenticator.getInfo().stats).toEqual({ verified: 1, rejected: 3, cacheHits: 2 });
+  });
+
+  test('should not cache service failures', async () => {
+    const verify = jest.fn().mockRejectedValueOnce(new Error('ECONNREFUSED')).mockResolvedValue(key);
+    const authenticator = new ApiKeyAuthenticator({ verify });
+
+    await expect(authenticator.authenticate(apiKey)).rejects.toThrow('ECONNREFUSED');
+    await expect(authenticator.authenticate(apiKey)).resolves.toEqual(key);
+  });
+
+  test('should reject cached keys once they expire and drop invalidated keys', async () => {
+    const verify = jest.fn().mockResolvedValue({ ...key, expiresAt: inDays(30) });
+    const authenticator = new ApiKeyAuthenticator({ verify });
+
+    await authenticator.authenticate(apiKey);
+    authenticator.cache.values().next().value.key.expiresAt = inDays(-1);
+    await expect(authenticator.authenticate(apiKey)).rejects.toMatchObject({ code: 'API_KEY_EXPIRED' });
+
+    expect(authenticator.invalidate('k1')).toBe(1);
+    expect(authenticator.invalidate('k1')).toBe(0);
+  });
+
+  test('should keep usage counters when the report fails', async () => {
+    const authenticator = new ApiKeyAuthenticator({ verify: jest.fn() });
+    authenticator.recordUse('k1');
+    authenticator.recordUse('k1');
+
+    await expect(authenticator.flushUsage(() => Promise.reject(new Error('timeout')))).rejects.toThrow('timeout');
+    authenticator.recordUse('k2');
+
+    const send = jest.fn().mockResolvedValue();
+    await expect(authenticator.flushUsage(send)).resolves.toBe(2);
+    expect(send).toHaveBeenCalledWith({ k1: 2, k2: 1 });
+    await expect(authenticator.flushUsage(send)).resolves.toBe(0);
+  });
+
+  test('should validate its options', () => {
+    expect(() => new ApiKeyAuthenticator({ cacheTtl: -1 })).toThrow('auth.apiKeys.cacheTtl inválido');
+    expect(() => new ApiKeyAuthenticator({ maxEntries: 0 })).toThrow('auth.apiKeys.maxEntries inválido');
+  });
+});
+
+describe('GatewayService API keys', () => {
+  const { apiKey } = generateApiKey();
+  const key = { id: 'k1', nombre: 'ERP', scopes: ['GET /api/pagos/*'], tenants: ['campus-norte'], expiresAt: inDays(30) };
+  let gatewayService;
+  let app;
+
+  const routeAxios = (handlers) => axios.mockImplementation(async (options) => {
+    const path = new URL(options.url).pathname;
+    const handler = handlers[path] || handlers.default;
+    return handler(options);
+  });
+
+  beforeEach(() => {
+    axios.mockReset();
+    gatewayService = new GatewayService({
+      config: {
+        services: {
+          usuarios: { url: 'http://usuarios', retries: 0 },
+          pagos: { url: 'http://pagos', retries: 0 }
+        },
+        routes: [
+          { prefix: '/api/usuarios', service: 'usuarios', middleware: { disable: ['rateLimit'] } },
+          { prefix: '/api/pagos', service: 'pagos', middleware: { disable: ['rateLimit'] } }
+        ],
+        auth: { apiKeys: { usageFlushInterval: 0 } }
+      }
+    });
+
+    app = express();
+    app.use(express.json());
+    app.all('/api/*', (req, res) => gatewayService.handleRequest(req, res));
+  });
+
+  afterEach(() => {
+    gatewayService.stopRevocationSync();
+    gatewayService.stopApiKeyUsageFlush();
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should proxy requests within scope with the key id instead of the key', async () => {
+    routeAxios({
+      '/api-keys/verificar': async () => ({ status: 200, data: { valida: true, apiKey: key } }),
+      default: async () => ({ status: 200, data: { pagos: [] } })
+    });
+
+    await request(app).get('/api/pagos/usuario/7').set('X-API-Key', apiKey).expect(200);
+
+    const upstream = axios.mock.calls.map(([options]) => options).find(options => options.url.startsWith('http://pagos'));
+    expect(upstream.headers).toMatchObject({ 'X-API-Key-ID': 'k1', 'X-User-ID': 'apikey:k1' });
+    expect(upstream.headers['x-api-key']).toBeUndefined();
+    expect(gatewayService.apiKeyAuthenticator.usage.get('k1')).toBe(1);
+  });
+
+  test('should deny requests out of scope or tenant', async () => {
+    routeAxios({ '/api-keys/verificar': async () => ({ status: 200, data: { valida: true, apiKey: key } }) });
+
+    const scope = await request(app).post('/api/pagos/procesar').set('X-API-Key', apiKey).send({});
+    expect(scope.status).toBe(403);
+    expect(scope.body.code).toBe('API_KEY_SCOPE');
+
+    const tenant = await request(app).get('/api/pagos/usuario/7').set('X-API-Key', apiKey).set('X-Tenant-ID', 'campus-sur');
+    expect(tenant.status).toBe(403);
+    expect(tenant.body.code).toBe('API_KEY_TENANT');
+  });
+
+  test('should reject keys refused by usuarios and forget revoked keys', async () => {
+    let revoked = false;
+    routeAxios({
+      '/api-keys/verificar': async () => {
+        if (!revoked) return { status: 200, data: { valida: true, apiKey: key } };
+        const error = new Error('Request failed with status code 401');
+        error.response = { status: 401, data: { valida: false, error: 'La API key fue revocada', code: 'API_KEY_REVOKED' } };
+        throw error;
+      },
+      default: async () => ({ status: 200, data: {} })
+    });
+
+    await request(app).get('/api/pagos/usuario/7').set('X-API-Key', apiKey).expect(200);
+
+    revoked = true;
+    await gatewayService.eventManager.notify('apikey.revocada', { id: 'k1' }, 'usuarios');
+    const response = await request(app).get('/api/pagos/usuario/7').set('X-API-Key', apiKey);
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('API_KEY_REVOKED');
+  });
+
+  test('should answer 503 when usuarios cannot verify the key', async () => {
+    axios.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+    const response = await request(app).get('/api/pagos/usuario/7').set('X-API-Key', apiKey);
+
+    expect(response.status).toBe(503);
+    expect(response.body.code).toBe('API_KEY_UNAVAILABLE');
+  });
+
+  test('should report usage to usuarios', async () => {
+    axios.mockResolvedValue({ status: 200, data: { actualizadas: 1 } });
+    gatewayService.apiKeyAuthenticator.recordUse('k1');
+
+    await expect(gatewayService.flushApiKeyUsage()).resolves.toBe(1);
+    expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+      method: 'POST',
+      url: 'http://usuarios/api-keys/uso',
+      data: { uso: { k1: 1 } }
+    }));
+    expect(gatewayService.getInfo().apiKeys.pendingUsage).toBe(0);
+  });
+});
@@ -0,0 +1,146 @@
+const express = require('express');
+const request = require('supertest');
+const ApiVersioning = require('../ApiVersioning');
+const RouteRegistry = require('../RouteRegistry');
+const GatewayService = require('../GatewayService');
+
+jest.mock('axios');
+const axios = require('axios');
+
+describe('ApiVersioning', () => {
+  let versioning;
+
+  beforeEach(() => {
+    versioning = new ApiVersioning({
+      default: '2',
+      versions: {
+        1: { deprecated: '2026-01-01T00:00:00Z', sunset: '2099-12-31T00:00:00Z', link: 'https://docs/migracion' },
+        2: {},
+        0: { sunset: '2020-01-01T00:00:00Z' }
+      }
+    });
+  });
+
+  test('should take the version from the path and strip the prefix', () => {
+    const req = { url: '/api/v1/pagos/crear?x=1', headers: { 'accept-version': '2' } };
+
+    expect(versioning.resolve(req)).toEqual({ version: '1', source: 'path', error: null });
+    expect(req.url).toBe('/api/pagos/crear?x=1');
+    expect(req.apiVersion).toBe('1');
+  });
+
+  test('should fall back to Accept-Version and then to the default version', () => {
+    expect(versioning.resolve({ url: '/api/pagos', headers: { 'accept-version': 'v1' } }).version).toBe('1');
+    expect(versioning.resolve({ url: '/api/pagos', headers: {} })).toEqual({ version: '2', source: 'default', error: null });
+  });
+
+  test('should be idempotent', () => {
+    const req = { url: '/api/v1/v2/pagos', headers: {} };
+    versioning.resolve(req);
+    versioning.resolve(req);
+
+    expect(req.url).toBe('/api/v2/pagos');
+  });
+
+  test('should reject unknown and sunset versions', () => {
+    expect(versioning.resolve({ url: '/api/v9/pagos', headers: {} }).error).toMatchObject({
+      status: 400,
+      body: { code: 'UNSUPPORTED_API_VERSION', supportedVersions: ['0', '1', '2'] }
+    });
+    expect(versioning.resolve({ url: '/api/v0/pagos', headers: {} }).error).toMatchObject({
+      status: 410,
+      body: { code: 'API_VERSION_SUNSET', supportedVersions: ['1', '2'] }
+    });
+  });
+
+  test('should build deprecation headers', () => {
+    const req = { url: '/api/v1/pagos', headers: {} };
+    versioning.resolve(req);
+
+    expect(versioning.getHeaders(req)).toEqual({
+      'API-Version': '1',
+      'Deprecation': '@1767225600',
+      'Sunset': 'Thu, 31 Dec 2099 00:00:00 GMT',
+      'Link': '<https://docs/migracion>; rel="deprecation"'
+    });
+
+    const negotiated = { url: '/api/pagos', headers: {} };
+    versioning.resolve(negotiated);
+    expect(versioning.getHeaders(negotiated)).toEqual({ 'Vary': 'Accept-Version', 'API-Version': '2' });
+  });
+
+  test('should validate the configuration', () => {
+    expect(() => new ApiVersioning({ default: '3', versions: { 1: {} } })).toThrow();
+    expect(() => new ApiVersioning({ versions: { 1: { sunset: 'pronto' } } })).toThrow();
+    expect(new ApiVersioning().getInfo()).toEqual({ default: '1', versions: { 1: { status: 'active' } } });
+  });
+});
+
+describe('RouteRegistry versioned routes', () => {
+  test('should prefer the route of the requested version and keep both registered', () => {
+    const registry = RouteRegistry.fromDefinitions([
+      { prefix: '/api/pagos/crear', service: 'pagos', version: 'v2' },
+      { prefix: '/api/pagos/crear', service: 'pagos' }
+    ]);
+
+    expect(registry.size).toBe(2);
+    expect(registry.match('/api/pagos/crear', 'POST', '2').route.version).toBe('2');
+    expect(registry.match('/api/pagos/crear', 'POST', '1').route.version).toBeNull();
+  });
+});
+
+describe('GatewayService API versioning', () => {
+  let gatewayService;
+  let app;
+
+  beforeEach(() => {
+    axios.mockReset();
+    axios.mockResolvedValue({ status: 201, data: { mensaje: 'ok' } });
+    gatewayService = new GatewayService({
+      config: {
+        versioning: { default: '1', versions: { 1: { deprecated: true }, 2: {} } },
+        services: { pagos: { url: 'http://pagos', retries: 0 } },
+        routes: [
+          { prefix: '/api/pagos/crear', service: 'pagos', auth: false, version: '2', methods: ['POST'], rewrite: { '^/api/pagos/crear': '/v2/crear' } },
+          { prefix: '/api/pagos', service: 'pagos', auth: false }
+        ]
+      }
+    });
+
+    app = express();
+    app.use(express.json());
+    app.all('/api/*', (req, res) => gatewayService.handleRequest(req, res));
+  });
+
+  afterEach(() => {
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should route each version to its upstream handler', async () => {
+    const v1 = await request(app).post('/api/v1/pagos/crear').send({ monto: 10 });
+    const v2 = await request(app).post('/api/v2/pagos/crear').send({ monto: 10 });
+    const negotiated = await request(app).post('/api/pagos/crear').set('Accept-Version', '2').send({ monto: 10 });
+
+    expect(axios.mock.calls.map(([config]) => config.url)).toEqual([
+      'http://pagos/crear',
+      'http://pagos/v2/crear',
+      'http://pagos/v2/crear'
+    ]);
+    expect(v1.headers['deprecation']).toBe('true');
+    expect(v2.headers['api-version']).toBe('2');
+    expect(v2.headers['deprecation']).toBeUndefined();
+    expect(negotiated.headers['vary']).toMatch(/Accept-Version/);
+  });
+
+  test('should answer 400 for unsupported versions', async () => {
+    const response = await request(app).get('/api/v7/pagos');
+
+    expect(response.status).toBe(400);
+    expect(response.body.supportedVersions).toEqual(['1', '2']);
+    expect(axios).not.toHaveBeenCalled();
+  });
+
+  test('should refuse routes for undeclared versions', () => {
+    expect(() => gatewayService.addRoute('/api/pagos/v3', 'pagos', { version: '3' })).toThrow();
+  });
+});
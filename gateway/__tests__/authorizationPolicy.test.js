@@ -0,0 +1,183 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const AuthorizationPolicy = require('../AuthorizationPolicy');
+const GatewayService = require('../GatewayService');
+
+jest.mock('axios');
+const axios = require('axios');
+
+describe('AuthorizationPolicy', () => {
+  const policy = new AuthorizationPolicy({
+    rules: [
+      { path: '/api/pagos', methods: ['GET'], roles: ['Admin'] },
+      { path: '/api/pagos/:id/estado', methods: ['PUT'], roles: ['Admin'] },
+      { path: '/api/pagos/usuario/:usuarioId', methods: ['GET'], owner: { param: 'usuarioId' } },
+      { path: '/api/pagos/crear', methods: ['POST'], owner: { body: 'usuarioId' } },
+      { path: '/api/pagos/:id', methods: ['GET'], owner: { response: 'pago.usuarioId' } },
+      { path: '/api/reportes/*', roles: ['Admin', 'Finanzas'] }
+    ]
+  });
+
+  const alumno = { id: '7', rol: 'Alumno' };
+  const admin = { id: '1', rol: 'Admin' };
+
+  test('should restrict the payments listing to admins', () => {
+    expect(policy.authorize({ path: '/api/pagos/', method: 'GET', user: alumno }).allowed).toBe(false);
+    expect(policy.authorize({ path: '/api/pagos/', method: 'GET', user: admin }).allowed).toBe(true);
+  });
+
+  test('should not let students change payment state', () => {
+    const req = { path: '/api/pagos/15/estado', method: 'PUT', user: alumno };
+
+    expect(policy.authorize(req).allowed).toBe(false);
+  });
+
+  test('should check ownership from path params', () => {
+    expect(policy.authorize({ path: '/api/pagos/usuario/7', method: 'GET', user: alumno }).allowed).toBe(true);
+    expect(policy.authorize({ path: '/api/pagos/usuario/8', method: 'GET', user: alumno }).allowed).toBe(false);
+    expect(policy.authorize({ path: '/api/pagos/usuario/8', method: 'GET', user: admin }).allowed).toBe(true);
+  });
+
+  test('should check ownership from the request body', () => {
+    const own = { path: '/api/pagos/crear', method: 'POST', user: alumno, body: { usuarioId: '7' } };
+    const other = { path: '/api/pagos/crear', method: 'POST', user: alumno, body: { usuarioId: '8' } };
+
+    expect(policy.authorize(own).allowed).toBe(true);
+    expect(policy.authorize(other).allowed).toBe(false);
+  });
+
+  test('should check ownership from the response when only the service knows the owner', () => {
+    const req = { path: '/api/pagos/p1', method: 'GET', user: alumno };
+    const decision = policy.authorize(req);
+
+    expect(decision).toMatchObject({ allowed: true, responseOwner: 'pago.usuarioId' });
+    expect(policy.authorize({ ...req, user: admin }).responseOwner).toBeUndefined();
+
+    req.responseOwner = decision.responseOwner;
+    expect(policy.authorizeResponse(req, { pago: { id: 'p1', usuarioId: '7' } }).allowed).toBe(true);
+    expect(policy.authorizeResponse(req, { pago: { id: 'p1', usuarioId: '8' } }).allowed).toBe(false);
+    expect(policy.authorizeResponse(req, { mensaje: 'sin pago' }).allowed).toBe(false);
+  });
+
+  test('should answer 400 for malformed paths instead of throwing', () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    policy.middleware()({ path: '/api/pagos/usuario/%E0%A4%A', method: 'GET', user: alumno }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Petición inválida', code: 'MALFORMED_PATH' }));
+  });
+
+  test('should support trailing wildcards', () => {
+    expect(policy.authorize({ path: '/api/reportes/mensual/2024', method: 'GET', user: alumno }).allowed).toBe(false);
+  });
+
+  test('should allow requests without a matching rule', () => {
+    expect(policy.authorize({ path: '/api/catalogo/conceptos', method: 'GET', user: alumno }).allowed).toBe(true);
+  });
+
+  test('should answer 403 with a consistent body', () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    policy.middleware()({ path: '/api/pagos', method: 'GET', user: alumno }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      error: 'Acceso denegado',
+      requiredRoles: ['Admin'],
+      path: '/api/pagos',
+      method: 'GET'
+    }));
+  });
+
+  test('should skip public routes', () => {
+    const next = jest.fn();
+
+    policy.middleware()({ path: '/api/pagos', method: 'GET', gatewayRoute: { auth: false } }, {}, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should reject rules without roles or owner', () => {
+    expect(() => new AuthorizationPolicy({ rules: [{ path: '/api/x' }] })).toThrow();
+    expect(() => new AuthorizationPolicy({ rules: [{ path: '/api/x', owner: { param: 'id', response: 'x.id' } }] })).toThrow('solo uno');
+  });
+});
+
+describe('Authorization rules in gateway.config.json', () => {
+  const policy = new AuthorizationPolicy(require('../gateway.config.json').authorization);
+  const alumno = { id: '7', rol: 'Alumno' };
+  const admin = { id: '1', rol: 'Admin' };
+
+  test.each([
+    '/api/pagos/events/history',
+    '/api/usuarios/events/history',
+    '/api/catalogo/events/stats',
+    '/api/pagos/metrics',
+    '/api/pagos/circuit-breakers'
+  ])('should keep %s for admins', (path) => {
+    expect(policy.authorize({ path, method: 'GET', user: alumno })).toMatchObject({ allowed: false, reason: 'Se requiere uno de los roles: Admin' });
+    expect(policy.authorize({ path, method: 'GET', user: admin }).allowed).toBe(true);
+  });
+});
+
+describe('GatewayService response ownership', () => {
+  const SECRET = process.env.JWT_SECRET;
+  const tokenDe = (id, rol) => `Bearer ${jwt.sign({ id, rol }, SECRET)}`;
+  let gatewayService;
+  let app;
+
+  beforeEach(() => {
+    axios.mockReset();
+    axios.mockImplementation(async (config) => ({
+      status: 200,
+      data: { mensaje: 'Pago obtenido', pago: { id: config.url.split('/').pop(), usuarioId: '7' } }
+    }));
+
+    gatewayService = new GatewayService({
+      config: {
+        authorization: require('../gateway.config.json').authorization,
+        services: { pagos: { url: 'http://pagos', retries: 0 } },
+        routes: [
+          { prefix: '/api/pagos', service: 'pagos', rewrite: { '^/api/pagos': '' }, cache: { ttl: 60000 }, middleware: { disable: ['rateLimit'] } }
+        ]
+      }
+    });
+    app = express();
+    app.use(express.json());
+    app.all('/api/*', (req, res) => gatewayService.handleRequest(req, res));
+  });
+
+  afterEach(() => {
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should only hand a payment to its owner or an admin', async () => {
+    const ajeno = await request(app).get('/api/pagos/p1').set('Authorization', tokenDe('8', 'Alumno'));
+    expect(ajeno.status).toBe(403);
+    expect(ajeno.body.pago).toBeUndefined();
+
+    await request(app).get('/api/pagos/p1').set('Authorization', tokenDe('7', 'Alumno')).expect(200);
+    await request(app).get('/api/pagos/p1').set('Authorization', tokenDe('1', 'Admin')).expect(200);
+  });
+
+  test('should not proxy the event history of a service to students', async () => {
+    const response = await request(app).get('/api/pagos/events/history').set('Authorization', tokenDe('7', 'Alumno'));
+
+    expect(response.status).toBe(403);
+    expect(axios).not.toHaveBeenCalled();
+  });
+
+  test('should check the owner on cached responses too', async () => {
+    await request(app).get('/api/pagos/p1').set('Authorization', tokenDe('7', 'Alumno')).expect(200);
+
+    const ajeno = await request(app).get('/api/pagos/p1').set('Authorization', tokenDe('8', 'Alumno'));
+    expect(ajeno.status).toBe(403);
+    expect(axios).toHaveBeenCalledTimes(1);
+  });
+});
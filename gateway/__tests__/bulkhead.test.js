@@ -0,0 +1,142 @@
+const express = require('express');
+const request = require('supertest');
+const { Bulkhead, BulkheadManager, BulkheadFullError } = require('../../shared/Bulkhead');
+const GatewayService = require('../GatewayService');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+describe('Bulkhead', () => {
+  test('should cap concurrent calls and run queued calls in order', async () => {
+    const bulkhead = new Bulkhead({ name: 'catalogo', maxConcurrent: 2, maxQueue: 2 });
+    const gates = [deferred(), deferred()];
+    const order = [];
+
+    const running = gates.map((gate, i) => bulkhead.execute(async () => {
+      await gate.promise;
+      order.push(`lento-${i}`);
+    }));
+    const queued = [1, 2].map(i => bulkhead.execute(async () => order.push(`cola-${i}`)));
+
+    expect(bulkhead.getState()).toMatchObject({ active: 2, queued: 2, utilization: 1 });
+    await expect(bulkhead.execute(async () => 'ok')).rejects.toMatchObject({ code: 'BULKHEAD_FULL', reason: 'capacity' });
+
+    gates.forEach(gate => gate.resolve());
+    await Promise.all([...running, ...queued]);
+
+    expect(order).toEqual(['lento-0', 'lento-1', 'cola-1', 'cola-2']);
+    expect(bulkhead.getState()).toMatchObject({ active: 0, queued: 0, metrics: { accepted: 4, queued: 2, rejected: 1, maxActive: 2 } });
+  });
+
+  test('should release the slot when the call fails', async () => {
+    const bulkhead = new Bulkhead({ maxConcurrent: 1, maxQueue: 0 });
+
+    await expect(bulkhead.execute(async () => { throw new Error('caído'); })).rejects.toThrow('caído');
+    await expect(bulkhead.execute(async () => 'ok')).resolves.toBe('ok');
+  });
+
+  test('should reject queued calls after the queue timeout', async () => {
+    const bulkhead = new Bulkhead({ maxConcurrent: 1, maxQueue: 5, queueTimeout: 10 });
+    const gate = deferred();
+    const running = bulkhead.execute(() => gate.promise);
+
+    const error = await bulkhead.execute(async () => 'tarde').catch(err => err);
+    expect(error).toBeInstanceOf(BulkheadFullError);
+    expect(error.reason).toBe('queue_timeout');
+    expect(bulkhead.getState()).toMatchObject({ queued: 0, metrics: { queueTimeouts: 1 } });
+
+    gate.resolve();
+    await running;
+  });
+
+  test('should admit queued calls when the limit is raised', async () => {
+    const bulkhead = new Bulkhead({ maxConcurrent: 1, maxQueue: 1 });
+    const gate = deferred();
+    const running = bulkhead.execute(() => gate.promise);
+    const queued = bulkhead.execute(async () => 'ok');
+
+    bulkhead.update({ maxConcurrent: 2 });
+
+    await expect(queued).resolves.toBe('ok');
+    expect(() => bulkhead.update({ maxConcurrent: 0 })).toThrow('maxConcurrent');
+    gate.resolve();
+    await running;
+  });
+
+  test('should create bulkheads with the manager defaults', () => {
+    const manager = new BulkheadManager({ maxConcurrent: 5 });
+
+    expect(manager.getBulkhead('pagos').maxConcurrent).toBe(5);
+    expect(manager.getBulkhead('catalogo', { maxConcurrent: 2 }).maxConcurrent).toBe(2);
+    expect(manager.getAllStates().map(state => state.name)).toEqual(['pagos', 'catalogo']);
+  });
+});
+
+describe('GatewayService bulkheads', () => {
+  let gatewayService;
+  let app;
+
+  beforeEach(() => {
+    axios.mockReset();
+    gatewayService = new GatewayService({
+      config: {
+        bulkhead: { default: { maxConcurrent: 10, maxQueue: 10 } },
+        services: {
+          catalogo: { url: 'http://catalogo', retries: 0, bulkhead: { maxConcurrent: 1, maxQueue: 0 } },
+          pagos: { url: 'http://pagos', retries: 0 }
+        },
+        routes: [
+          { prefix: '/api/catalogo', service: 'catalogo', auth: false, middleware: { disable: ['rateLimit'] } },
+          { prefix: '/api/pagos', service: 'pagos', auth: false, middleware: { disable: ['rateLimit'] } }
+        ]
+      }
+    });
+
+    app = express();
+    app.use(express.json());
+    app.all('/api/*', (req, res) => gatewayService.handleRequest(req, res));
+  });
+
+  afterEach(() => {
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should reject with 503 when a slow service is saturated without affecting others', async () => {
+    const gate = deferred();
+    axios.mockImplementation(config => (config.url.startsWith('http://catalogo')
+      ? gate.promise.then(() => ({ status: 200, data: { conceptos: [] } }))
+      : Promise.resolve({ status: 200, data: { pagos: [] } })));
+
+    const slow = request(app).get('/api/catalogo/conceptos').then(res => res);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const rejected = await request(app).get('/api/catalogo/conceptos');
+    expect(rejected.status).toBe(503);
+    expect(rejected.body.code).toBe('BULKHEAD_FULL');
+    expect(rejected.headers['retry-after']).toBe('1');
+
+    expect((await request(app).get('/api/pagos/p1')).status).toBe(200);
+
+    gate.resolve();
+    expect((await slow).status).toBe(200);
+
+    const catalogo = gatewayService.getResilienceStatus().bulkheads.find(state => state.name === 'catalogo');
+    expect(catalogo).toMatchObject({ active: 0, maxConcurrent: 1, metrics: { rejected: 1 } });
+    expect(gatewayService.getCircuitBreakerStates().breakers.find(state => state.name === 'catalogo').failures).toBe(0);
+    expect(gatewayService.metrics.render()).toMatch('bulkhead_rejected_total{bulkhead="catalogo"} 1');
+  });
+
+  test('should update bulkhead limits with the service', () => {
+    gatewayService.updateService('catalogo', { bulkhead: { maxConcurrent: 4 } });
+
+    expect(gatewayService.getBulkhead('catalogo')).toMatchObject({ maxConcurrent: 4, maxQueue: 0 });
+    expect(gatewayService.services.catalogo.bulkhead).toEqual({ maxConcurrent: 4, maxQueue: 0 });
+    expect(() => gatewayService.updateService('catalogo', { bulkhead: { maxQueue: -1 } })).toThrow('maxQueue');
+  });
+});
@@ -0,0 +1,125 @@
+const express = require('express');
+const request = require('supertest');
+const FallbackHandler = require('../FallbackHandler');
+const GatewayService = require('../GatewayService');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const unavailable = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+describe('FallbackHandler', () => {
+  test('should validate fallback steps', () => {
+    expect(() => FallbackHandler.validate({ type: 'otro' }, '/api/x')).toThrow('type');
+    expect(() => FallbackHandler.validate({ type: 'static' }, '/api/x')).toThrow('body');
+    expect(() => FallbackHandler.validate([{ type: 'stale', maxAge: 0 }], '/api/x')).toThrow('maxAge');
+    expect(() => FallbackHandler.validate({ type: 'upstream', service: 'replica' }, '/api/x', ['catalogo'])).toThrow('replica');
+    expect(() => FallbackHandler.validate([{ type: 'stale' }, { type: 'upstream', service: 'catalogo' }], '/api/x', ['catalogo'])).not.toThrow();
+  });
+
+  test('should only fall back on availability errors', () => {
+    expect(FallbackHandler.isUnavailable(Object.assign(new Error('open'), { name: 'CircuitBreakerOpenError' }))).toBe(true);
+    expect(FallbackHandler.isUnavailable({ response: { status: 503 } })).toBe(true);
+    expect(FallbackHandler.isUnavailable({ response: { status: 404 } })).toBe(false);
+    expect(FallbackHandler.isUnavailable(new Error('bug'))).toBe(false);
+  });
+});
+
+describe('GatewayService fallbacks', () => {
+  let gatewayService;
+  let app;
+
+  const createGateway = (fallback) => {
+    gatewayService = new GatewayService({
+      config: {
+        services: {
+          catalogo: { url: 'http://catalogo', retries: 0 },
+          'catalogo-replica': { url: 'http://replica', retries: 0 }
+        },
+        routes: [
+          {
+            prefix: '/api/catalogo/conceptos',
+            service: 'catalogo',
+            auth: false,
+            rewrite: { '^/api/catalogo': '' },
+            middleware: { disable: ['rateLimit'] },
+            fallback
+          }
+        ]
+      }
+    });
+
+    app = express();
+    app.use(express.json());
+    app.all('/api/*', (req, res) => gatewayService.handleRequest(req, res));
+  };
+
+  beforeEach(() => {
+    axios.mockReset();
+  });
+
+  afterEach(() => {
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should serve the last good response while the breaker is open', async () => {
+    createGateway([{ type: 'stale' }, { type: 'static', body: { conceptos: [] } }]);
+    axios.mockResolvedValueOnce({ status: 200, data: { conceptos: [{ id: 'c1' }] } });
+
+    const fresh = await request(app).get('/api/catalogo/conceptos?periodo=2026-1');
+    expect(fresh.headers['x-gateway-degraded']).toBeUndefined();
+
+    gatewayService.circuitBreakerManager.getBreaker('catalogo').forceOpen();
+    const stale = await request(app).get('/api/catalogo/conceptos?periodo=2026-1');
+
+    expect(stale.status).toBe(200);
+    expect(stale.headers['x-gateway-degraded']).toBe('stale');
+    expect(stale.headers['cache-control']).toBe('no-store');
+    expect(stale.body.conceptos).toEqual([{ id: 'c1' }]);
+    expect(axios).toHaveBeenCalledTimes(1);
+
+    // Sin respuesta previa para otra query se usa el siguiente paso
+    const fallback = await request(app).get('/api/catalogo/conceptos?periodo=2026-2');
+    expect(fallback.headers['x-gateway-degraded']).toBe('static');
+    expect(fallback.body).toMatchObject({ conceptos: [], _gateway: { service: 'catalogo' } });
+    expect(gatewayService.metrics.render()).toMatch('gateway_fallback_responses_total{service="catalogo",mode="stale"} 1');
+  });
+
+  test('should not share stale responses between users', async () => {
+    createGateway({ type: 'stale' });
+    axios.mockResolvedValueOnce({ status: 200, data: { conceptos: [{ id: 'privado' }] } });
+
+    await request(app).get('/api/catalogo/conceptos');
+    expect([...gatewayService.fallbackHandler.lastGood.entries.keys()]).toEqual([expect.stringContaining('user:anonymous')]);
+  });
+
+  test('should call the alternate upstream with the rewritten path', async () => {
+    createGateway({ type: 'upstream', service: 'catalogo-replica' });
+    axios.mockImplementation(config => (config.url.startsWith('http://catalogo')
+      ? Promise.reject(unavailable())
+      : Promise.resolve({ status: 200, data: { conceptos: [{ id: 'r1' }] } })));
+
+    const response = await request(app).get('/api/catalogo/conceptos?activo=true');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['x-gateway-degraded']).toBe('upstream');
+    expect(axios.mock.calls[1][0].url).toBe('http://replica/conceptos?activo=true');
+    expect(() => gatewayService.removeService('catalogo-replica')).toThrow('en uso');
+  });
+
+  test('should answer 503 when no fallback step resolves or the error is not an outage', async () => {
+    createGateway({ type: 'stale' });
+    axios.mockRejectedValueOnce(unavailable());
+    expect((await request(app).get('/api/catalogo/conceptos')).status).toBe(503);
+
+    axios.mockRejectedValueOnce(Object.assign(new Error('no encontrado'), { response: { status: 404, data: {} } }));
+    const notFound = await request(app).get('/api/catalogo/conceptos/x');
+    expect(notFound.status).toBe(404);
+    expect(notFound.headers['x-gateway-degraded']).toBeUndefined();
+  });
+
+  test('should reject fallbacks on streaming routes', () => {
+    createGateway();
+    expect(() => gatewayService.addRoute('/api/catalogo/archivos', 'catalogo', { stream: true, fallback: { type: 'stale' } })).toThrow('stream');
+  });
+});
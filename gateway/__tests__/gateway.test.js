@@ -1,3 +1,5 @@
+const express = require('express');
+const request = require('supertest');
 const GatewayService = require('../GatewayService');
 
 // Mock de axios para evitar llamadas reales
@@ -99,9 +101,12 @@ describe('GatewayService', () => {
     });
 
     test('should reset circuit breaker', () => {
-      expect(() => {
-        gatewayService.resetCircuitBreaker('usuarios');
-      }).not.toThrow();
+      expect(gatewayService.resetCircuitBreaker('usuarios')).toBe(true);
+    });
+
+    test('should not create breakers for unknown services on reset', () => {
+      expect(gatewayService.resetCircuitBreaker('inexistente')).toBe(false);
+      expect(gatewayService.circuitBreakerManager.getAllBreakers().has('inexistente')).toBe(false);
     });
 
     test('should reset all circuit breakers', () => {
@@ -141,4 +146,50 @@ describe('GatewayService', () => {
       expect(gatewayService.routes).toBeDefined();
     });
   });
+
+  describe('Upstream client errors', () => {
+    let gateway;
+    let app;
+
+    beforeEach(() => {
+      axios.mockReset();
+      gateway = new GatewayService();
+      app = express();
+      app.use(express.json());
+      app.all('/api/*', (req, res) => gateway.handleRequest(req, res));
+    });
+
+    afterEach(() => {
+      gateway.serviceRegistry.stopEviction();
+    });
+
+    test('should pass the status and body of a login against an unverified account through', async () => {
+      const body = { error: 'Debes verificar tu correo antes de iniciar sesión', code: 'EMAIL_NOT_VERIFIED' };
+      axios.mockImplementation(async ({ url }) => {
+        if (url.endsWith('/openapi.json')) throw Object.assign(new Error('not found'), { response: { status: 404, data: {} } });
+        throw Object.assign(new Error('Request failed with status code 403'), { response: { status: 403, data: body } });
+      });
+
+      const response = await request(app)
+        .post('/api/usuarios/login')
+        .send({ email: 'nuevo@test.com', password: '123456' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual(body);
+      expect(axios.mock.calls.filter(([config]) => config.url.endsWith('/login'))).toHaveLength(1);
+    });
+
+    test('should keep wrapping server errors of the microservice', async () => {
+      axios.mockRejectedValue(Object.assign(new Error('Request failed with status code 500'), {
+        response: { status: 500, data: { error: 'Error interno del servidor' } }
+      }));
+
+      const response = await request(app)
+        .post('/api/usuarios/login')
+        .send({ email: 'test@test.com', password: '123456' });
+
+      expect(response.status).toBe(500);
+      expect(response.body).toMatchObject({ error: 'Error en microservicio', service: 'usuarios', message: 'Error interno del servidor' });
+    });
+  });
 });
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const GatewayService = require('../GatewayService');
+const { JwksClient } = require('../JwksClient');
+const { SigningKeyStore } = require('../../shared/SigningKeys');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const sign = (keyStore, payload = { id: 'u1', rol: 'Estudiante' }) => {
+  const { kid, algorithm, privateKey } = keyStore.getSigningKey();
+  return jwt.sign(payload, privateKey, { algorithm, keyid: kid, expiresIn: '15m' });
+};
+
+describe('SigningKeyStore', () => {
+  test('should publish public keys only and keep rotated keys verifiable', () => {
+    const keyStore = new SigningKeyStore({ algorithm: 'ES256' });
+    const first = keyStore.rotate();
+    const second = keyStore.rotate({ algorithm: 'RS256' });
+
+    const jwks = keyStore.toJwks();
+    expect(jwks.keys.map(key => [key.kid, key.alg, key.use])).toEqual([[first, 'ES256', 'sig'], [second, 'RS256', 'sig']]);
+    expect(jwks.keys.some(key => key.d)).toBe(false);
+    expect(keyStore.getSigningKey().kid).toBe(second);
+
+    expect(() => keyStore.retire(second)).toThrow('activa');
+    expect(keyStore.retire(first)).toBe(true);
+    expect(keyStore.getVerificationKey(first)).toBeNull();
+  });
+
+  test('should reject keys that do not match the algorithm', () => {
+    const keyStore = new SigningKeyStore();
+    const { privateKey } = require('crypto').generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+    expect(() => keyStore.addKey({ kid: 'k1', algorithm: 'RS256', privateKey })).toThrow('RS256 requiere rsa');
+    expect(() => new SigningKeyStore({ algorithm: 'HS256' })).toThrow('no soportado');
+    expect(() => keyStore.setActive('k1')).toThrow('k1');
+  });
+});
+
+describe('SigningKeyStore.fromEnv', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should require configured keys in production', () => {
+    expect(() => SigningKeyStore.fromEnv({ NODE_ENV: 'production' })).toThrow('obligatorio en producción');
+  });
+
+  test('should share the development key between replicas', () => {
+    const env = { JWT_DEV_KEYS_FILE: path.join(dir, 'dev-keys.json'), JWT_ALGORITHM: 'ES256' };
+    const first = SigningKeyStore.fromEnv(env);
+    const second = SigningKeyStore.fromEnv(env);
+
+    expect(second.activeKid).toBe(first.activeKid);
+    expect(second.toJwks()).toEqual(first.toJwks());
+    expect(fs.readdirSync(dir)).toEqual(['dev-keys.json']);
+    expect(() => jwt.verify(sign(first), second.getVerificationKey(first.activeKid).publicKey)).not.toThrow();
+  });
+});
+
+describe('JwksClient', () => {
+  let keyStore;
+
+  beforeEach(() => {
+    keyStore = new SigningKeyStore({ algorithm: 'ES256' });
+    keyStore.rotate({ kid: 'k1' });
+  });
+
+  test('should verify tokens and refetch the JWKS when a new kid appears', async () => {
+    const fetchJwks = jest.fn(async () => keyStore.toJwks());
+    const client = new JwksClient({ fetchJwks, minRefreshInterval: 0 });
+
+    await expect(client.verify(sign(keyStore))).resolves.toMatchObject({ id: 'u1' });
+    await client.verify(sign(keyStore));
+    expect(fetchJwks).toHaveBeenCalledTimes(1);
+
+    keyStore.rotate({ kid: 'k2' });
+    await expect(client.verify(sign(keyStore))).resolves.toMatchObject({ id: 'u1' });
+    expect(fetchJwks).toHaveBeenCalledTimes(2);
+    expect(client.getInfo()).toMatchObject({ kids: ['k1', 'k2'], stats: { refreshes: 2, unknownKid: 1 } });
+  });
+
+  test('should reject unknown kids, HMAC tokens and foreign keys', async () => {
+    const client = new JwksClient({ fetchJwks: async () => keyStore.toJwks(), minRefreshInterval: 60000 });
+    const foreign = new SigningKeyStore({ algorithm: 'ES256' });
+    foreign.rotate({ kid: 'k1' });
+
+    await expect(client.verify(jwt.sign({ id: 'u1' }, 'secreto'))).rejects.toThrow('no permitido');
+    await expect(client.verify(sign(foreign))).rejects.toThrow('invalid signature');
+    foreign.rotate({ kid: 'otra' });
+    await expect(client.verify(sign(foreign))).rejects.toThrow('desconocida');
+  });
+
+  test('should keep using cached keys while the JWKS is unavailable', async () => {
+    const fetchJwks = jest.fn(async () => keyStore.toJwks());
+    const client = new JwksClient({ fetchJwks, cacheTtl: 0, minRefreshInterval: 0 });
+
+    await client.verify(sign(keyStore));
+    fetchJwks.mockRejectedValue(new Error('connect ECONNREFUSED'));
+    await expect(client.verify(sign(keyStore))).resolves.toMatchObject({ id: 'u1' });
+
+    const empty = new JwksClient({ fetchJwks });
+    await expect(empty.verify(sign(keyStore))).rejects.toMatchObject({ code: 'JWKS_UNAVAILABLE' });
+  });
+
+  test('should validate its options', () => {
+    expect(() => JwksClient.validate({ algorithms: ['HS256'] })).toThrow('auth.jwks.algorithms');
+    expect(() => JwksClient.validate({ cacheTtl: -1 })).toThrow('cacheTtl');
+  });
+});
+
+describe('GatewayService with auth.jwks', () => {
+  let keyStore;
+  let gatewayService;
+  let app;
+
+  beforeEach(() => {
+    axios.mockReset();
+    keyStore = new SigningKeyStore();
+    keyStore.rotate({ kid: 'k1' });
+
+    gatewayService = new GatewayService({
+      config: {
+        auth: { jwks: { minRefreshInterval: 0 } },
+        services: { usuarios: { url: 'http://usuarios', retries: 0 } },
+        routes: [{ prefix: '/api/usuarios', service: 'usuarios', middleware: { disable: ['rateLimit'] } }]
+      }
+    });
+
+    app = express();
+    app.use(express.json());
+    app.all('/api/*', (req, res) => gatewayService.handleRequest(req, res));
+  });
+
+  afterEach(() => {
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should authenticate tokens signed with the usuarios keys', async () => {
+    axios.mockImplementation(async (config) => (config.url.endsWith('/.well-known/jwks.json')
+      ? { status: 200, data: keyStore.toJwks() }
+      : { status: 200, data: { ok: true } }));
+
+    await request(app).get('/api/usuarios/perfil/u1').set('Authorization', `Bearer ${sign(keyStore)}`).expect(200);
+
+    // El secreto compartido ya no es aceptado
+    const hmac = jwt.sign({ id: 'u1', rol: 'Estudiante' }, process.env.JWT_SECRET);
+    const response = await request(app).get('/api/usuarios/perfil/u1').set('Authorization', `Bearer ${hmac}`);
+    expect(response.status).toBe(403);
+    expect(gatewayService.getInfo().jwks.kids).toEqual(['k1']);
+  });
+
+  test('should fetch the JWKS from the configured URL, never from registered instances', async () => {
+    gatewayService.serviceRegistry.register({ service: 'usuarios', url: 'http://impostor:3001' });
+    axios.mockImplementation(async (config) => (config.url.endsWith('/.well-known/jwks.json')
+      ? { status: 200, data: keyStore.toJwks() }
+      : { status: 200, data: { ok: true } }));
+
+    await request(app).get('/api/usuarios/perfil/u1').set('Authorization', `Bearer ${sign(keyStore)}`).expect(200);
+
+    const jwksCalls = axios.mock.calls.filter(([config]) => config.url.endsWith('/.well-known/jwks.json'));
+    expect(jwksCalls.map(([config]) => config.url)).toEqual(['http://usuarios/.well-known/jwks.json']);
+
+    const pinned = new GatewayService({
+      config: { auth: { jwks: { url: 'https://auth.escuela.mx/jwks.json' } }, services: {}, routes: [] }
+    });
+    expect(pinned.jwksConfig.url).toBe('https://auth.escuela.mx/jwks.json');
+    pinned.serviceRegistry.stopEviction();
+  });
+
+  test('should answer 503 when the JWKS cannot be fetched', async () => {
+    axios.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+    const response = await request(app).get('/api/usuarios/perfil/u1').set('Authorization', `Bearer ${sign(keyStore)}`);
+
+    expect(response.status).toBe(503);
+    expect(response.body.code).toBe('JWKS_UNAVAILABLE');
+  });
+});
@@ -0,0 +1,113 @@
+const { LoadBalancer, NoHealthyInstanceError } = require('../LoadBalancer');
+const GatewayService = require('../GatewayService');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const instances = [
+  { url: 'http://pagos-1', weight: 1 },
+  { url: 'http://pagos-2', weight: 1 }
+];
+
+describe('LoadBalancer', () => {
+  test('should rotate instances with round-robin', () => {
+    const balancer = new LoadBalancer('pagos');
+
+    const picked = [1, 2, 3, 4].map(() => balancer.pick(instances).url);
+
+    expect(picked).toEqual(['http://pagos-1', 'http://pagos-2', 'http://pagos-1', 'http://pagos-2']);
+  });
+
+  test('should prefer the instance with fewer outstanding requests', () => {
+    const balancer = new LoadBalancer('pagos', { strategy: 'least-outstanding' });
+    balancer.onStart(instances[0]);
+
+    expect(balancer.pick(instances).url).toBe('http://pagos-2');
+  });
+
+  test('should distribute according to weights', () => {
+    const balancer = new LoadBalancer('pagos', { strategy: 'weighted' });
+    const weighted = [{ url: 'http://a', weight: 3 }, { url: 'http://b', weight: 1 }];
+
+    const picked = Array.from({ length: 8 }, () => balancer.pick(weighted).url);
+
+    expect(picked.filter(url => url === 'http://a')).toHaveLength(6);
+    expect(picked.filter(url => url === 'http://b')).toHaveLength(2);
+  });
+
+  test('should skip unavailable instances and fail when none remain', () => {
+    const balancer = new LoadBalancer('pagos');
+
+    expect(balancer.pick(instances, i => i.url === 'http://pagos-2').url).toBe('http://pagos-2');
+    expect(() => balancer.pick(instances, () => false)).toThrow(NoHealthyInstanceError);
+  });
+
+  test('should reject unknown strategies', () => {
+    expect(() => new LoadBalancer('pagos', { strategy: 'random' })).toThrow();
+  });
+});
+
+describe('GatewayService load balancing', () => {
+  let gatewayService;
+
+  beforeEach(() => {
+    axios.mockReset();
+    gatewayService = new GatewayService({
+      config: {
+        services: {
+          pagos: {
+            instances: ['http://pagos-1', 'http://pagos-2'],
+            retries: 0,
+            loadBalancing: { maxFailures: 1, ejectionTime: 60000 }
+          }
+        },
+        routes: []
+      }
+    });
+  });
+
+  afterEach(() => {
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should take a failing instance out of rotation', async () => {
+    axios.mockImplementation(config => {
+      if (config.url.startsWith('http://pagos-1')) {
+        return Promise.reject(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }));
+      }
+      return Promise.resolve({ status: 200, data: { ok: true } });
+    });
+
+    await expect(gatewayService.sendToInstance('pagos', { method: 'GET', path: '/' })).rejects.toThrow('refused');
+
+    const urls = [];
+    for (let i = 0; i < 3; i++) {
+      await gatewayService.sendToInstance('pagos', { method: 'GET', path: '/' });
+      urls.push(axios.mock.calls[axios.mock.calls.length - 1][0].url);
+    }
+
+    expect(urls).toEqual(['http://pagos-2/', 'http://pagos-2/', 'http://pagos-2/']);
+    const stats = gatewayService.getLoadBalancerStats().pagos.instances;
+    expect(stats.find(i => i.url === 'http://pagos-1').available).toBe(false);
+  });
+
+  test('should not penalize instances for client errors', async () => {
+    axios.mockRejectedValue(Object.assign(new Error('not found'), { response: { status: 404 } }));
+
+    await expect(gatewayService.sendToInstance('pagos', { method: 'GET', path: '/x' })).rejects.toThrow('not found');
+
+    const stats = gatewayService.getLoadBalancerStats().pagos.instances;
+    expect(stats.every(i => i.available)).toBe(true);
+  });
+
+  test('should not count client errors against the service breaker', async () => {
+    axios.mockRejectedValue(Object.assign(new Error('not found'), { response: { status: 404 } }));
+
+    for (let i = 0; i < 10; i++) {
+      await expect(gatewayService.callService('pagos', { method: 'GET', path: '/x' })).rejects.toThrow('not found');
+    }
+
+    const breaker = gatewayService.getCircuitBreakerStates().breakers.find(state => state.name === 'pagos');
+    expect(breaker).toMatchObject({ state: 'CLOSED', failures: 0 });
+  });
+});
@@ -0,0 +1,113 @@
+const {
+  MetricsRegistry,
+  registerCircuitBreakerMetrics,
+  registerEventManagerMetrics
+} = require('../../shared/Metrics');
+const { CircuitBreakerManager } = require('../../shared/CircuitBreaker');
+const { EventManager, Observer } = require('../../shared/EventManager');
+const GatewayService = require('../GatewayService');
+
+describe('MetricsRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new MetricsRegistry();
+  });
+
+  test('should render counters with HELP, TYPE and escaped labels', () => {
+    const counter = registry.counter('requests_total', 'Peticiones', ['path']);
+    counter.inc({ path: '/a"b' });
+    counter.inc({ path: '/a"b' }, 2);
+
+    expect(registry.render()).toBe([
+      '# HELP requests_total Peticiones',
+      '# TYPE requests_total counter',
+      'requests_total{path="/a\\"b"} 3',
+      ''
+    ].join('\n'));
+  });
+
+  test('should render cumulative histogram buckets', () => {
+    const histogram = registry.histogram('latency_seconds', 'Latencia', ['service'], [0.1, 1]);
+    histogram.observe({ service: 'pagos' }, 0.05);
+    histogram.observe({ service: 'pagos' }, 0.5);
+    histogram.observe({ service: 'pagos' }, 3);
+
+    const output = registry.render();
+    expect(output).toContain('latency_seconds_bucket{service="pagos",le="0.1"} 1');
+    expect(output).toContain('latency_seconds_bucket{service="pagos",le="1"} 2');
+    expect(output).toContain('latency_seconds_bucket{service="pagos",le="+Inf"} 3');
+    expect(output).toContain('latency_seconds_sum{service="pagos"} 3.55');
+    expect(output).toContain('latency_seconds_count{service="pagos"} 3');
+  });
+
+  test('should prepend default labels to every sample', () => {
+    const labelled = new MetricsRegistry({ defaultLabels: { service: 'pagos' } });
+    labelled.gauge('up', 'Activo').set({}, 1);
+
+    expect(labelled.render()).toContain('up{service="pagos"} 1');
+  });
+
+  test('should reject the same name with a different type', () => {
+    registry.counter('x_total', 'X');
+    expect(() => registry.gauge('x_total', 'X')).toThrow();
+  });
+
+  test('should expose circuit breaker states', () => {
+    const manager = new CircuitBreakerManager();
+    manager.getBreaker('pagos').forceOpen();
+    manager.getBreaker('usuarios');
+    registerCircuitBreakerMetrics(registry, manager);
+
+    const output = registry.render();
+    expect(output).toContain('circuit_breaker_state{breaker="pagos"} 2');
+    expect(output).toContain('circuit_breaker_state{breaker="usuarios"} 0');
+  });
+
+  test('should expose cumulative event counters beyond the history size', async () => {
+    const eventManager = new EventManager();
+    eventManager.maxHistorySize = 1;
+    const failing = new Observer('Failing');
+    failing.update = async () => { throw new Error('boom'); };
+    eventManager.subscribe('pago.creado', failing);
+
+    await eventManager.notify('pago.creado', { source: 'pagos' });
+    await eventManager.notify('pago.creado', { source: 'pagos' });
+    registerEventManagerMetrics(registry, eventManager);
+
+    const output = registry.render();
+    expect(output).toContain('events_published_total{type="pago.creado"} 2');
+    expect(output).toContain('event_observer_errors_total{type="pago.creado"} 2');
+    expect(output).toContain('event_observers{type="pago.creado"} 1');
+  });
+});
+
+describe('GatewayService metrics', () => {
+  let gatewayService;
+
+  beforeEach(() => {
+    gatewayService = new GatewayService({
+      config: {
+        services: { pagos: { url: 'http://pagos' } },
+        routes: [{ prefix: '/api/pagos', service: 'pagos' }]
+      }
+    });
+  });
+
+  afterEach(() => {
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should count requests per service, route and status', () => {
+    const req = { method: 'GET', gatewayRoute: gatewayService.routes.match('/api/pagos/1', 'GET').route };
+    gatewayService.recordRequestMetrics(req, 200, 120);
+    gatewayService.recordRequestMetrics(req, 200, 80);
+    gatewayService.recordRequestMetrics({ method: 'GET' }, 404, 1);
+
+    const output = gatewayService.metrics.render();
+    expect(output).toContain('gateway_http_requests_total{service="pagos",route="/api/pagos",method="GET",status="200"} 2');
+    expect(output).toContain('gateway_http_requests_total{service="gateway",route="unmatched",method="GET",status="404"} 1');
+    expect(output).toContain('gateway_http_request_duration_seconds_count{service="pagos",route="/api/pagos",method="GET",status="200"} 2');
+    expect(output).toContain('circuit_breaker_state{breaker="pagos"} 0');
+  });
+});
@@ -0,0 +1,175 @@
+const express = require('express');
+const request = require('supertest');
+const { MiddlewarePipeline, GatewayError } = require('../MiddlewarePipeline');
+const GatewayService = require('../GatewayService');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const createRes = () => {
+  const res = { headersSent: false };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => {
+    res.headersSent = true;
+    return res;
+  });
+  return res;
+};
+
+const track = (calls, name) => (req, res, next) => {
+  calls.push(name);
+  next();
+};
+
+describe('MiddlewarePipeline', () => {
+  let pipeline;
+  let calls;
+
+  beforeEach(() => {
+    pipeline = new MiddlewarePipeline();
+    calls = [];
+  });
+
+  test('should order middleware by before/after and keep registration order otherwise', () => {
+    pipeline.use('logging', track(calls, 'logging'));
+    pipeline.use('auth', track(calls, 'auth'));
+    pipeline.use('rateLimit', track(calls, 'rateLimit'), { after: 'auth' });
+    pipeline.use('tenant', track(calls, 'tenant'), { after: 'auth', before: 'rateLimit' });
+    pipeline.use('cors', track(calls, 'cors'), { before: ['logging', 'inexistente'] });
+
+    expect(pipeline.entries.map(entry => entry.name)).toEqual(['cors', 'logging', 'auth', 'tenant', 'rateLimit']);
+  });
+
+  test('should reject duplicated names and circular ordering', () => {
+    pipeline.use('a', track(calls, 'a'));
+    pipeline.use('b', track(calls, 'b'), { after: 'a' });
+
+    expect(() => pipeline.use('a', track(calls, 'a'))).toThrow('Ya existe');
+    expect(() => pipeline.use('c', track(calls, 'c'), { before: 'a', after: 'b' })).toThrow('circular');
+    expect(pipeline.entries.map(entry => entry.name)).toEqual(['a', 'b']);
+  });
+
+  test('should enable and disable middleware per route', async () => {
+    pipeline.use('auth', track(calls, 'auth'));
+    pipeline.use('rateLimit', track(calls, 'rateLimit'));
+    pipeline.use('auditoria', track(calls, 'auditoria'), { optIn: true });
+    const final = jest.fn();
+
+    await pipeline.run({ gatewayRoute: {} }, createRes(), final);
+    await pipeline.run({ gatewayRoute: { middleware: { disable: ['rateLimit'], enable: ['auditoria'] } } }, createRes(), final);
+
+    expect(calls).toEqual(['auth', 'rateLimit', 'auth', 'auditoria']);
+    expect(final).toHaveBeenCalledTimes(2);
+  });
+
+  test('should await async middleware and the final handler', async () => {
+    pipeline.use('lento', async (req, res, next) => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      req.lento = true;
+      next();
+    });
+    let done = false;
+
+    await pipeline.run({}, createRes(), async () => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      done = true;
+    });
+
+    expect(done).toBe(true);
+  });
+
+  test('should turn next(err) and thrown errors into gateway error responses', async () => {
+    const final = jest.fn();
+    pipeline.use('tenant', (req, res, next) => next(new GatewayError('Tenant suspendido', { status: 403, code: 'TENANT_SUSPENDED' })));
+
+    const res = createRes();
+    await pipeline.run({ path: '/api/pagos' }, res, final);
+
+    expect(final).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ error: 'Petición rechazada', code: 'TENANT_SUSPENDED', message: 'Tenant suspendido' });
+
+    const failing = new MiddlewarePipeline();
+    failing.use('roto', async () => {
+      throw new Error('detalle interno');
+    });
+    const internal = createRes();
+    await failing.run({ path: '/api/pagos' }, internal, final);
+
+    expect(internal.status).toHaveBeenCalledWith(500);
+    expect(internal.json.mock.calls[0][0]).toMatchObject({ code: 'GATEWAY_ERROR' });
+    expect(internal.json.mock.calls[0][0].message).not.toMatch('detalle interno');
+  });
+
+  test('should pass errors through the registered error handlers', async () => {
+    pipeline.use('roto', () => {
+      throw Object.assign(new Error('jwt expired'), { name: 'TokenExpiredError' });
+    });
+    pipeline.useError('ignorar', (err, req, res, next) => next());
+    pipeline.useError('jwt', (err, req, res, next) => {
+      if (err.name !== 'TokenExpiredError') return next(err);
+      res.status(401).json({ error: 'Token expirado' });
+    });
+
+    const res = createRes();
+    await pipeline.run({}, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('GatewayService middleware', () => {
+  let gatewayService;
+  let app;
+
+  beforeEach(() => {
+    axios.mockReset();
+    axios.mockResolvedValue({ status: 200, data: { mensaje: 'ok' } });
+    gatewayService = new GatewayService({
+      config: {
+        services: { catalogo: { url: 'http://catalogo', retries: 0 } },
+        routes: [
+          { prefix: '/api/catalogo/publico', service: 'catalogo', auth: false, middleware: { disable: ['rateLimit'] } },
+          { prefix: '/api/catalogo', service: 'catalogo', auth: false }
+        ]
+      }
+    });
+
+    app = express();
+    app.use(express.json());
+    app.all('/api/*', (req, res) => gatewayService.handleRequest(req, res));
+  });
+
+  afterEach(() => {
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should skip middleware disabled in the route', async () => {
+    const publico = await request(app).get('/api/catalogo/publico/conceptos');
+    const protegido = await request(app).get('/api/catalogo/conceptos');
+
+    expect(publico.headers['ratelimit-limit']).toBeUndefined();
+    expect(protegido.headers['ratelimit-limit']).toBeDefined();
+  });
+
+  test('should place custom middleware relative to the built-in ones', async () => {
+    gatewayService.addMiddleware('tenant', (req, res, next) => {
+      if (!req.headers['x-tenant-id']) {
+        return next(new GatewayError('Falta el tenant', { status: 400, code: 'TENANT_REQUIRED' }));
+      }
+      next();
+    }, { after: 'auth', before: 'rateLimit' });
+
+    expect(gatewayService.middleware.map(m => m.name)).toEqual(['logging', 'auth', 'authorize', 'tenant', 'rateLimit', 'requestValidation']);
+
+    const response = await request(app).get('/api/catalogo/conceptos');
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('TENANT_REQUIRED');
+    expect(axios).not.toHaveBeenCalled();
+  });
+
+  test('should reject invalid route middleware configuration', () => {
+    expect(() => gatewayService.addRoute('/api/otra', 'catalogo', { middleware: { disable: 'rateLimit' } })).toThrow();
+  });
+});
@@ -0,0 +1,191 @@
+const express = require('express');
+const request = require('supertest');
+const OpenApiValidator = require('../OpenApiValidator');
+const GatewayService = require('../GatewayService');
+const pagosSpec = require('../../microservicios/pagos/docs/swagger.json');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const spec = {
+  openapi: '3.0.0',
+  info: { title: 'Test', version: '1.0.0' },
+  components: {
+    schemas: {
+      Alumno: {
+        type: 'object',
+        required: ['matricula'],
+        properties: {
+          matricula: { type: 'string', pattern: '^[A-Z]\\d+$' },
+          correo: { type: 'string', format: 'email' },
+          materias: { type: 'array', maxItems: 2, items: { type: 'string' } }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  paths: {
+    '/alumnos': {
+      post: {
+        requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/Alumno' } } } }
+      }
+    },
+    '/alumnos/{id}': {
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }],
+      get: {
+        parameters: [
+          { name: 'activo', in: 'query', schema: { type: 'boolean' } },
+          { name: 'X-Campus', in: 'header', required: true, schema: { type: 'string', enum: ['norte', 'sur'] } }
+        ]
+      }
+    },
+    '/alumnos/activos': {
+      get: {}
+    }
+  }
+};
+
+describe('OpenApiValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new OpenApiValidator();
+    validator.addSpec('escolar', spec);
+  });
+
+  test('should reject documents that are not OpenAPI 3', () => {
+    expect(() => validator.addSpec('viejo', { swagger: '2.0', paths: {} })).toThrow('OpenAPI');
+  });
+
+  test('should prefer literal segments over templates and skip undocumented operations', () => {
+    expect(validator.findOperation('escolar', 'GET', '/alumnos/activos').template).toBe('/alumnos/activos');
+    expect(validator.findOperation('escolar', 'GET', '/alumnos/7/').template).toBe('/alumnos/{id}');
+    expect(validator.validateRequest('escolar', { method: 'DELETE', path: '/alumnos/7' })).toBeNull();
+    expect(validator.validateRequest('otro', { method: 'GET', path: '/alumnos/7' })).toBeNull();
+  });
+
+  test('should coerce and validate path, query and header parameters', () => {
+    const valid = validator.validateRequest('escolar', {
+      method: 'GET', path: '/alumnos/7', query: { activo: 'true' }, headers: { 'x-campus': 'sur' }
+    });
+    expect(valid).toEqual({ valid: true, errors: [] });
+
+    const invalid = validator.validateRequest('escolar', {
+      method: 'GET', path: '/alumnos/0', query: { activo: 'quizas' }, headers: {}
+    });
+    expect(invalid.valid).toBe(false);
+    expect(invalid.errors).toEqual(expect.arrayContaining([
+      { location: 'path', field: 'id', message: 'debe ser mayor o igual a 1' },
+      { location: 'query', field: 'activo', message: 'debe ser de tipo boolean' },
+      { location: 'header', field: 'X-Campus', message: 'es requerido' }
+    ]));
+  });
+
+  test('should report malformed path encodings instead of throwing', () => {
+    const result = validator.validateRequest('escolar', { method: 'GET', path: '/alumnos/%E0%A4%A', headers: { 'x-campus': 'sur' } });
+
+    expect(result).toEqual({ valid: false, errors: [{ location: 'path', field: '', message: 'codificación de URI inválida' }] });
+  });
+
+  test('should validate the body through $ref with field paths', () => {
+    const result = validator.validateRequest('escolar', {
+      method: 'POST',
+      path: '/alumnos',
+      hasBody: true,
+      body: { correo: 'no-es-correo', materias: ['a', 3, 'c'], extra: 1 }
+    });
+
+    expect(result.errors).toEqual(expect.arrayContaining([
+      { location: 'body', field: 'matricula', message: 'es requerido' },
+      { location: 'body', field: 'correo', message: 'debe tener formato email' },
+      { location: 'body', field: 'materias', message: 'debe tener como máximo 2 elementos' },
+      { location: 'body', field: 'materias.1', message: 'debe ser de tipo string' },
+      { location: 'body', field: 'extra', message: 'no está permitido' }
+    ]));
+    expect(validator.validateRequest('escolar', { method: 'POST', path: '/alumnos', body: {}, hasBody: false }).errors)
+      .toEqual([{ location: 'body', field: '', message: 'el cuerpo de la petición es requerido' }]);
+    expect(validator.validateRequest('escolar', { method: 'POST', path: '/alumnos', skipBody: true }).valid).toBe(true);
+  });
+});
+
+describe('GatewayService request validation', () => {
+  let gatewayService;
+  let app;
+
+  const createGateway = (services) => {
+    gatewayService = new GatewayService({
+      config: {
+        services,
+        routes: [
+          {
+            prefix: '/api/pagos',
+            service: 'pagos',
+            auth: false,
+            rewrite: { '^/api/pagos': '' },
+            middleware: { disable: ['rateLimit'] }
+          }
+        ]
+      }
+    });
+
+    app = express();
+    app.use(express.json());
+    app.all('/api/*', (req, res) => gatewayService.handleRequest(req, res));
+  };
+
+  beforeEach(() => {
+    axios.mockReset();
+  });
+
+  afterEach(() => {
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should answer 400 with field details before proxying', async () => {
+    createGateway({ pagos: { url: 'http://pagos', retries: 0 } });
+    gatewayService.openApiValidator.addSpec('pagos', pagosSpec);
+
+    const response = await request(app).post('/api/pagos/crear').send({ usuarioId: 'u1', monto: 0 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('REQUEST_VALIDATION_FAILED');
+    expect(response.body.details).toEqual(expect.arrayContaining([
+      { location: 'body', field: 'concepto', message: 'es requerido' },
+      { location: 'body', field: 'monto', message: 'debe ser mayor a 0' }
+    ]));
+    expect(axios).not.toHaveBeenCalled();
+    expect(gatewayService.metrics.render()).toMatch('gateway_request_validation_failures_total{service="pagos"} 1');
+
+    axios.mockResolvedValueOnce({ status: 201, data: { id: 'p1' } });
+    const valid = await request(app).post('/api/pagos/crear').send({ usuarioId: 'u1', concepto: 'Inscripción', monto: 1500 });
+    expect(valid.status).toBe(201);
+    expect(axios.mock.calls[0][0].url).toBe('http://pagos/crear');
+  });
+
+  test('should load the spec from the service and proxy while it is unavailable', async () => {
+    createGateway({ pagos: { url: 'http://pagos', retries: 0, openapi: { path: '/openapi.json' } } });
+
+    axios.mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+    expect(await gatewayService.loadOpenApiSpecs()).toEqual({ pagos: 'connect ECONNREFUSED' });
+
+    // Sin contrato la petición llega al servicio y no se reintenta la carga antes de tiempo
+    axios.mockResolvedValueOnce({ status: 400, data: { error: 'Datos incompletos' } });
+    expect((await request(app).put('/api/pagos/p1/estado').send({ estado: 'Otro' })).status).toBe(400);
+    expect(axios).toHaveBeenCalledTimes(2);
+
+    axios.mockResolvedValueOnce({ status: 200, data: pagosSpec });
+    expect(await gatewayService.loadOpenApiSpec('pagos')).toBeGreaterThan(0);
+    expect(axios.mock.calls[2][0].url).toBe('http://pagos/openapi.json');
+
+    const response = await request(app).put('/api/pagos/p1/estado').send({ estado: 'Otro' });
+    expect(response.body.details).toEqual([
+      { location: 'body', field: 'estado', message: 'debe ser uno de: Pendiente, Pagado, Cancelado' }
+    ]);
+    expect(gatewayService.getInfo().openapi.pagos.operations).toBe(5);
+  });
+
+  test('should reject an invalid openapi service option', () => {
+    createGateway({ pagos: { url: 'http://pagos' } });
+    expect(() => gatewayService.updateService('pagos', { openapi: { url: 'x' } })).toThrow('openapi');
+  });
+});
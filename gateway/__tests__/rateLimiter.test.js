@@ -0,0 +1,117 @@
+const { RateLimiter, MemoryRateLimitStore, algorithms } = require('../RateLimiter');
+
+describe('MemoryRateLimitStore', () => {
+  test('should drop the oldest keys beyond maxKeys', async () => {
+    const store = new MemoryRateLimitStore({ maxKeys: 2 });
+
+    await store.update('a', () => 1, 1000);
+    await store.update('b', () => 2, 1000);
+    await store.update('c', () => 3, 1000);
+
+    expect(store.size).toBe(2);
+    expect(await store.get('a')).toBeUndefined();
+    expect(await store.get('c')).toBe(3);
+  });
+});
+
+describe('Rate limiting algorithms', () => {
+  test('sliding-window should weight the previous window', async () => {
+    const store = new MemoryRateLimitStore();
+    const policy = { limit: 2, windowMs: 1000 };
+
+    expect((await algorithms['sliding-window'](store, 'k', policy, 0)).allowed).toBe(true);
+    expect((await algorithms['sliding-window'](store, 'k', policy, 100)).allowed).toBe(true);
+    const denied = await algorithms['sliding-window'](store, 'k', policy, 200);
+    expect(denied.allowed).toBe(false);
+    expect(denied.retryAfterMs).toBe(800);
+
+    // A mitad de la siguiente ventana la anterior pesa 50% (1 petición estimada)
+    expect((await algorithms['sliding-window'](store, 'k', policy, 1500)).allowed).toBe(true);
+    expect((await algorithms['sliding-window'](store, 'k', policy, 1500)).allowed).toBe(false);
+  });
+
+  test('token-bucket should allow bursts up to capacity and refill over time', async () => {
+    const store = new MemoryRateLimitStore();
+    const policy = { capacity: 2, refillPerSecond: 1 };
+
+    expect((await algorithms['token-bucket'](store, 'k', policy, 0)).allowed).toBe(true);
+    expect((await algorithms['token-bucket'](store, 'k', policy, 0)).allowed).toBe(true);
+    const denied = await algorithms['token-bucket'](store, 'k', policy, 0);
+    expect(denied.allowed).toBe(false);
+    expect(denied.retryAfterMs).toBe(1000);
+
+    expect((await algorithms['token-bucket'](store, 'k', policy, 1000)).allowed).toBe(true);
+  });
+});
+
+describe('RateLimiter', () => {
+  const config = {
+    default: { limit: 100, windowMs: 60000 },
+    policies: { login: { limit: 1, windowMs: 60000 } },
+    roles: { Admin: { limit: 5, windowMs: 60000, keyBy: 'user' } },
+    tenants: { campus_sur: { limit: 1, windowMs: 60000, keyBy: 'tenant' } }
+  };
+
+  const createRes = () => ({
+    headers: {},
+    set: jest.fn(function (headers) { Object.assign(this.headers, headers); }),
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn()
+  });
+
+  test('should pick the route policy before role and default', () => {
+    const limiter = new RateLimiter(config);
+
+    const [routePolicy] = limiter.resolvePolicies({ gatewayRoute: { rateLimit: 'login' }, user: { rol: 'Admin' } });
+    const [rolePolicy] = limiter.resolvePolicies({ user: { rol: 'Admin' } });
+    const [defaultPolicy] = limiter.resolvePolicies({});
+
+    expect(routePolicy.name).toBe('login');
+    expect(rolePolicy.name).toBe('role:Admin');
+    expect(defaultPolicy.name).toBe('default');
+  });
+
+  test('should share the tenant quota between users', async () => {
+    const limiter = new RateLimiter(config);
+
+    const first = await limiter.check({ ip: '1.1.1.1', user: { id: 'a', tenantId: 'campus_sur' } });
+    const second = await limiter.check({ ip: '2.2.2.2', user: { id: 'b', tenantId: 'campus_sur' } });
+
+    expect(first.allowed).toBe(true);
+    expect(second.allowed).toBe(false);
+    expect(second.policy.name).toBe('tenant:campus_sur');
+  });
+
+  test('should answer 429 with RateLimit and Retry-After headers', async () => {
+    const limiter = new RateLimiter(config);
+    const middleware = limiter.middleware();
+    const req = { ip: '1.1.1.1', gatewayRoute: { rateLimit: 'login' } };
+    const next = jest.fn();
+
+    const okRes = createRes();
+    await middleware(req, okRes, next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(okRes.headers['RateLimit-Limit']).toBe('1');
+    expect(okRes.headers['RateLimit-Remaining']).toBe('0');
+
+    const limitedRes = createRes();
+    await middleware(req, limitedRes, next);
+    expect(limitedRes.status).toHaveBeenCalledWith(429);
+    expect(limitedRes.headers['Retry-After']).toBeDefined();
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test('should let requests through when the store fails', async () => {
+    const failingStore = { update: jest.fn().mockRejectedValue(new Error('down')), size: 0 };
+    const limiter = new RateLimiter(config, failingStore);
+    const next = jest.fn();
+
+    await limiter.middleware()({ ip: '1.1.1.1' }, createRes(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should reject invalid policies', () => {
+    expect(() => new RateLimiter({ default: { algorithm: 'token-bucket' } })).toThrow();
+  });
+});
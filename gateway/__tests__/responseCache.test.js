@@ -0,0 +1,140 @@
+const { ResponseCache } = require('../ResponseCache');
+const GatewayService = require('../GatewayService');
+
+jest.mock('axios');
+const axios = require('axios');
+
+describe('ResponseCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new ResponseCache({ maxEntries: 2 });
+  });
+
+  test('should build keys from path, sorted query and tenant', () => {
+    const a = cache.buildKey({ method: 'GET', path: '/api/catalogo/conceptos', query: { b: '2', a: '1' }, user: { tenantId: 'norte' } });
+    const b = cache.buildKey({ method: 'GET', path: '/api/catalogo/conceptos', query: { a: '1', b: '2' }, user: { tenantId: 'norte' } });
+    const c = cache.buildKey({ method: 'GET', path: '/api/catalogo/conceptos', query: { a: '1', b: '2' }, user: { tenantId: 'sur' } });
+
+    expect(a).toBe(b);
+    expect(a).not.toBe(c);
+  });
+
+  test('should expire entries after their ttl', () => {
+    cache.set('k', { status: 200, body: { ok: true } }, { ttl: 1000 });
+    expect(cache.get('k')).not.toBeNull();
+
+    cache.entries.get('k').expiresAt = Date.now() - 1;
+    expect(cache.get('k')).toBeNull();
+  });
+
+  test('should evict the least recently used entry beyond maxEntries', () => {
+    cache.set('a', { status: 200, body: 1 });
+    cache.set('b', { status: 200, body: 2 });
+    cache.get('a');
+    cache.set('c', { status: 200, body: 3 });
+
+    expect(cache.get('b')).toBeNull();
+    expect(cache.get('a')).not.toBeNull();
+  });
+
+  test('should invalidate entries by tag', () => {
+    cache.set('a', { status: 200, body: 1 }, { tags: ['concepto.creado'] });
+    cache.set('b', { status: 200, body: 2 }, { tags: [] });
+
+    expect(cache.invalidateTag('concepto.creado')).toBe(1);
+    expect(cache.get('a')).toBeNull();
+    expect(cache.get('b')).not.toBeNull();
+  });
+
+  test('should match If-None-Match against the ETag', () => {
+    const etag = ResponseCache.computeEtag({ ok: true });
+
+    expect(ResponseCache.matchesEtag(`"otro", ${etag}`, etag)).toBe(true);
+    expect(ResponseCache.matchesEtag(`W/${etag}`, etag)).toBe(true);
+    expect(ResponseCache.matchesEtag('"otro"', etag)).toBe(false);
+  });
+});
+
+describe('GatewayService response caching', () => {
+  let gatewayService;
+
+  const createReq = (headers = {}) => ({
+    method: 'GET',
+    path: '/api/catalogo/conceptos',
+    url: '/api/catalogo/conceptos?periodo=2024-1',
+    query: { periodo: '2024-1' },
+    headers,
+    user: { id: 'u1', tenantId: 'norte' },
+    gatewayRoute: gatewayService.routes.match('/api/catalogo/conceptos', 'GET').route
+  });
+
+  const createRes = () => ({
+    headers: {},
+    set: jest.fn(function (headers) { Object.assign(this.headers, headers); return this; }),
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+    end: jest.fn().mockReturnThis()
+  });
+
+  beforeEach(() => {
+    axios.mockReset();
+    axios.mockResolvedValue({ status: 200, data: { conceptos: [] } });
+    gatewayService = new GatewayService({
+      config: {
+        services: { catalogo: { url: 'http://catalogo', retries: 0 } },
+        routes: [{
+          prefix: '/api/catalogo/conceptos',
+          service: 'catalogo',
+          rewrite: { '^/api/catalogo': '' },
+          cache: { ttl: 60000, invalidateOn: ['concepto.creado'] }
+        }]
+      }
+    });
+  });
+
+  afterEach(() => {
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should serve repeated reads from the cache', async () => {
+    const first = createRes();
+    await gatewayService.processRequest('catalogo', createReq(), first);
+    const second = createRes();
+    await gatewayService.processRequest('catalogo', createReq(), second);
+
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect(axios.mock.calls[0][0].url).toBe('http://catalogo/conceptos?periodo=2024-1');
+    expect(first.headers['X-Cache']).toBe('MISS');
+    expect(second.headers['X-Cache']).toBe('HIT');
+    expect(second.json.mock.calls[0][0]).toEqual(first.json.mock.calls[0][0]);
+  });
+
+  test('should answer 304 when If-None-Match matches the ETag', async () => {
+    const first = createRes();
+    await gatewayService.processRequest('catalogo', createReq(), first);
+
+    const second = createRes();
+    await gatewayService.processRequest('catalogo', createReq({ 'if-none-match': first.headers.ETag }), second);
+
+    expect(second.status).toHaveBeenCalledWith(304);
+    expect(second.end).toHaveBeenCalled();
+  });
+
+  test('should invalidate cached reads on concepto.creado events', async () => {
+    await gatewayService.processRequest('catalogo', createReq(), createRes());
+    await gatewayService.eventManager.notify('concepto.creado', { source: 'catalogo' });
+    await gatewayService.processRequest('catalogo', createReq(), createRes());
+
+    expect(axios).toHaveBeenCalledTimes(2);
+  });
+
+  test('should bypass the cache on Cache-Control: no-cache', async () => {
+    await gatewayService.processRequest('catalogo', createReq(), createRes());
+    const res = createRes();
+    await gatewayService.processRequest('catalogo', createReq({ 'cache-control': 'no-cache' }), res);
+
+    expect(axios).toHaveBeenCalledTimes(2);
+    expect(res.headers['X-Cache']).toBe('MISS');
+  });
+});
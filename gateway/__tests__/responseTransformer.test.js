@@ -0,0 +1,125 @@
+const ResponseTransformer = require('../ResponseTransformer');
+const GatewayService = require('../GatewayService');
+
+jest.mock('axios');
+const axios = require('axios');
+
+describe('ResponseTransformer', () => {
+  let transformer;
+
+  const transform = (data, transformConfig, headers = {}) => transformer.transform(data, {
+    route: { prefix: '/api/catalogo', transform: transformConfig },
+    req: { headers },
+    serviceName: 'catalogo'
+  });
+
+  beforeEach(() => {
+    transformer = new ResponseTransformer();
+  });
+
+  test('should add the _gateway envelope to objects by default', () => {
+    const body = transform({ mensaje: 'ok' });
+
+    expect(body).toMatchObject({ mensaje: 'ok', _gateway: { service: 'catalogo', version: '1.0.0' } });
+  });
+
+  test('should leave arrays and primitives intact', () => {
+    expect(transform([{ id: 1 }, { id: 2 }])).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(transform('texto')).toBe('texto');
+  });
+
+  test('should disable the envelope per route', () => {
+    expect(transform({ mensaje: 'ok' }, { envelope: false })).toEqual({ mensaje: 'ok' });
+  });
+
+  test('should pick, omit and rename fields in order', () => {
+    const body = transform(
+      { mensaje: 'ok', usuario: { id: 'u1', email: 'a@b.mx', hash: 'x' }, debug: true },
+      {
+        envelope: false,
+        steps: [
+          { pick: ['usuario', 'mensaje'] },
+          { omit: ['usuario.hash'] },
+          { rename: { 'usuario.email': 'usuario.correo', mensaje: 'estado' } }
+        ]
+      }
+    );
+
+    expect(body).toEqual({ estado: 'ok', usuario: { id: 'u1', correo: 'a@b.mx' } });
+  });
+
+  test('should apply field steps to each element of nested collections', () => {
+    const data = { total: 2, conceptos: [{ id: 1, monto: 10, interno: 'a' }, { id: 2, monto: 20, interno: 'b' }] };
+
+    const body = transform(data, { envelope: false, steps: [{ at: 'conceptos', omit: ['interno'] }] });
+
+    expect(body).toEqual({ total: 2, conceptos: [{ id: 1, monto: 10 }, { id: 2, monto: 20 }] });
+    expect(data.conceptos[0].interno).toBe('a');
+  });
+
+  test('should apply version-specific mappers from Accept-Version', () => {
+    transformer.registerMapper('montosEnCentavos', (body) => ({ ...body, monto: body.monto * 100 }));
+    const config = {
+      envelope: false,
+      steps: [{ rename: { conceptos: 'items' } }],
+      versions: { 1: [{ rename: { items: 'conceptos' } }, { mapper: 'montosEnCentavos' }] }
+    };
+
+    expect(transform({ conceptos: [], monto: 5 }, config)).toEqual({ items: [], monto: 5 });
+    expect(transform({ conceptos: [], monto: 5 }, config, { 'accept-version': 'v1' })).toEqual({ conceptos: [], monto: 500 });
+  });
+
+  test('should fail on unknown mappers', () => {
+    expect(() => transform({}, { steps: [{ mapper: 'inexistente' }] })).toThrow('no registrado');
+  });
+
+  test('should validate route configuration', () => {
+    expect(() => ResponseTransformer.validate({ steps: [{ pick: ['a'], omit: ['b'] }] }, '/api/x')).toThrow();
+    expect(() => ResponseTransformer.validate({ steps: [{ renombrar: {} }] }, '/api/x')).toThrow();
+    expect(() => ResponseTransformer.validate({ steps: [{ at: 'a', pick: ['b'] }], versions: { 2: [] } }, '/api/x')).not.toThrow();
+  });
+});
+
+describe('GatewayService response transformation', () => {
+  let gatewayService;
+
+  beforeEach(() => {
+    axios.mockReset();
+    gatewayService = new GatewayService({
+      config: {
+        services: { catalogo: { url: 'http://catalogo', retries: 0 } },
+        routes: [{
+          prefix: '/api/catalogo',
+          service: 'catalogo',
+          auth: false,
+          transform: { envelope: false, headers: { 'X-Content-Owner': 'catalogo' }, steps: [{ at: 'conceptos', pick: ['id'] }] }
+        }]
+      }
+    });
+  });
+
+  afterEach(() => {
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should transform the upstream body and inject route headers', async () => {
+    axios.mockResolvedValue({ status: 200, data: { conceptos: [{ id: 1, costo: 3 }] } });
+    const req = {
+      method: 'GET',
+      path: '/api/catalogo/conceptos',
+      url: '/api/catalogo/conceptos',
+      headers: {},
+      gatewayRoute: gatewayService.routes.match('/api/catalogo/conceptos', 'GET').route
+    };
+    const res = { set: jest.fn(), status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+    await gatewayService.processRequest('catalogo', req, res);
+
+    expect(res.set).toHaveBeenCalledWith({ 'X-Content-Owner': 'catalogo' });
+    expect(res.json).toHaveBeenCalledWith({ conceptos: [{ id: 1 }] });
+  });
+
+  test('should reject invalid transforms when adding routes', () => {
+    expect(() => gatewayService.addRoute('/api/otra', 'catalogo', { transform: { steps: [{}] } })).toThrow();
+  });
+});
@@ -0,0 +1,180 @@
+const express = require('express');
+const request = require('supertest');
+const { RetryPolicy, RetryBudget, parseRetryAfter } = require('../RetryPolicy');
+const GatewayService = require('../GatewayService');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const upstreamError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers, data: { error: 'Servicio no disponible' } }
+});
+
+describe('RetryPolicy', () => {
+  afterEach(() => {
+    jest.spyOn(Math, 'random').mockRestore();
+  });
+
+  test('should only retry idempotent methods unless an Idempotency-Key is present', () => {
+    const policy = new RetryPolicy();
+
+    expect(policy.isRetryableRequest({ method: 'GET' })).toBe(true);
+    expect(policy.isRetryableRequest({ method: 'put' })).toBe(true);
+    expect(policy.isRetryableRequest({ method: 'POST', headers: {} })).toBe(false);
+    expect(policy.isRetryableRequest({ method: 'POST', headers: { 'Idempotency-Key': 'pago-123' } })).toBe(true);
+  });
+
+  test('should classify retryable errors', () => {
+    const policy = new RetryPolicy();
+
+    expect(policy.isRetryableError(upstreamError(503))).toBe(true);
+    expect(policy.isRetryableError(upstreamError(500))).toBe(false);
+    expect(policy.isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+    expect(policy.isRetryableError(new Error('bug'))).toBe(false);
+  });
+
+  test('should keep jittered delays within the exponential bounds', () => {
+    const full = new RetryPolicy({ baseDelayMs: 100, maxDelayMs: 1000 });
+    const equal = full.with({ jitter: 'equal' });
+
+    jest.spyOn(Math, 'random').mockReturnValue(0.999);
+    expect(full.getDelay(0)).toBeLessThanOrEqual(100);
+    expect(full.getDelay(5)).toBeLessThanOrEqual(1000);
+
+    Math.random.mockReturnValue(0);
+    expect(full.getDelay(3)).toBe(0);
+    expect(equal.getDelay(3)).toBe(400);
+    expect(full.with({ jitter: 'none' }).getDelay(3)).toBe(800);
+  });
+
+  test('should honor Retry-After in seconds or as an HTTP date', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    expect(parseRetryAfter('2')).toBe(2000);
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:00:03 GMT', now)).toBe(3000);
+    expect(parseRetryAfter('mañana')).toBeNull();
+
+    const policy = new RetryPolicy({ jitter: 'none' });
+    expect(policy.getDelay(0, upstreamError(503, { 'retry-after': '1' }))).toBe(1000);
+    expect(policy.with({ respectRetryAfter: false }).getDelay(0, upstreamError(503, { 'retry-after': '1' }))).toBe(100);
+  });
+
+  test('should merge layers and validate configuration', () => {
+    const policy = RetryPolicy.merge({ retries: 3 }, null, { retries: 1, jitter: 'none' });
+    expect(policy).toMatchObject({ retries: 1, jitter: 'none', baseDelayMs: 100 });
+
+    expect(() => RetryPolicy.validate({ retries: -1 }, 'ruta')).toThrow('ruta.retries');
+    expect(() => RetryPolicy.validate({ jitter: 'aleatorio' })).toThrow('jitter');
+    expect(() => RetryPolicy.validate({ statuses: 503 })).toThrow('lista');
+  });
+});
+
+describe('RetryBudget', () => {
+  test('should limit retries to a ratio of recent requests with a minimum per second', () => {
+    const budget = new RetryBudget({ ratio: 0.5, minRetriesPerSecond: 1, windowMs: 2000 });
+
+    expect(budget.tryAcquire()).toBe(true);
+    expect(budget.tryAcquire()).toBe(true);
+    expect(budget.tryAcquire()).toBe(false);
+
+    for (let i = 0; i < 10; i++) budget.recordRequest();
+    expect(budget.tryAcquire()).toBe(true);
+    expect(budget.getStats()).toMatchObject({ requests: 10, retries: 3, rejected: 1 });
+  });
+});
+
+describe('GatewayService retries', () => {
+  let gatewayService;
+  let app;
+
+  const createGateway = (config = {}) => {
+    gatewayService = new GatewayService({
+      config: {
+        retry: { default: { baseDelayMs: 1, maxDelayMs: 5 } },
+        services: { pagos: { url: 'http://pagos', timeout: 1000 } },
+        routes: [{ prefix: '/api/pagos', service: 'pagos', auth: false, middleware: { disable: ['rateLimit'] } }],
+        ...config
+      }
+    });
+
+    app = express();
+    app.use(express.json());
+    app.all('/api/*', (req, res) => gatewayService.handleRequest(req, res));
+  };
+
+  beforeEach(() => {
+    axios.mockReset();
+  });
+
+  afterEach(() => {
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should not retry a POST without Idempotency-Key', async () => {
+    createGateway();
+    axios.mockRejectedValue(upstreamError(503));
+
+    await request(app).post('/api/pagos/crear').send({ monto: 100 });
+
+    expect(axios).toHaveBeenCalledTimes(1);
+  });
+
+  test('should retry a POST with Idempotency-Key and forward the key', async () => {
+    createGateway();
+    axios
+      .mockRejectedValueOnce(upstreamError(503))
+      .mockResolvedValueOnce({ status: 201, data: { id: 'p1' } });
+
+    const response = await request(app).post('/api/pagos/crear').set('Idempotency-Key', 'pago-123').send({ monto: 100 });
+
+    expect(response.status).toBe(201);
+    expect(axios).toHaveBeenCalledTimes(2);
+    expect(axios.mock.calls[1][0].headers['Idempotency-Key']).toBe('pago-123');
+    expect(gatewayService.metrics.render()).toMatch('gateway_upstream_retries_total{service="pagos",result="attempted"} 1');
+  });
+
+  test('should apply per-route retry policies', async () => {
+    createGateway();
+    gatewayService.addRoute('/api/pagos/reportes', 'pagos', { auth: false, retry: { retries: 0 } });
+    axios.mockRejectedValue(upstreamError(503));
+
+    await request(app).get('/api/pagos/reportes/mensual');
+
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect(() => gatewayService.addRoute('/api/pagos/otro', 'pagos', { retry: { jitter: 'x' } })).toThrow('jitter');
+  });
+
+  test('should not retry past the circuit breaker timeout', async () => {
+    createGateway({ retry: { default: { jitter: 'none' } } });
+    gatewayService.circuitBreakerManager.getBreaker('pagos').timeout = 300;
+    axios.mockRejectedValue(upstreamError(503, { 'retry-after': '1' }));
+
+    await request(app).get('/api/pagos/p1');
+
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect(gatewayService.metrics.render()).toMatch('result="deadline_exceeded"} 1');
+  });
+
+  test('should honour a route timeout longer than the service timeout', async () => {
+    createGateway({
+      services: { pagos: { url: 'http://pagos', timeout: 100, retries: 0 } },
+      routes: [{ prefix: '/api/pagos/reportes', service: 'pagos', auth: false, timeout: 1000, middleware: { disable: ['rateLimit'] } }]
+    });
+    axios.mockImplementation(() => new Promise(resolve => setTimeout(() => resolve({ status: 200, data: { ok: true } }), 250)));
+
+    const response = await request(app).get('/api/pagos/reportes/mensual');
+
+    expect(response.status).toBe(200);
+    expect(axios.mock.calls[0][0].timeout).toBe(1000);
+    expect(gatewayService.circuitBreakerManager.getBreaker('pagos').timeout).toBe(100);
+  });
+
+  test('should stop retrying when the budget is exhausted', async () => {
+    createGateway({ retry: { default: { baseDelayMs: 1, maxDelayMs: 5 }, budget: { ratio: 0, minRetriesPerSecond: 0 } } });
+    axios.mockRejectedValue(upstreamError(503));
+
+    await request(app).get('/api/pagos/p1');
+
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect(gatewayService.getInfo().retryBudget.rejected).toBe(1);
+  });
+});
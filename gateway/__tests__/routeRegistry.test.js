@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RouteRegistry = require('../RouteRegistry');
+const GatewayService = require('../GatewayService');
+
+describe('RouteRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = RouteRegistry.fromDefinitions([
+      { prefix: '/api/usuarios/login', service: 'usuarios', methods: ['POST'], auth: false, rewrite: { '^/api/usuarios': '' } },
+      { prefix: '/api/usuarios', service: 'usuarios' },
+      { prefix: '/api/pagos', service: 'pagos', timeout: 2000, retries: 1 }
+    ]);
+  });
+
+  describe('match()', () => {
+    test('should prefer the longest matching prefix', () => {
+      const { route } = registry.match('/api/usuarios/login', 'POST');
+
+      expect(route.prefix).toBe('/api/usuarios/login');
+      expect(route.auth).toBe(false);
+    });
+
+    test('should fall back to the service prefix for other paths', () => {
+      const { route } = registry.match('/api/usuarios/perfil/1', 'GET');
+
+      expect(route.prefix).toBe('/api/usuarios');
+      expect(route.auth).toBe(true);
+    });
+
+    test('should match whole path segments only', () => {
+      const { route } = registry.match('/api/pagosextra/1', 'GET');
+
+      expect(route).toBeNull();
+    });
+
+    test('should report method not allowed when only the method differs', () => {
+      registry.removeRoute('/api/usuarios');
+      const result = registry.match('/api/usuarios/login', 'GET');
+
+      expect(result.route).toBeNull();
+      expect(result.methodNotAllowed).toBe(true);
+    });
+  });
+
+  describe('rewritePath()', () => {
+    test('should strip the route prefix by default', () => {
+      const { route } = registry.match('/api/pagos/usuario/1', 'GET');
+
+      expect(registry.rewritePath(route, '/api/pagos/usuario/1')).toBe('/usuario/1');
+      expect(registry.rewritePath(route, '/api/pagos')).toBe('/');
+    });
+
+    test('should apply explicit rewrite rules', () => {
+      const { route } = registry.match('/api/usuarios/login', 'POST');
+
+      expect(registry.rewritePath(route, '/api/usuarios/login')).toBe('/login');
+    });
+  });
+
+  describe('addRoute()', () => {
+    test('should reject routes without a service', () => {
+      expect(() => registry.addRoute('/api/otro')).toThrow();
+    });
+
+    test('should keep per-route timeout and retries', () => {
+      const { route } = registry.match('/api/pagos/crear', 'POST');
+
+      expect(route.timeout).toBe(2000);
+      expect(route.retries).toBe(1);
+    });
+  });
+
+  describe('loadConfigFile()', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-config-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should read YAML files by extension', () => {
+      const file = path.join(dir, 'gateway.config.yaml');
+      fs.writeFileSync(file, [
+        'services:',
+        '  pagos: { url: http://localhost:3002, timeout: 5000 }',
+        'routes:',
+        '  - prefix: /api/pagos/reportes',
+        '    service: pagos',
+        '    methods: [GET]',
+        '    timeout: 20000',
+        '    rewrite: { "^/api/pagos": "" }'
+      ].join('\n'));
+
+      const config = RouteRegistry.loadConfigFile(file);
+      const { route } = RouteRegistry.fromDefinitions(config.routes).match('/api/pagos/reportes/mensual', 'GET');
+
+      expect(config.services.pagos.timeout).toBe(5000);
+      expect(route.timeout).toBe(20000);
+      expect(route.methods).toEqual(['GET']);
+    });
+
+    test('should reject files that are not a configuration object', () => {
+      const file = path.join(dir, 'gateway.config.yml');
+      fs.writeFileSync(file, '- prefix: /api/pagos\n');
+
+      expect(() => RouteRegistry.loadConfigFile(file)).toThrow('Configuración de rutas inválida');
+    });
+  });
+});
+
+describe('GatewayService routing', () => {
+  let gatewayService;
+
+  beforeEach(() => {
+    gatewayService = new GatewayService({
+      config: {
+        services: {
+          usuarios: { url: 'http://localhost:3001', urlEnv: 'USUARIOS_URL' }
+        },
+        routes: [{ prefix: '/api/usuarios', service: 'usuarios' }]
+      }
+    });
+  });
+
+  test('should load routes and services from the configuration', () => {
+    expect(gatewayService.routes.size).toBe(1);
+    expect(gatewayService.services.usuarios.timeout).toBe(5000);
+  });
+
+  test('should register a new service and route at runtime', () => {
+    gatewayService.addService('biblioteca', { url: 'http://localhost:3005' });
+    gatewayService.addRoute('/api/biblioteca', 'biblioteca');
+
+    const { route } = gatewayService.routes.match('/api/biblioteca/libros', 'GET');
+    expect(route.service).toBe('biblioteca');
+    expect(gatewayService.circuitBreakerManager.getAllBreakers().has('biblioteca')).toBe(true);
+  });
+
+  test('should refuse routes to unknown services', () => {
+    expect(() => gatewayService.addRoute('/api/x', 'desconocido')).toThrow();
+  });
+
+  test('should answer 404 for unrouted paths', async () => {
+    const res = { set: jest.fn(), status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+    await gatewayService.handleRequest({ path: '/api/desconocido/1', method: 'GET' }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
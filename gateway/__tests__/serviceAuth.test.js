@@ -0,0 +1,173 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const GatewayService = require('../GatewayService');
+const { ServiceAuth, captureRawBody } = require('../../shared/ServiceAuth');
+
+jest.mock('axios');
+const axios = require('axios');
+
+// Cada servicio firma con su propio secreto
+const SECRETS = { pagos: 'secreto-pagos', gateway: 'secreto-gateway', usuarios: 'secreto-usuarios' };
+const toRequest = (headers, { method = 'GET', path = '/validar/7', body } = {}) => ({
+  method,
+  path,
+  body,
+  headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]))
+});
+
+describe('ServiceAuth', () => {
+  const pagos = new ServiceAuth({ serviceName: 'pagos', secrets: [SECRETS.pagos] });
+  let usuarios;
+
+  beforeEach(() => {
+    usuarios = new ServiceAuth({
+      serviceName: 'usuarios',
+      secrets: [SECRETS.usuarios],
+      peers: { pagos: [SECRETS.pagos], gateway: [SECRETS.gateway] }
+    });
+  });
+
+  test('should verify signed requests and bind the signature to method, path and body', () => {
+    const headers = pagos.sign({ method: 'POST', path: '/api-keys/uso', body: { uso: { k1: 2 } } });
+
+    expect(() => usuarios.verify(toRequest(headers, { method: 'POST', path: '/api-keys/uso', body: '{"uso":{"k1":9}}' })))
+      .toThrow(expect.objectContaining({ code: 'SERVICE_AUTH_INVALID' }));
+    expect(() => usuarios.verify(toRequest(headers, { method: 'POST', path: '/api-keys/otro', body: '{"uso":{"k1":2}}' })))
+      .toThrow(expect.objectContaining({ code: 'SERVICE_AUTH_INVALID' }));
+    expect(usuarios.verify(toRequest(headers, { method: 'POST', path: '/api-keys/uso', body: '{"uso":{"k1":2}}' }))).toBe('pagos');
+  });
+
+  test('should reject missing, stale and replayed signatures', () => {
+    expect(() => usuarios.verify(toRequest({}))).toThrow(expect.objectContaining({ code: 'SERVICE_AUTH_MISSING' }));
+
+    const headers = pagos.sign({ method: 'GET', path: '/validar/7' });
+    usuarios.verify(toRequest(headers));
+    expect(() => usuarios.verify(toRequest(headers))).toThrow(expect.objectContaining({ code: 'SERVICE_AUTH_REPLAY' }));
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now - 600000);
+    const stale = pagos.sign({ method: 'GET', path: '/validar/7' });
+    Date.now.mockRestore();
+    expect(() => usuarios.verify(toRequest(stale))).toThrow(expect.objectContaining({ code: 'SERVICE_AUTH_EXPIRED' }));
+
+    expect(usuarios.getInfo().stats).toEqual({ signed: 0, verified: 1, rejected: 3 });
+  });
+
+  test('should accept the previous secret while rotating', () => {
+    const rotated = new ServiceAuth({ serviceName: 'usuarios', secrets: [SECRETS.usuarios], peers: { pagos: ['secreto-nuevo', SECRETS.pagos] } });
+    const otro = new ServiceAuth({ serviceName: 'pagos', secrets: ['otro'] });
+
+    expect(rotated.verify(toRequest(pagos.sign({ method: 'GET', path: '/validar/7' })))).toBe('pagos');
+    expect(() => rotated.verify(toRequest(otro.sign({ method: 'GET', path: '/validar/7' })))).toThrow('Firma inválida');
+  });
+
+  test('should not let a service sign in the name of another one', () => {
+    // pagos declara ser el gateway, pero solo conoce su propio secreto
+    const impostor = new ServiceAuth({ serviceName: 'gateway', secrets: [SECRETS.pagos] });
+    expect(() => usuarios.verify(toRequest(impostor.sign({ method: 'GET', path: '/token/revocados' }), { path: '/token/revocados' })))
+      .toThrow(expect.objectContaining({ code: 'SERVICE_AUTH_INVALID' }));
+
+    const desconocido = new ServiceAuth({ serviceName: 'catalogo', secrets: [SECRETS.pagos] });
+    expect(() => usuarios.verify(toRequest(desconocido.sign({ method: 'GET', path: '/validar/7' }))))
+      .toThrow(expect.objectContaining({ code: 'SERVICE_AUTH_INVALID', message: 'Servicio desconocido \'catalogo\'' }));
+  });
+
+  test('should forget expired nonces and never evict nonces still in force', () => {
+    const limited = new ServiceAuth({ serviceName: 'usuarios', secrets: [SECRETS.usuarios], maxNonces: 2 });
+    limited.rememberNonce('viejo', Date.now() - 1);
+    limited.rememberNonce('a', Date.now() + 1000);
+    limited.rememberNonce('b', Date.now() + 1000);
+    expect(Array.from(limited.nonces.keys())).toEqual(['a', 'b']);
+
+    expect(() => limited.rememberNonce('c', Date.now() + 1000)).toThrow(expect.objectContaining({ code: 'SERVICE_AUTH_BUSY' }));
+    expect(() => limited.rememberNonce('a', Date.now() + 1000)).toThrow(expect.objectContaining({ code: 'SERVICE_AUTH_REPLAY' }));
+    expect(Array.from(limited.nonces.keys())).toEqual(['a', 'b']);
+  });
+
+  test('should answer 503 while the nonces in force fill the limit', async () => {
+    const limited = new ServiceAuth({ serviceName: 'usuarios', secrets: [SECRETS.usuarios], peers: { pagos: [SECRETS.pagos] }, maxNonces: 1 });
+    const app = express();
+    app.get('/validar/:id', limited.middleware(), (req, res) => res.json({ service: req.service }));
+
+    await request(app).get('/validar/7').set(pagos.sign({ method: 'GET', path: '/validar/7' })).expect(200);
+    const busy = await request(app).get('/validar/7').set(pagos.sign({ method: 'GET', path: '/validar/7' })).expect(503);
+    expect(busy.headers['retry-after']).toBe('1');
+    expect(busy.body.code).toBe('SERVICE_AUTH_BUSY');
+  });
+
+  test('should read one secret per service and require its own in production', () => {
+    expect(() => ServiceAuth.fromEnv('pagos', { NODE_ENV: 'production', SERVICE_AUTH_SECRET: 'compartido' }))
+      .toThrow('SERVICE_AUTH_SECRET_PAGOS es requerido en producción');
+
+    const fromEnv = ServiceAuth.fromEnv('usuarios', {
+      NODE_ENV: 'production',
+      SERVICE_AUTH_SECRET_USUARIOS: `nuevo, ${SECRETS.usuarios}`,
+      SERVICE_AUTH_SECRET_PAGOS: SECRETS.pagos
+    });
+    expect(fromEnv.getInfo()).toMatchObject({ serviceName: 'usuarios', secrets: 2, peers: ['pagos'], development: false });
+    expect(fromEnv.verify(toRequest(pagos.sign({ method: 'GET', path: '/validar/7' })))).toBe('pagos');
+    expect(() => fromEnv.verify(toRequest(new ServiceAuth({ serviceName: 'gateway', secrets: [SECRETS.gateway] }).sign({ method: 'GET', path: '/validar/7' }))))
+      .toThrow('Servicio desconocido \'gateway\'');
+  });
+
+  test('should derive per-service development secrets from a shared seed', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'service-auth-'));
+    const env = { SERVICE_AUTH_DEV_SECRET_FILE: path.join(dir, 'seed') };
+    try {
+      const devPagos = ServiceAuth.fromEnv('pagos', env);
+      const devUsuarios = ServiceAuth.fromEnv('usuarios', env);
+
+      expect(devUsuarios.getInfo().development).toBe(true);
+      expect(devPagos.secrets).not.toEqual(devUsuarios.secrets);
+      expect(devUsuarios.verify(toRequest(devPagos.sign({ method: 'GET', path: '/validar/7' })))).toBe('pagos');
+      const impostor = new ServiceAuth({ serviceName: 'gateway', secrets: devPagos.secrets });
+      expect(() => devUsuarios.verify(toRequest(impostor.sign({ method: 'GET', path: '/validar/7' })))).toThrow('Firma inválida');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should protect express routes and restrict them to allowed services', async () => {
+    const gateway = new ServiceAuth({ serviceName: 'gateway', secrets: [SECRETS.gateway] });
+    const app = express();
+    app.use(express.json({ verify: captureRawBody }));
+    app.post('/interno', usuarios.middleware({ allow: ['gateway'] }), (req, res) => res.json({ service: req.service }));
+
+    const body = { id: 'k1' };
+    await request(app).post('/interno').set(gateway.sign({ method: 'POST', path: '/interno', body })).send(body)
+      .expect(200, { service: 'gateway' });
+
+    const denied = await request(app).post('/interno').set(pagos.sign({ method: 'POST', path: '/interno', body })).send(body);
+    expect(denied.status).toBe(403);
+    expect(denied.body.code).toBe('SERVICE_AUTH_FORBIDDEN');
+
+    const unsigned = await request(app).post('/interno').send(body);
+    expect(unsigned.status).toBe(401);
+    expect(unsigned.body.code).toBe('SERVICE_AUTH_MISSING');
+  });
+});
+
+describe('GatewayService service identity', () => {
+  test('should sign its calls to internal endpoints', async () => {
+    const usuarios = new ServiceAuth({ serviceName: 'usuarios', secrets: [SECRETS.usuarios], peers: { gateway: [SECRETS.gateway] } });
+    const gatewayService = new GatewayService({
+      serviceAuth: new ServiceAuth({ serviceName: 'gateway', secrets: [SECRETS.gateway] }),
+      config: {
+        services: { usuarios: { url: 'http://usuarios', retries: 0 } },
+        routes: [{ prefix: '/api/usuarios', service: 'usuarios' }]
+      }
+    });
+    axios.mockReset();
+    axios.mockResolvedValue({ status: 200, data: { revocados: [] } });
+
+    await gatewayService.syncRevokedTokens();
+
+    const { headers } = axios.mock.calls[0][0];
+    expect(usuarios.verify(toRequest(headers, { path: '/token/revocados' }))).toBe('gateway');
+    expect(gatewayService.getInfo().serviceAuth).toMatchObject({ serviceName: 'gateway', stats: { signed: 1 } });
+    gatewayService.serviceRegistry.stopEviction();
+  });
+});
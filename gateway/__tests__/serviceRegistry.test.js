@@ -0,0 +1,78 @@
+const ServiceRegistry = require('../ServiceRegistry');
+const GatewayService = require('../GatewayService');
+
+describe('ServiceRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ServiceRegistry({ heartbeatTimeout: 1000 });
+  });
+
+  test('should register instances and list them per service', () => {
+    const instance = registry.register({ service: 'pagos', url: 'http://localhost:3002/' });
+
+    expect(instance.instanceId).toMatch(/^pagos-/);
+    expect(instance.url).toBe('http://localhost:3002');
+    expect(registry.getInstances('pagos')).toHaveLength(1);
+  });
+
+  test('should reject registrations without service or url', () => {
+    expect(() => registry.register({ service: 'pagos' })).toThrow();
+  });
+
+  test('should evict instances that stop sending heartbeats', () => {
+    const vivo = registry.register({ service: 'pagos', url: 'http://a', instanceId: 'a' });
+    registry.register({ service: 'pagos', url: 'http://b', instanceId: 'b' });
+
+    const later = vivo.lastHeartbeat + 1500;
+    vivo.lastHeartbeat = later;
+
+    const evicted = registry.evictExpired(later);
+
+    expect(evicted.map(i => i.instanceId)).toEqual(['b']);
+    expect(registry.getInstances('pagos').map(i => i.instanceId)).toEqual(['a']);
+  });
+
+  test('should return null on heartbeat from unknown instances', () => {
+    expect(registry.heartbeat('pagos', 'desconocida')).toBeNull();
+  });
+
+  test('should deregister instances', () => {
+    registry.register({ service: 'pagos', url: 'http://a', instanceId: 'a' });
+
+    expect(registry.deregister('pagos', 'a')).toBe(true);
+    expect(registry.getInstances('pagos')).toHaveLength(0);
+  });
+});
+
+describe('GatewayService service resolution', () => {
+  let gatewayService;
+
+  beforeEach(() => {
+    gatewayService = new GatewayService({
+      config: {
+        services: { usuarios: { url: 'http://localhost:3001' } },
+        routes: []
+      }
+    });
+  });
+
+  afterEach(() => {
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should prefer registered instances over static configuration', () => {
+    expect(gatewayService.resolveServiceUrl('usuarios')).toBe('http://localhost:3001');
+
+    gatewayService.serviceRegistry.register({ service: 'usuarios', url: 'http://10.0.0.5:3001' });
+
+    expect(gatewayService.resolveServiceUrl('usuarios')).toBe('http://10.0.0.5:3001');
+  });
+
+  test('should add unknown services when they self-register', () => {
+    gatewayService.serviceRegistry.register({ service: 'biblioteca', url: 'http://localhost:3005' });
+
+    expect(gatewayService.services.biblioteca).toBeDefined();
+    expect(gatewayService.resolveServiceUrl('biblioteca')).toBe('http://localhost:3005');
+  });
+});
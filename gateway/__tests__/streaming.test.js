@@ -0,0 +1,114 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const GatewayService = require('../GatewayService');
+
+describe('GatewayService streaming routes', () => {
+  let upstream;
+  let received;
+  let gatewayService;
+  let app;
+
+  beforeAll(async () => {
+    // Microservicio real: los streams no pueden probarse con axios simulado
+    upstream = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        received = { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() };
+
+        if (req.url.startsWith('/reportes')) {
+          // Exportación lenta: los headers llegan después del timeout del servicio
+          return setTimeout(() => {
+            res.writeHead(200, { 'Content-Type': 'text/csv; charset=utf-8' });
+            res.end('concepto,total\ninscripcion,1500\n');
+          }, 300);
+        }
+        if (req.url.startsWith('/recibos/faltante')) {
+          res.writeHead(404, { 'Content-Type': 'text/plain' });
+          return res.end('Recibo no encontrado');
+        }
+        if (req.url.startsWith('/recibos')) {
+          res.writeHead(200, {
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': 'attachment; filename="recibos.csv"',
+            'Connection': 'keep-alive'
+          });
+          res.write('id,monto\n');
+          return res.end('p1,1500\n');
+        }
+        res.writeHead(201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ recibido: received.body.length }));
+      });
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+
+    gatewayService = new GatewayService({
+      config: {
+        services: { pagos: { url: `http://127.0.0.1:${upstream.address().port}`, retries: 0, timeout: 150 } },
+        routes: [
+          { prefix: '/api/pagos/exportes', service: 'pagos', auth: false, stream: true, timeout: 2000, rewrite: { '^/api/pagos/exportes': '' } },
+          { prefix: '/api/pagos/archivos', service: 'pagos', auth: false, stream: true, rewrite: { '^/api/pagos/archivos': '' } },
+          { prefix: '/api/pagos', service: 'pagos', auth: false }
+        ]
+      }
+    });
+
+    const jsonParser = express.json();
+    app = express();
+    app.use((req, res, next) => gatewayService.isStreamRoute(req) ? next() : jsonParser(req, res, next));
+    app.all('/api/*', (req, res) => gatewayService.handleRequest(req, res));
+  });
+
+  afterAll(async () => {
+    gatewayService.serviceRegistry.stopEviction();
+    await new Promise(resolve => upstream.close(resolve));
+  });
+
+  test('should pipe downloads with upstream headers and no _gateway envelope', async () => {
+    const response = await request(app).get('/api/pagos/archivos/recibos?usuario=u1');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="recibos.csv"');
+    expect(response.text).toBe('id,monto\np1,1500\n');
+    expect(received.url).toBe('/recibos?usuario=u1');
+    expect(received.headers['x-gateway-request']).toBe('true');
+  });
+
+  test('should pass upstream client errors through unchanged', async () => {
+    const response = await request(app).get('/api/pagos/archivos/recibos/faltante');
+
+    expect(response.status).toBe(404);
+    expect(response.text).toBe('Recibo no encontrado');
+  });
+
+  test('should honour the route timeout on slow streaming upstreams', async () => {
+    const response = await request(app).get('/api/pagos/exportes/reportes');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('concepto,total\ninscripcion,1500\n');
+
+    // Sin timeout propio la ruta conserva el del servicio
+    expect((await request(app).get('/api/pagos/archivos/reportes')).status).toBe(504);
+  });
+
+  test('should forward multipart uploads without parsing them', async () => {
+    const response = await request(app)
+      .post('/api/pagos/archivos/comprobantes')
+      .attach('comprobante', Buffer.from('contenido-del-archivo'), 'comprobante.pdf');
+
+    expect(response.status).toBe(201);
+    expect(received.headers['content-type']).toMatch(/^multipart\/form-data; boundary=/);
+    expect(received.body).toContain('contenido-del-archivo');
+    expect(response.body.recibido).toBe(Number(received.headers['content-length']));
+  });
+
+  test('should keep the JSON envelope on regular routes', async () => {
+    const response = await request(app).post('/api/pagos/crear').send({ monto: 1500 });
+
+    expect(response.status).toBe(201);
+    expect(JSON.parse(received.body)).toEqual({ monto: 1500 });
+    expect(response.body._gateway.service).toBe('pagos');
+  });
+});
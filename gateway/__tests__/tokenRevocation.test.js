@@ -0,0 +1,95 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const GatewayService = require('../GatewayService');
+const { TokenRevocationList } = require('../../shared/TokenRevocationList');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const SECRET = process.env.JWT_SECRET || 'clave-secreta-desarrollo';
+const sign = (jti, expiresIn = '15m') => jwt.sign({ id: 'u1', rol: 'Estudiante' }, SECRET, { expiresIn, jwtid: jti });
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60000).toISOString();
+
+describe('TokenRevocationList', () => {
+  test('should keep revocations only until the token expires', () => {
+    const list = new TokenRevocationList();
+
+    expect(list.revoke('a', inMinutes(5))).toBe(true);
+    expect(list.revoke('b', Date.now() - 1000)).toBe(false);
+    expect(list.revoke(undefined, inMinutes(5))).toBe(false);
+    expect(list.isRevoked('a')).toBe(true);
+    expect(list.isRevoked('b')).toBe(false);
+
+    list.entries.set('c', Date.now() - 1);
+    expect(list.list().map(entry => entry.jti)).toEqual(['a']);
+  });
+
+  test('should merge synced revocations and drop the soonest to expire when full', () => {
+    const list = new TokenRevocationList({ maxEntries: 2 });
+
+    expect(list.merge([{ jti: 'a', expiresAt: inMinutes(1) }, { jti: 'b', expiresAt: inMinutes(10) }])).toBe(2);
+    expect(list.merge([{ jti: 'a', expiresAt: inMinutes(1) }])).toBe(0);
+    list.revoke('c', inMinutes(20));
+
+    expect(list.isRevoked('a')).toBe(false);
+    expect(list.getInfo()).toMatchObject({ revoked: 2, maxEntries: 2, lastSync: expect.any(String) });
+  });
+});
+
+describe('GatewayService token revocation', () => {
+  let gatewayService;
+  let app;
+
+  beforeEach(() => {
+    axios.mockReset();
+    gatewayService = new GatewayService({
+      config: {
+        services: { usuarios: { url: 'http://usuarios', retries: 0 } },
+        routes: [{ prefix: '/api/usuarios', service: 'usuarios', middleware: { disable: ['rateLimit'] } }]
+      }
+    });
+
+    app = express();
+    app.use(express.json());
+    app.all('/api/*', (req, res) => gatewayService.handleRequest(req, res));
+  });
+
+  afterEach(() => {
+    gatewayService.stopRevocationSync();
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should reject tokens revoked through the token.revocado event', async () => {
+    axios.mockResolvedValue({ status: 200, data: { ok: true } });
+    const token = sign('jti-1');
+
+    await request(app).get('/api/usuarios/perfil/u1').set('Authorization', `Bearer ${token}`).expect(200);
+
+    await gatewayService.eventManager.notify('token.revocado', { jti: 'jti-1', expiresAt: inMinutes(15) }, 'usuarios');
+    const response = await request(app).get('/api/usuarios/perfil/u1').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('TOKEN_REVOKED');
+    expect(axios).toHaveBeenCalledTimes(1);
+  });
+
+  test('should tell expired tokens apart so clients can refresh', async () => {
+    const response = await request(app).get('/api/usuarios/perfil/u1').set('Authorization', `Bearer ${sign('jti-2', -10)}`);
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('TOKEN_EXPIRED');
+  });
+
+  test('should sync revoked tokens from the usuarios service', async () => {
+    axios.mockResolvedValueOnce({
+      status: 200,
+      data: { revocados: [{ jti: 'jti-3', expiresAt: inMinutes(15) }, { jti: 'viejo', expiresAt: inMinutes(-1) }] }
+    });
+
+    await expect(gatewayService.syncRevokedTokens()).resolves.toBe(1);
+    expect(axios).toHaveBeenCalledWith(expect.objectContaining({ method: 'GET', url: 'http://usuarios/token/revocados' }));
+    await expect(gatewayService.verifyToken(sign('jti-3'))).rejects.toThrow('revocado');
+    expect(gatewayService.getInfo().revocation.revoked).toBe(1);
+  });
+});
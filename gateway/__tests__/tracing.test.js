@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Tracer, OtlpFileExporter, parseTraceparent, formatTraceparent, getCurrentContext } = require('../../shared/Tracing');
+const GatewayService = require('../GatewayService');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+
+describe('Tracing', () => {
+  let tracer;
+
+  beforeEach(() => {
+    tracer = new Tracer({ serviceName: 'test', maxSpans: 10 });
+  });
+
+  test('should parse and format traceparent headers', () => {
+    const context = parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-01`);
+
+    expect(context).toEqual({ traceId: TRACE_ID, spanId: PARENT_ID, flags: '01' });
+    expect(formatTraceparent(context)).toBe(`00-${TRACE_ID}-${PARENT_ID}-01`);
+    expect(parseTraceparent('invalido')).toBeNull();
+    expect(parseTraceparent(`00-${'0'.repeat(32)}-${PARENT_ID}-01`)).toBeNull();
+  });
+
+  test('should nest spans and expose the active context', async () => {
+    await tracer.withSpan('padre', async (parent) => {
+      await tracer.withSpan('hijo', async (child) => {
+        expect(child.traceId).toBe(parent.traceId);
+        expect(child.parentSpanId).toBe(parent.spanId);
+        expect(getCurrentContext().spanId).toBe(child.spanId);
+        expect(tracer.injectHeaders({}).traceparent).toBe(formatTraceparent(child));
+      });
+    });
+
+    expect(getCurrentContext()).toBeNull();
+    expect(tracer.spans.map(span => span.name)).toEqual(['hijo', 'padre']);
+  });
+
+  test('should record errors on the span', async () => {
+    await expect(tracer.withSpan('falla', async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(tracer.spans[0].status).toEqual({ code: 'error', message: 'boom' });
+  });
+
+  test('should continue incoming traces in the middleware', () => {
+    const listeners = {};
+    const req = { method: 'GET', path: '/x', url: '/x', headers: { traceparent: `00-${TRACE_ID}-${PARENT_ID}-01` } };
+    const res = { statusCode: 200, set: jest.fn(), on: (event, fn) => { listeners[event] = fn; } };
+    let inside;
+
+    tracer.middleware()(req, res, () => {
+      inside = getCurrentContext();
+    });
+    listeners.finish();
+
+    expect(inside.traceId).toBe(TRACE_ID);
+    expect(req.requestId).toBe(TRACE_ID);
+    expect(tracer.getTrace(TRACE_ID)[0]).toMatchObject({ parentSpanId: PARENT_ID, kind: 'server' });
+    expect(res.set).toHaveBeenCalledWith('X-Request-ID', TRACE_ID);
+  });
+
+  test('should export spans as OTLP/JSON files', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'traces-'));
+    try {
+      const exporting = new Tracer({ serviceName: 'pagos', exportDir: directory });
+      await exporting.withSpan('operacion', async (span) => span.setAttribute('intentos', 2));
+
+      const file = exporting.exporter.flush();
+      const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const span = document.resourceSpans[0].scopeSpans[0].spans[0];
+
+      expect(document.resourceSpans[0].resource.attributes).toEqual([{ key: 'service.name', value: { stringValue: 'pagos' } }]);
+      expect(span).toMatchObject({ name: 'operacion', kind: 1, status: { code: 1 } });
+      expect(span.attributes).toEqual([{ key: 'intentos', value: { intValue: '2' } }]);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('should not write files without pending spans', () => {
+    expect(new OtlpFileExporter({ directory: os.tmpdir() }).flush()).toBeNull();
+  });
+});
+
+describe('GatewayService trace propagation', () => {
+  let gatewayService;
+
+  beforeEach(() => {
+    axios.mockReset();
+    axios.mockResolvedValue({ status: 200, data: {} });
+    gatewayService = new GatewayService({
+      config: { services: { pagos: { url: 'http://pagos', retries: 0 } }, routes: [] }
+    });
+  });
+
+  afterEach(() => {
+    gatewayService.serviceRegistry.stopEviction();
+  });
+
+  test('should send traceparent with a client span child of the request span', async () => {
+    await gatewayService.tracer.withSpan('GET /api/pagos', async (serverSpan) => {
+      await gatewayService.sendToInstance('pagos', { method: 'GET', path: '/', headers: { 'X-Gateway-Request': 'true' } });
+
+      const headers = axios.mock.calls[0][0].headers;
+      const propagated = parseTraceparent(headers.traceparent);
+      expect(propagated.traceId).toBe(serverSpan.traceId);
+      expect(headers['X-Gateway-Request']).toBe('true');
+
+      const clientSpan = gatewayService.tracer.spans.find(span => span.spanId === propagated.spanId);
+      expect(clientSpan).toMatchObject({ kind: 'client', parentSpanId: serverSpan.spanId });
+      expect(clientSpan.attributes['http.status_code']).toBe(200);
+    });
+  });
+});
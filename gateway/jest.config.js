@@ -15,6 +15,23 @@ module.exports = {
   setupFilesAfterEnv: ['<rootDir>/jest.setup.js'],
   collectCoverageFrom: [
     'GatewayService.js',
+    'RouteRegistry.js',
+    'ServiceRegistry.js',
+    'LoadBalancer.js',
+    'RateLimiter.js',
+    'AuthorizationPolicy.js',
+    'ResponseCache.js',
+    'Aggregator.js',
+    'ResponseTransformer.js',
+    'ApiVersioning.js',
+    'AdminApi.js',
+    'MiddlewarePipeline.js',
+    'RetryPolicy.js',
+    'FallbackHandler.js',
+    'OpenApiValidator.js',
+    'ApiDocs.js',
+    'JwksClient.js',
+    'ApiKeyAuthenticator.js',
     '!**/node_modules/**',
     '!**/coverage/**'
   ]
@@ -1,49 +1,60 @@
 const express = require('express');
 const cors = require('cors');
 const GatewayService = require('./GatewayService');
+const { AdminApi } = require('./AdminApi');
+const { ApiDocs } = require('./ApiDocs');
+const { version } = require('./package.json');
+const { createLogger, requestContext } = require('../shared/Logger');
+const { captureRawBody } = require('../shared/ServiceAuth');
 require('dotenv').config();
 
+// Structured Logging - logger raíz del proceso (nivel según LOG_LEVEL)
+const log = createLogger('gateway', { level: process.env.LOG_LEVEL });
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware para CORS y parsing de JSON
-app.use(cors());
-app.use(express.json());
-
 // API Gateway Pattern - Crear instancia del servicio
 const gatewayService = new GatewayService();
-console.log('🏛️ API Gateway Pattern: Servicio inicializado');
-console.log('📊 Info del Gateway:', gatewayService.getInfo());
+// Sin URLs de instancias ni detalles de seguridad: el log puede terminar en almacenamiento compartido
+log.info('API Gateway inicializado', { version, services: Object.keys(gatewayService.services), routes: gatewayService.routes.getRoutes().length });
 
-// API Gateway Pattern - Rutas con middleware integrado
-// Redirigir peticiones de usuarios al microservicio correspondiente
-app.all('/api/usuarios/*', async (req, res) => {
-  await gatewayService.executeMiddleware(req, res, () => {
-    gatewayService.processRequest('usuarios', req, res);
-  });
-});
+// Admin API - configuración en tiempo de ejecución, solo para roles administradores y auditada
+const adminApi = new AdminApi(gatewayService);
 
-// Redirigir peticiones de pagos al microservicio correspondiente
-app.all('/api/pagos/*', async (req, res) => {
-  await gatewayService.executeMiddleware(req, res, () => {
-    gatewayService.processRequest('pagos', req, res);
-  });
-});
+// Middleware para CORS y parsing de JSON
+// Las rutas en modo streaming reciben el cuerpo sin parsear para reenviarlo tal cual
+// El cuerpo crudo se conserva para verificar las firmas de servicio (/events, /registry)
+const jsonParser = express.json({ verify: captureRawBody });
+app.use(cors());
+app.use((req, res, next) => gatewayService.isStreamRoute(req) ? next() : jsonParser(req, res, next));
 
-// Redirigir peticiones de catálogo al microservicio correspondiente
-app.all('/api/catalogo/*', async (req, res) => {
-  await gatewayService.executeMiddleware(req, res, () => {
-    gatewayService.processRequest('catalogo', req, res);
-  });
+// Distributed Tracing - después de express.json() para conservar el contexto en los handlers
+app.use(gatewayService.tracer.middleware());
+app.use(requestContext());
+
+// API Gateway Pattern - Rutas con middleware integrado
+// La tabla de rutas (gateway.config.json) decide a qué microservicio va cada petición
+app.all('/api/*', async (req, res) => {
+  await gatewayService.handleRequest(req, res);
 });
 
-// Ruta de salud del gateway
+// Ruta de salud del gateway (pública: solo estado y uptime)
 app.get('/health', (req, res) => {
   res.json({ 
     mensaje: 'API Gateway funcionando correctamente',
-    timestamp: new Date().toISOString(),
-    pattern: 'API Gateway Pattern',
-    info: gatewayService.getInfo()
+    status: 'ok',
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Configuración y estado interno: rutas, instancias upstream, registro, identidad de servicio, JWKS
+app.get('/info', adminApi.authenticate(), (req, res) => {
+  res.json({
+    mensaje: 'Información del API Gateway',
+    info: gatewayService.getInfo(),
+    timestamp: new Date().toISOString()
   });
 });
 
@@ -56,8 +67,11 @@ app.get('/stats', (req, res) => {
   });
 });
 
+// Métricas en formato de exposición de texto de Prometheus (token de administrador o METRICS_TOKEN)
+app.get('/metrics', adminApi.authenticate({ staticToken: process.env.METRICS_TOKEN }), gatewayService.metrics.handler());
+
 // Ruta de estado de Circuit Breakers
-app.get('/circuit-breakers', (req, res) => {
+app.get('/circuit-breakers', adminApi.authenticate(), (req, res) => {
   res.json({
     mensaje: 'Estado de Circuit Breakers',
     circuitBreakers: gatewayService.getCircuitBreakerStates(),
@@ -65,10 +79,42 @@ app.get('/circuit-breakers', (req, res) => {
   });
 });
 
-// Ruta para resetear Circuit Breaker específico
-app.post('/circuit-breakers/:service/reset', (req, res) => {
+// Ruta de estado de resiliencia: Circuit Breakers, Bulkheads, presupuesto de reintentos y fallbacks
+app.get('/resilience', adminApi.authenticate(), (req, res) => {
+  res.json({
+    mensaje: 'Estado de resiliencia',
+    ...gatewayService.getResilienceStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Ruta de estado de balanceadores e instancias upstream
+app.get('/upstreams', adminApi.authenticate(), (req, res) => {
+  res.json({
+    mensaje: 'Estado de instancias upstream',
+    upstreams: gatewayService.getLoadBalancerStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Admin API: rutas, upstreams, rate limits, middleware, Circuit Breakers y auditoría
+app.use('/admin', adminApi.router());
+
+// Documentación unificada de los microservicios: /openapi.json y Swagger UI en /docs
+const apiDocs = new ApiDocs(gatewayService, { version });
+app.use(apiDocs.router());
+
+// Ruta para resetear Circuit Breaker específico (equivale a POST /admin/circuit-breakers/:name/reset)
+app.post('/circuit-breakers/:service/reset', adminApi.authenticate(), async (req, res) => {
   const { service } = req.params;
-  gatewayService.resetCircuitBreaker(service);
+  if (!gatewayService.resetCircuitBreaker(service)) {
+    return res.status(404).json({
+      error: 'Circuit Breaker no encontrado',
+      code: 'ADMIN_NOT_FOUND',
+      message: `Circuit Breaker '${service}' no existe`
+    });
+  }
+  await adminApi.audit(req, 'circuitBreaker.reset', service);
   
   res.json({
     mensaje: `Circuit Breaker para ${service} reseteado`,
@@ -78,8 +124,9 @@ app.post('/circuit-breakers/:service/reset', (req, res) => {
 });
 
 // Ruta para resetear todos los Circuit Breakers
-app.post('/circuit-breakers/reset-all', (req, res) => {
+app.post('/circuit-breakers/reset-all', adminApi.authenticate(), async (req, res) => {
   gatewayService.resetAllCircuitBreakers();
+  await adminApi.audit(req, 'circuitBreaker.resetAll', '*');
   
   res.json({
     mensaje: 'Todos los Circuit Breakers reseteados',
@@ -87,27 +134,163 @@ app.post('/circuit-breakers/reset-all', (req, res) => {
   });
 });
 
+// Service Identity - /events y las operaciones del registro solo aceptan peticiones firmadas por un servicio
+const requireService = gatewayService.serviceAuth.middleware();
+
+/**
+ * Un servicio solo puede registrar, renovar o dar de baja sus propias instancias
+ * @param {Object} req - Request object (con req.service de requireService)
+ * @param {Object} res - Response object
+ * @param {string} service - Servicio de la instancia
+ * @returns {boolean} true si se respondió 403
+ */
+function rejectForeignService(req, res, service) {
+  if (service === req.service) return false;
+  res.status(403).json({
+    error: 'Acceso denegado',
+    message: `El servicio '${req.service}' no puede operar instancias de '${service}'`,
+    code: 'SERVICE_AUTH_FORBIDDEN'
+  });
+  return true;
+}
+
+// Service Registry - Registro de instancias de microservicios
+app.post('/registry/register', requireService, (req, res) => {
+  if (rejectForeignService(req, res, req.body?.service)) return;
+
+  try {
+    const instance = gatewayService.serviceRegistry.register(req.body || {});
+    res.status(201).json({
+      mensaje: `Instancia de ${instance.service} registrada`,
+      instance,
+      heartbeatInterval: gatewayService.serviceRegistry.heartbeatInterval,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(400).json({ error: 'Registro inválido', message: error.message });
+  }
+});
+
+// Heartbeat de una instancia registrada
+app.put('/registry/:service/:instanceId/heartbeat', requireService, (req, res) => {
+  const { service, instanceId } = req.params;
+  if (rejectForeignService(req, res, service)) return;
+  const instance = gatewayService.serviceRegistry.heartbeat(service, instanceId);
+
+  if (!instance) {
+    // La instancia fue desalojada: el cliente debe registrarse de nuevo
+    return res.status(404).json({
+      error: 'Instancia no registrada',
+      message: `La instancia '${instanceId}' de ${service} no está registrada`
+    });
+  }
+
+  res.json({ mensaje: 'Heartbeat registrado', instance, timestamp: new Date().toISOString() });
+});
+
+// Baja de una instancia
+app.delete('/registry/:service/:instanceId', requireService, (req, res) => {
+  const { service, instanceId } = req.params;
+  if (rejectForeignService(req, res, service)) return;
+  const removed = gatewayService.serviceRegistry.deregister(service, instanceId);
+
+  res.status(removed ? 200 : 404).json({
+    mensaje: removed ? 'Instancia dada de baja' : 'Instancia no registrada',
+    service,
+    instanceId,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Consultar instancias registradas (URLs y metadatos internos: solo administradores)
+app.get('/registry', adminApi.authenticate(), (req, res) => {
+  res.json({
+    mensaje: 'Instancias registradas',
+    registry: gatewayService.serviceRegistry.getInfo(),
+    services: gatewayService.serviceRegistry.getAll(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Resolver un servicio (usado por los clientes entre microservicios)
+app.get('/registry/:service', requireService, (req, res) => {
+  const { service } = req.params;
+  const instances = gatewayService.serviceRegistry.getInstances(service);
+  const url = gatewayService.resolveServiceUrl(service);
+
+  if (!url) {
+    return res.status(404).json({
+      error: 'Servicio no encontrado',
+      message: `No hay instancias registradas ni configuración para '${service}'`
+    });
+  }
+
+  res.json({ service, url, instances, timestamp: new Date().toISOString() });
+});
+
+// Eventos de los microservicios (EventForwarder) - alimentan la invalidación de caché
+app.post('/events', requireService, async (req, res) => {
+  const { type, data, source, metadata } = req.body || {};
+
+  if (!type) {
+    return res.status(400).json({ error: 'Evento inválido', message: 'El evento requiere un type' });
+  }
+
+  await gatewayService.eventManager.notify(type, { ...data, source: source || data?.source || req.service }, metadata);
+
+  res.status(202).json({ mensaje: `Evento ${type} recibido`, timestamp: new Date().toISOString() });
+});
+
+// Spans locales de una traza (Distributed Tracing)
+app.get('/traces/:traceId', adminApi.authenticate(), (req, res) => {
+  const spans = gatewayService.tracer.getTrace(req.params.traceId);
+  res.status(spans.length ? 200 : 404).json({
+    traceId: req.params.traceId,
+    service: gatewayService.tracer.serviceName,
+    spans,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Estado de la caché de respuestas
+app.get('/cache', adminApi.authenticate(), (req, res) => {
+  res.json({
+    mensaje: 'Estado de la caché de respuestas',
+    cache: gatewayService.responseCache.getStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Ruta raíz con información del sistema
 app.get('/', (req, res) => {
   res.json({
     mensaje: 'Sistema de Gestión de Inscripciones y Pagos',
-    version: '1.0.0',
+    version,
+    apiVersions: gatewayService.apiVersioning.getInfo(),
     arquitectura: 'Microservicios con Patrones de Diseño',
-    patterns: ['Factory Method', 'API Gateway', 'Observer', 'Circuit Breaker'],
+    patterns: ['Factory Method', 'API Gateway', 'Observer', 'Circuit Breaker', 'Bulkhead'],
     endpoints: {
-      usuarios: '/api/usuarios',
-      pagos: '/api/pagos',
-      catalogo: '/api/catalogo',
+      ...Object.fromEntries(Object.keys(gatewayService.services).map(name => [name, `/api/${name}`])),
       salud: '/health',
+      info: '/info',
       estadisticas: '/stats',
-      circuitBreakers: '/circuit-breakers'
+      metricas: '/metrics',
+      circuitBreakers: '/circuit-breakers',
+      resilience: '/resilience',
+      registry: '/registry',
+      upstreams: '/upstreams',
+      cache: '/cache',
+      admin: '/admin',
+      docs: '/docs',
+      openapi: '/openapi.json',
+      dashboard: '/api/dashboard'
     }
   });
 });
 
 // Middleware para manejo de errores
 app.use((err, req, res, next) => {
-  console.error('Error en API Gateway:', err);
+  log.error('Error en API Gateway', { err, method: req.method, path: req.path });
   res.status(500).json({
     error: 'Error interno del servidor',
     mensaje: err.message
@@ -121,12 +304,25 @@ setInterval(() => {
 
 // Iniciar servidor
 app.listen(PORT, () => {
-  console.log(`🚀 API Gateway ejecutándose en puerto ${PORT}`);
-  console.log('🏛️ API Gateway Pattern implementado');
-  console.log('📊 Servicios configurados:');
-  console.log(`   - Usuarios: ${gatewayService.services.usuarios.url}`);
-  console.log(`   - Pagos: ${gatewayService.services.pagos.url}`);
-  console.log(`   - Catálogo: ${gatewayService.services.catalogo.url}`);
-  console.log(`🔧 Middleware activo: ${gatewayService.middleware.map(m => m.name).join(', ')}`);
-  console.log(`🔒 Circuit Breakers: ${gatewayService.circuitBreakerManager.getGlobalMetrics().totalBreakers} configurados`);
+  log.info('API Gateway ejecutándose', {
+    port: Number(PORT),
+    services: Object.fromEntries(Object.entries(gatewayService.services).map(([name, service]) => [
+      name,
+      { instances: service.instances.map(i => i.url), strategy: service.loadBalancing.strategy }
+    ])),
+    routes: gatewayService.routes.size,
+    middleware: gatewayService.middleware.map(m => m.name),
+    circuitBreakers: gatewayService.circuitBreakerManager.getGlobalMetrics().totalBreakers
+  });
+
+  // Contratos OpenAPI para validar peticiones; los que fallen se reintentan con el tráfico
+  gatewayService.loadOpenApiSpecs().then(results => {
+    log.info('Contratos OpenAPI', { results });
+  });
+
+  // Tokens revocados por logout en el servicio de usuarios
+  gatewayService.startRevocationSync();
+
+  // Uso de las API keys (X-API-Key), reportado a usuarios en lotes
+  gatewayService.startApiKeyUsageFlush();
 });
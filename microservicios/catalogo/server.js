@@ -33,9 +33,17 @@
 const express = require('express');
 const cors = require('cors');
 const { DatabaseFactory } = require('../../shared/DatabaseFactory');
-const { EventManager, EventLogger, NotificationObserver, AuditObserver } = require('../../shared/EventManager');
+const { EventManager, EventLogger, NotificationObserver, AuditObserver, EventForwarder } = require('../../shared/EventManager');
+const { ServiceAuth } = require('../../shared/ServiceAuth');
+const { RegistryClient } = require('../../shared/RegistryClient');
+const { MetricsRegistry, registerEventManagerMetrics, registerProcessMetrics } = require('../../shared/Metrics');
+const { Tracer } = require('../../shared/Tracing');
+const { createLogger, requestContext } = require('../../shared/Logger');
 require('dotenv').config();
 
+// Structured Logging - logger raíz del servicio (nivel según LOG_LEVEL)
+const log = createLogger('catalogo', { level: process.env.LOG_LEVEL });
+
 const app = express();
 const PORT = process.env.PORT || 3004;
 
@@ -43,10 +51,14 @@ const PORT = process.env.PORT || 3004;
 app.use(cors());
 app.use(express.json());
 
+// Distributed Tracing - continúa la traza recibida del gateway (traceparent)
+const tracer = new Tracer({ serviceName: 'catalogo' });
+app.use(tracer.middleware());
+app.use(requestContext());
+
 // Factory Method Pattern - Crear conexión de base de datos
 const db = DatabaseFactory.createConnection('catalogo');
-console.log('🏭 Factory Method: Conexión creada para catálogo');
-console.log('📊 Info de conexión:', db.getInfo());
+log.info('Conexión de base de datos creada', { db: db.getInfo() });
 
 // Observer Pattern - Crear EventManager y observers
 const eventManager = new EventManager();
@@ -62,12 +74,35 @@ eventManager.subscribe('concepto.creado', auditObserver);
 eventManager.subscribe('concepto.actualizado', eventLogger);
 eventManager.subscribe('concepto.actualizado', auditObserver);
 
-console.log('👁️ Observer Pattern: EventManager configurado para catálogo');
-console.log('📊 Info del EventManager:', eventManager.getInfo());
+// Service Identity - el gateway solo acepta eventos y registros firmados por un servicio
+const serviceAuth = ServiceAuth.fromEnv('catalogo');
+
+// Reenviar cambios del catálogo al gateway para invalidar su caché de respuestas
+const eventForwarder = new EventForwarder({ serviceAuth });
+eventManager.subscribe('concepto.creado', eventForwarder);
+eventManager.subscribe('concepto.actualizado', eventForwarder);
+
+log.info('EventManager configurado', { events: eventManager.getInfo() });
+
+// Service Registry - Registro de la instancia en el gateway
+const registryClient = new RegistryClient({ serviceName: 'catalogo', serviceAuth, metadata: { openapi: '/openapi.json' } });
 
 // Los datos en memoria ahora se manejan a través del Factory Method
 // No necesitamos conceptosEnMemoria separados
 
+/**
+ * Cargar el contrato OpenAPI generado; sin generar se publica swaggerDef.js (sin paths)
+ * @returns {Object} Especificación OpenAPI
+ */
+function loadOpenApiSpec() {
+  try {
+    return require('./docs/swagger.json');
+  } catch (error) {
+    log.warn('docs/swagger.json no encontrado; ejecute npm run docs para publicar los paths');
+    return require('./swaggerDef');
+  }
+}
+
 // Endpoint de salud
 app.get('/health', (req, res) => {
   res.json({ 
@@ -76,10 +111,24 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     port: PORT,
     patterns: ['Factory Method', 'Observer Pattern'],
-    eventManager: eventManager.getInfo()
+    eventManager: eventManager.getInfo(),
+    registry: registryClient.getInfo(),
+    tracing: tracer.getInfo()
   });
 });
 
+// Métricas en formato Prometheus (eventos y proceso)
+const metrics = new MetricsRegistry({ defaultLabels: { service: 'catalogo' } });
+registerEventManagerMetrics(metrics, eventManager);
+registerProcessMetrics(metrics);
+app.get('/metrics', metrics.handler());
+
+// Contrato OpenAPI (docs/swagger.json, generado con `npm run docs`); el gateway lo usa para validar peticiones
+const openapiSpec = loadOpenApiSpec();
+app.get('/openapi.json', (req, res) => {
+  res.json(openapiSpec);
+});
+
 // Ruta de estadísticas de eventos
 app.get('/events/stats', (req, res) => {
   res.json({
@@ -102,6 +151,39 @@ app.get('/events/history', (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /conceptos:
+ *   get:
+ *     summary: Obtener conceptos con filtros
+ *     tags: [Conceptos]
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *         description: Institución (por defecto universidad_principal)
+ *       - in: query
+ *         name: carrera
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: campus
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: periodo
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: activo
+ *         schema:
+ *           type: boolean
+ *         description: Solo conceptos activos (por defecto true)
+ *     responses:
+ *       200:
+ *         description: Conceptos que cumplen los filtros
+ */
 // Obtener conceptos con filtros
 app.get('/conceptos', async (req, res) => {
   try {
@@ -110,7 +192,7 @@ app.get('/conceptos', async (req, res) => {
     // Convertir a boolean, con true como valor por defecto
     const activoBool = activo === undefined ? true : activo === 'true';
 
-    console.log('🔍 Filtros recibidos:', { tenantId, carrera, campus, periodo, activoBool });
+    log.debug('Filtros recibidos', { tenantId, carrera, campus, periodo, activo: activoBool });
 
     // Obtener conceptos usando Factory Method
     const conceptosRef = db.collection('conceptos');
@@ -125,11 +207,10 @@ app.get('/conceptos', async (req, res) => {
     }));
 
     if (carrera && carrera !== 'Todas') {
-      console.log('🔍 Filtrando por carrera:', carrera);
       conceptos = conceptos.filter(concepto =>
         concepto.carrera === carrera || concepto.carrera === 'Todas'
       );
-      console.log('📋 Conceptos después del filtro de carrera:', conceptos.length);
+      log.debug('Conceptos filtrados por carrera', { carrera, total: conceptos.length });
     }
 
     if (campus && campus !== 'Todos') {
@@ -150,11 +231,55 @@ app.get('/conceptos', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error al obtener conceptos:', error);
+    log.error('Error al obtener conceptos', { err: error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
+/**
+ * @swagger
+ * /conceptos/alumno:
+ *   post:
+ *     summary: Crear concepto específico para un alumno
+ *     tags: [Conceptos]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - matricula
+ *               - nombre
+ *               - monto
+ *             properties:
+ *               matricula:
+ *                 type: string
+ *                 minLength: 1
+ *                 description: Matrícula del alumno
+ *               nombre:
+ *                 type: string
+ *                 minLength: 1
+ *                 description: Nombre del concepto
+ *               descripcion:
+ *                 type: string
+ *               monto:
+ *                 type: number
+ *                 minimum: 0
+ *                 exclusiveMinimum: true
+ *                 description: Monto del concepto (mayor a 0)
+ *               tipo:
+ *                 type: string
+ *               periodo:
+ *                 type: string
+ *               tenantId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Concepto creado
+ *       400:
+ *         description: Datos inválidos
+ */
 // Crear concepto específico para alumno
 app.post('/conceptos/alumno', async (req, res) => {
   try {
@@ -220,11 +345,33 @@ app.post('/conceptos/alumno', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error al crear concepto para alumno:', error);
+    log.error('Error al crear concepto para alumno', { err: error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
+/**
+ * @swagger
+ * /conceptos/{id}:
+ *   get:
+ *     summary: Obtener un concepto por ID
+ *     tags: [Conceptos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Concepto
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Concepto'
+ *       404:
+ *         description: Concepto no encontrado
+ */
 // Obtener concepto por ID
 app.get('/conceptos/:id', async (req, res) => {
   try {
@@ -238,7 +385,7 @@ app.get('/conceptos/:id', async (req, res) => {
     
     res.json(concepto);
   } catch (error) {
-    console.error('Error al obtener concepto:', error);
+    log.error('Error al obtener concepto', { err: error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
@@ -249,15 +396,23 @@ setInterval(() => {
 }, 60 * 60 * 1000);
 
 // Iniciar servidor
-app.listen(PORT, () => {
-  console.log(`🚀 Microservicio Catálogo ejecutándose en puerto ${PORT}`);
-  console.log(`🏭 Factory Method: ${db.getInfo().type}`);
-  console.log(`👁️ Observer Pattern: ${eventManager.getInfo().observersCount} observers activos`);
-  console.log(`📊 Endpoints disponibles:`);
-  console.log(`   - GET /conceptos - Obtener conceptos con filtros`);
-  console.log(`   - POST /conceptos/alumno - Crear concepto para alumno`);
-  console.log(`   - GET /conceptos/:id - Obtener concepto por ID`);
-  console.log(`   - GET /health - Estado del servicio`);
-  console.log(`   - GET /events/stats - Estadísticas de eventos`);
-  console.log(`   - GET /events/history - Historial de eventos`);
-});
\ No newline at end of file
+const server = app.listen(PORT, () => {
+  log.info('Microservicio Catálogo ejecutándose', {
+    port: Number(PORT),
+    database: db.getInfo().type,
+    observers: eventManager.getInfo().observersCount,
+    endpoints: ['GET /conceptos', 'POST /conceptos/alumno', 'GET /conceptos/:id', 'GET /health', 'GET /openapi.json', 'GET /events/stats', 'GET /events/history']
+  });
+  registryClient.start(PORT);
+});
+
+// Al terminar el proceso: darse de baja del registro y cerrar el servidor
+const shutdown = (signal) => {
+  log.info('Deteniendo el microservicio', { signal });
+  setTimeout(() => process.exit(0), 10000).unref();
+  registryClient.stop()
+    .catch(error => log.warn('No se pudo dar de baja la instancia', { err: error }))
+    .finally(() => server.close(() => process.exit(0)));
+};
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);
@@ -32,20 +32,35 @@ const cors = require('cors');
 const axios = require('axios');
 const { DatabaseFactory } = require('../../shared/DatabaseFactory');
 const { EventManager, EventLogger, NotificationObserver, AuditObserver } = require('../../shared/EventManager');
+const { ServiceAuth } = require('../../shared/ServiceAuth');
+const { RegistryClient } = require('../../shared/RegistryClient');
+const { MetricsRegistry, registerEventManagerMetrics, registerProcessMetrics, registerCircuitBreakerMetrics } = require('../../shared/Metrics');
+const { Tracer } = require('../../shared/Tracing');
 const { CircuitBreakerManager } = require('../../shared/CircuitBreaker');
+const { createLogger, requestContext } = require('../../shared/Logger');
 require('dotenv').config();
 
+// Structured Logging - logger raíz del servicio (nivel según LOG_LEVEL)
+const log = createLogger('pagos', { level: process.env.LOG_LEVEL });
+
 const app = express();
 const PORT = process.env.PORT || 3002;
 
+// Service Identity - firma de las peticiones a los endpoints internos de usuarios y del registro
+const serviceAuth = ServiceAuth.fromEnv('pagos');
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
+// Distributed Tracing - continúa la traza recibida del gateway (traceparent)
+const tracer = new Tracer({ serviceName: 'pagos' });
+app.use(tracer.middleware());
+app.use(requestContext());
+
 // Factory Method Pattern - Crear conexión de base de datos
 const db = DatabaseFactory.createConnection('pagos');
-console.log('🏭 Factory Method: Conexión creada para pagos');
-console.log('📊 Info de conexión:', db.getInfo());
+log.info('Conexión de base de datos creada', { db: db.getInfo() });
 
 // Observer Pattern - Crear EventManager y observers
 const eventManager = new EventManager();
@@ -65,8 +80,7 @@ eventManager.subscribe('pago.cancelado', eventLogger);
 eventManager.subscribe('pago.cancelado', notificationObserver);
 eventManager.subscribe('pago.cancelado', auditObserver);
 
-console.log('👁️ Observer Pattern: EventManager configurado para pagos');
-console.log('📊 Info del EventManager:', eventManager.getInfo());
+log.info('EventManager configurado', { events: eventManager.getInfo() });
 
 // Circuit Breaker Pattern - Manager para comunicación con otros microservicios
 const circuitBreakerManager = new CircuitBreakerManager();
@@ -75,17 +89,27 @@ const usuariosBreaker = circuitBreakerManager.getBreaker('usuarios', {
   timeout: 5000,
   resetTimeout: 30000,
   onStateChange: (oldState, newState) => {
-    console.log(`🔒 Circuit Breaker 'usuarios': ${oldState} → ${newState}`);
+    log.warn('Cambio de estado del Circuit Breaker', { service: 'usuarios', from: oldState, to: newState });
   },
   onFailure: (error) => {
-    console.log(`❌ Circuit Breaker 'usuarios': Failure - ${error.message}`);
+    log.debug('Fallo registrado en Circuit Breaker', { service: 'usuarios', error: error.message });
   },
   onSuccess: (result) => {
-    console.log(`✅ Circuit Breaker 'usuarios': Success`);
+    log.trace('Éxito registrado en Circuit Breaker', { service: 'usuarios' });
   }
 });
 
-console.log('🔒 Circuit Breaker Pattern: Circuit Breakers configurados para pagos');
+log.info('Circuit Breakers configurados', { breakers: ['usuarios'] });
+
+// Service Registry - Registro de la instancia y resolución de otros microservicios
+const registryClient = new RegistryClient({
+  serviceName: 'pagos',
+  serviceAuth,
+  metadata: { openapi: '/openapi.json' },
+  fallbackUrls: {
+    usuarios: process.env.USUARIOS_URL || 'http://localhost:3001'
+  }
+});
 
 // Los datos en memoria ahora se manejan a través del Factory Method
 // No necesitamos pagosEnMemoria separados
@@ -93,22 +117,27 @@ console.log('🔒 Circuit Breaker Pattern: Circuit Breakers configurados para pa
 // Función para validar usuario con Circuit Breaker
 async function validarUsuario(usuarioId) {
   try {
-    console.log(`🔍 Validando usuario: ${usuarioId}`);
+    log.debug('Validando usuario', { usuarioId });
     
-    // Usar Circuit Breaker para proteger la comunicación
+    // Usar Circuit Breaker para proteger la comunicación; la traza continúa en usuarios
     const response = await usuariosBreaker.execute(async () => {
-      return await axios.get(`http://localhost:3001/validar/${usuarioId}`);
+      const usuariosUrl = await registryClient.resolve('usuarios');
+      return await tracer.withSpan('GET usuarios /validar', async (span) => {
+        span.setAttribute('peer.service', 'usuarios');
+        span.setAttribute('usuario.id', usuarioId);
+        const validarPath = `/validar/${usuarioId}`;
+        return await axios.get(`${usuariosUrl}${validarPath}`, {
+          headers: tracer.injectHeaders(serviceAuth.sign({ method: 'GET', path: validarPath }))
+        });
+      }, { kind: 'client' });
     });
     
-    console.log('✅ Respuesta de validación:', response.data);
+    log.debug('Usuario validado', { usuarioId, existe: response.data.existe });
     return response.data;
   } catch (error) {
-    console.error('❌ Error al validar usuario:', error.message);
-    console.error('❌ Error completo:', error);
-    
     // Manejar errores del Circuit Breaker
     if (error.name === 'CircuitBreakerOpenError') {
-      console.log('🔒 Circuit Breaker abierto para usuarios, usando fallback');
+      log.warn('Circuit Breaker abierto para usuarios, usando fallback', { usuarioId });
       return { 
         existe: false, 
         error: 'Servicio de usuarios temporalmente no disponible',
@@ -118,8 +147,7 @@ async function validarUsuario(usuarioId) {
     
     // Manejar errores de axios
     if (error.response) {
-      console.error('❌ Status:', error.response.status);
-      console.error('❌ Data:', error.response.data);
+      log.warn('Usuarios respondió con error', { usuarioId, status: error.response.status, data: error.response.data });
       return { 
         existe: false, 
         error: 'No se pudo validar el usuario',
@@ -128,6 +156,7 @@ async function validarUsuario(usuarioId) {
     }
     
     // Manejar otros errores
+    log.error('Error al validar usuario', { usuarioId, err: error });
     return { 
       existe: false, 
       error: 'No se pudo validar el usuario',
@@ -141,6 +170,19 @@ function generarId() {
   return Date.now().toString() + Math.random().toString(36).substr(2, 9);
 }
 
+/**
+ * Cargar el contrato OpenAPI generado; sin generar se publica swaggerDef.js (sin paths)
+ * @returns {Object} Especificación OpenAPI
+ */
+function loadOpenApiSpec() {
+  try {
+    return require('./docs/swagger.json');
+  } catch (error) {
+    log.warn('docs/swagger.json no encontrado; ejecute npm run docs para publicar los paths');
+    return require('./swaggerDef');
+  }
+}
+
 // Rutas del microservicio de pagos
 
 // Ruta de salud del microservicio (DEBE ir al principio)
@@ -151,10 +193,25 @@ app.get('/health', (req, res) => {
     puerto: PORT,
     patterns: ['Factory Method', 'Observer Pattern', 'Circuit Breaker'],
     eventManager: eventManager.getInfo(),
-    circuitBreakers: circuitBreakerManager.getInfo()
+    circuitBreakers: circuitBreakerManager.getInfo(),
+    registry: registryClient.getInfo(),
+    tracing: tracer.getInfo()
   });
 });
 
+// Métricas en formato Prometheus (eventos, Circuit Breakers y proceso)
+const metrics = new MetricsRegistry({ defaultLabels: { service: 'pagos' } });
+registerEventManagerMetrics(metrics, eventManager);
+registerCircuitBreakerMetrics(metrics, circuitBreakerManager);
+registerProcessMetrics(metrics);
+app.get('/metrics', metrics.handler());
+
+// Contrato OpenAPI (docs/swagger.json, generado con `npm run docs`); el gateway lo usa para validar peticiones
+const openapiSpec = loadOpenApiSpec();
+app.get('/openapi.json', (req, res) => {
+  res.json(openapiSpec);
+});
+
 // Ruta de estadísticas de eventos
 app.get('/events/stats', (req, res) => {
   res.json({
@@ -206,13 +263,17 @@ app.get('/circuit-breakers', (req, res) => {
  *             properties:
  *               usuarioId:
  *                 type: string
+ *                 minLength: 1
  *                 description: ID del usuario
  *               concepto:
  *                 type: string
+ *                 minLength: 1
  *                 description: Concepto del pago
  *               monto:
  *                 type: number
- *                 description: Monto a pagar
+ *                 minimum: 0
+ *                 exclusiveMinimum: true
+ *                 description: Monto a pagar (mayor a 0)
  *     responses:
  *       201:
  *         description: Orden de pago creada exitosamente
@@ -292,23 +353,41 @@ app.post('/crear', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error al crear orden de pago:', error);
+    log.error('Error al crear orden de pago', { err: error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
+/**
+ * @swagger
+ * /usuario/{usuarioId}:
+ *   get:
+ *     summary: Obtener los pagos de un usuario
+ *     tags: [Pagos]
+ *     parameters:
+ *       - in: path
+ *         name: usuarioId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Pagos del usuario
+ *       404:
+ *         description: Usuario no encontrado
+ */
 // Obtener pagos de un usuario específico
 app.get('/usuario/:usuarioId', async (req, res) => {
   try {
     const { usuarioId } = req.params;
-    console.log(`🔍 Buscando pagos para usuario: ${usuarioId}`);
+    log.debug('Buscando pagos de usuario', { usuarioId });
 
     // Validar que el usuario existe
     const validacionUsuario = await validarUsuario(usuarioId);
-    console.log('✅ Validación de usuario:', validacionUsuario);
     
     if (!validacionUsuario.existe) {
-      console.log('❌ Usuario no encontrado:', usuarioId);
+      log.info('Usuario no encontrado', { usuarioId, fallback: Boolean(validacionUsuario.fallback) });
       return res.status(404).json({ 
         error: 'Usuario no encontrado' 
       });
@@ -326,7 +405,7 @@ app.get('/usuario/:usuarioId', async (req, res) => {
         ...doc.data()
       }));
 
-    console.log('📋 Pagos encontrados:', pagos.length);
+    log.debug('Pagos encontrados', { usuarioId, total: pagos.length });
     res.json({
       mensaje: 'Pagos obtenidos exitosamente',
       usuario: validacionUsuario.usuario,
@@ -335,8 +414,7 @@ app.get('/usuario/:usuarioId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Error al obtener pagos:', error);
-    console.error('❌ Stack trace:', error.stack);
+    log.error('Error al obtener pagos', { err: error });
     res.status(500).json({ 
       error: 'Error interno del servidor',
       detalles: error.message,
@@ -346,6 +424,25 @@ app.get('/usuario/:usuarioId', async (req, res) => {
 });
 
 
+/**
+ * @swagger
+ * /{id}:
+ *   get:
+ *     summary: Obtener un pago por ID
+ *     tags: [Pagos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del pago
+ *     responses:
+ *       200:
+ *         description: Pago y usuario asociado
+ *       404:
+ *         description: Pago no encontrado
+ */
 // Obtener pago específico por ID (DEBE ir después de las rutas específicas)
 app.get('/:id', async (req, res) => {
   try {
@@ -373,11 +470,49 @@ app.get('/:id', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error al obtener pago:', error);
+    log.error('Error al obtener pago', { err: error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
+/**
+ * @swagger
+ * /{id}/estado:
+ *   put:
+ *     summary: Actualizar el estado de un pago
+ *     tags: [Pagos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del pago
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - estado
+ *             properties:
+ *               estado:
+ *                 type: string
+ *                 enum: [Pendiente, Pagado, Cancelado]
+ *                 description: Nuevo estado del pago
+ *     responses:
+ *       200:
+ *         description: Estado actualizado
+ *       400:
+ *         description: Estado inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Pago no encontrado
+ */
 // Actualizar estado de pago
 app.put('/:id/estado', async (req, res) => {
   try {
@@ -426,11 +561,21 @@ app.put('/:id/estado', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error al actualizar estado:', error);
+    log.error('Error al actualizar estado', { err: error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
+/**
+ * @swagger
+ * /:
+ *   get:
+ *     summary: Obtener todos los pagos (administradores)
+ *     tags: [Pagos]
+ *     responses:
+ *       200:
+ *         description: Pagos con la información de su usuario
+ */
 // Obtener todos los pagos (para administradores)
 app.get('/', async (req, res) => {
   try {
@@ -463,7 +608,7 @@ app.get('/', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error al obtener todos los pagos:', error);
+    log.error('Error al obtener todos los pagos', { err: error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
@@ -475,20 +620,24 @@ setInterval(() => {
 }, 60 * 60 * 1000);
 
 // Iniciar servidor
-app.listen(PORT, () => {
-  console.log(`💳 Microservicio de Pagos ejecutándose en puerto ${PORT}`);
-  console.log(`🏭 Factory Method: ${db.getInfo().type}`);
-  console.log(`👁️ Observer Pattern: ${eventManager.getInfo().observersCount} observers activos`);
-  console.log(`🔒 Circuit Breaker: ${circuitBreakerManager.getGlobalMetrics().totalBreakers} breakers activos`);
-  console.log(`🔗 Endpoints disponibles:`);
-  console.log(`   - POST /crear - Crear orden de pago`);
-  console.log(`   - GET /usuario/:usuarioId - Pagos de usuario`);
-  console.log(`   - GET /:id - Obtener pago específico`);
-  console.log(`   - PUT /:id/estado - Actualizar estado`);
-  console.log(`   - GET / - Todos los pagos`);
-  console.log(`   - GET /health - Estado del servicio`);
-  console.log(`   - GET /events/stats - Estadísticas de eventos`);
-  console.log(`   - GET /events/history - Historial de eventos`);
-  console.log(`   - GET /circuit-breakers - Estado de Circuit Breakers`);
+const server = app.listen(PORT, () => {
+  log.info('Microservicio de Pagos ejecutándose', {
+    port: Number(PORT),
+    database: db.getInfo().type,
+    observers: eventManager.getInfo().observersCount,
+    circuitBreakers: circuitBreakerManager.getGlobalMetrics().totalBreakers,
+    endpoints: ['POST /crear', 'GET /usuario/:usuarioId', 'GET /:id', 'PUT /:id/estado', 'GET /', 'GET /health', 'GET /openapi.json', 'GET /events/stats', 'GET /events/history', 'GET /circuit-breakers']
+  });
+  registryClient.start(PORT);
 });
 
+// Al terminar el proceso: darse de baja del registro y cerrar el servidor
+const shutdown = (signal) => {
+  log.info('Deteniendo el microservicio', { signal });
+  setTimeout(() => process.exit(0), 10000).unref();
+  registryClient.stop()
+    .catch(error => log.warn('No se pudo dar de baja la instancia', { err: error }))
+    .finally(() => server.close(() => process.exit(0)));
+};
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);
@@ -1,14 +1,58 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
 const request = require('supertest');
 const jwt = require('jsonwebtoken');
+const { ServiceAuth } = require('../../../shared/ServiceAuth');
+const { EmailChannel } = require('../../../shared/NotificationService');
 
-// Importar el servidor de prueba
-const app = require('../test-server');
+// Factory Method Pattern - el servidor real trabaja sobre una conexión en memoria
+jest.mock('../../../shared/DatabaseFactory', () => {
+  const actual = jest.requireActual('../../../shared/DatabaseFactory');
+  return {
+    ...actual,
+    DatabaseFactory: { createConnection: jest.fn(serviceName => new actual.MemoryConnection(serviceName)) }
+  };
+});
+const { DatabaseFactory } = require('../../../shared/DatabaseFactory');
+
+// Los eventos reenviados al gateway (EventForwarder) no salen del proceso
+global.fetch = jest.fn(async () => ({ ok: true }));
+
+// Servidor real: al importarse no abre el puerto ni se registra en el gateway
+const app = require('../server');
+const db = DatabaseFactory.createConnection.mock.results[0].value;
+
+// Identidades firmadas con SERVICE_AUTH_SECRET_<SERVICIO> (jest.setup.js)
+const gateway = new ServiceAuth({ serviceName: 'gateway', secrets: ['test-gateway-secret'] });
+const pagos = new ServiceAuth({ serviceName: 'pagos', secrets: ['test-pagos-secret'] });
+
+// Cuentas de prueba con el email verificado (ids '1' y '2')
+async function sembrarUsuarios() {
+  db.collection('usuarios').data.length = 0;
+  const cuentas = [
+    { nombre: 'Test User', email: 'test@test.com', contraseña: '123456', rol: 'Alumno' },
+    { nombre: 'Admin User', email: 'admin@test.com', contraseña: 'admin123', rol: 'Admin' }
+  ];
+  for (const { contraseña, ...cuenta } of cuentas) {
+    await db.collection('usuarios').add({
+      ...cuenta,
+      contraseña: await bcrypt.hash(contraseña, 4),
+      tenantId: 'universidad_principal',
+      emailVerificado: true
+    });
+  }
+}
+
+// Sin el email verificado no se inicia sesión: registrar, marcar la cuenta como verificada e iniciar sesión
+async function registrarVerificado(datos) {
+  const { usuario } = (await request(app).post('/registro').send(datos).expect(201)).body;
+  db.collection('usuarios').data.find(u => u.id === usuario.id).emailVerificado = true;
+  return (await request(app).post('/login').send({ email: datos.email, contraseña: datos.contraseña }).expect(200)).body;
+}
 
 describe('Microservicio de Usuarios', () => {
-  beforeAll(() => {
-    // Configurar variables de entorno para pruebas
-    process.env.NODE_ENV = 'test';
-    process.env.JWT_SECRET = 'test-secret';
+  beforeAll(async () => {
+    await sembrarUsuarios();
   });
 
   describe('GET /health', () => {
@@ -27,8 +71,8 @@ describe('Microservicio de Usuarios', () => {
   describe('POST /registro', () => {
     test('should create user with valid data', async () => {
       const userData = {
-        nombre: 'Test User',
-        email: 'test@test.com',
+        nombre: 'Nuevo Alumno',
+        email: 'nuevo@test.com',
         contraseña: '123456',
         rol: 'Alumno',
         carrera: 'Ingeniería',
@@ -40,16 +84,49 @@ describe('Microservicio de Usuarios', () => {
         .send(userData)
         .expect(201);
       
-      expect(response.body.mensaje).toBe('Usuario registrado exitosamente');
-      expect(response.body.usuario.email).toBe('test@test.com');
-      expect(response.body.usuario.matricula).toBeDefined();
+      expect(response.body.mensaje).toMatch(/^Usuario registrado exitosamente/);
+      expect(response.body.usuario.email).toBe('nuevo@test.com');
+      expect(db.collection('usuarios').data.find(u => u.email === 'nuevo@test.com').matricula).toMatch(/^INGCP\d{8}$/);
+    });
+
+    test('should always register students, whatever the requested role', async () => {
+      const sesion = await registrarVerificado({ nombre: 'Intruso', email: 'intruso@test.com', contraseña: '123456', rol: 'Admin' });
+
+      expect(sesion.usuario.rol).toBe('Alumno');
+      expect(jwt.decode(sesion.token).rol).toBe('Alumno');
+      await request(app)
+        .get('/api-keys')
+        .set('Authorization', `Bearer ${sesion.token}`)
+        .expect(403);
+    });
+
+    test('should not open a session until the email is verified', async () => {
+      const registro = await request(app)
+        .post('/registro')
+        .send({ nombre: 'Sin Verificar', email: 'sin-verificar@test.com', contraseña: '123456' })
+        .expect(201);
+      expect(registro.body.token).toBeUndefined();
+      expect(registro.body.refreshToken).toBeUndefined();
+
+      const login = await request(app)
+        .post('/login')
+        .send({ email: 'sin-verificar@test.com', contraseña: '123456' })
+        .expect(403);
+      expect(login.body.code).toBe('EMAIL_NOT_VERIFIED');
+      // Sin la contraseña correcta no se revela si la cuenta existe sin verificar
+      await request(app).post('/login').send({ email: 'sin-verificar@test.com', contraseña: 'otra' }).expect(401);
+    });
+
+    test('should reject credentials that are not strings', async () => {
+      await request(app).post('/registro').send({ nombre: 'X', email: 'x@test.com', contraseña: { $gt: '' } }).expect(400);
+      await request(app).post('/login').send({ email: 'test@test.com', contraseña: ['123456'] }).expect(400);
     });
 
     test('should return 400 for missing data', async () => {
       const userData = {
         nombre: 'Test User',
         email: 'test@test.com'
-        // Missing contraseña and rol
+        // Missing contraseña
       };
       
       const response = await request(app)
@@ -57,7 +134,7 @@ describe('Microservicio de Usuarios', () => {
         .send(userData)
         .expect(400);
       
-      expect(response.body.error).toBe('Nombre, email, contraseña y rol son requeridos');
+      expect(response.body.error).toBe('Nombre, email y contraseña son requeridos');
     });
   });
 
@@ -107,22 +184,454 @@ describe('Microservicio de Usuarios', () => {
     });
   });
 
+  describe('Sesiones (refresh token y logout)', () => {
+    const login = async () => (await request(app)
+      .post('/login')
+      .send({ email: 'test@test.com', contraseña: '123456' })
+      .expect(200)).body;
+
+    test('should issue short-lived tokens with jti and a refresh token', async () => {
+      const sesion = await login();
+      const decoded = jwt.decode(sesion.token);
+
+      expect(decoded.jti).toBeDefined();
+      expect(decoded.exp - decoded.iat).toBe(15 * 60);
+      expect(sesion.refreshToken).toBeDefined();
+      expect(sesion.expiresIn).toBeGreaterThan(0);
+    });
+
+    test('should rotate the refresh token and revoke the session on reuse', async () => {
+      const sesion = await login();
+
+      const renovada = await request(app)
+        .post('/token/refresh')
+        .send({ refreshToken: sesion.refreshToken })
+        .expect(200);
+      expect(renovada.body.refreshToken).not.toBe(sesion.refreshToken);
+
+      const reutilizada = await request(app)
+        .post('/token/refresh')
+        .send({ refreshToken: sesion.refreshToken })
+        .expect(401);
+      expect(reutilizada.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+      // La rotación legítima también queda revocada
+      const perfil = await request(app)
+        .get('/perfil/1')
+        .set('Authorization', `Bearer ${renovada.body.token}`)
+        .expect(403);
+      expect(perfil.body.code).toBe('TOKEN_REVOKED');
+      await request(app).post('/token/refresh').send({ refreshToken: renovada.body.refreshToken }).expect(401);
+    });
+
+    test('should let only one of two concurrent refreshes rotate the token', async () => {
+      const sesion = await login();
+
+      const respuestas = await Promise.all([1, 2].map(() => request(app)
+        .post('/token/refresh')
+        .send({ refreshToken: sesion.refreshToken })));
+
+      expect(respuestas.map(r => r.status).sort()).toEqual([200, 401]);
+      expect(respuestas.find(r => r.status === 401).body.code).toBe('REFRESH_TOKEN_REUSED');
+      const rotado = respuestas.find(r => r.status === 200).body;
+      await request(app).post('/token/refresh').send({ refreshToken: rotado.refreshToken }).expect(401);
+    });
+
+    test('should revoke the access and refresh tokens on logout', async () => {
+      const sesion = await login();
+
+      await request(app)
+        .post('/logout')
+        .set('Authorization', `Bearer ${sesion.token}`)
+        .send({ refreshToken: sesion.refreshToken })
+        .expect(200);
+
+      await request(app).get('/perfil/1').set('Authorization', `Bearer ${sesion.token}`).expect(403);
+      await request(app).post('/token/refresh').send({ refreshToken: sesion.refreshToken }).expect(401);
+
+      const { jti } = jwt.decode(sesion.token);
+      const revocados = await request(app)
+        .get('/token/revocados')
+        .set(gateway.sign({ method: 'GET', path: '/token/revocados' }))
+        .expect(200);
+      expect(revocados.body.revocados.map(r => r.jti)).toContain(jti);
+    });
+
+    test('should require a refresh token', async () => {
+      await request(app).post('/token/refresh').send({}).expect(400);
+      await request(app).post('/token/refresh').send({ refreshToken: 123 }).expect(400);
+      await request(app).post('/token/refresh').send({ refreshToken: { $ne: null } }).expect(400);
+      await request(app).post('/token/refresh').send({ refreshToken: 'desconocido' }).expect(401);
+    });
+  });
+
+  describe('Verificación de email y restablecimiento de contraseña', () => {
+    let correos;
+
+    // El token llega en el enlace del correo enviado por el canal de email
+    const tokenDelCorreo = (to) => {
+      const correo = correos.filter(notificacion => notificacion.to === to).pop();
+      return decodeURIComponent(correo.message.match(/token=([^\s)]+)/)[1]);
+    };
+
+    beforeEach(() => {
+      correos = [];
+      jest.spyOn(EmailChannel.prototype, 'send').mockImplementation(async (notificacion) => {
+        correos.push(notificacion);
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    // Los enlaces pedidos con /password/forgot y /email/verificacion se envían después de responder
+    const esperarEnvios = () => new Promise(resolve => setTimeout(resolve, 50));
+
+    test('should email a single-use verification link after registration', async () => {
+      const registro = await request(app)
+        .post('/registro')
+        .send({ nombre: 'Nueva', email: 'nueva@test.com', contraseña: 'secreta1' })
+        .expect(201);
+      expect(registro.body.usuario.emailVerificado).toBe(false);
+      expect(correos[0]).toMatchObject({ to: 'nueva@test.com', title: 'Verifica tu correo electrónico' });
+
+      const token = tokenDelCorreo('nueva@test.com');
+      await request(app).post('/email/verificar').send({ token }).expect(200);
+      const usado = await request(app).post('/email/verificar').send({ token }).expect(400);
+      expect(usado.body.code).toBe('VERIFICATION_TOKEN_USED');
+
+      const login = await request(app).post('/login').send({ email: 'nueva@test.com', contraseña: 'secreta1' }).expect(200);
+      expect(login.body.usuario.emailVerificado).toBe(true);
+
+      // Ya verificado: misma respuesta, sin correo nuevo
+      await request(app).post('/email/verificacion').send({ email: 'nueva@test.com' }).expect(202);
+      await esperarEnvios();
+      expect(correos).toHaveLength(1);
+    });
+
+    test('should only honour the latest verification link', async () => {
+      await request(app)
+        .post('/registro')
+        .send({ nombre: 'Otra', email: 'otra@test.com', contraseña: 'secreta1' })
+        .expect(201);
+      const primero = tokenDelCorreo('otra@test.com');
+
+      await request(app).post('/email/verificacion').send({ email: 'otra@test.com' }).expect(202);
+      await esperarEnvios();
+
+      const reemplazado = await request(app).post('/email/verificar').send({ token: primero }).expect(400);
+      expect(reemplazado.body.code).toBe('VERIFICATION_TOKEN_USED');
+      await request(app).post('/email/verificar').send({ token: tokenDelCorreo('otra@test.com') }).expect(200);
+      await request(app).post('/email/verificar').send({}).expect(400);
+      await request(app).post('/email/verificar').send({ token: { token: primero } }).expect(400);
+    });
+
+    test('should let only one of two concurrent uses consume a link', async () => {
+      await request(app).post('/password/forgot').send({ email: 'test@test.com' }).expect(202);
+      await esperarEnvios();
+      const token = tokenDelCorreo('test@test.com');
+
+      const respuestas = await Promise.all([
+        request(app).post('/password/reset').send({ token, contraseña: '123456' }),
+        request(app).post('/password/reset').send({ token, contraseña: '123456' })
+      ]);
+
+      expect(respuestas.map(r => r.status).sort()).toEqual([200, 400]);
+      expect(respuestas.find(r => r.status === 400).body.code).toBe('RESET_TOKEN_USED');
+    });
+
+    test('should answer the same whether or not the email exists', async () => {
+      const existe = await request(app).post('/password/forgot').send({ email: 'test@test.com' }).expect(202);
+      const noExiste = await request(app).post('/password/forgot').send({ email: 'nadie@test.com' }).expect(202);
+      await esperarEnvios();
+
+      expect(noExiste.body).toEqual(existe.body);
+      expect(correos.map(correo => correo.to)).toEqual(['test@test.com']);
+      await request(app).post('/password/forgot').send({}).expect(400);
+      await request(app).post('/password/forgot').send({ email: ['test@test.com'] }).expect(400);
+    });
+
+    test('should answer 202 even if the email cannot be sent', async () => {
+      EmailChannel.prototype.send.mockRejectedValue(new Error('relay caído'));
+
+      const response = await request(app).post('/password/forgot').send({ email: 'test@test.com' }).expect(202);
+      await esperarEnvios();
+
+      expect(response.body.mensaje).toMatch(/Si el email está registrado/);
+    });
+
+    test('should reset the password once and close the existing sessions', async () => {
+      const sesion = await registrarVerificado({ nombre: 'Olvido', email: 'olvido@test.com', contraseña: 'vieja123' });
+
+      await request(app).post('/password/forgot').send({ email: 'olvido@test.com' }).expect(202);
+      await esperarEnvios();
+      const token = tokenDelCorreo('olvido@test.com');
+      expect(correos.pop().title).toBe('Restablece tu contraseña');
+
+      await request(app).post('/password/reset').send({ token, contraseña: 'corta' }).expect(400);
+      await request(app).post('/password/reset').send({ token, contraseña: { length: 8 } }).expect(400);
+      await request(app).post('/password/reset').send({ token, contraseña: 'nueva123' }).expect(200);
+
+      const repetido = await request(app).post('/password/reset').send({ token, contraseña: 'otra1234' }).expect(400);
+      expect(repetido.body.code).toBe('RESET_TOKEN_USED');
+      const invalido = await request(app).post('/password/reset').send({ token: 'desconocido', contraseña: 'otra1234' }).expect(400);
+      expect(invalido.body.code).toBe('RESET_TOKEN_INVALID');
+
+      await request(app).post('/login').send({ email: 'olvido@test.com', contraseña: 'vieja123' }).expect(401);
+      await request(app).post('/login').send({ email: 'olvido@test.com', contraseña: 'nueva123' }).expect(200);
+      await request(app).post('/token/refresh').send({ refreshToken: sesion.refreshToken }).expect(401);
+      await request(app).get('/perfil/1').set('Authorization', `Bearer ${sesion.token}`).expect(403);
+    });
+
+    test('should reject expired reset links', async () => {
+      await request(app).post('/password/forgot').send({ email: 'admin@test.com' }).expect(202);
+      await esperarEnvios();
+      const token = tokenDelCorreo('admin@test.com');
+
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 31 * 60 * 1000);
+      const response = await request(app).post('/password/reset').send({ token, contraseña: 'nueva123' }).expect(400);
+
+      expect(response.body.code).toBe('RESET_TOKEN_EXPIRED');
+    });
+  });
+
+  describe('EmailChannel', () => {
+    const correo = { to: 'test@test.com', title: 'Restablece tu contraseña', message: 'entra a http://front/restablecer-password?token=abc' };
+
+    test('should deliver the full message through the mail relay', async () => {
+      global.fetch.mockClear();
+      const canal = new EmailChannel({ url: 'http://relay/send', token: 'relay-token', from: 'tesoreria@test.com' });
+
+      await canal.send(correo, '1');
+
+      const [url, opciones] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://relay/send');
+      expect(opciones.headers.Authorization).toBe('Bearer relay-token');
+      expect(JSON.parse(opciones.body)).toEqual({ from: 'tesoreria@test.com', to: 'test@test.com', subject: correo.title, text: correo.message });
+    });
+
+    test('should log only a redacted link without a relay outside production', async () => {
+      const { logger } = require('../../../shared/Logger');
+      const lineas = [];
+      logger.configure({ level: 'info', write: linea => lineas.push(linea) });
+      try {
+        await new EmailChannel().send(correo, '1');
+        // Las notificaciones por eventos no traen dirección: se registran sin enviarse
+        await new EmailChannel({ url: 'http://relay/send' }).send({ title: 'Nuevo Usuario Registrado', message: 'x' }, '1');
+      } finally {
+        logger.configure({ level: 'silent' });
+      }
+
+      expect(lineas.join('\n')).not.toContain('token=abc');
+      expect(JSON.parse(lineas[0])).toMatchObject({ to: 'test@test.com', enlace: 'http://front/restablecer-password?[redactado]' });
+      expect(lineas).toHaveLength(2);
+    });
+
+    test('should fail instead of dropping emails without a relay in production', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 502 });
+      await expect(new EmailChannel({ url: 'http://relay/send' }).send(correo, '1')).rejects.toThrow('HTTP 502');
+
+      process.env.NODE_ENV = 'production';
+      try {
+        await expect(new EmailChannel().send(correo, '1')).rejects.toThrow('EMAIL_RELAY_URL');
+      } finally {
+        process.env.NODE_ENV = 'test';
+      }
+    });
+  });
+
+  describe('API keys', () => {
+    const loginAdmin = async () => (await request(app)
+      .post('/login')
+      .send({ email: 'admin@test.com', contraseña: 'admin123' })).body.token;
+
+    const emitirClave = async (body) => request(app)
+      .post('/api-keys')
+      .set('Authorization', `Bearer ${await loginAdmin()}`)
+      .send(body);
+
+    test('should issue keys only to admins and never return the hash', async () => {
+      const { token } = (await request(app)
+        .post('/login')
+        .send({ email: 'test@test.com', contraseña: '123456' })).body;
+      await request(app)
+        .post('/api-keys')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ nombre: 'ERP', scopes: ['GET /validar/*'] })
+        .expect(403);
+
+      const response = await emitirClave({ nombre: 'ERP', scopes: ['GET /validar/*'], tenants: ['campus-norte'] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.apiKey).toMatch(/^ak_[a-f0-9]{12}_/);
+      expect(response.body.clave).toMatchObject({ nombre: 'ERP', tenants: ['campus-norte'], usos: 0 });
+      expect(response.body.clave.keyHash).toBeUndefined();
+    });
+
+    test('should reject invalid scopes and expiry', async () => {
+      expect((await emitirClave({ nombre: 'ERP', scopes: [] })).status).toBe(400);
+      expect((await emitirClave({ nombre: 'ERP', scopes: ['validar'] })).status).toBe(400);
+      expect((await emitirClave({ nombre: 'ERP', scopes: ['GET /validar/*'], expiresInDays: 0 })).status).toBe(400);
+    });
+
+    test('should verify keys and count their usage', async () => {
+      const { apiKey, clave } = (await emitirClave({ nombre: 'Gateway', scopes: ['/api/pagos/*'] })).body;
+
+      const comoGateway = (path, body) => request(app)
+        .post(path)
+        .set(gateway.sign({ method: 'POST', path, body }))
+        .send(body);
+
+      const verificada = await comoGateway('/api-keys/verificar', { apiKey }).expect(200);
+      expect(verificada.body).toMatchObject({ valida: true, apiKey: { id: clave.id, scopes: ['/api/pagos/*'] } });
+      await comoGateway('/api-keys/verificar', { apiKey: 'ak_000000000000_x' }).expect(401);
+
+      await comoGateway('/api-keys/uso', { uso: { [clave.id]: 3 } }).expect(200, { actualizadas: 1 });
+      await comoGateway('/api-keys/uso', { uso: { [clave.id]: -1 } }).expect(400);
+
+      // Reportes simultáneos de varias instancias del gateway: no se pierde ningún incremento
+      await Promise.all([2, 2, 2].map(count => comoGateway('/api-keys/uso', { uso: { [clave.id]: count } }).expect(200)));
+
+      const listado = await request(app)
+        .get('/api-keys')
+        .set('Authorization', `Bearer ${await loginAdmin()}`)
+        .expect(200);
+      expect(listado.body.claves.find(c => c.id === clave.id).usos).toBe(9);
+    });
+
+    test('should let only admins list and revoke keys', async () => {
+      const { apiKey, clave } = (await emitirClave({ nombre: 'ERP', scopes: ['GET /validar/*'] })).body;
+      // Un alumno que pide rol Admin al registrarse sigue siendo alumno
+      const { token } = await registrarVerificado({ nombre: 'Falso Admin', email: 'falso-admin@test.com', contraseña: '123456', rol: 'Admin' });
+
+      await request(app).get('/api-keys').set('Authorization', `Bearer ${token}`).expect(403);
+      await request(app).delete(`/api-keys/${clave.id}`).set('Authorization', `Bearer ${token}`).expect(403);
+      await request(app).delete(`/api-keys/${clave.id}`).expect(401);
+      expect(db.collection('apiKeys').data.find(c => c.id === clave.id).revokedAt).toBeNull();
+
+      const revocada = await request(app)
+        .delete(`/api-keys/${clave.id}`)
+        .set('Authorization', `Bearer ${await loginAdmin()}`)
+        .expect(200);
+      expect(revocada.body.clave.revokedAt).toBeTruthy();
+
+      const verificada = await request(app)
+        .post('/api-keys/verificar')
+        .set(gateway.sign({ method: 'POST', path: '/api-keys/verificar', body: { apiKey } }))
+        .send({ apiKey })
+        .expect(401);
+      expect(verificada.body.code).toBe('API_KEY_REVOKED');
+      await request(app).delete('/api-keys/no-existe').set('Authorization', `Bearer ${await loginAdmin()}`).expect(404);
+    });
+  });
+
+  describe('Identidad de servicio', () => {
+    test('should reject internal calls without a valid signature', async () => {
+      const sinFirma = await request(app).get('/token/revocados').expect(401);
+      expect(sinFirma.body.code).toBe('SERVICE_AUTH_MISSING');
+
+      const otroSecreto = new ServiceAuth({ serviceName: 'gateway', secrets: ['otro-secreto'] });
+      const invalida = await request(app)
+        .get('/token/revocados')
+        .set(otroSecreto.sign({ method: 'GET', path: '/token/revocados' }))
+        .expect(401);
+      expect(invalida.body.code).toBe('SERVICE_AUTH_INVALID');
+
+      // pagos firma con su secreto declarando ser el gateway
+      const suplantado = await request(app)
+        .get('/token/revocados')
+        .set(new ServiceAuth({ serviceName: 'gateway', secrets: ['test-pagos-secret'] }).sign({ method: 'GET', path: '/token/revocados' }))
+        .expect(401);
+      expect(suplantado.body.code).toBe('SERVICE_AUTH_INVALID');
+    });
+
+    test('should bind the signature to the body and reject replays', async () => {
+      const headers = gateway.sign({ method: 'POST', path: '/api-keys/uso', body: { uso: { 1: 1 } } });
+      const alterada = await request(app).post('/api-keys/uso').set(headers).send({ uso: { 1: 100 } }).expect(401);
+      expect(alterada.body.code).toBe('SERVICE_AUTH_INVALID');
+
+      const firma = gateway.sign({ method: 'GET', path: '/token/revocados' });
+      await request(app).get('/token/revocados').set(firma).expect(200);
+      const repetida = await request(app).get('/token/revocados').set(firma).expect(401);
+      expect(repetida.body.code).toBe('SERVICE_AUTH_REPLAY');
+    });
+
+    test('should only let allowed services call each endpoint', async () => {
+      const response = await request(app)
+        .get('/token/revocados')
+        .set(pagos.sign({ method: 'GET', path: '/token/revocados' }))
+        .expect(403);
+      expect(response.body.code).toBe('SERVICE_AUTH_FORBIDDEN');
+
+      await request(app)
+        .get('/validar/1')
+        .set(gateway.sign({ method: 'GET', path: '/validar/1' }))
+        .expect(403);
+    });
+  });
+
   describe('GET /validar/:id', () => {
-    test('should validate user existence', async () => {
+    test('should validate user existence for a signed service', async () => {
+      const response = await request(app)
+        .get('/validar/1')
+        .set(pagos.sign({ method: 'GET', path: '/validar/1' }))
+        .expect(200);
+
+      expect(response.body).toMatchObject({ existe: true, usuario: { id: '1' } });
+    });
+
+    test('should validate user existence with a scoped API key', async () => {
+      const { token } = (await request(app)
+        .post('/login')
+        .send({ email: 'admin@test.com', contraseña: 'admin123' })).body;
+      const { apiKey } = (await request(app)
+        .post('/api-keys')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ nombre: 'Pagos', scopes: ['GET /validar/*'] })).body;
+
       const response = await request(app)
         .get('/validar/1')
+        .set('X-API-Key', apiKey)
         .expect(200);
       
       expect(response.body.existe).toBe(true);
       expect(response.body.usuario).toBeDefined();
       expect(response.body.usuario.id).toBe('1');
     });
+
+    test('should require credentials', async () => {
+      const { token } = (await request(app)
+        .post('/login')
+        .send({ email: 'test@test.com', contraseña: '123456' })).body;
+
+      await request(app).get('/validar/1').expect(401);
+      await request(app).get('/validar/1').set('Authorization', `Bearer ${token}`).expect(401);
+    });
+
+    test('should reject keys out of scope or revoked', async () => {
+      const { token } = (await request(app)
+        .post('/login')
+        .send({ email: 'admin@test.com', contraseña: 'admin123' })).body;
+      const { apiKey, clave } = (await request(app)
+        .post('/api-keys')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ nombre: 'Reportes', scopes: ['GET /perfil/*'] })).body;
+
+      const fueraDeAlcance = await request(app).get('/validar/1').set('X-API-Key', apiKey).expect(403);
+      expect(fueraDeAlcance.body.code).toBe('API_KEY_SCOPE');
+
+      await request(app).delete(`/api-keys/${clave.id}`).set('Authorization', `Bearer ${token}`).expect(200);
+      const revocada = await request(app).get('/validar/1').set('X-API-Key', apiKey).expect(401);
+      expect(revocada.body.code).toBe('API_KEY_REVOKED');
+    });
   });
 
   describe('GET /perfil/:id', () => {
     test('should return user profile with valid token', async () => {
-      const payload = { id: '1', email: 'test@test.com' };
-      const token = jwt.sign(payload, 'test-secret');
+      const { token } = (await request(app)
+        .post('/login')
+        .send({ email: 'test@test.com', contraseña: '123456' })).body;
       
       const response = await request(app)
         .get('/perfil/1')
@@ -149,6 +658,78 @@ describe('Microservicio de Usuarios', () => {
       
       expect(response.body.error).toBe('Token inválido');
     });
+
+    test('should reject tokens signed with the old shared secret', async () => {
+      const token = jwt.sign({ id: '1', email: 'test@test.com' }, 'test-secret');
+
+      const response = await request(app)
+        .get('/perfil/1')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      expect(response.body.code).toBe('TOKEN_INVALID');
+    });
+  });
+
+  describe('PUT /perfil/:id/rol', () => {
+    const login = async (email, contraseña) => (await request(app)
+      .post('/login')
+      .send({ email, contraseña })).body.token;
+
+    test('should let only admins change roles', async () => {
+      const token = await login('test@test.com', '123456');
+
+      await request(app)
+        .put('/perfil/1/rol')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ rol: 'Admin' })
+        .expect(403);
+      expect(db.collection('usuarios').data.find(u => u.id === '1').rol).toBe('Alumno');
+    });
+
+    test('should change the role and close the user sessions', async () => {
+      const registro = await registrarVerificado({ nombre: 'Tesorería', email: 'tesoreria@test.com', contraseña: '123456' });
+      const admin = await login('admin@test.com', 'admin123');
+
+      const response = await request(app)
+        .put(`/perfil/${registro.usuario.id}/rol`)
+        .set('Authorization', `Bearer ${admin}`)
+        .send({ rol: 'Admin' })
+        .expect(200);
+
+      expect(response.body.usuario).toEqual({ id: registro.usuario.id, rol: 'Admin' });
+      await request(app).get(`/perfil/${registro.usuario.id}`).set('Authorization', `Bearer ${registro.token}`).expect(403);
+      await request(app).post('/token/refresh').send({ refreshToken: registro.refreshToken }).expect(401);
+      expect(jwt.decode(await login('tesoreria@test.com', '123456')).rol).toBe('Admin');
+    });
+
+    test('should reject unknown roles, unknown users and the own role', async () => {
+      const admin = await login('admin@test.com', 'admin123');
+      const cambiar = (id, rol) => request(app).put(`/perfil/${id}/rol`).set('Authorization', `Bearer ${admin}`).send({ rol });
+
+      expect((await cambiar('1', 'Root')).status).toBe(400);
+      expect((await cambiar('no-existe', 'Admin')).status).toBe(404);
+      expect((await cambiar('2', 'Alumno')).status).toBe(400);
+    });
+  });
+
+  describe('GET /.well-known/jwks.json', () => {
+    test('should publish the public keys that verify issued tokens', async () => {
+      const { token } = (await request(app)
+        .post('/login')
+        .send({ email: 'test@test.com', contraseña: '123456' })).body;
+      const response = await request(app)
+        .get('/.well-known/jwks.json')
+        .expect(200);
+
+      const { kid } = jwt.decode(token, { complete: true }).header;
+      const jwk = response.body.keys.find(key => key.kid === kid);
+      expect(jwk).toMatchObject({ alg: 'ES256', use: 'sig', kty: 'EC' });
+      expect(jwk.d).toBeUndefined();
+
+      const decoded = jwt.verify(token, crypto.createPublicKey({ key: jwk, format: 'jwk' }), { algorithms: [jwk.alg] });
+      expect(decoded.email).toBe('test@test.com');
+    });
   });
 
   describe('JWT Token Generation', () => {
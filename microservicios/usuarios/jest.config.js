@@ -13,8 +13,10 @@ module.exports = {
   },
   testMatch: ['**/__tests__/**/*.test.js'],
   setupFilesAfterEnv: ['<rootDir>/jest.setup.js'],
+  // Los módulos de ../../shared resuelven sus dependencias (firebase-admin) desde este servicio
+  moduleDirectories: ['node_modules', '<rootDir>/node_modules'],
   collectCoverageFrom: [
-    'test-server.js',
+    'server.js',
     '!**/node_modules/**',
     '!**/coverage/**'
   ]
@@ -1,6 +1,15 @@
+const crypto = require('crypto');
+
 // Configuración global para Jest
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-secret';
 process.env.FIREBASE_PROJECT_ID = 'test-project';
 
-
+// Identidad de servicio y clave de firma JWT del servidor bajo prueba
+process.env.SERVICE_AUTH_SECRET_USUARIOS = 'test-usuarios-secret';
+process.env.SERVICE_AUTH_SECRET_GATEWAY = 'test-gateway-secret';
+process.env.SERVICE_AUTH_SECRET_PAGOS = 'test-pagos-secret';
+process.env.JWT_ALGORITHM = 'ES256';
+process.env.JWT_KEY_ID = 'test';
+process.env.JWT_PRIVATE_KEY = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey
+  .export({ type: 'pkcs8', format: 'pem' });
@@ -3,7 +3,7 @@
  * @description Sistema de gestión de usuarios con patrones de diseño:
  * - Factory Method Pattern (DatabaseFactory)
  * - Observer Pattern (EventManager)
- * - JWT Authentication
+ * - JWT Authentication (RS256/ES256 con JWKS, access token corto, refresh token con rotación y revocación por jti)
  * @author Sistema de Microservicios
  * @version 1.0.0
  */
@@ -12,22 +12,62 @@ const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { DatabaseFactory } = require('../../shared/DatabaseFactory');
-const { EventManager, EventLogger, NotificationObserver, AuditObserver } = require('../../shared/EventManager');
+const { EventManager, EventLogger, NotificationObserver, AuditObserver, EventForwarder } = require('../../shared/EventManager');
+const { NotificationService } = require('../../shared/NotificationService');
+const { TokenRevocationList, TokenRevokedError, TOKEN_REVOKED_EVENT } = require('../../shared/TokenRevocationList');
+const { SigningKeyStore } = require('../../shared/SigningKeys');
+const {
+  ApiKeyError, generateApiKey, hashApiKey, parseApiKey, verifyApiKeyHash, validateScopes, matchesScope,
+  API_KEY_HEADER, API_KEY_REVOKED_EVENT
+} = require('../../shared/ApiKeys');
+const { ServiceAuth, captureRawBody } = require('../../shared/ServiceAuth');
+const { RegistryClient } = require('../../shared/RegistryClient');
+const { MetricsRegistry, registerEventManagerMetrics, registerProcessMetrics } = require('../../shared/Metrics');
+const { Tracer } = require('../../shared/Tracing');
+const { createLogger, requestContext, addLogContext } = require('../../shared/Logger');
 require('dotenv').config();
 
+// Structured Logging - logger raíz del servicio (nivel según LOG_LEVEL)
+const log = createLogger('usuarios', { level: process.env.LOG_LEVEL });
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Middleware
+// Vigencia de las sesiones: access token corto y refresh token que se rota en cada uso
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+
+// Vigencia por defecto de las API keys emitidas
+const API_KEY_TTL_DAYS = parseInt(process.env.API_KEY_TTL_DAYS, 10) || 90;
+
+// Tokens de un solo uso enviados por correo: restablecer contraseña y verificar email
+const PASSWORD_RESET_TTL_MS = (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30) * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS = (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+// Base de los enlaces de los correos (frontend)
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:3003').replace(/\/+$/, '');
+const MIN_PASSWORD_LENGTH = 6;
+// Roles asignables por un Admin (el registro público solo crea alumnos)
+const ROLES = ['Alumno', 'Admin'];
+
+// Service Identity - firma de las peticiones a otros servicios y verificación de los endpoints internos
+const serviceAuth = ServiceAuth.fromEnv('usuarios');
+const soloGateway = serviceAuth.middleware({ allow: ['gateway'] });
+const soloServiciosValidar = serviceAuth.middleware({ allow: ['pagos'] });
+
+// Middleware (el cuerpo crudo se conserva para verificar las firmas de servicio)
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ verify: captureRawBody }));
+
+// Distributed Tracing - continúa la traza recibida del gateway (traceparent)
+const tracer = new Tracer({ serviceName: 'usuarios' });
+app.use(tracer.middleware());
+app.use(requestContext());
 
-// Middleware de logging para debug
+// Middleware de logging para debug (el cuerpo nunca se registra: contiene contraseñas)
 app.use((req, res, next) => {
-  console.log(`📥 ${req.method} ${req.path}`);
-  console.log(`📥 Headers:`, req.headers['content-type']);
-  console.log(`📥 Body:`, req.body);
+  log.debug('Petición recibida', { method: req.method, path: req.path, contentType: req.headers['content-type'] });
   next();
 });
 
@@ -57,8 +97,7 @@ function generateMatricula(carrera, campus) {
 
 // Factory Method Pattern - Crear conexión de base de datos
 const db = DatabaseFactory.createConnection('usuarios');
-console.log('🏭 Factory Method: Conexión creada para usuarios');
-console.log('📊 Info de conexión:', db.getInfo());
+log.info('Conexión de base de datos creada', { db: db.getInfo() });
 
 // Observer Pattern - Crear EventManager y observers
 const eventManager = new EventManager();
@@ -74,26 +113,260 @@ eventManager.subscribe('usuario.registrado', auditObserver);
 eventManager.subscribe('usuario.login', eventLogger);
 eventManager.subscribe('usuario.login', auditObserver);
 
-console.log('👁️ Observer Pattern: EventManager configurado para usuarios');
-console.log('📊 Info del EventManager:', eventManager.getInfo());
+eventManager.subscribe('usuario.rol.actualizado', eventLogger);
+eventManager.subscribe('usuario.rol.actualizado', auditObserver);
+
+// Cuenta: solicitudes de restablecimiento, cambios de contraseña y emails verificados (sin tokens en los datos)
+['password.reset.solicitado', 'password.restablecido', 'usuario.email.verificado'].forEach(tipo => {
+  eventManager.subscribe(tipo, eventLogger);
+  eventManager.subscribe(tipo, auditObserver);
+});
+
+// Sistema de Notificaciones - correos transaccionales por el canal de email
+const notificationService = new NotificationService();
+
+eventManager.subscribe('usuario.logout', eventLogger);
+eventManager.subscribe('usuario.logout', auditObserver);
+
+// Los tokens revocados se reenvían al gateway, que los rechaza sin esperar a la sincronización
+const eventForwarder = new EventForwarder({ serviceAuth });
+eventManager.subscribe(TOKEN_REVOKED_EVENT, auditObserver);
+eventManager.subscribe(TOKEN_REVOKED_EVENT, eventForwarder);
+
+// API keys: la revocación también se reenvía para que el gateway la descarte de su caché
+eventManager.subscribe('apikey.creada', auditObserver);
+eventManager.subscribe(API_KEY_REVOKED_EVENT, auditObserver);
+eventManager.subscribe(API_KEY_REVOKED_EVENT, eventForwarder);
+
+// Token Revocation - jti revocados hasta su expiración (colección tokensRevocados)
+const revocationList = new TokenRevocationList();
+
+log.info('EventManager configurado', { events: eventManager.getInfo() });
+
+// Service Registry - Registro de la instancia en el gateway
+const registryClient = new RegistryClient({ serviceName: 'usuarios', serviceAuth, metadata: { openapi: '/openapi.json' } });
 
 // Los datos en memoria ahora se manejan a través del Factory Method
 // No necesitamos usuariosEnMemoria separados
 
-// Función para generar token JWT
+// JWT Signing Keys - claves asimétricas por kid (JWT_KEYS_FILE o JWT_PRIVATE_KEY); las públicas en /.well-known/jwks.json
+const signingKeys = SigningKeyStore.fromEnv();
+log.info('Claves de firma JWT cargadas', signingKeys.getInfo());
+
+// Función para generar token JWT (firmado con la clave activa; el kid va en el header)
 function generarToken(payload) {
-  const secret = process.env.JWT_SECRET || 'clave-secreta-desarrollo';
-  console.log('🔐 Generando token con secret:', secret.substring(0, 10) + '...');
-  console.log('🔐 Payload:', payload);
+  const { kid, algorithm, privateKey } = signingKeys.getSigningKey();
   
-  const token = jwt.sign(payload, secret, {
-    expiresIn: '24h'
+  const token = jwt.sign(payload, privateKey, {
+    algorithm,
+    keyid: kid,
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: crypto.randomUUID()
   });
   
-  console.log('🔐 Token generado:', token.substring(0, 50) + '...');
+  log.debug('Token generado', { userId: payload.id, rol: payload.rol, kid });
   return token;
 }
 
+/**
+ * Verificar un token con la clave pública de su kid
+ * @param {string} token - JWT
+ * @returns {Object} Payload
+ */
+function verificarToken(token) {
+  const header = jwt.decode(token, { complete: true })?.header;
+  const key = signingKeys.getVerificationKey(header?.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('Clave de firma desconocida');
+  }
+  return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+}
+
+// Hash del refresh token: solo se guarda el hash, nunca el token
+function hashToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Emitir access token y refresh token para una sesión
+ * Las rotaciones de una sesión comparten familyId para poder revocarlas juntas
+ * @param {Object} claims - Datos del token ({ id, email, rol, tenantId })
+ * @param {string} [familyId] - Sesión a la que pertenece (nueva por defecto)
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+ */
+async function emitirSesion(claims, familyId = crypto.randomUUID()) {
+  const token = generarToken(claims);
+  const { jti, exp } = jwt.decode(token);
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+  await db.collection('refreshTokens').add({
+    tokenHash: hashToken(refreshToken),
+    familyId,
+    usuarioId: claims.id,
+    claims,
+    accessJti: jti,
+    accessExpiresAt: exp * 1000,
+    expiresAt: Date.now() + REFRESH_TOKEN_TTL_MS,
+    usedAt: null,
+    revokedAt: null,
+    fechaCreacion: new Date().toISOString()
+  });
+
+  return { token, refreshToken, expiresIn: exp - Math.floor(Date.now() / 1000) };
+}
+
+/**
+ * Revocar un access token hasta su expiración y publicarlo (evento token.revocado)
+ * @param {string} jti - Identificador del token
+ * @param {number} expiresAt - Expiración en ms
+ * @param {string} usuarioId - Dueño del token
+ * @param {string} motivo - logout o reutilizacion
+ */
+async function revocarToken(jti, expiresAt, usuarioId, motivo) {
+  if (!jti || revocationList.isRevoked(jti) || !revocationList.revoke(jti, expiresAt)) return;
+
+  await db.collection('tokensRevocados').add({ jti, expiresAt, usuarioId, motivo, fechaRevocacion: new Date().toISOString() });
+  await eventManager.notify(TOKEN_REVOKED_EVENT, {
+    source: 'usuarios',
+    jti,
+    expiresAt: new Date(expiresAt).toISOString(),
+    usuarioId,
+    motivo
+  });
+}
+
+/**
+ * Revocar todos los refresh tokens de una sesión y sus access tokens vigentes
+ * @param {string} familyId - Sesión
+ * @param {string} motivo - logout o reutilizacion
+ */
+async function revocarSesion(familyId, motivo) {
+  const snapshot = await db.collection('refreshTokens').where('familyId', '==', familyId).get();
+  for (const doc of snapshot.docs) {
+    const registro = doc.data();
+    if (!registro.revokedAt) {
+      await db.collection('refreshTokens').doc(doc.id).update({ revokedAt: new Date().toISOString() });
+    }
+    await revocarToken(registro.accessJti, registro.accessExpiresAt, registro.usuarioId, motivo);
+  }
+}
+
+// Cargar las revocaciones vigentes (de esta y de otras instancias) desde la base de datos
+async function cargarRevocaciones() {
+  const snapshot = await db.collection('tokensRevocados').where('expiresAt', '>', Date.now()).get();
+  return revocationList.merge(snapshot.docs.map(doc => doc.data()));
+}
+
+/**
+ * Revocar todas las sesiones de un usuario (ej. al restablecer la contraseña)
+ * @param {string} usuarioId - Usuario
+ * @param {string} motivo - Motivo de la revocación
+ * @returns {Promise<number>} Sesiones revocadas
+ */
+async function revocarSesionesUsuario(usuarioId, motivo) {
+  const snapshot = await db.collection('refreshTokens').where('usuarioId', '==', usuarioId).get();
+  const familias = new Set(snapshot.docs.map(doc => doc.data()).filter(registro => !registro.revokedAt).map(registro => registro.familyId));
+  for (const familyId of familias) {
+    await revocarSesion(familyId, motivo);
+  }
+  return familias.size;
+}
+
+// Tokens de un solo uso enviados por correo (colección tokensUsuario; solo se guarda el hash)
+const TOKENS_USUARIO = {
+  verificacion_email: { ttlMs: EMAIL_VERIFICATION_TTL_MS, code: 'VERIFICATION_TOKEN', ruta: '/verificar-email' },
+  password_reset: { ttlMs: PASSWORD_RESET_TTL_MS, code: 'RESET_TOKEN', ruta: '/restablecer-password' }
+};
+
+/**
+ * Emitir un token de un solo uso y enviarlo por correo (NotificationService)
+ * Los tokens anteriores del mismo tipo dejan de valer
+ * @param {string} tipo - verificacion_email | password_reset
+ * @param {Object} usuario - { id, email, nombre }
+ * @returns {Promise<string>} Expiración (ISO)
+ */
+async function enviarTokenUsuario(tipo, usuario) {
+  const { ttlMs, ruta } = TOKENS_USUARIO[tipo];
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = Date.now() + ttlMs;
+
+  const anteriores = await db.collection('tokensUsuario').where('usuarioId', '==', usuario.id).get();
+  for (const doc of anteriores.docs) {
+    const registro = doc.data();
+    if (registro.tipo === tipo && !registro.usedAt) {
+      await db.collection('tokensUsuario').doc(doc.id).update({ usedAt: new Date().toISOString(), reemplazado: true });
+    }
+  }
+
+  await db.collection('tokensUsuario').add({
+    tokenHash: hashToken(token),
+    tipo,
+    usuarioId: usuario.id,
+    expiresAt,
+    usedAt: null,
+    fechaCreacion: new Date().toISOString()
+  });
+
+  await notificationService.sendTransactionalEmail(tipo, {
+    usuarioId: usuario.id,
+    email: usuario.email,
+    nombre: usuario.nombre,
+    enlace: `${FRONTEND_URL}${ruta}?token=${encodeURIComponent(token)}`,
+    expiresAt: new Date(expiresAt).toISOString()
+  });
+  return new Date(expiresAt).toISOString();
+}
+
+/**
+ * Consumir un token de un solo uso (queda usado aunque la operación posterior falle)
+ * La lectura y la marca de uso van en una transacción: dos usos simultáneos no pasan ambos
+ * @param {string} tipo - verificacion_email | password_reset
+ * @param {string} token - Token recibido en el enlace
+ * @returns {Promise<{usuarioId?: string, code?: string}>} Usuario del token, o code del rechazo
+ */
+async function consumirTokenUsuario(tipo, token) {
+  const { code } = TOKENS_USUARIO[tipo];
+  const snapshot = await db.collection('tokensUsuario').where('tokenHash', '==', hashToken(token)).get();
+  const doc = snapshot.docs.find(candidate => candidate.data().tipo === tipo);
+  if (!doc) return { code: `${code}_INVALID` };
+
+  const docRef = db.collection('tokensUsuario').doc(doc.id);
+  return db.runTransaction(async (transaction) => {
+    const registro = (await transaction.get(docRef)).data();
+    if (registro.usedAt) return { code: `${code}_USED` };
+    if (registro.expiresAt <= Date.now()) return { code: `${code}_EXPIRED` };
+
+    transaction.update(docRef, { usedAt: new Date().toISOString() });
+    return { usuarioId: registro.usuarioId };
+  });
+}
+
+/**
+ * Enviar un enlace de cuenta (verificación o restablecimiento) a un email, si está registrado
+ * Se llama después de responder: ni la respuesta ni su tiempo revelan si la cuenta existe
+ * @param {string} tipo - verificacion_email | password_reset
+ * @param {string} email - Email de la solicitud
+ */
+async function enviarEnlaceCuenta(tipo, email) {
+  const querySnapshot = await db.collection('usuarios').where('email', '==', email).get();
+  if (querySnapshot.empty) {
+    log.info('Enlace de cuenta solicitado para un email no registrado', { tipo });
+    return;
+  }
+
+  const doc = querySnapshot.docs[0];
+  const usuario = { id: doc.id, ...doc.data() };
+  if (tipo === 'verificacion_email' && usuario.emailVerificado !== false) {
+    log.info('Verificación solicitada para un email ya verificado', { usuarioId: usuario.id });
+    return;
+  }
+
+  await enviarTokenUsuario(tipo, usuario);
+  if (tipo === 'password_reset') {
+    await eventManager.notify('password.reset.solicitado', { source: 'usuarios', usuarioId: usuario.id });
+  }
+}
+
 // Middleware de autenticación
 function autenticarToken(req, res, next) {
   const authHeader = req.headers['authorization'];
@@ -107,18 +380,168 @@ function autenticarToken(req, res, next) {
   }
 
   try {
-    const secret = process.env.JWT_SECRET || 'clave-secreta-desarrollo';
-    const decoded = jwt.verify(token, secret);
+    const decoded = verificarToken(token);
+    if (revocationList.isRevoked(decoded.jti)) {
+      throw new TokenRevokedError();
+    }
     req.user = decoded;
+    addLogContext({ userId: decoded.id, tenantId: decoded.tenantId });
     next();
   } catch (error) {
+    log.warn('Token inválido', { path: req.path, error: error.message });
     return res.status(403).json({ 
       error: 'Token inválido',
-      message: 'El token proporcionado no es válido o ha expirado'
+      message: 'El token proporcionado no es válido o ha expirado',
+      code: error.code || (error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID')
     });
   }
 }
 
+// Middleware de rol (después de autenticarToken)
+function requerirRol(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.rol)) {
+      log.warn('Acceso denegado por rol', { path: req.path, rol: req.user.rol });
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: `Se requiere uno de los roles: ${roles.join(', ')}`
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Verificar una API key: formato, hash, revocación y vencimiento
+ * @param {string} apiKey - Clave en claro
+ * @returns {Promise<Object>} Documento de la clave ({ id, ...datos })
+ * @throws {ApiKeyError} Si no es válida, fue revocada o venció
+ */
+async function verificarApiKey(apiKey) {
+  const prefijo = parseApiKey(apiKey);
+  if (!prefijo) {
+    throw new ApiKeyError('Formato de API key inválido');
+  }
+
+  const snapshot = await db.collection('apiKeys').where('prefijo', '==', prefijo).get();
+  const doc = snapshot.docs.find(candidate => verifyApiKeyHash(apiKey, candidate.data().keyHash));
+  if (!doc) {
+    throw new ApiKeyError('API key inválida');
+  }
+
+  const clave = { id: doc.id, ...doc.data() };
+  if (clave.revokedAt) {
+    throw new ApiKeyError('La API key fue revocada', 'API_KEY_REVOKED');
+  }
+  if (Date.parse(clave.expiresAt) <= Date.now()) {
+    throw new ApiKeyError('La API key venció', 'API_KEY_EXPIRED');
+  }
+  return clave;
+}
+
+/**
+ * Sumar peticiones al contador de uso de una API key
+ * @param {string} id - Identificador de la clave
+ * @param {number} [peticiones=1] - Peticiones atendidas
+ * @returns {Promise<boolean>} false si la clave no existe
+ */
+async function registrarUsoApiKey(id, peticiones = 1) {
+  const docRef = db.collection('apiKeys').doc(id);
+  // Leer y sumar en una transacción: los reportes simultáneos no pisan los incrementos del otro
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists) return false;
+
+    transaction.update(docRef, { usos: (doc.data().usos || 0) + peticiones, ultimoUso: new Date().toISOString() });
+    return true;
+  });
+}
+
+// Datos de una API key que se pueden mostrar (nunca el hash)
+function datosPublicosApiKey(clave) {
+  const publicos = { ...clave };
+  delete publicos.keyHash;
+  return publicos;
+}
+
+// Middleware para llamadas entre servicios: identidad de servicio firmada (X-Service-*) o API key con alcance (X-API-Key)
+async function autenticarServicio(req, res, next) {
+  if (serviceAuth.isSigned(req)) {
+    return soloServiciosValidar(req, res, next);
+  }
+
+  const apiKey = req.headers[API_KEY_HEADER];
+  if (!apiKey) {
+    return res.status(401).json({
+      error: 'Credenciales requeridas',
+      message: 'Se requiere identidad de servicio (X-Service-*) o API key (X-API-Key)',
+      code: 'SERVICE_AUTH_MISSING'
+    });
+  }
+
+  try {
+    const clave = await verificarApiKey(apiKey);
+    if (!matchesScope(clave.scopes, req.method, req.path)) {
+      log.warn('API key sin alcance', { path: req.path, apiKeyId: clave.id });
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: `La API key no tiene alcance para ${req.method} ${req.path}`,
+        code: 'API_KEY_SCOPE'
+      });
+    }
+
+    req.apiKey = datosPublicosApiKey(clave);
+    addLogContext({ userId: `apikey:${clave.id}` });
+    registrarUsoApiKey(clave.id).catch(error => log.warn('No se pudo registrar el uso de la API key', { apiKeyId: clave.id, err: error }));
+    next();
+  } catch (error) {
+    if (error.name !== 'ApiKeyError') {
+      log.error('Error al verificar API key', { err: error });
+      return res.status(500).json({ error: 'Error interno del servidor' });
+    }
+    log.warn('API key rechazada', { path: req.path, code: error.code });
+    return res.status(401).json({ error: 'API key inválida', message: error.message, code: error.code });
+  }
+}
+
+/**
+ * Registrar las API keys de API_KEYS_SEED (JSON [{ nombre, apiKey, scopes, tenants? }]) que no existan
+ * Permite configurar claves estables para integraciones (ej. el ERP de tesorería) sin emitirlas a mano
+ * @returns {Promise<number>} Claves registradas
+ */
+async function sembrarApiKeys() {
+  if (!process.env.API_KEYS_SEED) return 0;
+
+  let registradas = 0;
+  for (const { nombre, apiKey, scopes, tenants = [] } of JSON.parse(process.env.API_KEYS_SEED)) {
+    const prefijo = parseApiKey(apiKey);
+    if (!prefijo) {
+      log.warn('API key de API_KEYS_SEED con formato inválido', { nombre });
+      continue;
+    }
+    validateScopes(scopes);
+
+    const existentes = await db.collection('apiKeys').where('prefijo', '==', prefijo).get();
+    if (!existentes.empty) continue;
+
+    await db.collection('apiKeys').add({
+      nombre,
+      prefijo,
+      keyHash: hashApiKey(apiKey),
+      scopes,
+      tenants,
+      expiresAt: new Date(Date.now() + API_KEY_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      revokedAt: null,
+      usos: 0,
+      ultimoUso: null,
+      creadoPor: 'API_KEYS_SEED',
+      fechaCreacion: new Date().toISOString()
+    });
+    registradas++;
+  }
+  return registradas;
+}
+
 // Catálogo de tenants
 let tenantsEnMemoria = [
   {
@@ -137,16 +560,84 @@ let tenantsEnMemoria = [
   }
 ];
 
+/**
+ * Cargar el contrato OpenAPI generado; sin generar se publica swaggerDef.js (sin paths)
+ * @returns {Object} Especificación OpenAPI
+ */
+function loadOpenApiSpec() {
+  try {
+    return require('./docs/swagger.json');
+  } catch (error) {
+    log.warn('docs/swagger.json no encontrado; ejecute npm run docs:openapi para publicar los paths');
+    return require('./swaggerDef');
+  }
+}
+
 // Función duplicada eliminada - usar la función generarToken existente
 
 // Función duplicada eliminada - usar la función autenticarToken existente
 
 // Rutas del microservicio de usuarios
 
+/**
+ * @swagger
+ * /registro:
+ *   post:
+ *     summary: Registrar nuevo usuario
+ *     tags: [Usuarios]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nombre
+ *               - email
+ *               - contraseña
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *                 minLength: 1
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               contraseña:
+ *                 type: string
+ *                 minLength: 1
+ *               tenantId:
+ *                 type: string
+ *                 description: Institución (universidad_principal por defecto)
+ *               campus:
+ *                 type: string
+ *               carrera:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Usuario registrado sin sesión; inicia sesión después de verificar el email con el enlace del correo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje:
+ *                   type: string
+ *                 usuario:
+ *                   $ref: '#/components/schemas/Usuario'
+ *       400:
+ *         description: Datos incompletos o el usuario ya existe
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
 // Registro de nuevo usuario
 app.post('/registro', async (req, res) => {
   try {
-    const { nombre, email, contraseña, rol = 'Alumno', tenantId = 'universidad_principal', campus, carrera } = req.body;
+    const { nombre, email, contraseña, tenantId = 'universidad_principal', campus, carrera } = req.body;
+    // El registro público siempre crea alumnos; otros roles solo los asigna un Admin (PUT /perfil/:id/rol)
+    const rol = 'Alumno';
 
     // Validaciones básicas
     if (!nombre || !email || !contraseña) {
@@ -154,6 +645,9 @@ app.post('/registro', async (req, res) => {
         error: 'Nombre, email y contraseña son requeridos' 
       });
     }
+    if (typeof nombre !== 'string' || typeof email !== 'string' || typeof contraseña !== 'string') {
+      return res.status(400).json({ error: 'Nombre, email y contraseña deben ser texto' });
+    }
 
     // Verificar si el usuario ya existe usando Factory Method
       const usuariosRef = db.collection('usuarios');
@@ -182,6 +676,7 @@ app.post('/registro', async (req, res) => {
       campus: campus || 'Campus Principal',
       carrera: carrera || 'Sin especificar',
       matricula: matricula,
+      emailVerificado: false,
       fechaCreacion: new Date().toISOString()
     };
 
@@ -189,9 +684,6 @@ app.post('/registro', async (req, res) => {
       const docRef = await db.collection('usuarios').add(nuevoUsuario);
     const usuarioId = docRef.id;
 
-    // Generar token JWT
-    const token = generarToken({ id: usuarioId, email, rol });
-
     // Observer Pattern - Notificar evento de registro
     await eventManager.notify('usuario.registrado', {
       source: 'usuarios',
@@ -205,63 +697,134 @@ app.post('/registro', async (req, res) => {
       matricula
     });
 
+    // Verificación de email: el enlace llega por correo; un fallo al enviarlo no impide el registro
+    // (se puede pedir de nuevo con POST /email/verificacion). Sin verificar no se inicia sesión
+    await enviarTokenUsuario('verificacion_email', { id: usuarioId, email, nombre })
+      .catch(error => log.error('No se pudo enviar la verificación de email', { usuarioId, err: error }));
+
     res.status(201).json({
-      mensaje: 'Usuario registrado exitosamente',
+      mensaje: 'Usuario registrado exitosamente: revisa tu correo para verificarlo e iniciar sesión',
       usuario: {
         id: usuarioId,
         nombre,
         email,
-        rol
-      },
-      token
+        rol,
+        emailVerificado: false
+      }
     });
 
   } catch (error) {
-    console.error('Error en registro:', error);
+    log.error('Error en registro', { err: error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
+/**
+ * @swagger
+ * /login:
+ *   post:
+ *     summary: Iniciar sesión
+ *     tags: [Usuarios]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - contraseña
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 minLength: 1
+ *               contraseña:
+ *                 type: string
+ *                 minLength: 1
+ *     responses:
+ *       200:
+ *         description: Login exitoso; incluye el token JWT
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje:
+ *                   type: string
+ *                 usuario:
+ *                   $ref: '#/components/schemas/Usuario'
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Token opaco para POST /token/refresh (un solo uso)
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Segundos de vigencia del access token
+ *       401:
+ *         description: Credenciales inválidas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Email sin verificar (EMAIL_NOT_VERIFIED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
 // Login de usuario
 app.post('/login', async (req, res) => {
   try {
-    console.log('🔐 Login attempt:', req.body);
     const { email, contraseña } = req.body;
 
     if (!email || !contraseña) {
-      console.log('❌ Login error: Missing email or password');
+      log.info('Login sin email o contraseña');
       return res.status(400).json({ 
         error: 'Email y contraseña son requeridos' 
       });
     }
+    if (typeof email !== 'string' || typeof contraseña !== 'string') {
+      return res.status(400).json({ error: 'Email y contraseña deben ser texto' });
+    }
 
     // Buscar usuario usando Factory Method
-    console.log('🔍 Searching user in database...');
     const usuariosRef = db.collection('usuarios');
     const querySnapshot = await usuariosRef.where('email', '==', email).get();
     
-    console.log('🔍 Query result:', querySnapshot.empty ? 'No user found' : 'User found');
-    
     if (querySnapshot.empty) {
-      console.log('❌ Login error: User not found');
+      log.info('Login fallido: usuario no encontrado');
       return res.status(401).json({ error: 'Credenciales inválidas' });
     }
     
     const doc = querySnapshot.docs[0];
     const usuario = { id: doc.id, ...doc.data() };
-    console.log('👤 User found:', { id: usuario.id, email: usuario.email, rol: usuario.rol });
+    addLogContext({ userId: usuario.id, tenantId: usuario.tenantId });
 
     // Verificar contraseña
     const contraseñaValida = await bcrypt.compare(contraseña, usuario.contraseña);
     if (!contraseñaValida) {
+      log.info('Login fallido: contraseña incorrecta');
       return res.status(401).json({ error: 'Credenciales inválidas' });
     }
 
-    // Generar token JWT
-    const token = generarToken({ 
+    // Las cuentas registradas sin verificar el correo no inician sesión (las anteriores a la verificación no tienen el campo)
+    if (usuario.emailVerificado === false) {
+      log.info('Login rechazado: email sin verificar');
+      return res.status(403).json({
+        error: 'Debes verificar tu correo antes de iniciar sesión',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // Generar token JWT y refresh token
+    const sesion = await emitirSesion({ 
       id: usuario.id, 
       email: usuario.email, 
-      rol: usuario.rol 
+      rol: usuario.rol,
+      tenantId: usuario.tenantId
     });
 
     // Observer Pattern - Notificar evento de login
@@ -279,14 +842,14 @@ app.post('/login', async (req, res) => {
         id: usuario.id,
         nombre: usuario.nombre,
         email: usuario.email,
-        rol: usuario.rol
+        rol: usuario.rol,
+        emailVerificado: true
       },
-      token
+      ...sesion
     });
 
   } catch (error) {
-    console.error('❌ Error en login:', error);
-    console.error('❌ Error stack:', error.stack);
+    log.error('Error en login', { err: error });
     res.status(500).json({ 
       error: 'Error interno del servidor',
       details: error.message 
@@ -294,6 +857,218 @@ app.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /email/verificar:
+ *   post:
+ *     summary: Verificar el email con el token recibido por correo
+ *     tags: [Cuenta]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 minLength: 1
+ *     responses:
+ *       200:
+ *         description: Email verificado
+ *       400:
+ *         description: Token inválido, usado o vencido (VERIFICATION_TOKEN_INVALID | VERIFICATION_TOKEN_USED | VERIFICATION_TOKEN_EXPIRED)
+ */
+// Verificar email (enlace del correo de registro)
+app.post('/email/verificar', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'token es requerido' });
+    }
+
+    const { usuarioId, code } = await consumirTokenUsuario('verificacion_email', token);
+    if (code) {
+      return res.status(400).json({ error: 'Enlace de verificación inválido o vencido', code });
+    }
+
+    await db.collection('usuarios').doc(usuarioId).update({ emailVerificado: true, fechaVerificacionEmail: new Date().toISOString() });
+    await eventManager.notify('usuario.email.verificado', { source: 'usuarios', usuarioId });
+
+    res.json({ mensaje: 'Email verificado exitosamente', emailVerificado: true });
+
+  } catch (error) {
+    log.error('Error al verificar email', { err: error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * @swagger
+ * /email/verificacion:
+ *   post:
+ *     summary: Reenviar el correo de verificación
+ *     description: Responde igual exista o no el email y esté o no verificado, para no revelar qué cuentas existen
+ *     tags: [Cuenta]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 minLength: 1
+ *     responses:
+ *       202:
+ *         description: Si el email está registrado y sin verificar, se envía un enlace nuevo
+ *       400:
+ *         description: Email requerido
+ */
+// Reenviar verificación de email (el usuario todavía no puede iniciar sesión)
+app.post('/email/verificacion', (req, res) => {
+  const { email } = req.body;
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({ error: 'Email es requerido' });
+  }
+
+  res.status(202).json({ mensaje: 'Si el email está registrado y sin verificar, recibirás un nuevo enlace de verificación' });
+  enviarEnlaceCuenta('verificacion_email', email)
+    .catch(error => log.error('Error al reenviar verificación de email', { err: error }));
+});
+
+/**
+ * @swagger
+ * /password/forgot:
+ *   post:
+ *     summary: Solicitar el restablecimiento de contraseña
+ *     description: Responde igual exista o no el email, para no revelar qué cuentas existen
+ *     tags: [Cuenta]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 minLength: 1
+ *     responses:
+ *       202:
+ *         description: Si el email está registrado, se envía un enlace de un solo uso
+ *       400:
+ *         description: Email requerido
+ */
+// Solicitar restablecimiento de contraseña
+app.post('/password/forgot', (req, res) => {
+  const { email } = req.body;
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({ error: 'Email es requerido' });
+  }
+
+  res.status(202).json({ mensaje: 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña' });
+  enviarEnlaceCuenta('password_reset', email)
+    .catch(error => log.error('Error al solicitar restablecimiento de contraseña', { err: error }));
+});
+
+/**
+ * @swagger
+ * /password/reset:
+ *   post:
+ *     summary: Restablecer la contraseña con el token recibido por correo
+ *     description: El token es de un solo uso; al cambiar la contraseña se cierran todas las sesiones del usuario
+ *     tags: [Cuenta]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - contraseña
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 minLength: 1
+ *               contraseña:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Contraseña restablecida
+ *       400:
+ *         description: Datos inválidos o token inválido, usado o vencido (RESET_TOKEN_INVALID | RESET_TOKEN_USED | RESET_TOKEN_EXPIRED)
+ */
+// Restablecer contraseña
+app.post('/password/reset', async (req, res) => {
+  try {
+    const { token, contraseña } = req.body;
+    if (!token || !contraseña) {
+      return res.status(400).json({ error: 'token y contraseña son requeridos' });
+    }
+    if (typeof token !== 'string' || typeof contraseña !== 'string') {
+      return res.status(400).json({ error: 'token y contraseña deben ser texto' });
+    }
+    if (contraseña.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres` });
+    }
+
+    const { usuarioId, code } = await consumirTokenUsuario('password_reset', token);
+    if (code) {
+      return res.status(400).json({ error: 'Enlace de restablecimiento inválido o vencido', code });
+    }
+
+    // El enlace llegó al correo del usuario: también queda verificado
+    await db.collection('usuarios').doc(usuarioId).update({
+      contraseña: await bcrypt.hash(contraseña, 10),
+      emailVerificado: true,
+      fechaCambioContraseña: new Date().toISOString()
+    });
+    const sesiones = await revocarSesionesUsuario(usuarioId, 'password_reset');
+
+    await eventManager.notify('password.restablecido', { source: 'usuarios', usuarioId, sesionesRevocadas: sesiones });
+
+    res.json({ mensaje: 'Contraseña restablecida; inicia sesión con la nueva contraseña' });
+
+  } catch (error) {
+    log.error('Error al restablecer contraseña', { err: error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * @swagger
+ * /perfil/{id}:
+ *   get:
+ *     summary: Obtener perfil de usuario
+ *     tags: [Usuarios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Perfil del usuario (sin contraseña)
+ *       401:
+ *         description: Token de acceso requerido
+ *       404:
+ *         description: Usuario no encontrado
+ */
 // Obtener perfil de usuario (requiere autenticación)
 app.get('/perfil/:id', autenticarToken, async (req, res) => {
   try {
@@ -319,23 +1094,586 @@ app.get('/perfil/:id', autenticarToken, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error al obtener perfil:', error);
+    log.error('Error al obtener perfil', { err: error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * @swagger
+ * /perfil/{id}/rol:
+ *   put:
+ *     summary: Cambiar el rol de un usuario
+ *     description: Solo un Admin puede asignar roles y no puede cambiar el suyo. Las sesiones del usuario se revocan para que el nuevo rol aplique de inmediato.
+ *     tags: [Usuarios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rol
+ *             properties:
+ *               rol:
+ *                 type: string
+ *                 enum: [Alumno, Admin]
+ *     responses:
+ *       200:
+ *         description: Rol actualizado
+ *       400:
+ *         description: Rol inválido o cambio del propio rol
+ *       401:
+ *         description: Token de acceso requerido
+ *       403:
+ *         description: Requiere rol Admin
+ *       404:
+ *         description: Usuario no encontrado
+ */
+// Cambiar el rol de un usuario (solo Admin)
+app.put('/perfil/:id/rol', autenticarToken, requerirRol('Admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rol } = req.body;
+
+    if (!ROLES.includes(rol)) {
+      return res.status(400).json({ error: `rol debe ser uno de: ${ROLES.join(', ')}` });
+    }
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'No puedes cambiar tu propio rol' });
+    }
+
+    const docRef = db.collection('usuarios').doc(id);
+    const doc = await docRef.get();
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const rolAnterior = doc.data().rol;
+    await docRef.update({ rol });
+
+    // Los tokens vigentes llevan el rol anterior: se revocan y el usuario vuelve a iniciar sesión
+    const sesiones = await revocarSesionesUsuario(id, 'cambio_rol');
+
+    await eventManager.notify('usuario.rol.actualizado', {
+      source: 'usuarios',
+      usuarioId: id,
+      rolAnterior,
+      rol,
+      actualizadoPor: req.user.id,
+      sesionesRevocadas: sesiones
+    });
+
+    res.json({ mensaje: 'Rol actualizado exitosamente', usuario: { id, rol } });
+
+  } catch (error) {
+    log.error('Error al actualizar rol', { err: error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * @swagger
+ * /token/refresh:
+ *   post:
+ *     summary: Renovar el access token con un refresh token (rotación)
+ *     description: El refresh token se invalida al usarse y se entrega uno nuevo. Reutilizar uno ya usado revoca la sesión completa.
+ *     tags: [Sesiones]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 minLength: 1
+ *     responses:
+ *       200:
+ *         description: Nuevo access token y refresh token
+ *       400:
+ *         description: refreshToken ausente o no es un string
+ *       401:
+ *         description: Refresh token inválido, expirado, revocado o reutilizado
+ */
+// Renovar sesión (rotación del refresh token con detección de reutilización)
+app.post('/token/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ error: 'refreshToken es requerido' });
+    }
+
+    const snapshot = await db.collection('refreshTokens').where('tokenHash', '==', hashToken(refreshToken)).get();
+    if (snapshot.empty) {
+      return res.status(401).json({ error: 'Refresh token inválido', code: 'REFRESH_TOKEN_INVALID' });
+    }
+
+    // Leer y marcar como usado en una transacción: de dos renovaciones simultáneas solo una lo consume
+    const docRef = db.collection('refreshTokens').doc(snapshot.docs[0].id);
+    const { registro, consumido } = await db.runTransaction(async (transaction) => {
+      const actual = (await transaction.get(docRef)).data();
+      const vigente = !actual.usedAt && !actual.revokedAt && actual.expiresAt > Date.now();
+      if (vigente) {
+        transaction.update(docRef, { usedAt: new Date().toISOString() });
+      }
+      return { registro: { ...actual }, consumido: vigente };
+    });
+    addLogContext({ userId: registro.usuarioId, tenantId: registro.claims.tenantId });
+
+    // Un refresh token ya rotado que vuelve a usarse indica robo: se revoca la sesión completa
+    if (registro.usedAt && !registro.revokedAt) {
+      log.warn('Reutilización de refresh token, sesión revocada', { familyId: registro.familyId });
+      await revocarSesion(registro.familyId, 'reutilizacion');
+      return res.status(401).json({
+        error: 'Refresh token reutilizado',
+        message: 'La sesión fue revocada por seguridad; inicie sesión nuevamente',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
+
+    if (!consumido) {
+      return res.status(401).json({ error: 'Refresh token expirado o revocado', code: 'REFRESH_TOKEN_EXPIRED' });
+    }
+
+    const sesion = await emitirSesion(registro.claims, registro.familyId);
+
+    res.json({
+      mensaje: 'Token renovado exitosamente',
+      ...sesion
+    });
+
+  } catch (error) {
+    log.error('Error al renovar token', { err: error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * @swagger
+ * /logout:
+ *   post:
+ *     summary: Cerrar sesión (revoca el access token y la sesión del refresh token)
+ *     tags: [Sesiones]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada
+ *       401:
+ *         description: Token de acceso requerido
+ */
+// Cerrar sesión (requiere autenticación)
+app.post('/logout', autenticarToken, async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    await revocarToken(req.user.jti, req.user.exp * 1000, req.user.id, 'logout');
+
+    if (refreshToken) {
+      const snapshot = await db.collection('refreshTokens').where('tokenHash', '==', hashToken(refreshToken)).get();
+      const registro = snapshot.empty ? null : snapshot.docs[0].data();
+      // Solo el dueño de la sesión puede revocarla
+      if (registro && registro.usuarioId === req.user.id) {
+        await revocarSesion(registro.familyId, 'logout');
+      }
+    }
+
+    // Observer Pattern - Notificar evento de logout
+    await eventManager.notify('usuario.logout', {
+      source: 'usuarios',
+      usuarioId: req.user.id,
+      email: req.user.email,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({ mensaje: 'Sesión cerrada exitosamente' });
+
+  } catch (error) {
+    log.error('Error al cerrar sesión', { err: error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * @swagger
+ * /token/revocados:
+ *   get:
+ *     summary: Tokens revocados vigentes (sincronización del gateway)
+ *     tags: [Sesiones]
+ *     security:
+ *       - serviceAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de jti revocados con su expiración
+ *       401:
+ *         description: Sin identidad de servicio válida
+ *       403:
+ *         description: Servicio no permitido
+ */
+// Revocaciones vigentes para que el gateway sincronice su lista
+app.get('/token/revocados', soloGateway, async (req, res) => {
+  try {
+    await cargarRevocaciones();
+    const revocados = revocationList.list();
+
+    res.json({
+      revocados,
+      total: revocados.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    log.error('Error al obtener tokens revocados', { err: error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys:
+ *   post:
+ *     summary: Emitir una API key para una integración (solo Admin)
+ *     description: La clave en claro se devuelve una sola vez; solo se guarda su hash
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nombre
+ *               - scopes
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *                 example: ERP Tesorería
+ *               scopes:
+ *                 type: array
+ *                 description: Alcances "MÉTODO /path" o "/path"; el path admite :param y * final
+ *                 items:
+ *                   type: string
+ *                 example: ["GET /api/pagos", "GET /api/pagos/usuario/*"]
+ *               tenants:
+ *                 type: array
+ *                 description: Tenants permitidos (todos si se omite)
+ *                 items:
+ *                   type: string
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 default: 90
+ *     responses:
+ *       201:
+ *         description: API key emitida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje:
+ *                   type: string
+ *                 apiKey:
+ *                   type: string
+ *                   description: Clave en claro (no se vuelve a mostrar)
+ *                 clave:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Datos inválidos
+ *       403:
+ *         description: Requiere rol Admin
+ *   get:
+ *     summary: Listar las API keys (solo Admin)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys sin su hash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 claves:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *                 total:
+ *                   type: integer
+ */
+// Emitir API key
+app.post('/api-keys', autenticarToken, requerirRol('Admin'), async (req, res) => {
+  try {
+    const { nombre, scopes, tenants = [], expiresInDays = API_KEY_TTL_DAYS } = req.body;
+
+    if (!nombre || typeof nombre !== 'string') {
+      return res.status(400).json({ error: 'nombre es requerido' });
+    }
+    if (!Array.isArray(tenants) || tenants.some(tenant => typeof tenant !== 'string')) {
+      return res.status(400).json({ error: 'tenants debe ser una lista de tenantId' });
+    }
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 365) {
+      return res.status(400).json({ error: 'expiresInDays debe ser un entero entre 1 y 365' });
+    }
+    try {
+      validateScopes(scopes);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    const { apiKey, prefijo, keyHash } = generateApiKey();
+    const datos = {
+      nombre,
+      prefijo,
+      keyHash,
+      scopes,
+      tenants,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+      revokedAt: null,
+      usos: 0,
+      ultimoUso: null,
+      creadoPor: req.user.id,
+      fechaCreacion: new Date().toISOString()
+    };
+    const docRef = await db.collection('apiKeys').add(datos);
+    const clave = datosPublicosApiKey({ id: docRef.id, ...datos });
+
+    log.info('API key emitida', { apiKeyId: clave.id, prefijo, scopes });
+    await eventManager.notify('apikey.creada', { source: 'usuarios', id: clave.id, prefijo, nombre, scopes, creadoPor: req.user.id });
+
+    res.status(201).json({ mensaje: 'API key emitida; guárdela, no se vuelve a mostrar', apiKey, clave });
+
+  } catch (error) {
+    log.error('Error al emitir API key', { err: error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Listar API keys
+app.get('/api-keys', autenticarToken, requerirRol('Admin'), async (req, res) => {
+  try {
+    const snapshot = await db.collection('apiKeys').get();
+    const claves = snapshot.docs.map(doc => datosPublicosApiKey({ id: doc.id, ...doc.data() }));
+
+    res.json({ claves, total: claves.length });
+
+  } catch (error) {
+    log.error('Error al listar API keys', { err: error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys/{id}:
+ *   delete:
+ *     summary: Revocar una API key (solo Admin)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revocada
+ *       404:
+ *         description: API key no encontrada
+ */
+// Revocar API key
+app.delete('/api-keys/:id', autenticarToken, requerirRol('Admin'), async (req, res) => {
+  try {
+    const docRef = db.collection('apiKeys').doc(req.params.id);
+    const doc = await docRef.get();
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'API key no encontrada' });
+    }
+
+    const clave = { id: doc.id, ...doc.data() };
+    if (!clave.revokedAt) {
+      clave.revokedAt = new Date().toISOString();
+      await docRef.update({ revokedAt: clave.revokedAt });
+
+      // El gateway descarta la clave de su caché al recibir el evento
+      await eventManager.notify(API_KEY_REVOKED_EVENT, { source: 'usuarios', id: clave.id, prefijo: clave.prefijo, revocadaPor: req.user.id });
+      log.info('API key revocada', { apiKeyId: clave.id });
+    }
+
+    res.json({ mensaje: 'API key revocada', clave: datosPublicosApiKey(clave) });
+
+  } catch (error) {
+    log.error('Error al revocar API key', { err: error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
+/**
+ * @swagger
+ * /api-keys/verificar:
+ *   post:
+ *     summary: Verificar una API key (uso del gateway)
+ *     tags: [API Keys]
+ *     security:
+ *       - serviceAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - apiKey
+ *             properties:
+ *               apiKey:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: API key válida con sus alcances
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 valida:
+ *                   type: boolean
+ *                 apiKey:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: API key inválida, vencida o revocada, o sin identidad de servicio
+ *       403:
+ *         description: Servicio no permitido
+ */
+// Verificar API key (el gateway guarda el resultado en caché)
+app.post('/api-keys/verificar', soloGateway, async (req, res) => {
+  try {
+    const clave = await verificarApiKey(req.body.apiKey);
+    res.json({ valida: true, apiKey: datosPublicosApiKey(clave) });
+
+  } catch (error) {
+    if (error.name === 'ApiKeyError') {
+      return res.status(401).json({ valida: false, error: error.message, code: error.code });
+    }
+    log.error('Error al verificar API key', { err: error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys/uso:
+ *   post:
+ *     summary: Registrar el uso de API keys (reporte en lotes del gateway)
+ *     tags: [API Keys]
+ *     security:
+ *       - serviceAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - uso
+ *             properties:
+ *               uso:
+ *                 type: object
+ *                 description: Peticiones atendidas por id de API key
+ *                 additionalProperties:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Contadores actualizados
+ *       400:
+ *         description: Formato inválido
+ *       401:
+ *         description: Sin identidad de servicio válida
+ *       403:
+ *         description: Servicio no permitido
+ */
+// Registrar uso de API keys
+app.post('/api-keys/uso', soloGateway, async (req, res) => {
+  try {
+    const { uso } = req.body;
+    if (!uso || typeof uso !== 'object' || Object.values(uso).some(count => !Number.isInteger(count) || count < 1)) {
+      return res.status(400).json({ error: 'uso debe ser un objeto { id: peticiones }' });
+    }
+
+    let actualizadas = 0;
+    for (const [id, count] of Object.entries(uso)) {
+      if (await registrarUsoApiKey(id, count)) actualizadas++;
+    }
+
+    res.json({ actualizadas });
+
+  } catch (error) {
+    log.error('Error al registrar uso de API keys', { err: error });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * @swagger
+ * /validar/{id}:
+ *   get:
+ *     summary: Validar existencia de un usuario (uso entre microservicios)
+ *     description: Requiere la identidad firmada de un servicio permitido (pagos) o una API key con alcance "GET /validar/*" (X-API-Key)
+ *     tags: [Usuarios]
+ *     security:
+ *       - serviceAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: El usuario existe
+ *       401:
+ *         description: Sin credenciales, firma de servicio inválida o API key inválida
+ *       403:
+ *         description: Servicio no permitido o API key sin alcance
+ *       404:
+ *         description: Usuario no encontrado
+ */
 // Validar existencia de usuario (para otros microservicios)
-app.get('/validar/:id', async (req, res) => {
+app.get('/validar/:id', autenticarServicio, async (req, res) => {
   try {
     const { id } = req.params;
-    console.log('🔍 Validando usuario ID:', id);
+    log.debug('Validando usuario', { usuarioId: id });
 
     // Validar usuario usando Factory Method
     const usuariosRef = db.collection('usuarios');
     const querySnapshot = await usuariosRef.where('id', '==', id).get();
     
     if (querySnapshot.empty) {
-      console.log('❌ Usuario no encontrado:', id);
+      log.info('Usuario no encontrado', { usuarioId: id });
       return res.status(404).json({ 
         existe: false, 
         mensaje: 'Usuario no encontrado' 
@@ -344,7 +1682,7 @@ app.get('/validar/:id', async (req, res) => {
     
     const doc = querySnapshot.docs[0];
     const usuario = { id: doc.id, ...doc.data() };
-    console.log('✅ Usuario encontrado:', { id: usuario.id, email: usuario.email });
+    log.debug('Usuario validado', { usuarioId: usuario.id });
 
     // No devolver la contraseña
     delete usuario.contraseña;
@@ -360,11 +1698,22 @@ app.get('/validar/:id', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error al validar usuario:', error);
+    log.error('Error al validar usuario', { err: error });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
+/**
+ * @swagger
+ * /tenants:
+ *   get:
+ *     summary: Obtener lista de tenants (instituciones)
+ *     tags: [Tenants]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Tenants registrados
+ */
 // Obtener lista de tenants
 app.get('/tenants', (req, res) => {
   res.json({
@@ -380,10 +1729,60 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     puerto: PORT,
     patterns: ['Factory Method', 'Observer Pattern'],
-    eventManager: eventManager.getInfo()
+    eventManager: eventManager.getInfo(),
+    registry: registryClient.getInfo(),
+    signingKeys: signingKeys.getInfo(),
+    tracing: tracer.getInfo()
   });
 });
 
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Claves públicas para verificar los tokens
+ *     description: JWKS (RFC 7517) con las claves vigentes por kid; el gateway lo usa para verificar los access tokens
+ *     tags: [Sesiones]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Claves públicas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kid:
+ *                         type: string
+ *                       kty:
+ *                         type: string
+ *                       alg:
+ *                         type: string
+ *                         enum: [RS256, ES256]
+ *                       use:
+ *                         type: string
+ */
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300').json(signingKeys.toJwks());
+});
+
+// Métricas en formato Prometheus (eventos y proceso)
+const metrics = new MetricsRegistry({ defaultLabels: { service: 'usuarios' } });
+registerEventManagerMetrics(metrics, eventManager);
+registerProcessMetrics(metrics);
+app.get('/metrics', metrics.handler());
+
+// Contrato OpenAPI (docs/swagger.json, generado con `npm run docs:openapi`); el gateway lo usa para validar y documentar
+const openapiSpec = loadOpenApiSpec();
+app.get('/openapi.json', (req, res) => {
+  res.json(openapiSpec);
+});
+
 // Ruta de estadísticas de eventos
 app.get('/events/stats', (req, res) => {
   res.json({
@@ -406,25 +1805,44 @@ app.get('/events/history', (req, res) => {
   });
 });
 
-// Limpiar historial de eventos cada hora
-setInterval(() => {
-  eventManager.cleanupHistory();
-}, 60 * 60 * 1000);
-
-// Iniciar servidor
-app.listen(PORT, () => {
-  console.log(`👤 Microservicio de Usuarios ejecutándose en puerto ${PORT}`);
-  console.log(`🏭 Factory Method: ${db.getInfo().type}`);
-  console.log(`👁️ Observer Pattern: ${eventManager.getInfo().observersCount} observers activos`);
-  console.log(`🔐 Endpoints disponibles:`);
-  console.log(`   - POST /registro - Registro de usuario`);
-  console.log(`   - POST /login - Autenticación`);
-  console.log(`   - GET /perfil/:id - Obtener perfil`);
-  console.log(`   - GET /validar/:id - Validar usuario`);
-  console.log(`   - GET /health - Estado del servicio`);
-  console.log(`   - GET /events/stats - Estadísticas de eventos`);
-  console.log(`   - GET /events/history - Historial de eventos`);
-});
+// Al importarse (tests) solo se exporta la app: sin puerto, registro ni tareas periódicas
+if (require.main === module) {
+  // Limpiar historial de eventos cada hora
+  setInterval(() => {
+    eventManager.cleanupHistory();
+  }, 60 * 60 * 1000);
+
+  // Incorporar cada minuto las revocaciones de otras instancias de usuarios
+  setInterval(() => {
+    cargarRevocaciones().catch(error => log.warn('No se pudieron cargar las revocaciones', { err: error }));
+  }, 60 * 1000);
+
+  // Iniciar servidor
+  const server = app.listen(PORT, () => {
+    log.info('Microservicio de Usuarios ejecutándose', {
+      port: Number(PORT),
+      database: db.getInfo().type,
+      observers: eventManager.getInfo().observersCount,
+      endpoints: ['POST /registro', 'POST /login', 'POST /token/refresh', 'POST /logout', 'GET /token/revocados', 'POST /email/verificar', 'POST /email/verificacion', 'POST /password/forgot', 'POST /password/reset', 'POST /api-keys', 'GET /api-keys', 'DELETE /api-keys/:id', 'POST /api-keys/verificar', 'POST /api-keys/uso', 'GET /perfil/:id', 'PUT /perfil/:id/rol', 'GET /validar/:id', 'GET /tenants', 'GET /health', 'GET /.well-known/jwks.json', 'GET /openapi.json', 'GET /events/stats', 'GET /events/history']
+    });
+    registryClient.start(PORT);
+    cargarRevocaciones().catch(error => log.warn('No se pudieron cargar las revocaciones', { err: error }));
+    sembrarApiKeys()
+      .then(registradas => registradas && log.info('API keys de API_KEYS_SEED registradas', { registradas }))
+      .catch(error => log.error('No se pudieron registrar las API keys de API_KEYS_SEED', { err: error }));
+  });
+
+  // Al terminar el proceso: darse de baja del registro y cerrar el servidor
+  const shutdown = (signal) => {
+    log.info('Deteniendo el microservicio', { signal });
+    setTimeout(() => process.exit(0), 10000).unref();
+    registryClient.stop()
+      .catch(error => log.warn('No se pudo dar de baja la instancia', { err: error }))
+      .finally(() => server.close(() => process.exit(0)));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
 
 // Exportar app para testing
 module.exports = app;
@@ -0,0 +1,124 @@
+const swaggerDefinition = {
+  openapi: '3.0.0',
+  info: {
+    title: 'Microservicio de Usuarios API',
+    version: '1.0.0',
+    description: 'API para gestión de usuarios y autenticación con patrones de diseño',
+    contact: {
+      name: 'Sistema de Microservicios',
+      email: 'admin@universidad.edu'
+    }
+  },
+  servers: [
+    {
+      url: 'http://localhost:3001',
+      description: 'Servidor de desarrollo'
+    }
+  ],
+  components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT'
+      },
+      apiKeyAuth: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key'
+      },
+      serviceAuth: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Service-Signature',
+        description: 'Identidad firmada entre servicios (shared/ServiceAuth.js): X-Service-Name, X-Service-Timestamp, X-Service-Nonce y X-Service-Signature (HMAC-SHA256)'
+      }
+    },
+    schemas: {
+      Usuario: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            description: 'ID único del usuario'
+          },
+          nombre: {
+            type: 'string',
+            description: 'Nombre completo'
+          },
+          email: {
+            type: 'string',
+            format: 'email',
+            description: 'Correo electrónico'
+          },
+          rol: {
+            type: 'string',
+            description: 'Rol del usuario (Alumno, Admin, ...)'
+          }
+        }
+      },
+      ApiKey: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string'
+          },
+          nombre: {
+            type: 'string'
+          },
+          prefijo: {
+            type: 'string',
+            description: 'Identifica la clave sin revelarla (ak_<prefijo>_...)'
+          },
+          scopes: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Alcances "MÉTODO /path"'
+          },
+          tenants: {
+            type: 'array',
+            items: { type: 'string' }
+          },
+          expiresAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          revokedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          usos: {
+            type: 'integer',
+            description: 'Peticiones atendidas con la clave'
+          },
+          ultimoUso: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          }
+        }
+      },
+      Error: {
+        type: 'object',
+        properties: {
+          error: {
+            type: 'string',
+            description: 'Mensaje de error'
+          },
+          details: {
+            type: 'string',
+            description: 'Detalles adicionales del error'
+          }
+        }
+      }
+    }
+  },
+  security: [
+    {
+      bearerAuth: []
+    }
+  ]
+};
+
+module.exports = swaggerDefinition;
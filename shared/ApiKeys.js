@@ -0,0 +1,136 @@
+/**
+ * API Keys - ApiKeys
+ *
+ * Formato, hash y alcance de las API keys para integraciones entre servicios y de terceros.
+ * Usuarios las emite (solo guarda el hash) y el gateway las acepta en el header X-API-Key.
+ * Formato: ak_<prefijo>_<secreto>; el prefijo identifica la clave sin revelarla
+ */
+
+const crypto = require('crypto');
+
+// Header con el que los clientes presentan la clave
+const API_KEY_HEADER = 'x-api-key';
+
+// Evento publicado al revocar una clave ({ id, prefijo })
+const API_KEY_REVOKED_EVENT = 'apikey.revocada';
+
+const API_KEY_PATTERN = /^ak_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+
+/**
+ * Error de una API key inválida, vencida, revocada o fuera de alcance
+ */
+class ApiKeyError extends Error {
+  /**
+   * @param {string} message - Mensaje
+   * @param {string} [code='API_KEY_INVALID'] - API_KEY_INVALID | API_KEY_EXPIRED | API_KEY_REVOKED | API_KEY_SCOPE | API_KEY_TENANT
+   */
+  constructor(message, code = 'API_KEY_INVALID') {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.code = code;
+  }
+}
+
+/**
+ * Generar una API key nueva
+ * @returns {{apiKey: string, prefijo: string, keyHash: string}} La clave en claro solo se entrega una vez
+ */
+function generateApiKey() {
+  const prefijo = crypto.randomBytes(6).toString('hex');
+  const apiKey = `ak_${prefijo}_${crypto.randomBytes(32).toString('base64url')}`;
+  return { apiKey, prefijo, keyHash: hashApiKey(apiKey) };
+}
+
+/**
+ * Hash con el que se guarda y se compara una clave
+ * @param {string} apiKey - Clave en claro
+ * @returns {string} SHA-256 en hexadecimal
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Prefijo de una clave con formato válido
+ * @param {string} apiKey - Clave en claro
+ * @returns {string|null} Prefijo, o null si el formato no es válido
+ */
+function parseApiKey(apiKey) {
+  const match = typeof apiKey === 'string' && apiKey.match(API_KEY_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Comparar una clave con el hash guardado en tiempo constante
+ * @param {string} apiKey - Clave en claro
+ * @param {string} keyHash - Hash guardado
+ * @returns {boolean}
+ */
+function verifyApiKeyHash(apiKey, keyHash) {
+  const expected = Buffer.from(keyHash || '', 'hex');
+  const actual = Buffer.from(hashApiKey(apiKey), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Validar los alcances de una clave
+ * Cada alcance es "MÉTODO /path" o "/path" (todos los métodos); el path admite `:param` y `*` final
+ * @param {Array<string>} scopes - Alcances
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ApiKeyError('scopes debe ser una lista con al menos un alcance ("GET /api/pagos/*")', 'API_KEY_SCOPE');
+  }
+  scopes.forEach(scope => {
+    if (!parseScope(scope)) {
+      throw new ApiKeyError(`Alcance inválido: '${scope}' (usar "MÉTODO /path" o "/path")`, 'API_KEY_SCOPE');
+    }
+  });
+}
+
+/**
+ * Separar método y path de un alcance
+ * @param {string} scope - "GET /api/pagos/*"
+ * @returns {{method: string, segments: Array<string>}|null}
+ */
+function parseScope(scope) {
+  const match = typeof scope === 'string' && scope.trim().match(/^(?:([A-Za-z]+|\*)\s+)?(\/\S*)$/);
+  if (!match) return null;
+  return { method: (match[1] || '*').toUpperCase(), segments: match[2].split('/').filter(Boolean) };
+}
+
+/**
+ * Verificar si alguno de los alcances permite la petición
+ * @param {Array<string>} scopes - Alcances de la clave
+ * @param {string} method - Método HTTP
+ * @param {string} path - Path de la petición
+ * @returns {boolean}
+ */
+function matchesScope(scopes, method, path) {
+  const pathSegments = path.split('?')[0].split('/').filter(Boolean);
+
+  return (scopes || []).some(scope => {
+    const parsed = parseScope(scope);
+    if (!parsed || (parsed.method !== '*' && parsed.method !== method.toUpperCase())) return false;
+
+    for (let i = 0; i < parsed.segments.length; i++) {
+      const segment = parsed.segments[i];
+      if (segment === '*') return true;
+      if (i >= pathSegments.length) return false;
+      if (!segment.startsWith(':') && segment !== pathSegments[i]) return false;
+    }
+    return parsed.segments.length === pathSegments.length;
+  });
+}
+
+module.exports = {
+  ApiKeyError,
+  generateApiKey,
+  hashApiKey,
+  parseApiKey,
+  verifyApiKeyHash,
+  validateScopes,
+  matchesScope,
+  API_KEY_HEADER,
+  API_KEY_REVOKED_EVENT
+};
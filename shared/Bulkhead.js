@@ -0,0 +1,269 @@
+/**
+ * Bulkhead Pattern - Bulkhead
+ *
+ * Aísla los recursos consumidos por cada dependencia: limita las llamadas concurrentes
+ * y la cola de espera, de modo que un servicio lento no agote la capacidad de los demás
+ */
+
+const { logger } = require('./Logger');
+
+const log = logger.child({ module: 'Bulkhead' });
+
+const DEFAULT_OPTIONS = {
+  maxConcurrent: 20,
+  maxQueue: 50,
+  queueTimeout: 1000 // 1 segundo
+};
+
+class Bulkhead {
+  /**
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.name='default'] - Nombre (normalmente el del servicio)
+   * @param {number} [options.maxConcurrent=20] - Llamadas simultáneas permitidas
+   * @param {number} [options.maxQueue=50] - Llamadas que pueden esperar turno (0 = sin cola)
+   * @param {number} [options.queueTimeout=1000] - Espera máxima en la cola en ms
+   */
+  constructor(options = {}) {
+    Bulkhead.validate(options);
+    this.name = options.name || 'default';
+    this.maxConcurrent = options.maxConcurrent ?? DEFAULT_OPTIONS.maxConcurrent;
+    this.maxQueue = options.maxQueue ?? DEFAULT_OPTIONS.maxQueue;
+    this.queueTimeout = options.queueTimeout ?? DEFAULT_OPTIONS.queueTimeout;
+
+    this.active = 0;
+    this.queue = [];
+
+    // Métricas
+    this.metrics = {
+      accepted: 0,
+      queued: 0,
+      rejected: 0,
+      queueTimeouts: 0,
+      maxActive: 0
+    };
+
+    log.debug('Bulkhead inicializado', { bulkhead: this.name, maxConcurrent: this.maxConcurrent, maxQueue: this.maxQueue });
+  }
+
+  /**
+   * Validar opciones de un Bulkhead
+   * @param {Object} [options] - Opciones
+   * @param {string} [context] - Dónde están declaradas (para el mensaje de error)
+   */
+  static validate(options, context = 'bulkhead') {
+    if (!options) return;
+
+    if (options.maxConcurrent !== undefined && !(Number.isInteger(options.maxConcurrent) && options.maxConcurrent > 0)) {
+      throw new Error(`${context}.maxConcurrent inválido: debe ser un entero positivo`);
+    }
+    ['maxQueue', 'queueTimeout'].forEach(field => {
+      const value = options[field];
+      if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+        throw new Error(`${context}.${field} inválido: debe ser un entero mayor o igual a 0`);
+      }
+    });
+  }
+
+  /**
+   * Ejecutar función dentro del Bulkhead
+   * Si no hay capacidad la llamada espera en la cola; si la cola está llena o la espera
+   * vence se rechaza con BulkheadFullError
+   * @param {Function} fn - Función a ejecutar
+   * @param {Array} args - Argumentos para la función
+   * @returns {Promise} Resultado de la función
+   */
+  async execute(fn, ...args) {
+    await this.acquire();
+
+    try {
+      return await fn(...args);
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  /**
+   * Obtener un lugar de ejecución (inmediato o tras esperar en la cola)
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    if (this.active < this.maxConcurrent) {
+      this.occupy();
+      return Promise.resolve();
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      this.metrics.rejected++;
+      log.warn('Bulkhead lleno, llamada rechazada', { bulkhead: this.name, active: this.active, queued: this.queue.length });
+      return Promise.reject(new BulkheadFullError(
+        `Bulkhead '${this.name}' is full (${this.active} active, ${this.queue.length} queued)`,
+        'capacity'
+      ));
+    }
+
+    this.metrics.queued++;
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      waiter.timer = setTimeout(() => {
+        this.queue = this.queue.filter(item => item !== waiter);
+        this.metrics.queueTimeouts++;
+        this.metrics.rejected++;
+        log.warn('Tiempo de espera agotado en la cola del Bulkhead', { bulkhead: this.name, queueTimeout: this.queueTimeout });
+        reject(new BulkheadFullError(
+          `Bulkhead '${this.name}' queue timeout after ${this.queueTimeout}ms`,
+          'queue_timeout'
+        ));
+      }, this.queueTimeout);
+      this.queue.push(waiter);
+    });
+  }
+
+  /**
+   * Registrar una llamada en ejecución
+   */
+  occupy() {
+    this.active++;
+    this.metrics.accepted++;
+    this.metrics.maxActive = Math.max(this.metrics.maxActive, this.active);
+  }
+
+  /**
+   * Liberar un lugar y dar paso a las llamadas en cola
+   */
+  releaseSlot() {
+    this.active--;
+    this.drain();
+  }
+
+  /**
+   * Pasar a ejecución las llamadas en cola mientras haya capacidad
+   */
+  drain() {
+    while (this.queue.length && this.active < this.maxConcurrent) {
+      const waiter = this.queue.shift();
+      clearTimeout(waiter.timer);
+      this.occupy();
+      waiter.resolve();
+    }
+  }
+
+  /**
+   * Cambiar los límites en tiempo de ejecución
+   * Las llamadas en curso no se interrumpen; si sobra capacidad se atiende la cola
+   * @param {Object} options - { maxConcurrent, maxQueue, queueTimeout }
+   */
+  update(options = {}) {
+    Bulkhead.validate(options, `bulkhead '${this.name}'`);
+    ['maxConcurrent', 'maxQueue', 'queueTimeout'].forEach(field => {
+      if (options[field] !== undefined) this[field] = options[field];
+    });
+    this.drain();
+    log.info('Límites del Bulkhead actualizados', { bulkhead: this.name, maxConcurrent: this.maxConcurrent, maxQueue: this.maxQueue });
+  }
+
+  /**
+   * Obtener estado actual
+   * @returns {Object} Estado
+   */
+  getState() {
+    return {
+      name: this.name,
+      active: this.active,
+      queued: this.queue.length,
+      maxConcurrent: this.maxConcurrent,
+      maxQueue: this.maxQueue,
+      queueTimeout: this.queueTimeout,
+      utilization: Number((this.active / this.maxConcurrent).toFixed(2)),
+      metrics: { ...this.metrics }
+    };
+  }
+}
+
+/**
+ * Error cuando el Bulkhead no tiene capacidad
+ */
+class BulkheadFullError extends Error {
+  /**
+   * @param {string} message - Mensaje
+   * @param {string} reason - capacity (cola llena) o queue_timeout (espera vencida)
+   */
+  constructor(message, reason) {
+    super(message);
+    this.name = 'BulkheadFullError';
+    this.code = 'BULKHEAD_FULL';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Manager de Bulkheads
+ */
+class BulkheadManager {
+  /**
+   * @param {Object} [defaults] - Opciones por defecto de los Bulkheads creados
+   */
+  constructor(defaults = {}) {
+    Bulkhead.validate(defaults);
+    this.defaults = defaults;
+    this.bulkheads = new Map();
+  }
+
+  /**
+   * Crear u obtener Bulkhead
+   * @param {string} name - Nombre del Bulkhead
+   * @param {Object} options - Opciones (sobre las opciones por defecto)
+   * @returns {Bulkhead} Bulkhead
+   */
+  getBulkhead(name, options = {}) {
+    if (!this.bulkheads.has(name)) {
+      this.bulkheads.set(name, new Bulkhead({ ...this.defaults, ...options, name }));
+      log.debug('Bulkhead creado', { bulkhead: name });
+    }
+
+    return this.bulkheads.get(name);
+  }
+
+  /**
+   * Eliminar un Bulkhead
+   * @param {string} name - Nombre del Bulkhead
+   * @returns {boolean} true si existía
+   */
+  remove(name) {
+    return this.bulkheads.delete(name);
+  }
+
+  /**
+   * Obtener todos los Bulkheads
+   * @returns {Map} Bulkheads
+   */
+  getAllBulkheads() {
+    return this.bulkheads;
+  }
+
+  /**
+   * Obtener estado de todos los Bulkheads
+   * @returns {Array} Estados
+   */
+  getAllStates() {
+    return Array.from(this.bulkheads.values()).map(bulkhead => bulkhead.getState());
+  }
+
+  /**
+   * Obtener información del manager
+   * @returns {Object} Información
+   */
+  getInfo() {
+    return {
+      pattern: 'Bulkhead Pattern',
+      version: '1.0.0',
+      totalBulkheads: this.bulkheads.size,
+      bulkheads: Array.from(this.bulkheads.keys())
+    };
+  }
+}
+
+module.exports = {
+  Bulkhead,
+  BulkheadManager,
+  BulkheadFullError
+};
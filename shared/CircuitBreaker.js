@@ -5,6 +5,10 @@
  * Estados: CLOSED, OPEN, HALF_OPEN
  */
 
+const { logger } = require('./Logger');
+
+const log = logger.child({ module: 'CircuitBreaker' });
+
 class CircuitBreaker {
   constructor(options = {}) {
     this.name = options.name || 'default';
@@ -20,6 +24,8 @@ class CircuitBreaker {
     this.lastFailureTime = null;
     this.lastSuccessTime = null;
     this.nextAttemptTime = null;
+    // Estado fijado manualmente (forceOpen/forceClosed); ignora los umbrales hasta release() o reset()
+    this.forcedState = null;
     
     // Métricas
     this.metrics = {
@@ -36,7 +42,7 @@ class CircuitBreaker {
     this.onFailure = options.onFailure || null;
     this.onSuccess = options.onSuccess || null;
     
-    console.log(`🔒 Circuit Breaker '${this.name}' inicializado`);
+    log.debug('Circuit Breaker inicializado', { breaker: this.name });
   }
 
   /**
@@ -46,6 +52,18 @@ class CircuitBreaker {
    * @returns {Promise} Resultado de la función
    */
   async execute(fn, ...args) {
+    return await this.executeWithin(this.timeout, fn, ...args);
+  }
+
+  /**
+   * Ejecutar función con protección del Circuit Breaker y un timeout propio de la llamada
+   * (por ejemplo el de una ruta, que puede ser mayor que el del servicio)
+   * @param {number} timeout - Timeout de la llamada en ms
+   * @param {Function} fn - Función a ejecutar
+   * @param {Array} args - Argumentos para la función
+   * @returns {Promise} Resultado de la función
+   */
+  async executeWithin(timeout, fn, ...args) {
     this.metrics.totalRequests++;
     
     // Verificar estado del Circuit Breaker
@@ -61,28 +79,29 @@ class CircuitBreaker {
     
     try {
       // Ejecutar función con timeout
-      const result = await this.executeWithTimeout(fn, ...args);
-      this.onSuccess(result);
+      const result = await this.executeWithTimeout(timeout, fn, ...args);
+      if (this.onSuccess) this.onSuccess(result);
       return result;
     } catch (error) {
-      this.onFailure(error);
+      if (this.onFailure) this.onFailure(error);
       throw error;
     }
   }
 
   /**
    * Ejecutar función con timeout
+   * @param {number} timeout - Timeout en ms
    * @param {Function} fn - Función a ejecutar
    * @param {Array} args - Argumentos
    * @returns {Promise} Resultado
    */
-  async executeWithTimeout(fn, ...args) {
+  async executeWithTimeout(timeout, fn, ...args) {
     return new Promise((resolve, reject) => {
       const timer = setTimeout(() => {
         reject(new CircuitBreakerTimeoutError(
-          `Circuit Breaker '${this.name}' timeout after ${this.timeout}ms`
+          `Circuit Breaker '${this.name}' timeout after ${timeout}ms`
         ));
-      }, this.timeout);
+      }, timeout);
       
       Promise.resolve(fn(...args))
         .then(result => {
@@ -111,7 +130,7 @@ class CircuitBreaker {
       this.setState('CLOSED');
     }
     
-    console.log(`✅ Circuit Breaker '${this.name}': Success recorded`);
+    log.trace('Éxito registrado', { breaker: this.name });
   }
 
   /**
@@ -122,11 +141,11 @@ class CircuitBreaker {
     this.lastFailureTime = new Date();
     this.metrics.failedRequests++;
     
-    if (this.failures >= this.failureThreshold) {
+    if (this.failures >= this.failureThreshold && this.forcedState !== 'CLOSED') {
       this.setState('OPEN');
     }
     
-    console.log(`❌ Circuit Breaker '${this.name}': Failure recorded (${this.failures}/${this.failureThreshold})`);
+    log.debug('Fallo registrado', { breaker: this.name, failures: this.failures, failureThreshold: this.failureThreshold });
   }
 
   /**
@@ -134,7 +153,7 @@ class CircuitBreaker {
    * @returns {boolean}
    */
   shouldAttemptReset() {
-    if (!this.nextAttemptTime) return false;
+    if (this.forcedState === 'OPEN' || !this.nextAttemptTime) return false;
     return new Date() >= this.nextAttemptTime;
   }
 
@@ -153,19 +172,19 @@ class CircuitBreaker {
       case 'OPEN':
         this.nextAttemptTime = new Date(Date.now() + this.resetTimeout);
         this.metrics.circuitOpenCount++;
-        console.log(`🔴 Circuit Breaker '${this.name}': OPEN (failures: ${this.failures})`);
+        log.warn('Circuit Breaker abierto', { breaker: this.name, state: 'OPEN', failures: this.failures });
         break;
         
       case 'HALF_OPEN':
         this.nextAttemptTime = null;
-        console.log(`🟡 Circuit Breaker '${this.name}': HALF_OPEN (testing recovery)`);
+        log.info('Circuit Breaker semiabierto, probando recuperación', { breaker: this.name, state: 'HALF_OPEN' });
         break;
         
       case 'CLOSED':
         this.nextAttemptTime = null;
         this.failures = 0;
         this.metrics.circuitCloseCount++;
-        console.log(`🟢 Circuit Breaker '${this.name}': CLOSED (healthy)`);
+        log.info('Circuit Breaker cerrado', { breaker: this.name, state: 'CLOSED' });
         break;
     }
     
@@ -188,6 +207,7 @@ class CircuitBreaker {
       lastFailureTime: this.lastFailureTime,
       lastSuccessTime: this.lastSuccessTime,
       nextAttemptTime: this.nextAttemptTime,
+      forced: this.forcedState,
       metrics: this.metrics
     };
   }
@@ -224,24 +244,46 @@ class CircuitBreaker {
     this.lastFailureTime = null;
     this.lastSuccessTime = null;
     this.nextAttemptTime = null;
+    this.forcedState = null;
     this.setState('CLOSED');
-    console.log(`🔄 Circuit Breaker '${this.name}': Reset to CLOSED`);
+    log.info('Circuit Breaker reseteado', { breaker: this.name, state: 'CLOSED' });
   }
 
   /**
    * Forzar estado OPEN
+   * El circuito no pasa a HALF_OPEN por tiempo: se mantiene abierto hasta release() o reset()
    */
   forceOpen() {
+    this.forcedState = 'OPEN';
     this.setState('OPEN');
-    console.log(`🔴 Circuit Breaker '${this.name}': Forced to OPEN`);
+    log.warn('Circuit Breaker forzado a OPEN', { breaker: this.name, state: 'OPEN' });
   }
 
   /**
    * Forzar estado CLOSED
+   * Los fallos se siguen contando pero no abren el circuito hasta release() o reset()
    */
   forceClosed() {
+    this.forcedState = 'CLOSED';
     this.setState('CLOSED');
-    console.log(`🟢 Circuit Breaker '${this.name}': Forced to CLOSED`);
+    log.info('Circuit Breaker forzado a CLOSED', { breaker: this.name, state: 'CLOSED' });
+  }
+
+  /**
+   * Liberar un estado forzado y volver a operar por umbrales
+   * Un circuito forzado a OPEN intenta la recuperación en la siguiente petición (HALF_OPEN)
+   */
+  release() {
+    if (!this.forcedState) return;
+
+    const forced = this.forcedState;
+    this.forcedState = null;
+    if (forced === 'OPEN') {
+      this.nextAttemptTime = new Date();
+    } else if (this.failures >= this.failureThreshold) {
+      this.setState('OPEN');
+    }
+    log.info('Estado forzado del Circuit Breaker liberado', { breaker: this.name, state: this.state });
   }
 }
 
@@ -292,7 +334,7 @@ class CircuitBreakerManager {
       const breaker = new CircuitBreaker({ name, ...options });
       this.breakers.set(name, breaker);
       this.updateGlobalMetrics();
-      console.log(`🔒 Circuit Breaker Manager: Created '${name}'`);
+      log.debug('Circuit Breaker creado', { breaker: name });
     }
     
     return this.breakers.get(name);
@@ -356,7 +398,7 @@ class CircuitBreakerManager {
    */
   resetAll() {
     this.breakers.forEach(breaker => breaker.reset());
-    console.log(`🔄 Circuit Breaker Manager: Reset all breakers`);
+    log.info('Todos los Circuit Breakers reseteados');
   }
 
   /**
@@ -6,6 +6,9 @@
  */
 
 const admin = require('firebase-admin');
+const { logger } = require('./Logger');
+
+const log = logger.child({ module: 'DatabaseFactory' });
 
 class DatabaseFactory {
   /**
@@ -15,14 +18,14 @@ class DatabaseFactory {
    * @returns {Object} Conexión de base de datos
    */
   static createConnection(serviceName, options = {}) {
-    console.log(`🏭 Factory Method: Creando conexión para ${serviceName}`);
+    log.debug('Creando conexión de base de datos', { database: serviceName });
     
     // Verificar si Firebase está configurado
     if (this.isFirebaseConfigured()) {
-      console.log(`✅ Firebase configurado para ${serviceName}`);
+      log.info('Usando Firebase', { database: serviceName });
       return new FirebaseConnection(serviceName, options);
     } else {
-      console.log(`🧠 Usando conexión en memoria para ${serviceName}`);
+      log.info('Usando conexión en memoria', { database: serviceName });
       return new MemoryConnection(serviceName, options);
     }
   }
@@ -82,9 +85,9 @@ class FirebaseConnection {
         });
       }
       this.db = admin.firestore();
-      console.log(`✅ Firebase inicializado para ${this.serviceName}`);
+      log.info('Firebase inicializado', { database: this.serviceName });
     } catch (error) {
-      console.error(`❌ Error inicializando Firebase para ${this.serviceName}:`, error);
+      log.error('Error inicializando Firebase', { database: this.serviceName, err: error });
       throw error;
     }
   }
@@ -108,6 +111,15 @@ class FirebaseConnection {
     return this.db.collection(collection).doc(docId);
   }
 
+  /**
+   * Ejecutar una transacción de Firestore (se reintenta si otro cliente modificó lo leído)
+   * @param {Function} updateFunction - async (transaction) => resultado
+   * @returns {Promise<*>} Resultado de updateFunction
+   */
+  runTransaction(updateFunction) {
+    return this.db.runTransaction(updateFunction);
+  }
+
   /**
    * Verificar si la conexión está activa
    * @returns {boolean}
@@ -138,11 +150,12 @@ class MemoryConnection {
     this.options = options;
     this.data = new Map();
     this.collections = new Map();
+    this.transactionQueue = Promise.resolve();
     this.initialize();
   }
 
   initialize() {
-    console.log(`🧠 Inicializando conexión en memoria para ${this.serviceName}`);
+    log.debug('Inicializando conexión en memoria', { database: this.serviceName });
     this.setupDefaultData();
   }
 
@@ -219,6 +232,34 @@ class MemoryConnection {
     return coll.doc(docId);
   }
 
+  /**
+   * Ejecutar una transacción (simula Firestore)
+   * Las transacciones se ejecutan de a una y las escrituras se aplican al final
+   * @param {Function} updateFunction - async (transaction) => resultado
+   * @returns {Promise<*>} Resultado de updateFunction
+   */
+  runTransaction(updateFunction) {
+    const run = this.transactionQueue.then(async () => {
+      const writes = [];
+      const transaction = {
+        get: ref => ref.get(),
+        update: (ref, changes) => {
+          writes.push(() => ref.update(changes));
+          return transaction;
+        }
+      };
+
+      const result = await updateFunction(transaction);
+      for (const write of writes) {
+        await write();
+      }
+      return result;
+    });
+    // Una transacción fallida no bloquea las siguientes
+    this.transactionQueue = run.catch(() => {});
+    return run;
+  }
+
   /**
    * Verificar si la conexión está activa
    * @returns {boolean}
@@ -290,6 +331,14 @@ class MemoryCollection {
           id: id,
           data: () => doc
         };
+      },
+      // Igual que Firestore: falla si el documento no existe
+      update: async (changes) => {
+        const doc = this.data.find(d => d.id === id);
+        if (!doc) {
+          throw new Error(`Documento ${this.name}/${id} no encontrado`);
+        }
+        Object.assign(doc, changes);
       }
     };
   }
@@ -5,12 +5,19 @@
  * Permite desacoplamiento y notificaciones en tiempo real
  */
 
+const { getCurrentContext } = require('./Tracing');
+const { logger } = require('./Logger');
+
+const log = logger.child({ module: 'EventManager' });
+
 class EventManager {
   constructor() {
     this.observers = new Map();
     this.eventHistory = [];
     this.maxHistorySize = 1000;
-    console.log('👁️ Observer Pattern: EventManager inicializado');
+    // Contadores acumulados por tipo; no se pierden al recortar el historial
+    this.counters = { published: {}, observerErrors: {} };
+    log.debug('EventManager inicializado');
   }
 
   /**
@@ -24,7 +31,7 @@ class EventManager {
     }
     
     this.observers.get(eventType).push(observer);
-    console.log(`👁️ Observer suscrito a evento: ${eventType} - ${observer.constructor.name}`);
+    log.debug('Observer suscrito', { eventType, observer: observer.constructor.name });
   }
 
   /**
@@ -40,7 +47,7 @@ class EventManager {
     
     if (index > -1) {
       observers.splice(index, 1);
-      console.log(`👁️ Observer desuscrito de evento: ${eventType} - ${observer.constructor.name}`);
+      log.debug('Observer desuscrito', { eventType, observer: observer.constructor.name });
     }
   }
 
@@ -48,35 +55,48 @@ class EventManager {
    * Notificar a todos los observers de un evento
    * @param {string} eventType - Tipo de evento
    * @param {Object} eventData - Datos del evento
+   * @param {Object} [metadata] - Metadatos del evento; incluye la traza activa (traceId, spanId, traceparent)
    */
-  async notify(eventType, eventData) {
-    console.log(`📢 Notificando evento: ${eventType}`, eventData);
+  async notify(eventType, eventData, metadata = {}) {
+    log.info('Notificando evento', { eventType, data: eventData });
     
+    const traceContext = getCurrentContext();
     const event = {
       id: this.generateEventId(),
       type: eventType,
       data: eventData,
       timestamp: new Date().toISOString(),
-      source: eventData.source || 'unknown'
+      source: eventData.source || 'unknown',
+      metadata: {
+        ...(traceContext ? {
+          traceId: traceContext.traceId,
+          spanId: traceContext.spanId,
+          traceparent: traceContext.traceparent,
+          requestId: traceContext.requestId
+        } : {}),
+        ...metadata
+      }
     };
 
     // Agregar a historial
     this.addToHistory(event);
+    this.counters.published[eventType] = (this.counters.published[eventType] || 0) + 1;
 
     // Notificar a observers
     const observers = this.observers.get(eventType) || [];
     const notifications = observers.map(async (observer) => {
       try {
         await observer.update(event);
-        console.log(`✅ Observer notificado: ${observer.constructor.name} - ${eventType}`);
+        log.trace('Observer notificado', { eventType, observer: observer.constructor.name });
       } catch (error) {
-        console.error(`❌ Error notificando observer: ${observer.constructor.name}`, error);
+        this.counters.observerErrors[eventType] = (this.counters.observerErrors[eventType] || 0) + 1;
+        log.error('Error notificando observer', { eventType, observer: observer.constructor.name, err: error });
       }
     });
 
     await Promise.all(notifications);
     
-    console.log(`📢 Evento ${eventType} notificado a ${observers.length} observers`);
+    log.debug('Evento notificado', { eventType, eventId: event.id, observers: observers.length });
   }
 
   /**
@@ -130,6 +150,7 @@ class EventManager {
 
     return {
       totalEvents: this.eventHistory.length,
+      totalPublished: Object.values(this.counters.published).reduce((sum, count) => sum + count, 0),
       eventTypes: eventTypes,
       eventCounts: eventCounts,
       observersCount: Array.from(this.observers.values()).reduce((sum, obs) => sum + obs.length, 0),
@@ -137,6 +158,17 @@ class EventManager {
     };
   }
 
+  /**
+   * Obtener los contadores acumulados desde el arranque
+   * @returns {{published: Object, observerErrors: Object}} Conteos por tipo de evento
+   */
+  getCounters() {
+    return {
+      published: { ...this.counters.published },
+      observerErrors: { ...this.counters.observerErrors }
+    };
+  }
+
   /**
    * Limpiar historial de eventos
    * @param {number} maxAge - Edad máxima en ms
@@ -179,7 +211,7 @@ class Observer {
    */
   async update(event) {
     this.lastUpdate = new Date().toISOString();
-    console.log(`👁️ ${this.name} recibió evento: ${event.type}`);
+    log.trace('Observer recibió evento', { observer: this.name, eventType: event.type });
   }
 
   /**
@@ -216,7 +248,7 @@ class EventLogger extends Observer {
     };
     
     this.logs.push(logEntry);
-    console.log(`📝 EventLogger: Registrado evento ${event.type} de ${event.source}`);
+    log.debug('EventLogger: evento registrado', { eventType: event.type, source: event.source });
   }
 
   getLogs(limit = 100) {
@@ -240,7 +272,7 @@ class NotificationObserver extends Observer {
     const notification = this.generateNotification(event);
     if (notification) {
       this.notifications.push(notification);
-      console.log(`🔔 Notificación generada: ${notification.title}`);
+      log.debug('Notificación generada', { title: notification.title });
     }
   }
 
@@ -278,9 +310,14 @@ class NotificationObserver extends Observer {
  * Observer para Auditoría
  */
 class AuditObserver extends Observer {
-  constructor() {
+  /**
+   * @param {Object} [options] - Opciones
+   * @param {number} [options.maxEntries=1000] - Entradas conservadas en memoria
+   */
+  constructor(options = {}) {
     super('AuditObserver');
     this.auditLog = [];
+    this.maxEntries = options.maxEntries || 1000;
   }
 
   async update(event) {
@@ -293,21 +330,34 @@ class AuditObserver extends Observer {
       source: event.source,
       action: this.getActionFromEvent(event),
       details: event.data,
-      severity: this.getSeverityFromEvent(event)
+      severity: this.getSeverityFromEvent(event),
+      traceId: event.metadata?.traceId
     };
     
     this.auditLog.push(auditEntry);
-    console.log(`🔍 AuditObserver: Registrado ${auditEntry.action} de ${event.source}`);
+    if (this.auditLog.length > this.maxEntries) {
+      this.auditLog.shift();
+    }
+    log.debug('AuditObserver: acción registrada', { action: auditEntry.action, source: event.source });
   }
 
   getActionFromEvent(event) {
     const actions = {
       'usuario.registrado': 'USER_REGISTRATION',
       'usuario.login': 'USER_LOGIN',
+      'usuario.logout': 'USER_LOGOUT',
+      'token.revocado': 'TOKEN_REVOKED',
+      'usuario.email.verificado': 'EMAIL_VERIFIED',
+      'password.reset.solicitado': 'PASSWORD_RESET_REQUESTED',
+      'password.restablecido': 'PASSWORD_RESET',
+      'apikey.creada': 'API_KEY_CREATED',
+      'apikey.revocada': 'API_KEY_REVOKED',
+      'usuario.rol.actualizado': 'ROLE_CHANGED',
       'pago.procesado': 'PAYMENT_PROCESSED',
       'pago.cancelado': 'PAYMENT_CANCELLED',
       'concepto.creado': 'CONCEPT_CREATED',
-      'concepto.actualizado': 'CONCEPT_UPDATED'
+      'concepto.actualizado': 'CONCEPT_UPDATED',
+      'gateway.configuracion.actualizada': 'GATEWAY_CONFIG_CHANGED'
     };
     
     return actions[event.type] || 'UNKNOWN_ACTION';
@@ -317,10 +367,19 @@ class AuditObserver extends Observer {
     const severities = {
       'usuario.registrado': 'INFO',
       'usuario.login': 'INFO',
+      'usuario.logout': 'INFO',
+      'token.revocado': 'MEDIUM',
+      'usuario.email.verificado': 'INFO',
+      'password.reset.solicitado': 'MEDIUM',
+      'password.restablecido': 'HIGH',
+      'apikey.creada': 'HIGH',
+      'apikey.revocada': 'HIGH',
+      'usuario.rol.actualizado': 'HIGH',
       'pago.procesado': 'HIGH',
       'pago.cancelado': 'MEDIUM',
       'concepto.creado': 'INFO',
-      'concepto.actualizado': 'INFO'
+      'concepto.actualizado': 'INFO',
+      'gateway.configuracion.actualizada': 'HIGH'
     };
     
     return severities[event.type] || 'LOW';
@@ -331,12 +390,83 @@ class AuditObserver extends Observer {
   }
 }
 
+/**
+ * Observer que reenvía eventos al API Gateway (POST /events)
+ * Permite que el gateway reaccione a eventos de los microservicios (p. ej. invalidar caché)
+ */
+class EventForwarder extends Observer {
+  /**
+   * @param {Object} options - Opciones
+   * @param {string} [options.gatewayUrl] - URL del gateway (GATEWAY_URL por defecto)
+   * @param {number} [options.timeout=2000] - Timeout por envío en ms
+   * @param {ServiceAuth} [options.serviceAuth] - Identidad del servicio; el gateway rechaza eventos sin firma
+   */
+  constructor(options = {}) {
+    super('EventForwarder');
+    this.gatewayUrl = (options.gatewayUrl || process.env.GATEWAY_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    this.timeout = options.timeout || 2000;
+    this.serviceAuth = options.serviceAuth || null;
+    this.forwarded = 0;
+    this.failed = 0;
+  }
+
+  async update(event) {
+    await super.update(event);
+
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (event.metadata?.traceparent) {
+        // Continuar la traza del evento en el gateway
+        headers.traceparent = event.metadata.traceparent;
+      }
+
+      const body = JSON.stringify({
+        id: event.id,
+        type: event.type,
+        data: event.data,
+        source: event.source,
+        timestamp: event.timestamp,
+        metadata: event.metadata
+      });
+      if (this.serviceAuth) {
+        Object.assign(headers, this.serviceAuth.sign({ method: 'POST', path: '/events', body }));
+      }
+
+      const response = await fetch(`${this.gatewayUrl}/events`, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      this.forwarded++;
+    } catch (error) {
+      // El gateway no disponible no debe afectar al flujo del microservicio
+      this.failed++;
+      log.error('EventForwarder: no se pudo reenviar el evento al gateway', { eventType: event.type, gatewayUrl: this.gatewayUrl, err: error });
+    }
+  }
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      gatewayUrl: this.gatewayUrl,
+      forwarded: this.forwarded,
+      failed: this.failed
+    };
+  }
+}
+
 module.exports = {
   EventManager,
   Observer,
   EventLogger,
   NotificationObserver,
-  AuditObserver
+  AuditObserver,
+  EventForwarder
 };
 
 
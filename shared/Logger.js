@@ -0,0 +1,251 @@
+/**
+ * Observability - Logger
+ *
+ * Logging estructurado en JSON (una línea por entrada) con niveles, loggers hijos por módulo,
+ * contexto de la petición (traceId, requestId, userId) y redacción automática de datos sensibles
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { getCurrentContext } = require('./Tracing');
+
+const LEVELS = { trace: 10, debug: 20, info: 30, warn: 40, error: 50, fatal: 60, silent: Infinity };
+
+// Campos cuyo valor nunca se escribe (comparación sin mayúsculas ni separadores)
+const DEFAULT_REDACT_KEYS = [
+  'contraseña', 'contrasena', 'password', 'passwd', 'authorization', 'cookie', 'setcookie',
+  'token', 'accesstoken', 'refreshtoken', 'idtoken', 'jwt', 'secret', 'clientsecret',
+  'apikey', 'xapikey', 'privatekey', 'signature', 'xsignature'
+];
+
+const REDACTED = '[REDACTED]';
+const JWT_PATTERN = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+const BEARER_PATTERN = /\b(Bearer|Basic)\s+[\w\-.~+/=]+/gi;
+const MAX_DEPTH = 8;
+
+// Contexto de la petición en curso (userId, tenantId...) compartido por todos los loggers
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * @class Logger
+ * @description Logger JSON con niveles y contexto
+ * @example
+ * const logger = createLogger('pagos');
+ * const log = logger.child({ module: 'validarUsuario' });
+ * log.info('Usuario validado', { usuarioId });
+ * log.error('No se pudo validar el usuario', { err: error });
+ */
+class Logger {
+  /**
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.service] - Nombre del servicio
+   * @param {string} [options.level] - Nivel mínimo (LOG_LEVEL; 'silent' en NODE_ENV=test)
+   * @param {Object} [options.bindings] - Campos fijos de cada entrada (p. ej. { module })
+   * @param {Array<string>} [options.redact] - Campos adicionales a redactar
+   * @param {Function} [options.write] - Destino de cada línea (stdout por defecto)
+   */
+  constructor(options = {}) {
+    // Configuración compartida entre el logger raíz y sus hijos
+    this.config = {
+      service: options.service,
+      level: 'info',
+      redactKeys: new Set([...DEFAULT_REDACT_KEYS, ...(options.redact || [])].map(normalizeKey)),
+      write: options.write || (line => process.stdout.write(`${line}\n`))
+    };
+    this.bindings = options.bindings || {};
+    this.setLevel((options.level || process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'silent' : 'info')).toLowerCase());
+  }
+
+  /**
+   * Ajustar servicio, nivel o destino; afecta también a los loggers hijos ya creados
+   * @param {Object} options - { service, level, write }
+   * @returns {Logger}
+   */
+  configure(options = {}) {
+    if (options.service) this.config.service = options.service;
+    if (options.write) this.config.write = options.write;
+    if (options.level) this.setLevel(options.level);
+    return this;
+  }
+
+  /**
+   * Crear un logger hijo que comparte la configuración y agrega campos fijos
+   * @param {Object} bindings - Campos del hijo (p. ej. { module: 'CircuitBreaker' })
+   * @returns {Logger}
+   */
+  child(bindings) {
+    const child = Object.create(Logger.prototype);
+    child.config = this.config;
+    child.bindings = { ...this.bindings, ...bindings };
+    return child;
+  }
+
+  get service() {
+    return this.config.service;
+  }
+
+  get level() {
+    return this.config.level;
+  }
+
+  /**
+   * Cambiar el nivel mínimo
+   * @param {string} level - Nivel
+   */
+  setLevel(level) {
+    if (LEVELS[level] === undefined) {
+      throw new Error(`Nivel de log desconocido: '${level}'`);
+    }
+    this.config.level = level;
+  }
+
+  /**
+   * Verificar si un nivel se escribe
+   * @param {string} level - Nivel
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  trace(message, fields) { this.log('trace', message, fields); }
+
+  debug(message, fields) { this.log('debug', message, fields); }
+
+  info(message, fields) { this.log('info', message, fields); }
+
+  warn(message, fields) { this.log('warn', message, fields); }
+
+  error(message, fields) { this.log('error', message, fields); }
+
+  fatal(message, fields) { this.log('fatal', message, fields); }
+
+  /**
+   * Escribir una entrada
+   * @param {string} level - Nivel
+   * @param {string} message - Mensaje
+   * @param {Object|Error} [fields] - Campos adicionales (un Error se registra como `err`)
+   */
+  log(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const extra = fields instanceof Error ? { err: fields } : fields;
+    const trace = getCurrentContext();
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      ...(this.service ? { service: this.service } : {}),
+      ...this.bindings,
+      msg: message,
+      ...(trace ? { traceId: trace.traceId, spanId: trace.spanId, requestId: trace.requestId } : {}),
+      ...contextStorage.getStore(),
+      ...extra
+    };
+
+    try {
+      this.config.write(JSON.stringify(this.redact(entry, 0, new WeakSet())));
+    } catch (error) {
+      process.stderr.write(`${JSON.stringify({ timestamp: entry.timestamp, level: 'error', msg: 'No se pudo escribir el log', error: error.message })}\n`);
+    }
+  }
+
+  /**
+   * Copiar un valor redactando campos sensibles, tokens y referencias circulares
+   * @param {*} value - Valor
+   * @param {number} depth - Profundidad actual
+   * @param {WeakSet} seen - Objetos ya visitados
+   * @returns {*} Valor seguro para serializar
+   */
+  redact(value, depth, seen) {
+    if (typeof value === 'string') {
+      return value.replace(BEARER_PATTERN, `$1 ${REDACTED}`).replace(JWT_PATTERN, REDACTED);
+    }
+    if (value === null || typeof value !== 'object') {
+      return typeof value === 'bigint' ? value.toString() : value;
+    }
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+    seen.add(value);
+
+    if (value instanceof Error) {
+      return this.redact({
+        name: value.name,
+        message: value.message,
+        ...(value.code ? { code: value.code } : {}),
+        ...(value.response?.status ? { status: value.response.status } : {}),
+        stack: value.stack
+      }, depth + 1, seen);
+    }
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(item => this.redact(item, depth + 1, seen));
+
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      result[key] = this.config.redactKeys.has(normalizeKey(key)) ? REDACTED : this.redact(item, depth + 1, seen);
+    });
+    return result;
+  }
+}
+
+// Logger raíz del proceso; cada servicio lo configura con createLogger()
+const logger = new Logger({ service: process.env.SERVICE_NAME });
+
+/**
+ * Configurar el logger compartido de un servicio
+ * Los módulos de shared/ escriben con hijos de este logger, por lo que heredan el nombre del servicio
+ * @param {string} service - Nombre del servicio
+ * @param {Object} [options] - { level, write }
+ * @returns {Logger} Logger raíz
+ */
+function createLogger(service, options = {}) {
+  return logger.configure({ ...options, service });
+}
+
+/**
+ * Middleware de Express que abre el contexto de log de la petición
+ * Debe registrarse después de express.json(), igual que el middleware de trazas
+ * Detrás del gateway el usuario llega en X-User-ID, por lo que se agrega desde el inicio
+ * @returns {Function} Middleware
+ */
+function requestContext() {
+  return (req, res, next) => {
+    const userId = req.headers['x-user-id'];
+    contextStorage.run(userId && userId !== 'anonymous' ? { userId } : {}, next);
+  };
+}
+
+/**
+ * Agregar campos al contexto de log de la petición en curso (p. ej. userId tras autenticar)
+ * @param {Object} fields - Campos
+ */
+function addLogContext(fields) {
+  const store = contextStorage.getStore();
+  if (store) {
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) store[key] = value;
+    });
+  }
+}
+
+/**
+ * Ejecutar una función con un contexto de log propio
+ * @param {Object} fields - Campos del contexto
+ * @param {Function} fn - Función
+ * @returns {*} Resultado de la función
+ */
+function withLogContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[-_\s]/g, '');
+}
+
+module.exports = {
+  Logger,
+  LEVELS,
+  createLogger,
+  requestContext,
+  addLogContext,
+  withLogContext,
+  logger
+};
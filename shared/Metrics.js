@@ -0,0 +1,423 @@
+/**
+ * Observability - Metrics
+ *
+ * Registro de métricas en formato de exposición de texto de Prometheus
+ * Contadores, gauges e histogramas con etiquetas, más colectores para
+ * Circuit Breakers, EventManager y el proceso
+ */
+
+const { logger } = require('./Logger');
+
+const log = logger.child({ module: 'Metrics' });
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Buckets de latencia en segundos (mismos valores por defecto que los clientes oficiales)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Valor numérico de cada estado de Circuit Breaker
+const BREAKER_STATES = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+
+/**
+ * Clase base de una métrica con series por combinación de etiquetas
+ */
+class Metric {
+  /**
+   * @param {string} type - counter, gauge o histogram
+   * @param {string} name - Nombre de la métrica
+   * @param {string} help - Descripción
+   * @param {Array<string>} [labelNames] - Etiquetas permitidas
+   */
+  constructor(type, name, help, labelNames = []) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+      throw new Error(`Nombre de métrica inválido: '${name}'`);
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // clave de etiquetas -> { labels, value }
+  }
+
+  /**
+   * Obtener (o crear) la serie de unas etiquetas
+   * @param {Object} labels - Etiquetas
+   * @param {Function} init - Valor inicial de la serie
+   * @returns {Object} Serie
+   */
+  getSeries(labels = {}, init = () => 0) {
+    const normalized = {};
+    this.labelNames.forEach(name => {
+      normalized[name] = labels[name] === undefined ? '' : String(labels[name]);
+    });
+
+    const key = JSON.stringify(normalized);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: normalized, value: init() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Eliminar todas las series
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * Líneas de muestra en formato de texto
+   * @param {Object} [defaultLabels] - Etiquetas comunes antepuestas a cada serie
+   * @returns {Array<string>}
+   */
+  renderSamples(defaultLabels = {}) {
+    return Array.from(this.series.values())
+      .map(series => `${this.name}${formatLabels({ ...defaultLabels, ...series.labels })} ${formatValue(series.value)}`);
+  }
+
+  /**
+   * Bloque completo de la métrica (HELP, TYPE y muestras)
+   * @param {Object} [defaultLabels] - Etiquetas comunes antepuestas a cada serie
+   * @returns {string}
+   */
+  render(defaultLabels = {}) {
+    return [
+      `# HELP ${this.name} ${escapeHelp(this.help)}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.renderSamples(defaultLabels)
+    ].join('\n');
+  }
+}
+
+/**
+ * Contador monótono
+ */
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  /**
+   * Incrementar el contador
+   * @param {Object} [labels] - Etiquetas
+   * @param {number} [value=1] - Incremento (no negativo)
+   */
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`El contador '${this.name}' no admite incrementos negativos`);
+    }
+    this.getSeries(labels).value += value;
+  }
+
+  /**
+   * Fijar el valor acumulado (para colectores que leen contadores externos)
+   * @param {Object} labels - Etiquetas
+   * @param {number} value - Valor acumulado
+   */
+  set(labels, value) {
+    this.getSeries(labels).value = value;
+  }
+}
+
+/**
+ * Valor que puede subir y bajar
+ */
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  /**
+   * @param {Object} labels - Etiquetas
+   * @param {number} value - Valor
+   */
+  set(labels, value) {
+    this.getSeries(labels).value = value;
+  }
+
+  /**
+   * @param {Object} [labels] - Etiquetas
+   * @param {number} [value=1] - Incremento
+   */
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels).value += value;
+  }
+
+  /**
+   * @param {Object} [labels] - Etiquetas
+   * @param {number} [value=1] - Decremento
+   */
+  dec(labels = {}, value = 1) {
+    this.getSeries(labels).value -= value;
+  }
+}
+
+/**
+ * Histograma acumulativo por buckets
+ */
+class Histogram extends Metric {
+  /**
+   * @param {string} name - Nombre
+   * @param {string} help - Descripción
+   * @param {Array<string>} [labelNames] - Etiquetas
+   * @param {Array<number>} [buckets] - Límites superiores de los buckets
+   */
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * Registrar una observación
+   * @param {Object} labels - Etiquetas
+   * @param {number} value - Valor observado
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.value.counts[index]++;
+    });
+    series.value.sum += value;
+    series.value.count++;
+  }
+
+  renderSamples(defaultLabels = {}) {
+    const lines = [];
+    this.series.forEach(({ labels: seriesLabels, value }) => {
+      const labels = { ...defaultLabels, ...seriesLabels };
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * @class MetricsRegistry
+ * @description Conjunto de métricas de un proceso expuesto en GET /metrics
+ * @example
+ * const metrics = new MetricsRegistry({ defaultLabels: { service: 'pagos' } });
+ * const pagos = metrics.counter('pagos_creados_total', 'Pagos creados', ['estado']);
+ * pagos.inc({ estado: 'Pendiente' });
+ * app.get('/metrics', metrics.handler());
+ */
+class MetricsRegistry {
+  /**
+   * @param {Object} [options] - Opciones
+   * @param {Object} [options.defaultLabels] - Etiquetas agregadas a todas las series (p. ej. { service })
+   */
+  constructor(options = {}) {
+    this.metrics = new Map();
+    this.collectors = [];
+    this.defaultLabels = options.defaultLabels || {};
+  }
+
+  /**
+   * Registrar (o recuperar) una métrica
+   * @param {Metric} metric - Métrica
+   * @returns {Metric}
+   */
+  register(metric) {
+    const existing = this.metrics.get(metric.name);
+    if (existing) {
+      if (existing.type !== metric.type) {
+        throw new Error(`La métrica '${metric.name}' ya existe como ${existing.type}`);
+      }
+      return existing;
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * @param {string} name - Nombre
+   * @param {string} help - Descripción
+   * @param {Array<string>} [labelNames] - Etiquetas
+   * @returns {Counter}
+   */
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  /**
+   * @param {string} name - Nombre
+   * @param {string} help - Descripción
+   * @param {Array<string>} [labelNames] - Etiquetas
+   * @returns {Gauge}
+   */
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  /**
+   * @param {string} name - Nombre
+   * @param {string} help - Descripción
+   * @param {Array<string>} [labelNames] - Etiquetas
+   * @param {Array<number>} [buckets] - Buckets
+   * @returns {Histogram}
+   */
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Agregar un colector que actualiza métricas justo antes de exponerlas
+   * @param {Function} collector - Función sin argumentos
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Exponer todas las métricas en formato de texto de Prometheus
+   * @returns {string}
+   */
+  render() {
+    this.collectors.forEach(collector => {
+      try {
+        collector();
+      } catch (error) {
+        log.error('Error en colector de métricas', { err: error });
+      }
+    });
+
+    const blocks = Array.from(this.metrics.values()).map(metric => metric.render(this.defaultLabels));
+    return `${blocks.join('\n')}\n`;
+  }
+
+  /**
+   * Handler de Express para GET /metrics
+   * @returns {Function} Handler
+   */
+  handler() {
+    return (req, res) => {
+      res.set('Content-Type', CONTENT_TYPE);
+      res.send(this.render());
+    };
+  }
+}
+
+/**
+ * Exponer el estado de los Circuit Breakers de un manager
+ * @param {MetricsRegistry} registry - Registro
+ * @param {CircuitBreakerManager} manager - Manager de Circuit Breakers
+ */
+function registerCircuitBreakerMetrics(registry, manager) {
+  const state = registry.gauge('circuit_breaker_state', 'Estado del Circuit Breaker (0=CLOSED, 1=HALF_OPEN, 2=OPEN)', ['breaker']);
+  const failures = registry.gauge('circuit_breaker_consecutive_failures', 'Fallos consecutivos del Circuit Breaker', ['breaker']);
+  const requests = registry.counter('circuit_breaker_requests_total', 'Peticiones ejecutadas por el Circuit Breaker', ['breaker', 'result']);
+  const opened = registry.counter('circuit_breaker_opened_total', 'Veces que el Circuit Breaker se abrió', ['breaker']);
+
+  registry.addCollector(() => {
+    manager.getAllBreakers().forEach((breaker, name) => {
+      state.set({ breaker: name }, BREAKER_STATES[breaker.state] ?? -1);
+      failures.set({ breaker: name }, breaker.failures);
+      requests.set({ breaker: name, result: 'success' }, breaker.metrics.successfulRequests);
+      requests.set({ breaker: name, result: 'failure' }, breaker.metrics.failedRequests);
+      opened.set({ breaker: name }, breaker.metrics.circuitOpenCount);
+    });
+  });
+}
+
+/**
+ * Exponer la ocupación de los Bulkheads de un manager
+ * @param {MetricsRegistry} registry - Registro
+ * @param {BulkheadManager} manager - Manager de Bulkheads
+ */
+function registerBulkheadMetrics(registry, manager) {
+  const active = registry.gauge('bulkhead_active_calls', 'Llamadas en ejecución dentro del Bulkhead', ['bulkhead']);
+  const queued = registry.gauge('bulkhead_queued_calls', 'Llamadas esperando en la cola del Bulkhead', ['bulkhead']);
+  const utilization = registry.gauge('bulkhead_utilization_ratio', 'Llamadas en ejecución sobre el máximo permitido', ['bulkhead']);
+  const rejected = registry.counter('bulkhead_rejected_total', 'Llamadas rechazadas por el Bulkhead', ['bulkhead']);
+
+  registry.addCollector(() => {
+    manager.getAllBulkheads().forEach((bulkhead, name) => {
+      const state = bulkhead.getState();
+      active.set({ bulkhead: name }, state.active);
+      queued.set({ bulkhead: name }, state.queued);
+      utilization.set({ bulkhead: name }, state.active / state.maxConcurrent);
+      rejected.set({ bulkhead: name }, state.metrics.rejected);
+    });
+  });
+}
+
+/**
+ * Exponer los contadores acumulados de un EventManager
+ * @param {MetricsRegistry} registry - Registro
+ * @param {EventManager} eventManager - EventManager
+ */
+function registerEventManagerMetrics(registry, eventManager) {
+  const published = registry.counter('events_published_total', 'Eventos notificados por tipo', ['type']);
+  const observerErrors = registry.counter('event_observer_errors_total', 'Errores de observers al procesar eventos', ['type']);
+  const observers = registry.gauge('event_observers', 'Observers suscritos por tipo de evento', ['type']);
+
+  registry.addCollector(() => {
+    const counters = eventManager.getCounters();
+    Object.entries(counters.published).forEach(([type, value]) => published.set({ type }, value));
+    Object.entries(counters.observerErrors).forEach(([type, value]) => observerErrors.set({ type }, value));
+    eventManager.observers.forEach((list, type) => observers.set({ type }, list.length));
+  });
+}
+
+/**
+ * Exponer métricas básicas del proceso
+ * @param {MetricsRegistry} registry - Registro
+ */
+function registerProcessMetrics(registry) {
+  const uptime = registry.gauge('process_uptime_seconds', 'Tiempo de ejecución del proceso en segundos');
+  const memory = registry.gauge('process_resident_memory_bytes', 'Memoria residente del proceso en bytes');
+  const heap = registry.gauge('nodejs_heap_used_bytes', 'Heap de V8 en uso en bytes');
+
+  registry.addCollector(() => {
+    const usage = process.memoryUsage();
+    uptime.set({}, process.uptime());
+    memory.set({}, usage.rss);
+    heap.set({}, usage.heapUsed);
+  });
+}
+
+/**
+ * Formatear etiquetas {a="1",b="2"}
+ * @param {Object} labels - Etiquetas
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+module.exports = {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  registerCircuitBreakerMetrics,
+  registerBulkheadMetrics,
+  registerEventManagerMetrics,
+  registerProcessMetrics,
+  CONTENT_TYPE
+};
@@ -6,6 +6,25 @@
  */
 
 const { EventManager, Observer } = require('./EventManager');
+const { logger } = require('./Logger');
+
+const log = logger.child({ module: 'NotificationService' });
+
+// Plantillas de correos transaccionales: se envían siempre por email, sin depender de las preferencias
+const EMAIL_TEMPLATES = {
+  verificacion_email: (data) => ({
+    title: 'Verifica tu correo electrónico',
+    message: `Hola ${data.nombre || ''}, confirma tu correo en ${data.enlace} (válido hasta ${data.expiresAt})`,
+    priority: 'high',
+    category: 'security'
+  }),
+  password_reset: (data) => ({
+    title: 'Restablece tu contraseña',
+    message: `Hola ${data.nombre || ''}, para elegir una nueva contraseña entra a ${data.enlace} (válido hasta ${data.expiresAt}). Si no lo solicitaste, ignora este correo.`,
+    priority: 'high',
+    category: 'security'
+  })
+};
 
 class NotificationService extends Observer {
   constructor() {
@@ -33,7 +52,7 @@ class NotificationService extends Observer {
       webhook: preferences.webhook || false,
       events: preferences.events || ['all']
     });
-    console.log(`🔔 Usuario ${userId} suscrito a notificaciones`);
+    log.info('Usuario suscrito a notificaciones', { userId });
   }
 
   /**
@@ -42,7 +61,7 @@ class NotificationService extends Observer {
    */
   unsubscribeUser(userId) {
     this.subscribers.delete(userId);
-    console.log(`🔔 Usuario ${userId} desuscrito de notificaciones`);
+    log.info('Usuario desuscrito de notificaciones', { userId });
   }
 
   /**
@@ -54,7 +73,7 @@ class NotificationService extends Observer {
     if (this.subscribers.has(userId)) {
       const current = this.subscribers.get(userId);
       this.subscribers.set(userId, { ...current, ...preferences });
-      console.log(`🔔 Preferencias actualizadas para usuario ${userId}`);
+      log.info('Preferencias de notificación actualizadas', { userId });
     }
   }
 
@@ -151,7 +170,7 @@ class NotificationService extends Observer {
     const preferences = this.subscribers.get(userId);
 
     if (!preferences) {
-      console.log(`🔔 Usuario ${userId} no está suscrito a notificaciones`);
+      log.debug('Usuario no suscrito a notificaciones', { userId });
       return;
     }
 
@@ -162,7 +181,7 @@ class NotificationService extends Observer {
       deliveryPromises.push(
         this.channels.email.send(notification, userId)
           .then(() => notification.channels.push('email'))
-          .catch(error => console.error('Error enviando email:', error))
+          .catch(error => log.error('Error enviando email', { userId, err: error }))
       );
     }
 
@@ -171,7 +190,7 @@ class NotificationService extends Observer {
       deliveryPromises.push(
         this.channels.sms.send(notification, userId)
           .then(() => notification.channels.push('sms'))
-          .catch(error => console.error('Error enviando SMS:', error))
+          .catch(error => log.error('Error enviando SMS', { userId, err: error }))
       );
     }
 
@@ -180,7 +199,7 @@ class NotificationService extends Observer {
       deliveryPromises.push(
         this.channels.push.send(notification, userId)
           .then(() => notification.channels.push('push'))
-          .catch(error => console.error('Error enviando push:', error))
+          .catch(error => log.error('Error enviando push', { userId, err: error }))
       );
     }
 
@@ -189,14 +208,53 @@ class NotificationService extends Observer {
       deliveryPromises.push(
         this.channels.webhook.send(notification, userId)
           .then(() => notification.channels.push('webhook'))
-          .catch(error => console.error('Error enviando webhook:', error))
+          .catch(error => log.error('Error enviando webhook', { userId, err: error }))
       );
     }
 
     await Promise.all(deliveryPromises);
     notification.delivered = true;
     
-    console.log(`🔔 Notificación entregada: ${notification.title} a ${notification.channels.join(', ')}`);
+    log.info('Notificación entregada', { userId, title: notification.title, channels: notification.channels });
+  }
+
+  /**
+   * Enviar un correo transaccional (verificación de email, restablecimiento de contraseña)
+   * No pasa por el EventManager: el enlace lleva un token de un solo uso que no debe quedar
+   * en el historial de eventos; la notificación se guarda sin el mensaje
+   * @param {string} template - verificacion_email | password_reset
+   * @param {Object} data - { usuarioId, email, nombre, enlace, expiresAt }
+   * @returns {Promise<Object>} Notificación registrada (sin mensaje)
+   */
+  async sendTransactionalEmail(template, data) {
+    const render = EMAIL_TEMPLATES[template];
+    if (!render) {
+      throw new Error(`Plantilla de correo desconocida: '${template}'`);
+    }
+    if (!data.email) {
+      throw new Error('El correo transaccional requiere email');
+    }
+
+    const { title, message, priority, category } = render(data);
+    const notification = {
+      id: this.generateNotificationId(),
+      eventType: template,
+      title,
+      type: 'info',
+      priority,
+      category,
+      userId: data.usuarioId || 'system',
+      to: data.email,
+      timestamp: new Date().toISOString(),
+      delivered: false,
+      channels: []
+    };
+
+    await this.channels.email.send({ ...notification, message }, notification.userId);
+    notification.delivered = true;
+    notification.channels.push('email');
+    this.notifications.push(notification);
+    return notification;
   }
 
   /**
@@ -273,10 +331,54 @@ class NotificationService extends Observer {
  * Canal de Email
  */
 class EmailChannel {
+  /**
+   * Entrega por HTTP a un relay de correo (POST { from, to, subject, text })
+   * Sin relay, fuera de producción solo se registra destinatario, título y enlace sin token;
+   * en producción el envío falla
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.url] - URL del relay (EMAIL_RELAY_URL por defecto)
+   * @param {string} [options.token] - Bearer del relay (EMAIL_RELAY_TOKEN por defecto)
+   * @param {string} [options.from] - Remitente (EMAIL_FROM por defecto)
+   * @param {number} [options.timeout=5000] - Timeout por envío en ms
+   */
+  constructor(options = {}) {
+    this.url = options.url || process.env.EMAIL_RELAY_URL || null;
+    this.token = options.token || process.env.EMAIL_RELAY_TOKEN || null;
+    this.from = options.from || process.env.EMAIL_FROM || 'no-reply@universidad.edu';
+    this.timeout = options.timeout || 5000;
+  }
+
   async send(notification, userId) {
-    // Simular envío de email
-    console.log(`📧 Email enviado a ${userId}: ${notification.title}`);
-    return Promise.resolve();
+    // Las notificaciones por eventos no llevan dirección (los correos transaccionales siempre la traen)
+    if (!notification.to) {
+      log.info('Email sin destinatario: solo se registra', { userId, title: notification.title });
+      return;
+    }
+    if (!this.url) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('EMAIL_RELAY_URL no configurado: el correo no se puede entregar');
+      }
+      log.warn('Email sin relay configurado (solo desarrollo)', {
+        userId,
+        to: notification.to,
+        title: notification.title,
+        enlace: redactLink(notification.message)
+      });
+      return;
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ from: this.from, to: notification.to, subject: notification.title, text: notification.message }),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    if (!response.ok) {
+      throw new Error(`El relay de correo respondió HTTP ${response.status}`);
+    }
+    log.info('Email enviado', { userId, to: notification.to, title: notification.title });
   }
 }
 
@@ -286,7 +388,7 @@ class EmailChannel {
 class SMSChannel {
   async send(notification, userId) {
     // Simular envío de SMS
-    console.log(`📱 SMS enviado a ${userId}: ${notification.message}`);
+    log.info('SMS enviado', { userId, title: notification.title });
     return Promise.resolve();
   }
 }
@@ -297,7 +399,7 @@ class SMSChannel {
 class PushChannel {
   async send(notification, userId) {
     // Simular envío de push notification
-    console.log(`🔔 Push enviado a ${userId}: ${notification.title}`);
+    log.info('Push enviado', { userId, title: notification.title });
     return Promise.resolve();
   }
 }
@@ -308,11 +410,23 @@ class PushChannel {
 class WebhookChannel {
   async send(notification, userId) {
     // Simular envío de webhook
-    console.log(`🔗 Webhook enviado a ${userId}: ${notification.title}`);
+    log.info('Webhook enviado', { userId, title: notification.title });
     return Promise.resolve();
   }
 }
 
+/**
+ * Primer enlace de un mensaje sin su query: los enlaces de cuenta llevan tokens de un solo uso
+ * @param {string} [message] - Cuerpo del correo
+ * @returns {string|null} Enlace con la query como '?[redactado]'
+ */
+function redactLink(message) {
+  const link = String(message || '').match(/https?:\/\/[^\s)]+/);
+  if (!link) return null;
+  const [base, query] = link[0].split('?');
+  return query ? `${base}?[redactado]` : base;
+}
+
 module.exports = {
   NotificationService,
   EmailChannel,
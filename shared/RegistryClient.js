@@ -0,0 +1,198 @@
+/**
+ * Service Registry - RegistryClient
+ *
+ * Cliente que usan los microservicios para registrarse en el registro del gateway,
+ * enviar heartbeats y resolver la URL de otros microservicios
+ */
+
+const { logger } = require('./Logger');
+const { ServiceAuth } = require('./ServiceAuth');
+
+const log = logger.child({ module: 'RegistryClient' });
+
+class RegistryClient {
+  /**
+   * @param {Object} options - Opciones
+   * @param {string} options.serviceName - Nombre del microservicio que se registra
+   * @param {string} [options.serviceUrl] - URL pública de esta instancia (SERVICE_URL por defecto)
+   * @param {string} [options.registryUrl] - URL del gateway/registro (REGISTRY_URL o GATEWAY_URL)
+   * @param {number} [options.heartbeatInterval=10000] - Intervalo de heartbeat en ms
+   * @param {number} [options.cacheTtl=15000] - Vigencia de las resoluciones en caché en ms
+   * @param {Object} [options.fallbackUrls] - URLs a usar si el registro no responde
+   * @param {Object} [options.metadata] - Metadatos enviados al registrarse
+   * @param {ServiceAuth} [options.serviceAuth] - Identidad con la que se firman las peticiones (SERVICE_AUTH_SECRET_<SERVICIO> por defecto)
+   */
+  constructor(options = {}) {
+    this.serviceName = options.serviceName;
+    this.serviceUrl = options.serviceUrl || process.env.SERVICE_URL;
+    this.registryUrl = (options.registryUrl || process.env.REGISTRY_URL || process.env.GATEWAY_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    this.heartbeatInterval = options.heartbeatInterval || 10000;
+    this.cacheTtl = options.cacheTtl || 15000;
+    this.fallbackUrls = options.fallbackUrls || {};
+    this.metadata = options.metadata || {};
+    this.requestTimeout = options.requestTimeout || 3000;
+    this.serviceAuth = options.serviceAuth || ServiceAuth.fromEnv(this.serviceName);
+
+    this.instanceId = null;
+    this.heartbeatTimer = null;
+    this.resolveCache = new Map(); // service -> { url, expiresAt }
+  }
+
+  /**
+   * Registrar la instancia y comenzar a enviar heartbeats
+   * No instala manejadores de señales: el servidor llama a stop() al terminar
+   * @param {number} [port] - Puerto local, usado si no se configuró serviceUrl
+   */
+  async start(port) {
+    if (!this.serviceUrl) {
+      this.serviceUrl = `http://localhost:${port}`;
+    }
+
+    await this.register();
+
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch(error => {
+        log.warn('Heartbeat fallido', { instanceId: this.instanceId, err: error });
+      });
+    }, this.heartbeatInterval);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * Registrar esta instancia en el registro
+   * @returns {Promise<Object|null>} Instancia registrada o null si el registro no respondió
+   */
+  async register() {
+    try {
+      const body = await this.request('POST', '/registry/register', {
+        service: this.serviceName,
+        url: this.serviceUrl,
+        instanceId: this.instanceId || undefined,
+        metadata: this.metadata
+      });
+
+      this.instanceId = body.instance.instanceId;
+      if (body.heartbeatInterval) {
+        this.heartbeatInterval = body.heartbeatInterval;
+      }
+      log.info('Instancia registrada', { instanceId: this.instanceId, registryUrl: this.registryUrl });
+      return body.instance;
+    } catch (error) {
+      // El registro puede no estar disponible aún; el heartbeat reintentará
+      log.warn('No se pudo registrar la instancia', { registryUrl: this.registryUrl, err: error });
+      return null;
+    }
+  }
+
+  /**
+   * Enviar heartbeat; se vuelve a registrar si la instancia fue desalojada
+   */
+  async heartbeat() {
+    if (!this.instanceId) {
+      await this.register();
+      return;
+    }
+
+    try {
+      await this.request('PUT', `/registry/${this.serviceName}/${this.instanceId}/heartbeat`);
+    } catch (error) {
+      if (error.status === 404) {
+        await this.register();
+        return;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Detener heartbeats y darse de baja del registro
+   * @throws {Error} Si el registro rechaza o no responde la baja
+   */
+  async stop() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    if (this.instanceId) {
+      await this.request('DELETE', `/registry/${this.serviceName}/${this.instanceId}`);
+      log.info('Instancia dada de baja', { instanceId: this.instanceId });
+      this.instanceId = null;
+    }
+  }
+
+  /**
+   * Resolver la URL base de otro microservicio
+   * Usa la caché, luego el registro y finalmente la URL de respaldo
+   * @param {string} serviceName - Servicio a resolver
+   * @returns {Promise<string>} URL base del servicio
+   */
+  async resolve(serviceName) {
+    const cached = this.resolveCache.get(serviceName);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.url;
+    }
+
+    try {
+      const body = await this.request('GET', `/registry/${serviceName}`);
+      this.resolveCache.set(serviceName, { url: body.url, expiresAt: Date.now() + this.cacheTtl });
+      return body.url;
+    } catch (error) {
+      const fallback = this.getFallbackUrl(serviceName);
+      if (!fallback) throw error;
+
+      log.warn('Usando URL de respaldo', { target: serviceName, err: error });
+      return fallback;
+    }
+  }
+
+  /**
+   * Obtener la URL de respaldo de un servicio (opción o variable <SERVICIO>_URL)
+   * @param {string} serviceName - Nombre del servicio
+   * @returns {string|undefined}
+   */
+  getFallbackUrl(serviceName) {
+    return this.fallbackUrls[serviceName] || process.env[`${serviceName.toUpperCase()}_URL`];
+  }
+
+  /**
+   * Realizar petición HTTP al registro
+   * @param {string} method - Método HTTP
+   * @param {string} path - Path relativo al registro
+   * @param {Object} [body] - Cuerpo JSON
+   * @returns {Promise<Object>} Respuesta JSON
+   */
+  async request(method, path, body) {
+    const payload = body ? JSON.stringify(body) : undefined;
+    const response = await fetch(`${this.registryUrl}${path}`, {
+      method,
+      // El registro solo acepta peticiones firmadas por un servicio
+      headers: { 'Content-Type': 'application/json', ...this.serviceAuth.sign({ method, path, body: payload }) },
+      body: payload,
+      signal: AbortSignal.timeout(this.requestTimeout)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.message || `Registro respondió ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Obtener información del cliente
+   * @returns {Object} Información
+   */
+  getInfo() {
+    return {
+      pattern: 'Service Registry Client',
+      serviceName: this.serviceName,
+      instanceId: this.instanceId,
+      serviceUrl: this.serviceUrl,
+      registryUrl: this.registryUrl,
+      registered: !!this.instanceId
+    };
+  }
+}
+
+module.exports = { RegistryClient };
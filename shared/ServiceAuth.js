@@ -0,0 +1,379 @@
+/**
+ * Service Identity - ServiceAuth
+ *
+ * Identidad firmada entre servicios para los endpoints internos (validación de usuarios,
+ * eventos, registro de instancias). Cada petición lleva el nombre del servicio, un timestamp,
+ * un nonce y una firma HMAC-SHA256 de método, path y cuerpo con el secreto propio del servicio
+ * (SERVICE_AUTH_SECRET_<SERVICIO>); el receptor la verifica con el secreto del nombre declarado
+ * y rechaza repeticiones. Un servicio que no conoce el secreto de otro no puede firmar en su nombre
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('./Logger');
+
+const log = logger.child({ module: 'ServiceAuth' });
+
+// Headers de la identidad firmada
+const SERVICE_AUTH_HEADERS = {
+  service: 'x-service-name',
+  timestamp: 'x-service-timestamp',
+  nonce: 'x-service-nonce',
+  signature: 'x-service-signature'
+};
+
+// Variables SERVICE_AUTH_SECRET_<SERVICIO> (ej. SERVICE_AUTH_SECRET_PAGOS)
+const SECRET_ENV_PREFIX = 'SERVICE_AUTH_SECRET_';
+
+const DEFAULT_OPTIONS = {
+  maxSkew: 300000, // 5 minutos de diferencia de reloj (y vigencia de cada firma)
+  maxNonces: 10000
+};
+
+/**
+ * Error de una identidad de servicio ausente, inválida o no permitida
+ */
+class ServiceAuthError extends Error {
+  /**
+   * @param {string} message - Mensaje
+   * @param {string} [code='SERVICE_AUTH_INVALID'] - SERVICE_AUTH_MISSING | SERVICE_AUTH_INVALID | SERVICE_AUTH_EXPIRED | SERVICE_AUTH_REPLAY | SERVICE_AUTH_BUSY | SERVICE_AUTH_FORBIDDEN
+   */
+  constructor(message, code = 'SERVICE_AUTH_INVALID') {
+    super(message);
+    this.name = 'ServiceAuthError';
+    this.code = code;
+  }
+}
+
+/**
+ * @class ServiceAuth
+ * @description Firma las peticiones salientes de un servicio y verifica las entrantes
+ * @example
+ * const serviceAuth = ServiceAuth.fromEnv('pagos');
+ * axios.get(url, { headers: serviceAuth.sign({ method: 'GET', path: '/validar/7' }) });
+ *
+ * // En el receptor (express.json({ verify: captureRawBody }) para firmar el cuerpo)
+ * app.get('/validar/:id', serviceAuth.middleware({ allow: ['pagos'] }), handler);
+ */
+class ServiceAuth {
+  /**
+   * @param {Object} options - Opciones
+   * @param {string} options.serviceName - Nombre con el que firma este servicio
+   * @param {Array<string>} options.secrets - Secretos propios; el primero firma y todos verifican (rotación)
+   * @param {Object<string, Array<string>>} [options.peers] - Secretos de los servicios cuyas peticiones se aceptan, por nombre
+   * @param {string} [options.developmentRoot] - Semilla de desarrollo de la que se deriva el secreto de los servicios sin configurar
+   * @param {number} [options.maxSkew=300000] - Antigüedad máxima de una firma (ms)
+   * @param {number} [options.maxNonces=10000] - Máximo de nonces vigentes recordados; al alcanzarlo se rechazan firmas nuevas
+   */
+  constructor(options = {}) {
+    if (!options.serviceName) {
+      throw new Error('ServiceAuth requiere serviceName');
+    }
+    if (!Array.isArray(options.secrets) || options.secrets.length === 0) {
+      throw new Error('ServiceAuth requiere al menos un secreto');
+    }
+    this.serviceName = options.serviceName;
+    this.secrets = options.secrets;
+    this.peers = options.peers || {};
+    this.developmentRoot = options.developmentRoot || null;
+    this.maxSkew = options.maxSkew ?? DEFAULT_OPTIONS.maxSkew;
+    this.maxNonces = options.maxNonces || DEFAULT_OPTIONS.maxNonces;
+
+    this.nonces = new Map(); // nonce -> expiresAt
+    this.stats = { signed: 0, verified: 0, rejected: 0 };
+  }
+
+  /**
+   * Crear la identidad de un servicio desde variables de entorno
+   * - SERVICE_AUTH_SECRET_<SERVICIO>: secreto de cada servicio; varios separados por coma para rotar
+   *   (el primero firma). El del propio servicio firma y los demás verifican a quien declare ese nombre
+   * - SERVICE_AUTH_MAX_SKEW: antigüedad máxima de una firma en ms
+   * Sin el secreto propio (solo fuera de producción) se derivan secretos por servicio de una semilla
+   * de desarrollo en SERVICE_AUTH_DEV_SECRET_FILE (tmpdir por defecto), compartida por los servicios del equipo
+   * @param {string} serviceName - Nombre del servicio
+   * @param {Object} [env=process.env] - Variables de entorno
+   * @returns {ServiceAuth}
+   * @throws {Error} En producción sin SERVICE_AUTH_SECRET_<SERVICIO>
+   */
+  static fromEnv(serviceName, env = process.env) {
+    const peers = {};
+    Object.entries(env)
+      .filter(([name]) => name.startsWith(SECRET_ENV_PREFIX))
+      .forEach(([name, value]) => {
+        const secrets = value.split(',').map(secret => secret.trim()).filter(Boolean);
+        if (secrets.length > 0) peers[name.slice(SECRET_ENV_PREFIX.length).toLowerCase().replace(/_/g, '-')] = secrets;
+      });
+    if (env.SERVICE_AUTH_SECRET) {
+      log.warn('SERVICE_AUTH_SECRET ya no se usa: cada servicio firma con SERVICE_AUTH_SECRET_<SERVICIO>', { serviceName });
+    }
+
+    const options = {
+      serviceName,
+      secrets: peers[serviceName],
+      peers,
+      maxSkew: env.SERVICE_AUTH_MAX_SKEW ? Number(env.SERVICE_AUTH_MAX_SKEW) : undefined
+    };
+
+    if (!options.secrets) {
+      const variable = secretEnvName(serviceName);
+      if (env.NODE_ENV === 'production') {
+        throw new Error(`${variable} es requerido en producción para firmar las peticiones entre servicios`);
+      }
+      const file = env.SERVICE_AUTH_DEV_SECRET_FILE || path.join(os.tmpdir(), 'service-auth-dev-secret');
+      options.developmentRoot = loadOrCreateDevelopmentRoot(file);
+      options.secrets = [deriveSecret(options.developmentRoot, serviceName)];
+      log.warn(`${variable} no configurado: se usa la semilla de desarrollo compartida (configúrelo en producción)`, { serviceName, file });
+    }
+
+    return new ServiceAuth(options);
+  }
+
+  /**
+   * Headers de identidad para una petición saliente
+   * @param {Object} request - Petición
+   * @param {string} request.method - Método HTTP
+   * @param {string} request.path - Path con query tal como lo recibe el destino
+   * @param {string|Object} [request.body] - Cuerpo (los objetos se firman como JSON.stringify)
+   * @returns {Object} Headers X-Service-*
+   */
+  sign({ method, path, body }) {
+    const timestamp = String(Date.now());
+    const nonce = crypto.randomBytes(16).toString('hex');
+    this.stats.signed++;
+
+    return {
+      'X-Service-Name': this.serviceName,
+      'X-Service-Timestamp': timestamp,
+      'X-Service-Nonce': nonce,
+      'X-Service-Signature': computeSignature(this.secrets[0], [this.serviceName, timestamp, nonce, method, path, body])
+    };
+  }
+
+  /**
+   * La petición trae una identidad de servicio
+   * @param {Object} req - Request object
+   * @returns {boolean}
+   */
+  isSigned(req) {
+    return Boolean(req.headers[SERVICE_AUTH_HEADERS.signature]);
+  }
+
+  /**
+   * Verificar la identidad de una petición entrante
+   * @param {Object} request - Petición
+   * @param {string} request.method - Método HTTP
+   * @param {string} request.path - Path con query (req.originalUrl)
+   * @param {Object} request.headers - Headers (en minúsculas)
+   * @param {string} [request.body] - Cuerpo sin parsear (req.rawBody)
+   * @returns {string} Servicio que firmó
+   * @throws {ServiceAuthError}
+   */
+  verify({ method, path, headers, body }) {
+    const service = headers[SERVICE_AUTH_HEADERS.service];
+    const timestamp = headers[SERVICE_AUTH_HEADERS.timestamp];
+    const nonce = headers[SERVICE_AUTH_HEADERS.nonce];
+    const signature = headers[SERVICE_AUTH_HEADERS.signature];
+
+    try {
+      if (!service || !timestamp || !nonce || !signature) {
+        throw new ServiceAuthError('Se requiere identidad de servicio (headers X-Service-*)', 'SERVICE_AUTH_MISSING');
+      }
+      if (!(Math.abs(Date.now() - Number(timestamp)) <= this.maxSkew)) {
+        throw new ServiceAuthError('La firma del servicio venció o el reloj está desfasado', 'SERVICE_AUTH_EXPIRED');
+      }
+
+      const secrets = this.secretsFor(service);
+      if (secrets.length === 0) {
+        throw new ServiceAuthError(`Servicio desconocido '${service}'`);
+      }
+
+      const actual = Buffer.from(String(signature), 'hex');
+      const valid = secrets.some(secret => {
+        const expected = Buffer.from(computeSignature(secret, [service, timestamp, nonce, method, path, body]), 'hex');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+      });
+      if (!valid) {
+        throw new ServiceAuthError(`Firma inválida para el servicio '${service}'`);
+      }
+
+      this.rememberNonce(nonce, Number(timestamp) + this.maxSkew);
+    } catch (error) {
+      this.stats.rejected++;
+      throw error;
+    }
+
+    this.stats.verified++;
+    return service;
+  }
+
+  /**
+   * Secretos con los que se verifica a quien declara un nombre de servicio
+   * @param {string} service - Servicio declarado en X-Service-Name
+   * @returns {Array<string>} Vacío si el servicio no se conoce
+   */
+  secretsFor(service) {
+    if (service === this.serviceName) return this.secrets;
+    if (Object.prototype.hasOwnProperty.call(this.peers, service)) return this.peers[service];
+    return this.developmentRoot ? [deriveSecret(this.developmentRoot, service)] : [];
+  }
+
+  /**
+   * Registrar un nonce usado; una firma repetida dentro de su vigencia se rechaza
+   * @param {string} nonce - Nonce de la firma
+   * @param {number} expiresAt - Fin de la vigencia de la firma (ms)
+   * @throws {ServiceAuthError} SERVICE_AUTH_REPLAY si se repite, SERVICE_AUTH_BUSY si no caben más nonces vigentes
+   */
+  rememberNonce(nonce, expiresAt) {
+    const now = Date.now();
+    if ((this.nonces.get(nonce) || 0) > now) {
+      throw new ServiceAuthError('Firma de servicio repetida', 'SERVICE_AUTH_REPLAY');
+    }
+
+    // Los nonces se insertan en orden de llegada: los primeros son los que vencen antes
+    for (const [stored, storedExpiresAt] of this.nonces) {
+      if (storedExpiresAt > now) break;
+      this.nonces.delete(stored);
+    }
+
+    // Olvidar un nonce vigente permitiría repetir su firma: con el límite lleno se rechaza la nueva
+    if (this.nonces.size >= this.maxNonces) {
+      for (const [stored, storedExpiresAt] of this.nonces) {
+        if (storedExpiresAt <= now) this.nonces.delete(stored);
+      }
+      if (this.nonces.size >= this.maxNonces) {
+        throw new ServiceAuthError('Demasiadas firmas de servicio vigentes, reintente más tarde', 'SERVICE_AUTH_BUSY');
+      }
+    }
+    this.nonces.set(nonce, expiresAt);
+  }
+
+  /**
+   * Middleware de Express que exige una identidad de servicio válida
+   * Deja el servicio en req.service
+   * @param {Object} [options] - Opciones
+   * @param {Array<string>} [options.allow] - Servicios permitidos (todos si se omite)
+   * @returns {Function} Middleware
+   */
+  middleware(options = {}) {
+    return (req, res, next) => {
+      let service;
+      try {
+        service = this.verify({ method: req.method, path: req.originalUrl, headers: req.headers, body: req.rawBody });
+        if (options.allow && !options.allow.includes(service)) {
+          throw new ServiceAuthError(`El servicio '${service}' no tiene acceso a ${req.method} ${req.path}`, 'SERVICE_AUTH_FORBIDDEN');
+        }
+      } catch (error) {
+        const status = { SERVICE_AUTH_FORBIDDEN: 403, SERVICE_AUTH_BUSY: 503 }[error.code] || 401;
+        log.warn('Identidad de servicio rechazada', { path: req.path, code: error.code, service: req.headers[SERVICE_AUTH_HEADERS.service] });
+        if (status === 503) res.set('Retry-After', '1');
+        return res.status(status).json({
+          error: { 403: 'Acceso denegado', 503: 'Servicio saturado' }[status] || 'Identidad de servicio inválida',
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      req.service = service;
+      next();
+    };
+  }
+
+  /**
+   * Obtener información de la identidad
+   * @returns {Object} Información
+   */
+  getInfo() {
+    return {
+      serviceName: this.serviceName,
+      secrets: this.secrets.length,
+      peers: Object.keys(this.peers).filter(service => service !== this.serviceName),
+      development: Boolean(this.developmentRoot),
+      maxSkew: this.maxSkew,
+      nonces: this.nonces.size,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+/**
+ * HMAC-SHA256 de los campos firmados (el cuerpo entra como su SHA-256)
+ * @param {string} secret - Secreto del servicio que firma
+ * @param {Array} fields - [servicio, timestamp, nonce, método, path, cuerpo]
+ * @returns {string} Firma en hexadecimal
+ */
+function computeSignature(secret, [service, timestamp, nonce, method, path, body]) {
+  const bodyHash = crypto.createHash('sha256').update(serializeBody(body)).digest('hex');
+  return crypto.createHmac('sha256', secret)
+    .update([service, timestamp, nonce, String(method).toUpperCase(), path, bodyHash].join('\n'))
+    .digest('hex');
+}
+
+/**
+ * Variable de entorno con el secreto de un servicio
+ * @param {string} serviceName - Servicio (ej. 'pagos' -> SERVICE_AUTH_SECRET_PAGOS)
+ * @returns {string}
+ */
+function secretEnvName(serviceName) {
+  return SECRET_ENV_PREFIX + serviceName.toUpperCase().replace(/-/g, '_');
+}
+
+/**
+ * Secreto de desarrollo de un servicio, derivado de la semilla compartida
+ * @param {string} root - Semilla de desarrollo
+ * @param {string} serviceName - Servicio
+ * @returns {string}
+ */
+function deriveSecret(root, serviceName) {
+  return crypto.createHmac('sha256', root).update(`service-auth:${serviceName}`).digest('hex');
+}
+
+/**
+ * Leer la semilla de desarrollo, creándola si todavía no existe
+ * La crea el primer servicio (link atómico de un temporal); los que arrancan después la leen
+ * @param {string} file - Ruta del archivo
+ * @returns {string} Semilla
+ */
+function loadOrCreateDevelopmentRoot(file) {
+  if (!fs.existsSync(file)) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+    try {
+      fs.linkSync(tmp, file);
+    } catch (error) {
+      // Otro servicio la creó primero: se usa la suya
+      if (error.code !== 'EEXIST') throw error;
+    } finally {
+      fs.unlinkSync(tmp);
+    }
+  }
+  return fs.readFileSync(file, 'utf8').trim();
+}
+
+/**
+ * Cuerpo tal como viaja: las cadenas se firman tal cual y los objetos como JSON
+ * @param {string|Buffer|Object} [body] - Cuerpo
+ * @returns {string}
+ */
+function serializeBody(body) {
+  if (body === undefined || body === null) return '';
+  if (typeof body === 'string') return body;
+  if (Buffer.isBuffer(body)) return body.toString('utf8');
+  return JSON.stringify(body);
+}
+
+/**
+ * Opción verify de express.json(): conserva el cuerpo sin parsear en req.rawBody para verificar la firma
+ * @example app.use(express.json({ verify: captureRawBody }));
+ */
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf.toString('utf8');
+}
+
+module.exports = {
+  ServiceAuth,
+  ServiceAuthError,
+  captureRawBody,
+  SERVICE_AUTH_HEADERS
+};
@@ -0,0 +1,250 @@
+/**
+ * JWT Signing Keys - SigningKeyStore
+ *
+ * Claves asimétricas (RS256/ES256) para firmar JWT identificadas por `kid`. Una clave
+ * firma (la activa) y las anteriores se conservan para verificar los tokens que emitieron
+ * hasta retirarlas; las públicas se publican como JWKS (/.well-known/jwks.json)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('./Logger');
+
+const log = logger.child({ module: 'SigningKeys' });
+
+// Parámetros de generación por algoritmo
+const ALGORITHMS = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' } }
+};
+
+class SigningKeyStore {
+  /**
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.algorithm='RS256'] - Algoritmo de las claves generadas
+   */
+  constructor(options = {}) {
+    SigningKeyStore.validateAlgorithm(options.algorithm || 'RS256');
+    this.algorithm = options.algorithm || 'RS256';
+    this.keys = new Map(); // kid -> { kid, algorithm, privateKey, publicKey, createdAt }
+    this.activeKid = null;
+  }
+
+  /**
+   * Verificar que un algoritmo está soportado
+   * @param {string} algorithm - Algoritmo JWT
+   */
+  static validateAlgorithm(algorithm) {
+    if (!ALGORITHMS[algorithm]) {
+      throw new Error(`Algoritmo de firma no soportado: '${algorithm}' (usar ${Object.keys(ALGORITHMS).join(' o ')})`);
+    }
+  }
+
+  /**
+   * Crear el almacén desde variables de entorno
+   * - JWT_KEYS_FILE: JSON { activeKid, keys: [{ kid, algorithm, privateKey? , publicKey? }] } con PEM;
+   *   las claves sin privateKey solo verifican (firmantes retirados)
+   * - JWT_PRIVATE_KEY (+ JWT_KEY_ID, JWT_ALGORITHM): una sola clave PEM
+   * - Sin ninguna (solo fuera de producción): clave de desarrollo en JWT_DEV_KEYS_FILE
+   *   (tmpdir por defecto), generada por la primera réplica y compartida por las demás
+   * @param {Object} [env=process.env] - Variables de entorno
+   * @returns {SigningKeyStore}
+   * @throws {Error} En producción sin JWT_KEYS_FILE ni JWT_PRIVATE_KEY
+   */
+  static fromEnv(env = process.env) {
+    const store = new SigningKeyStore({ algorithm: env.JWT_ALGORITHM });
+
+    if (env.JWT_KEYS_FILE) {
+      store.loadFile(env.JWT_KEYS_FILE);
+    } else if (env.JWT_PRIVATE_KEY) {
+      const kid = env.JWT_KEY_ID || 'default';
+      store.addKey({ kid, algorithm: store.algorithm, privateKey: env.JWT_PRIVATE_KEY.replace(/\\n/g, '\n') });
+      store.setActive(kid);
+    } else if (env.NODE_ENV === 'production') {
+      // Cada réplica generaría su propia clave y el JWKS dependería de la instancia consultada
+      throw new Error('JWT_KEYS_FILE o JWT_PRIVATE_KEY es obligatorio en producción');
+    } else {
+      const file = env.JWT_DEV_KEYS_FILE || path.join(os.tmpdir(), 'usuarios-jwt-dev-keys.json');
+      store.loadOrCreateDevFile(file);
+      log.warn('Sin claves JWT configuradas: se usa la clave de desarrollo compartida (configure JWT_KEYS_FILE o JWT_PRIVATE_KEY en producción)', {
+        kid: store.activeKid,
+        file
+      });
+    }
+    return store;
+  }
+
+  /**
+   * Cargar las claves de un archivo JSON con el formato de JWT_KEYS_FILE
+   * @param {string} file - Ruta del archivo
+   */
+  loadFile(file) {
+    const { activeKid, keys = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    keys.forEach(key => this.addKey(key));
+    this.setActive(activeKid || keys.find(key => key.privateKey)?.kid);
+  }
+
+  /**
+   * Usar la clave de desarrollo de un archivo, creándola si todavía no existe
+   * La crea la primera réplica (link atómico de un temporal); las que arrancan después la leen
+   * @param {string} file - Ruta del archivo
+   */
+  loadOrCreateDevFile(file) {
+    if (!fs.existsSync(file)) {
+      const kid = this.rotate();
+      const { algorithm, privateKey } = this.getSigningKey();
+      const content = JSON.stringify({ activeKid: kid, keys: [{ kid, algorithm, privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }) }] });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, content, { mode: 0o600 });
+      try {
+        fs.linkSync(tmp, file);
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        // Otra réplica la creó primero: descartar la propia
+        this.keys.delete(kid);
+      } finally {
+        fs.unlinkSync(tmp);
+      }
+    }
+    this.loadFile(file);
+  }
+
+  /**
+   * Agregar una clave
+   * @param {Object} key - Clave
+   * @param {string} key.kid - Identificador
+   * @param {string} [key.algorithm] - RS256 o ES256 (por defecto el del almacén)
+   * @param {string|crypto.KeyObject} [key.privateKey] - Clave privada (PEM); sin ella solo verifica
+   * @param {string|crypto.KeyObject} [key.publicKey] - Clave pública (se deriva de la privada si se omite)
+   */
+  addKey({ kid, algorithm = this.algorithm, privateKey, publicKey }) {
+    if (!kid) {
+      throw new Error('La clave de firma requiere kid');
+    }
+    SigningKeyStore.validateAlgorithm(algorithm);
+    if (!privateKey && !publicKey) {
+      throw new Error(`La clave '${kid}' requiere privateKey o publicKey`);
+    }
+
+    const privateKeyObject = privateKey ? toKeyObject(privateKey, 'private') : null;
+    const publicKeyObject = publicKey ? toKeyObject(publicKey, 'public') : crypto.createPublicKey(privateKeyObject);
+    const expectedType = ALGORITHMS[algorithm].type;
+    if (publicKeyObject.asymmetricKeyType !== expectedType) {
+      throw new Error(`La clave '${kid}' es ${publicKeyObject.asymmetricKeyType} y ${algorithm} requiere ${expectedType}`);
+    }
+
+    this.keys.set(kid, { kid, algorithm, privateKey: privateKeyObject, publicKey: publicKeyObject, createdAt: new Date().toISOString() });
+  }
+
+  /**
+   * Elegir la clave que firma los tokens nuevos
+   * @param {string} kid - Identificador (debe tener clave privada)
+   */
+  setActive(kid) {
+    if (!this.keys.get(kid)?.privateKey) {
+      throw new Error(`No hay una clave privada con kid '${kid}' para firmar`);
+    }
+    this.activeKid = kid;
+  }
+
+  /**
+   * Generar una clave nueva y activarla; la anterior sigue verificando hasta retirarla
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.algorithm] - Algoritmo (por defecto el del almacén)
+   * @param {string} [options.kid] - Identificador (por defecto uno aleatorio)
+   * @returns {string} kid de la clave activa
+   */
+  rotate({ algorithm = this.algorithm, kid = crypto.randomUUID() } = {}) {
+    SigningKeyStore.validateAlgorithm(algorithm);
+    const { type, options } = ALGORITHMS[algorithm];
+    const { privateKey } = crypto.generateKeyPairSync(type, options);
+
+    this.addKey({ kid, algorithm, privateKey });
+    this.setActive(kid);
+    log.info('Clave de firma JWT rotada', { kid, algorithm });
+    return kid;
+  }
+
+  /**
+   * Retirar una clave (los tokens que firmó dejan de verificarse)
+   * @param {string} kid - Identificador
+   * @returns {boolean} true si existía
+   */
+  retire(kid) {
+    if (kid === this.activeKid) {
+      throw new Error(`La clave '${kid}' está activa; rote antes de retirarla`);
+    }
+    return this.keys.delete(kid);
+  }
+
+  /**
+   * Clave activa para firmar
+   * @returns {{kid: string, algorithm: string, privateKey: crypto.KeyObject}}
+   */
+  getSigningKey() {
+    const key = this.keys.get(this.activeKid);
+    if (!key) {
+      throw new Error('No hay una clave de firma activa');
+    }
+    return key;
+  }
+
+  /**
+   * Clave para verificar un token
+   * @param {string} kid - `kid` del header del token
+   * @returns {{kid: string, algorithm: string, publicKey: crypto.KeyObject}|null}
+   */
+  getVerificationKey(kid) {
+    return (kid && this.keys.get(kid)) || null;
+  }
+
+  /**
+   * Claves públicas en formato JWKS (RFC 7517)
+   * @returns {{keys: Array<Object>}}
+   */
+  toJwks() {
+    return {
+      keys: Array.from(this.keys.values()).map(({ kid, algorithm, publicKey }) => ({
+        ...publicKey.export({ format: 'jwk' }),
+        kid,
+        alg: algorithm,
+        use: 'sig'
+      }))
+    };
+  }
+
+  /**
+   * Obtener información del almacén
+   * @returns {Object} Información
+   */
+  getInfo() {
+    return {
+      activeKid: this.activeKid,
+      keys: Array.from(this.keys.values()).map(({ kid, algorithm, privateKey, createdAt }) => ({
+        kid,
+        algorithm,
+        signing: Boolean(privateKey),
+        createdAt
+      }))
+    };
+  }
+}
+
+/**
+ * Convertir PEM (o KeyObject) en KeyObject
+ * @param {string|crypto.KeyObject} key - Clave
+ * @param {string} type - private | public
+ * @returns {crypto.KeyObject}
+ */
+function toKeyObject(key, type) {
+  if (key instanceof crypto.KeyObject) return key;
+  return type === 'private' ? crypto.createPrivateKey(key) : crypto.createPublicKey(key);
+}
+
+module.exports = {
+  SigningKeyStore,
+  SIGNING_ALGORITHMS: Object.keys(ALGORITHMS)
+};
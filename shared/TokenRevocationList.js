@@ -0,0 +1,163 @@
+/**
+ * Token Revocation - TokenRevocationList
+ *
+ * Lista de tokens JWT revocados (deny-list por jti) hasta su expiración. Usuarios la
+ * alimenta al cerrar sesión y la publica con el evento `token.revocado`; el gateway la
+ * recibe por EventForwarder y la sincroniza periódicamente con GET /token/revocados
+ */
+
+const { Observer } = require('./EventManager');
+const { logger } = require('./Logger');
+
+const log = logger.child({ module: 'TokenRevocationList' });
+
+// Evento publicado al revocar un token ({ jti, expiresAt })
+const TOKEN_REVOKED_EVENT = 'token.revocado';
+
+class TokenRevocationList {
+  /**
+   * @param {Object} [options] - Opciones
+   * @param {number} [options.maxEntries=100000] - Máximo de jti conservados (se descartan los que expiran antes)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 100000;
+    this.entries = new Map(); // jti -> expiresAt (ms)
+    this.lastSync = null;
+  }
+
+  /**
+   * Revocar un token hasta su expiración
+   * @param {string} jti - Identificador del token
+   * @param {number|string} expiresAt - Expiración del token (ms o fecha ISO)
+   * @returns {boolean} true si se agregó (false si ya expiró o no tiene jti)
+   */
+  revoke(jti, expiresAt) {
+    const expires = typeof expiresAt === 'number' ? expiresAt : Date.parse(expiresAt);
+    if (!jti || !Number.isFinite(expires) || expires <= Date.now()) return false;
+
+    this.entries.set(jti, expires);
+    if (this.entries.size > this.maxEntries) {
+      this.prune();
+      this.evictSoonest();
+    }
+    return true;
+  }
+
+  /**
+   * Verificar si un token está revocado
+   * @param {string} jti - Identificador del token
+   * @returns {boolean}
+   */
+  isRevoked(jti) {
+    if (!jti) return false;
+
+    const expires = this.entries.get(jti);
+    if (expires === undefined) return false;
+    if (expires <= Date.now()) {
+      this.entries.delete(jti);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Incorporar revocaciones recibidas de otra instancia (sincronización)
+   * @param {Array<Object>} revoked - [{ jti, expiresAt }]
+   * @returns {number} Revocaciones nuevas
+   */
+  merge(revoked = []) {
+    let added = 0;
+    revoked.forEach(({ jti, expiresAt }) => {
+      if (!this.entries.has(jti) && this.revoke(jti, expiresAt)) added++;
+    });
+    this.lastSync = new Date().toISOString();
+    return added;
+  }
+
+  /**
+   * Eliminar los tokens que ya expiraron (dejan de necesitar la revocación)
+   * @returns {number} Entradas eliminadas
+   */
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+    this.entries.forEach((expires, jti) => {
+      if (expires <= now) {
+        this.entries.delete(jti);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  /**
+   * Descartar las revocaciones que expiran antes mientras se supere maxEntries
+   */
+  evictSoonest() {
+    if (this.entries.size <= this.maxEntries) return;
+
+    const sorted = Array.from(this.entries.entries()).sort((a, b) => a[1] - b[1]);
+    sorted.slice(0, this.entries.size - this.maxEntries).forEach(([jti]) => this.entries.delete(jti));
+    log.warn('Lista de revocación llena, se descartan las entradas más próximas a expirar', { maxEntries: this.maxEntries });
+  }
+
+  /**
+   * Revocaciones vigentes
+   * @returns {Array<Object>} [{ jti, expiresAt }] con expiresAt en ISO
+   */
+  list() {
+    this.prune();
+    return Array.from(this.entries.entries()).map(([jti, expires]) => ({ jti, expiresAt: new Date(expires).toISOString() }));
+  }
+
+  /**
+   * Obtener información de la lista
+   * @returns {Object} Información
+   */
+  getInfo() {
+    return {
+      revoked: this.entries.size,
+      maxEntries: this.maxEntries,
+      lastSync: this.lastSync
+    };
+  }
+}
+
+/**
+ * Observer que agrega a la lista los tokens revocados en otro servicio (evento token.revocado)
+ */
+class TokenRevocationObserver extends Observer {
+  /**
+   * @param {TokenRevocationList} revocationList - Lista a actualizar
+   */
+  constructor(revocationList) {
+    super('TokenRevocationObserver');
+    this.revocationList = revocationList;
+  }
+
+  async update(event) {
+    await super.update(event);
+    const { jti, expiresAt } = event.data || {};
+    if (this.revocationList.revoke(jti, expiresAt)) {
+      log.info('Token revocado recibido', { jti, source: event.source });
+    }
+  }
+}
+
+/**
+ * Error de un token válido que fue revocado (logout o rotación comprometida)
+ */
+class TokenRevokedError extends Error {
+  constructor(message = 'El token fue revocado') {
+    super(message);
+    this.name = 'TokenRevokedError';
+    this.code = 'TOKEN_REVOKED';
+  }
+}
+
+module.exports = {
+  TokenRevocationList,
+  TokenRevocationObserver,
+  TokenRevokedError,
+  TOKEN_REVOKED_EVENT
+};
@@ -0,0 +1,453 @@
+/**
+ * Distributed Tracing - Tracing
+ *
+ * Trazas distribuidas entre gateway y microservicios con W3C Trace Context (traceparent)
+ * El contexto activo viaja con AsyncLocalStorage; los spans se guardan localmente
+ * y pueden exportarse como archivos OTLP/JSON
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Contexto activo compartido por todos los tracers del proceso: { span, requestId }
+const storage = new AsyncLocalStorage();
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+// Valores de SpanKind y StatusCode de OTLP
+const SPAN_KINDS = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+
+/**
+ * Interpretar un header traceparent
+ * @param {string} header - Valor del header
+ * @returns {{traceId: string, spanId: string, flags: string}|null}
+ */
+function parseTraceparent(header) {
+  const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+  if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+    return null;
+  }
+  return { traceId: match[2], spanId: match[3], flags: match[4] };
+}
+
+/**
+ * Construir un header traceparent
+ * @param {Object} context - { traceId, spanId, flags }
+ * @returns {string}
+ */
+function formatTraceparent(context) {
+  return `00-${context.traceId}-${context.spanId}-${context.flags || '01'}`;
+}
+
+/**
+ * Obtener el contexto de traza activo
+ * @returns {{traceId: string, spanId: string, traceparent: string, requestId: string}|null}
+ */
+function getCurrentContext() {
+  const store = storage.getStore();
+  if (!store || !store.span) return null;
+
+  return {
+    traceId: store.span.traceId,
+    spanId: store.span.spanId,
+    traceparent: formatTraceparent(store.span),
+    requestId: store.requestId || store.span.traceId
+  };
+}
+
+/**
+ * @class Span
+ * @description Operación medida dentro de una traza
+ */
+class Span {
+  constructor(tracer, name, options = {}) {
+    const parent = options.parent || null;
+
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = options.kind || 'internal';
+    this.traceId = parent ? parent.traceId : randomHex(16);
+    this.spanId = randomHex(8);
+    this.parentSpanId = parent ? parent.spanId : null;
+    this.flags = parent?.flags || '01';
+    this.startTime = Date.now();
+    this.endTime = null;
+    this.attributes = { ...options.attributes };
+    this.status = { code: 'unset' };
+    this.events = [];
+  }
+
+  /**
+   * Agregar un atributo
+   * @param {string} key - Nombre
+   * @param {*} value - Valor
+   * @returns {Span}
+   */
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  /**
+   * Definir el estado del span
+   * @param {string} code - unset, ok o error
+   * @param {string} [message] - Descripción
+   * @returns {Span}
+   */
+  setStatus(code, message) {
+    this.status = message ? { code, message } : { code };
+    return this;
+  }
+
+  /**
+   * Registrar un error en el span
+   * @param {Error} error - Error
+   * @returns {Span}
+   */
+  recordError(error) {
+    this.events.push({
+      name: 'exception',
+      time: Date.now(),
+      attributes: { 'exception.type': error.name, 'exception.message': error.message }
+    });
+    return this.setStatus('error', error.message);
+  }
+
+  /**
+   * Finalizar el span y entregarlo al tracer (solo la primera vez)
+   */
+  end() {
+    if (this.endTime !== null) return;
+    this.endTime = Date.now();
+    this.tracer.onEnd(this);
+  }
+
+  /**
+   * Contexto propagable del span
+   * @returns {{traceId: string, spanId: string, flags: string}}
+   */
+  context() {
+    return { traceId: this.traceId, spanId: this.spanId, flags: this.flags };
+  }
+
+  /**
+   * Representación serializable
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: this.kind,
+      service: this.tracer.serviceName,
+      startTime: new Date(this.startTime).toISOString(),
+      duration: this.endTime !== null ? this.endTime - this.startTime : null,
+      attributes: this.attributes,
+      status: this.status,
+      events: this.events
+    };
+  }
+}
+
+/**
+ * @class OtlpFileExporter
+ * @description Escribe los spans finalizados en archivos OTLP/JSON (un archivo por lote)
+ */
+class OtlpFileExporter {
+  /**
+   * @param {Object} options - Opciones
+   * @param {string} options.directory - Directorio de salida
+   * @param {number} [options.batchSize=100] - Spans por archivo
+   * @param {number} [options.flushInterval=5000] - Intervalo máximo entre escrituras en ms
+   */
+  constructor(options = {}) {
+    this.directory = options.directory;
+    this.batchSize = options.batchSize || 100;
+    this.flushInterval = options.flushInterval || 5000;
+    this.buffer = [];
+    this.filesWritten = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Encolar un span finalizado
+   * @param {Span} span - Span
+   */
+  export(span) {
+    this.buffer.push(span);
+
+    if (this.buffer.length >= this.batchSize) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushInterval);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Escribir los spans pendientes en un archivo
+   * @returns {string|null} Ruta del archivo escrito
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.buffer.length === 0) return null;
+
+    const spans = this.buffer.splice(0);
+    const serviceName = spans[0].tracer.serviceName;
+    const file = path.join(this.directory, `${serviceName}-${Date.now()}-${randomHex(4)}.json`);
+
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(toOtlp(serviceName, spans)));
+      this.filesWritten++;
+      return file;
+    } catch (error) {
+      // Carga diferida: Logger depende de este módulo para el contexto de traza
+      const { logger } = require('./Logger');
+      logger.child({ module: 'Tracing' }).error('No se pudieron exportar los spans', { spans: spans.length, directory: this.directory, err: error });
+      return null;
+    }
+  }
+}
+
+/**
+ * @class Tracer
+ * @description Crea spans, propaga el contexto entre servicios y conserva los spans recientes
+ * @example
+ * const tracer = new Tracer({ serviceName: 'pagos' });
+ * app.use(tracer.middleware());
+ *
+ * await tracer.withSpan('validarUsuario', async () => {
+ *   return axios.get(url, { headers: tracer.injectHeaders() });
+ * }, { kind: 'client' });
+ */
+class Tracer {
+  /**
+   * @param {Object} options - Opciones
+   * @param {string} options.serviceName - Nombre del servicio (service.name en OTLP)
+   * @param {number} [options.maxSpans=1000] - Spans recientes conservados en memoria
+   * @param {string} [options.exportDir] - Directorio de exportación OTLP/JSON (TRACING_EXPORT_DIR)
+   */
+  constructor(options = {}) {
+    this.serviceName = options.serviceName || 'unknown';
+    this.maxSpans = options.maxSpans || 1000;
+    this.spans = [];
+    this.totalSpans = 0;
+
+    const exportDir = options.exportDir || process.env.TRACING_EXPORT_DIR;
+    this.exporter = exportDir ? new OtlpFileExporter({ ...options.exporter, directory: exportDir }) : null;
+  }
+
+  /**
+   * Iniciar un span; por defecto es hijo del span activo
+   * @param {string} name - Nombre de la operación
+   * @param {Object} [options] - { kind, attributes, parent }
+   * @returns {Span}
+   */
+  startSpan(name, options = {}) {
+    const parent = options.parent !== undefined ? options.parent : storage.getStore()?.span;
+    return new Span(this, name, { ...options, parent });
+  }
+
+  /**
+   * Ejecutar una función dentro de un span hijo del contexto activo
+   * @param {string} name - Nombre de la operación
+   * @param {Function} fn - Función (recibe el span)
+   * @param {Object} [options] - { kind, attributes }
+   * @returns {Promise<*>} Resultado de la función
+   */
+  async withSpan(name, fn, options = {}) {
+    const span = this.startSpan(name, options);
+    const store = { ...storage.getStore(), span };
+
+    try {
+      const result = await storage.run(store, () => fn(span));
+      if (span.status.code === 'unset') span.setStatus('ok');
+      return result;
+    } catch (error) {
+      span.recordError(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Agregar los headers de propagación del contexto activo
+   * @param {Object} [headers] - Headers existentes
+   * @returns {Object} Headers con traceparent y X-Request-ID
+   */
+  injectHeaders(headers = {}) {
+    const context = getCurrentContext();
+    if (!context) return headers;
+
+    return {
+      ...headers,
+      'traceparent': context.traceparent,
+      'X-Request-ID': context.requestId
+    };
+  }
+
+  /**
+   * Middleware de Express: continúa la traza entrante (o inicia una) con un span de servidor
+   * Debe registrarse después de express.json() para conservar el contexto en los handlers
+   * @returns {Function} Middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      const parent = parseTraceparent(req.headers.traceparent);
+      const span = this.startSpan(`${req.method} ${req.path}`, {
+        kind: 'server',
+        parent,
+        attributes: {
+          'http.method': req.method,
+          'http.target': req.originalUrl || req.url,
+          'http.user_agent': req.get ? req.get('User-Agent') : undefined
+        }
+      });
+      const requestId = req.headers['x-request-id'] || span.traceId;
+
+      req.traceContext = span.context();
+      req.requestId = requestId;
+      res.set('traceparent', formatTraceparent(span));
+      res.set('X-Request-ID', requestId);
+
+      res.on('finish', () => {
+        span.setAttribute('http.status_code', res.statusCode);
+        span.setAttribute('enduser.id', req.user?.id);
+        span.setStatus(res.statusCode >= 500 ? 'error' : 'ok');
+        span.end();
+      });
+
+      storage.run({ span, requestId }, next);
+    };
+  }
+
+  /**
+   * Recibir un span finalizado
+   * @param {Span} span - Span
+   */
+  onEnd(span) {
+    this.totalSpans++;
+    this.spans.push(span);
+    if (this.spans.length > this.maxSpans) {
+      this.spans.shift();
+    }
+    if (this.exporter) {
+      this.exporter.export(span);
+    }
+  }
+
+  /**
+   * Obtener los spans locales de una traza
+   * @param {string} traceId - ID de la traza
+   * @returns {Array<Object>} Spans
+   */
+  getTrace(traceId) {
+    return this.spans.filter(span => span.traceId === traceId).map(span => span.toJSON());
+  }
+
+  /**
+   * Obtener los spans recientes en formato OTLP/JSON
+   * @returns {Object} Documento OTLP
+   */
+  toOtlp() {
+    return toOtlp(this.serviceName, this.spans);
+  }
+
+  /**
+   * Obtener información del tracer
+   * @returns {Object} Información
+   */
+  getInfo() {
+    return {
+      serviceName: this.serviceName,
+      totalSpans: this.totalSpans,
+      bufferedSpans: this.spans.length,
+      exporter: this.exporter
+        ? { type: 'otlp-json-file', directory: this.exporter.directory, filesWritten: this.exporter.filesWritten }
+        : null
+    };
+  }
+}
+
+/**
+ * Convertir spans al formato OTLP/JSON (ExportTraceServiceRequest)
+ * @param {string} serviceName - Nombre del servicio
+ * @param {Array<Span>} spans - Spans finalizados
+ * @returns {Object}
+ */
+function toOtlp(serviceName, spans) {
+  const toNanos = ms => `${ms}000000`;
+
+  return {
+    resourceSpans: [{
+      resource: { attributes: toOtlpAttributes({ 'service.name': serviceName }) },
+      scopeSpans: [{
+        scope: { name: 'shared/Tracing' },
+        spans: spans.map(span => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+          name: span.name,
+          kind: SPAN_KINDS[span.kind] || SPAN_KINDS.internal,
+          startTimeUnixNano: toNanos(span.startTime),
+          endTimeUnixNano: toNanos(span.endTime),
+          attributes: toOtlpAttributes(span.attributes),
+          events: span.events.map(event => ({
+            name: event.name,
+            timeUnixNano: toNanos(event.time),
+            attributes: toOtlpAttributes(event.attributes)
+          })),
+          status: {
+            code: STATUS_CODES[span.status.code],
+            ...(span.status.message ? { message: span.status.message } : {})
+          }
+        }))
+      }]
+    }]
+  };
+}
+
+/**
+ * Convertir un objeto plano en atributos OTLP
+ * @param {Object} attributes - Atributos
+ * @returns {Array<Object>}
+ */
+function toOtlpAttributes(attributes) {
+  return Object.entries(attributes).map(([key, value]) => {
+    if (typeof value === 'number') {
+      return { key, value: Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value } };
+    }
+    if (typeof value === 'boolean') {
+      return { key, value: { boolValue: value } };
+    }
+    return { key, value: { stringValue: String(value) } };
+  });
+}
+
+/**
+ * Generar un identificador hexadecimal aleatorio
+ * @param {number} bytes - Longitud en bytes
+ * @returns {string}
+ */
+function randomHex(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+module.exports = {
+  Tracer,
+  Span,
+  OtlpFileExporter,
+  parseTraceparent,
+  formatTraceparent,
+  getCurrentContext
+};